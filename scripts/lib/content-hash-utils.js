@@ -0,0 +1,124 @@
+/**
+ * Content Hash Utilities
+ *
+ * Computes SHA-256 digests of file contents, used to give uploaded media names that
+ * depend on their content instead of their original file name.
+ *
+ * The Web Crypto API is only available in secure contexts (https or localhost), and many
+ * Foundry servers are reached over plain http on a local network. A JavaScript SHA-256
+ * is used there instead; it gives the same digest, so the names stay the same whichever
+ * client uploaded a file.
+ *
+ * @module ContentHashUtils
+ */
+
+/** SHA-256 round constants */
+const SHA256_ROUND_CONSTANTS = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+/** SHA-256 initial hash values */
+const SHA256_INITIAL_HASH = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+/**
+ * Compute the SHA-256 digest of a file or blob.
+ *
+ * @param {Blob} blob - File contents to hash
+ * @returns {Promise<string>} Lowercase hex digest (64 characters)
+ *
+ * @example
+ * const hash = await computeContentHash(file);
+ * console.log(hash.slice(0, 16)); // e.g. "9f86d081884c7d65"
+ */
+export async function computeContentHash(blob) {
+    const buffer = await blob.arrayBuffer();
+
+    if (globalThis.crypto?.subtle) {
+        try {
+            return toHex(new Uint8Array(await globalThis.crypto.subtle.digest('SHA-256', buffer)));
+        } catch (_digestError) {
+            // Fall back to the JavaScript implementation below
+        }
+    }
+
+    return toHex(computeSha256(new Uint8Array(buffer)));
+}
+
+/**
+ * Compute a SHA-256 digest in JavaScript.
+ *
+ * @param {Uint8Array} bytes - Data to hash
+ * @returns {Uint8Array} The 32-byte digest
+ */
+function computeSha256(bytes) {
+    // Pad to a multiple of 64 bytes: a 1 bit, zeros, then the bit length as a 64-bit number
+    const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+
+    const view = new DataView(padded.buffer);
+    const bitLength = bytes.length * 8;
+    view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+    view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+    const hash = [...SHA256_INITIAL_HASH];
+    const schedule = new Uint32Array(64);
+    const rotateRight = (value, bits) => (value >>> bits) | (value << (32 - bits));
+
+    for (let blockStart = 0; blockStart < paddedLength; blockStart += 64) {
+        for (let i = 0; i < 16; i++) {
+            schedule[i] = view.getUint32(blockStart + i * 4);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotateRight(schedule[i - 15], 7) ^ rotateRight(schedule[i - 15], 18) ^ (schedule[i - 15] >>> 3);
+            const s1 = rotateRight(schedule[i - 2], 17) ^ rotateRight(schedule[i - 2], 19) ^ (schedule[i - 2] >>> 10);
+            schedule[i] = (schedule[i - 16] + s0 + schedule[i - 7] + s1) >>> 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const sum1 = rotateRight(e, 6) ^ rotateRight(e, 11) ^ rotateRight(e, 25);
+            const choice = (e & f) ^ (~e & g);
+            const temp1 = (h + sum1 + choice + SHA256_ROUND_CONSTANTS[i] + schedule[i]) >>> 0;
+            const sum0 = rotateRight(a, 2) ^ rotateRight(a, 13) ^ rotateRight(a, 22);
+            const majority = (a & b) ^ (a & c) ^ (b & c);
+            const temp2 = (sum0 + majority) >>> 0;
+
+            h = g;
+            g = f;
+            f = e;
+            e = (d + temp1) >>> 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (temp1 + temp2) >>> 0;
+        }
+
+        [a, b, c, d, e, f, g, h].forEach((value, i) => { hash[i] = (hash[i] + value) >>> 0; });
+    }
+
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+    hash.forEach((value, i) => digestView.setUint32(i * 4, value));
+    return digest;
+}
+
+/**
+ * Format bytes as a lowercase hex string.
+ *
+ * @param {Uint8Array} bytes - Bytes to format
+ * @returns {string} Hex string
+ */
+function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,206 @@
+/**
+ * Document Reference Resolver
+ *
+ * Resolves references from imported scene data to documents in the current world.
+ * Tokens are matched to world actors or compendium actors (by UUID, id or name),
+ * and notes are matched to journal entries and pages. Compendium actors are imported
+ * into the world once so tokens can be linked to them.
+ *
+ * @module DocumentReferenceResolver
+ */
+
+/** Module identifier for console logging */
+const MODULE_LOG_PREFIX = 'Quick Battlemap Importer';
+
+/**
+ * Service class that finds world documents referenced by imported placeables.
+ * Results are cached per resolver instance so repeated references resolve once.
+ */
+export class DocumentReferenceResolver {
+    constructor() {
+        /** @type {Map<string, Actor|null>} Cache of resolved actors keyed by lookup key */
+        this.actorCache = new Map();
+
+        /** @type {Map<string, Object[]>|null} Cached compendium indexes of Actor packs */
+        this.actorPackIndexes = null;
+    }
+
+    /**
+     * Resolve the world actor for an imported token.
+     * Tries the UUID, then a world actor id, then a world actor name, then a compendium actor name.
+     * Compendium actors are imported into the world.
+     *
+     * @param {Object} tokenData - Imported token data
+     * @returns {Promise<Actor|null>} The resolved world actor, or null if none was found
+     */
+    async resolveActorForToken(tokenData) {
+        const actorUuid = tokenData.actorUuid
+            ?? (typeof tokenData.actorId === 'string' && tokenData.actorId.includes('.') ? tokenData.actorId : null);
+        const actorName = tokenData.actorName ?? tokenData.name;
+        const cacheKey = actorUuid || tokenData.actorId || `name:${String(actorName ?? '').toLowerCase()}`;
+
+        if (this.actorCache.has(cacheKey)) {
+            return this.actorCache.get(cacheKey);
+        }
+
+        let actor = null;
+
+        if (actorUuid) {
+            actor = await this.resolveActorByUuid(actorUuid);
+        }
+        if (!actor && tokenData.actorId) {
+            actor = game.actors?.get(tokenData.actorId) ?? null;
+        }
+        if (!actor && actorName) {
+            actor = this.findWorldDocumentByName(game.actors, actorName);
+        }
+        if (!actor && actorName) {
+            actor = await this.importCompendiumActorByName(actorName);
+        }
+
+        this.actorCache.set(cacheKey, actor);
+        return actor;
+    }
+
+    /**
+     * Resolve an actor UUID. World actors are returned directly, compendium actors are imported.
+     *
+     * @param {string} uuid - The actor UUID
+     * @returns {Promise<Actor|null>} The world actor, or null if the UUID does not resolve
+     */
+    async resolveActorByUuid(uuid) {
+        try {
+            const document = await fromUuid(uuid);
+            if (!document || document.documentName !== 'Actor') {
+                return null;
+            }
+            if (!document.pack) {
+                return document;
+            }
+            return await this.importCompendiumActor(game.packs.get(document.pack), document.id);
+        } catch (error) {
+            console.warn(`${MODULE_LOG_PREFIX} | Could not resolve actor UUID ${uuid}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Search all Actor compendiums for an actor with the given name and import it.
+     *
+     * @param {string} actorName - The actor name to search for
+     * @returns {Promise<Actor|null>} The imported world actor, or null if not found
+     */
+    async importCompendiumActorByName(actorName) {
+        const normalizedName = actorName.trim().toLowerCase();
+        const packIndexes = await this.getActorPackIndexes();
+
+        for (const { pack, index } of packIndexes) {
+            const entry = index.find(indexEntry => indexEntry.name?.trim().toLowerCase() === normalizedName);
+            if (entry) {
+                return this.importCompendiumActor(pack, entry._id);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Import a compendium actor into the world, reusing a previous import of the same actor.
+     *
+     * @param {CompendiumCollection} pack - The compendium pack
+     * @param {string} actorId - The actor id within the pack
+     * @returns {Promise<Actor|null>} The world actor, or null if the import failed
+     */
+    async importCompendiumActor(pack, actorId) {
+        if (!pack) {
+            return null;
+        }
+
+        const sourceUuid = `Compendium.${pack.collection}.${actorId}`;
+        const existingImport = game.actors?.find(actor =>
+            actor.getFlag?.('core', 'sourceId') === sourceUuid || actor._stats?.compendiumSource === sourceUuid
+        );
+        if (existingImport) {
+            return existingImport;
+        }
+
+        try {
+            return await game.actors.importFromCompendium(pack, actorId);
+        } catch (error) {
+            console.warn(`${MODULE_LOG_PREFIX} | Could not import actor ${sourceUuid}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Load and cache the indexes of all Actor compendiums.
+     *
+     * @returns {Promise<Array<{pack: CompendiumCollection, index: Object[]}>>} Pack indexes
+     */
+    async getActorPackIndexes() {
+        if (this.actorPackIndexes) {
+            return this.actorPackIndexes;
+        }
+
+        const actorPacks = (game.packs ? [...game.packs] : []).filter(pack => pack.documentName === 'Actor');
+        const packIndexes = [];
+
+        for (const pack of actorPacks) {
+            try {
+                const index = await pack.getIndex();
+                packIndexes.push({ pack, index: [...index] });
+            } catch (error) {
+                console.warn(`${MODULE_LOG_PREFIX} | Could not read compendium index ${pack.collection}:`, error);
+            }
+        }
+
+        this.actorPackIndexes = packIndexes;
+        return packIndexes;
+    }
+
+    /**
+     * Resolve the journal entry (and page) for an imported note.
+     * Keeps ids that exist in this world, otherwise matches the note label to a journal entry name.
+     *
+     * @param {Object} noteData - Imported note data
+     * @returns {{entryId: string|null, pageId: string|null}} The matched journal entry and page ids
+     */
+    resolveJournalForNote(noteData) {
+        let entry = noteData.entryId ? game.journal?.get(noteData.entryId) ?? null : null;
+
+        if (!entry) {
+            const candidateNames = [noteData.entryName, noteData.text, noteData.name, noteData.label]
+                .filter(name => typeof name === 'string' && name.trim());
+            for (const candidateName of candidateNames) {
+                entry = this.findWorldDocumentByName(game.journal, candidateName);
+                if (entry) break;
+            }
+        }
+
+        if (!entry) {
+            return { entryId: null, pageId: null };
+        }
+
+        const page = (noteData.pageId && entry.pages?.get(noteData.pageId))
+            || (noteData.pageName && this.findWorldDocumentByName(entry.pages, noteData.pageName))
+            || null;
+
+        return { entryId: entry.id, pageId: page?.id ?? null };
+    }
+
+    /**
+     * Find a document in a collection by name, ignoring case and surrounding whitespace.
+     *
+     * @param {Collection|undefined} collection - The document collection to search
+     * @param {string} name - The name to look for
+     * @returns {Document|null} The matching document, or null
+     */
+    findWorldDocumentByName(collection, name) {
+        if (!collection || typeof name !== 'string') {
+            return null;
+        }
+
+        const normalizedName = name.trim().toLowerCase();
+        return collection.find(document => document.name?.trim().toLowerCase() === normalizedName) ?? null;
+    }
+}
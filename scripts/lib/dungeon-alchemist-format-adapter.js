@@ -0,0 +1,186 @@
+/**
+ * Dungeon Alchemist Format Adapter
+ *
+ * Maps Dungeon Alchemist's Foundry export (and other exports using the legacy flat
+ * Foundry scene keys such as `gridType`, `shiftX` or `sense`) to the imported scene
+ * structure. This adapter also serves as the fallback when no adapter recognizes the data.
+ *
+ * @module DungeonAlchemistAdapter
+ */
+
+import { HEX_SIZE_MEASUREMENTS } from './grid-type-utils.js';
+import { getWallHints } from './wall-type-utils.js';
+import { getLightDescriptors } from './light-preset-library.js';
+
+/** Distance per grid cell assumed when the export does not specify one */
+const DEFAULT_GRID_DISTANCE = 5;
+
+/** Legacy light type `t` for universal lights, which are not blocked by walls */
+const UNIVERSAL_LIGHT_TYPE = 'u';
+
+/**
+ * Adapter for Dungeon Alchemist exports and legacy flat Foundry scene data.
+ */
+export class DungeonAlchemistAdapter {
+    constructor() {
+        /** @type {string} Unique adapter identifier */
+        this.id = 'dungeon-alchemist';
+
+        /** @type {string} Human readable format name */
+        this.label = 'Dungeon Alchemist';
+    }
+
+    /**
+     * Estimate how likely the data is a Dungeon Alchemist export.
+     * A numeric `grid` value, `sense` on walls and tint-based lights are typical for it.
+     *
+     * @param {Object} data - Parsed JSON data
+     * @returns {number} Confidence between 0 and 1
+     */
+    detect(data) {
+        if (!data || typeof data !== 'object') {
+            return 0;
+        }
+
+        let confidence = 0;
+
+        if (typeof data.grid === 'number') {
+            confidence += 0.4;
+        }
+        if (Array.isArray(data.walls) && data.walls.some(wall => wall?.sense !== undefined)) {
+            confidence += 0.3;
+        }
+        if (Array.isArray(data.lights) && data.lights.some(light => light?.tintColor !== undefined || light?.tintAlpha !== undefined)) {
+            confidence += 0.2;
+        }
+        if (data.gridDistance !== undefined || data.shiftX !== undefined || data.gridType !== undefined) {
+            confidence += 0.1;
+        }
+
+        return confidence;
+    }
+
+    /**
+     * Convert Dungeon Alchemist data to the imported scene structure.
+     * Reads both flat keys and a nested grid object for compatibility.
+     *
+     * @param {Object} data - Parsed export data
+     * @returns {Object} Imported scene structure
+     */
+    normalize(data) {
+        const nestedGrid = typeof data.grid === 'object' && data.grid !== null ? data.grid : {};
+        const gridDistance = data.gridDistance ?? nestedGrid.distance;
+
+        return {
+            name: data.name,
+            width: data.width,
+            height: data.height,
+            grid: {
+                size: typeof data.grid === 'number' ? data.grid : nestedGrid.size,
+                type: data.gridType ?? nestedGrid.type,
+                // Flat scene data predates Foundry v10, where hex sizes were measured point-to-point
+                sizeMeasurement: data.flags?.core?.legacyHex || (typeof data.grid === 'number' && data.gridType > 1)
+                    ? HEX_SIZE_MEASUREMENTS.POINT_TO_POINT
+                    : nestedGrid.sizeMeasurement ?? HEX_SIZE_MEASUREMENTS.FLAT_TO_FLAT,
+                distance: gridDistance,
+                units: data.gridUnits ?? nestedGrid.units,
+                alpha: data.gridAlpha ?? nestedGrid.alpha,
+                color: data.gridColor ?? nestedGrid.color,
+                thickness: nestedGrid.thickness,
+                offset: {
+                    x: data.shiftX ?? nestedGrid.shiftX,
+                    y: data.shiftY ?? nestedGrid.shiftY
+                }
+            },
+            padding: data.padding,
+            backgroundColor: data.backgroundColor ?? data.gridColor,
+            globalLight: data.globalLight,
+            darkness: data.darkness,
+            walls: (data.walls || []).map(wall => this.mapWall(wall)),
+            lights: (data.lights || []).map(light => this.mapLight(light, gridDistance)),
+            tokens: data.tokens,
+            notes: data.notes,
+            drawings: data.drawings
+        };
+    }
+
+    /**
+     * Map a wall, accepting both `sense` (legacy) and `sight` for vision restriction.
+     * Window and secret door markers on the wall are passed on as type hints.
+     *
+     * @param {Object} wall - Raw wall data
+     * @returns {Object} Imported wall data
+     */
+    mapWall(wall) {
+        return {
+            c: wall.c,
+            door: wall.door,
+            ds: wall.ds,
+            dir: wall.dir,
+            move: wall.move,
+            sound: wall.sound,
+            sight: wall.sense ?? wall.sight,
+            light: wall.light,
+            threshold: wall.threshold,
+            doorSound: wall.doorSound,
+            animation: wall.animation,
+            hints: [...getWallHints(wall)],
+            flags: wall.flags
+        };
+    }
+
+    /**
+     * Map a light with flat tint and radius properties.
+     * Cones (`angle`, `rotation`), `lightAnimation` and `darknessThreshold` from the
+     * legacy light keys are kept. Names and tags are passed on for light preset matching.
+     *
+     * @param {Object} light - Raw light data
+     * @param {number|undefined} gridDistance - Distance per grid cell for unit conversion
+     * @returns {Object} Imported light data
+     */
+    mapLight(light, gridDistance) {
+        // Dungeon Alchemist exports light radii in map units (e.g., feet),
+        // converted here to grid units: 33.75 feet / 5 feet per grid = 6.75
+        return {
+            x: light.x,
+            y: light.y,
+            rotation: light.rotation,
+            hidden: light.hidden,
+            walls: light.walls ?? light.t !== UNIVERSAL_LIGHT_TYPE,
+            keywords: getLightDescriptors(light),
+            config: {
+                // Missing values are left to light presets and the normalizer defaults
+                alpha: light.tintAlpha,
+                color: light.tintColor ?? null,
+                bright: this.convertToGridUnits(light.bright, gridDistance),
+                dim: this.convertToGridUnits(light.dim, gridDistance),
+                angle: light.angle,
+                luminosity: light.luminosity,
+                animation: light.lightAnimation ?? light.animation,
+                darkness: light.darknessThreshold !== undefined ? { min: light.darknessThreshold, max: 1 } : undefined
+            },
+            flags: light.flags
+        };
+    }
+
+    /**
+     * Convert a distance value from map units to grid units.
+     *
+     * @param {number|undefined} value - The value in map units (e.g., feet)
+     * @param {number|undefined} gridDistance - Distance per grid cell
+     * @returns {number} The value in grid units
+     */
+    convertToGridUnits(value, gridDistance = DEFAULT_GRID_DISTANCE) {
+        const numValue = Number(value);
+        if (!Number.isFinite(numValue) || numValue <= 0) {
+            return 0;
+        }
+
+        const distance = Number(gridDistance ?? DEFAULT_GRID_DISTANCE);
+        // Avoid division by zero
+        if (!Number.isFinite(distance) || distance <= 0) {
+            return numValue;
+        }
+        return numValue / distance;
+    }
+}
@@ -3,6 +3,8 @@
  * 
  * Handles processing of dropped files (images, videos, and JSON configs).
  * Extracts file reading and type detection logic for cleaner separation of concerns.
+ * Also samples the border of background images for a matching scene background color,
+ * and builds still images from video backgrounds so their grid can be detected.
  * 
  * @module FileProcessor
  */
@@ -10,6 +12,19 @@
 /** Module identifier for console logging */
 const MODULE_LOG_PREFIX = 'Myxeliums Battlemap Importer';
 
+/** Settings for sampling the border color of background images */
+const BORDER_SAMPLING = {
+    MAX_SIZE: 256,      // Longest side of the downscaled copy that is sampled
+    BAND_RATIO: 0.04    // Width of the sampled border band relative to the shorter side
+};
+
+/** Settings for building a still image from video frames */
+const VIDEO_STILL = {
+    FRAME_COUNT: 7,         // Frames sampled evenly across the video
+    MAX_SIZE: 2048,         // Longest side the frames are stacked at
+    FRAME_TIMEOUT: 5000     // Milliseconds to wait for the video or a seeked frame
+};
+
 /**
  * @typedef {Object} ProcessedImageData
  * @property {string} dataUrl - Base64 data URL of the image
@@ -32,12 +47,29 @@ const MODULE_LOG_PREFIX = 'Myxeliums Battlemap Importer';
  * @property {string} filename - Original filename
  */
 
+/**
+ * @typedef {Object} ProcessedUniversalVttData
+ * @property {Object} parsedContent - The parsed scene data (without the embedded image)
+ * @property {ProcessedImageData|null} imageData - The decoded embedded background image
+ * @property {string} filename - Original filename
+ */
+
 /** Supported image file extensions */
 const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.webp', '.bmp', '.svg'];
 
 /** Supported video file extensions */
 const VIDEO_EXTENSIONS = ['.webm', '.mp4', '.mov', '.m4v', '.avi', '.mkv', '.ogv', '.ogg'];
 
+/** Universal VTT file extensions (Dungeondraft, DungeonFog and generic exports) */
+const UNIVERSAL_VTT_EXTENSIONS = ['.dd2vtt', '.df2vtt', '.uvtt'];
+
+/** Base64 signatures used to recognize the image format embedded in Universal VTT files */
+const EMBEDDED_IMAGE_SIGNATURES = [
+    { prefix: 'iVBORw0KGgo', mimeType: 'image/png', extension: 'png' },
+    { prefix: '/9j/', mimeType: 'image/jpeg', extension: 'jpg' },
+    { prefix: 'UklGR', mimeType: 'image/webp', extension: 'webp' }
+];
+
 /**
  * Service class for processing dropped files.
  * Handles reading files and determining their types.
@@ -137,11 +169,66 @@ export class FileProcessor {
         });
     }
 
+    /**
+     * Process a dropped Universal VTT file (.dd2vtt, .df2vtt, .uvtt).
+     * Parses the scene data and decodes the embedded base64 background image,
+     * so a single file provides both the background and the wall/light data.
+     * 
+     * @param {File} uvttFile - The Universal VTT file to process
+     * @returns {Promise<ProcessedUniversalVttData>} Processed scene and image data
+     * @throws {Error} If the file is not valid JSON
+     * 
+     * @example
+     * const processor = new FileProcessor();
+     * const uvtt = await processor.processUniversalVttFile(droppedFile);
+     * // uvtt.imageData.dataUrl is the background, uvtt.parsedContent the scene data
+     */
+    async processUniversalVttFile(uvttFile) {
+        const { parsedContent } = await this.processJsonFile(uvttFile);
+        const { image, ...sceneData } = parsedContent || {};
+
+        const baseName = uvttFile.name.replace(/\.[^.]+$/, '');
+        const imageFile = this.decodeBase64ImageFile(image, baseName);
+        const imageData = imageFile ? await this.processImageFile(imageFile) : null;
+
+        return {
+            parsedContent: sceneData,
+            imageData: imageData,
+            filename: uvttFile.name
+        };
+    }
+
+    /**
+     * Decode a base64 encoded image into a File object.
+     * The image format is recognized from the base64 signature (defaults to PNG).
+     * 
+     * @param {string} base64Image - Base64 image content, with or without a data URL prefix
+     * @param {string} baseName - Filename without extension for the created file
+     * @returns {File|null} The decoded image file, or null if there is no image content
+     */
+    decodeBase64ImageFile(base64Image, baseName) {
+        if (typeof base64Image !== 'string' || !base64Image.length) {
+            return null;
+        }
+
+        const base64Content = base64Image.replace(/^data:[^;]+;base64,/, '');
+        const signature = EMBEDDED_IMAGE_SIGNATURES.find(entry => base64Content.startsWith(entry.prefix))
+            || EMBEDDED_IMAGE_SIGNATURES[0];
+
+        const binaryString = atob(base64Content);
+        const bytes = new Uint8Array(binaryString.length);
+        for (let i = 0; i < binaryString.length; i++) {
+            bytes[i] = binaryString.charCodeAt(i);
+        }
+
+        return new File([bytes], `${baseName}.${signature.extension}`, { type: signature.mimeType });
+    }
+
     /**
      * Determine the type of a file based on MIME type and extension.
      * 
      * @param {File} file - The file to classify
-     * @returns {'image' | 'video' | 'json' | 'unknown'} The file type category
+     * @returns {'image' | 'video' | 'json' | 'uvtt' | 'unknown'} The file type category
      * 
      * @example
      * const fileType = processor.getFileType(droppedFile);
@@ -151,6 +238,11 @@ export class FileProcessor {
         const lowercaseFilename = file.name.toLowerCase();
         const mimeType = file.type.toLowerCase();
 
+        // Universal VTT files are JSON internally, so check them before MIME types
+        if (this.hasExtension(lowercaseFilename, UNIVERSAL_VTT_EXTENSIONS)) {
+            return 'uvtt';
+        }
+
         // Check by MIME type first
         if (mimeType.startsWith('image/')) {
             return 'image';
@@ -232,6 +324,209 @@ export class FileProcessor {
         });
     }
 
+    /**
+     * Estimate the color around the edge of a background image, so the scene padding
+     * continues the map instead of framing it in black. The per-channel median of a thin
+     * border band is used, which ignores small details such as a compass or a signature.
+     * 
+     * @param {Object} mediaData - Media data object with data/dataUrl and isVideo flag
+     * @returns {Promise<string|null>} Hex color, or null for videos and unreadable images
+     * 
+     * @example
+     * const backgroundColor = await processor.sampleBorderColor(backgroundMediaData);
+     * // "#2b2621"
+     */
+    async sampleBorderColor(mediaData) {
+        if (!mediaData || mediaData.isVideo) return null;
+
+        try {
+            const imageElement = await this.loadImage(mediaData.data || mediaData.dataUrl);
+            const scale = Math.min(1, BORDER_SAMPLING.MAX_SIZE / Math.max(imageElement.width, imageElement.height));
+            const width = Math.max(1, Math.round(imageElement.width * scale));
+            const height = Math.max(1, Math.round(imageElement.height * scale));
+
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+            const context = canvas.getContext('2d', { willReadFrequently: true });
+            context.drawImage(imageElement, 0, 0, width, height);
+            const pixels = context.getImageData(0, 0, width, height).data;
+
+            const band = Math.max(1, Math.round(Math.min(width, height) * BORDER_SAMPLING.BAND_RATIO));
+            const channels = [[], [], []];
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const isBorder = x < band || y < band || x >= width - band || y >= height - band;
+                    const index = (y * width + x) * 4;
+                    if (!isBorder || pixels[index + 3] < 128) continue;
+                    for (let channel = 0; channel < 3; channel++) {
+                        channels[channel].push(pixels[index + channel]);
+                    }
+                }
+            }
+            if (!channels[0].length) return null;
+
+            const median = (values) => values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+            return `#${channels.map(values => median(values).toString(16).padStart(2, '0')).join('')}`;
+        } catch (error) {
+            console.warn(`${MODULE_LOG_PREFIX} | Could not sample the image border color:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Load an image element from a URL.
+     * 
+     * @param {string} imageUrl - Data URL or blob URL of the image
+     * @returns {Promise<HTMLImageElement>} The loaded image
+     */
+    loadImage(imageUrl) {
+        return new Promise((resolve, reject) => {
+            const imageElement = new Image();
+            imageElement.onload = () => resolve(imageElement);
+            imageElement.onerror = () => reject(new Error('Failed to load image'));
+            imageElement.src = imageUrl;
+        });
+    }
+
+    /**
+     * Build a still image of a video background for grid detection. Several frames are
+     * sampled across the video and stacked into their per-pixel median, so animated water,
+     * fire or particles are replaced by the static map underneath.
+     * The still has the video's dimensions and its file name, so detection results and
+     * file name hints apply to the video unchanged.
+     * 
+     * @param {Object} mediaData - Video media data with data/blobUrl and filename
+     * @returns {Promise<File|null>} PNG still, or null if the video cannot be decoded
+     * 
+     * @example
+     * const still = await processor.createVideoStill(backgroundMediaData);
+     * if (still) await gridDetectionService.detectGridFromImage(still);
+     */
+    async createVideoStill(mediaData) {
+        const videoElement = document.createElement('video');
+        videoElement.muted = true;
+        videoElement.playsInline = true;
+        videoElement.preload = 'auto';
+
+        try {
+            await this.waitForVideoEvent(videoElement, 'loadeddata', () => { videoElement.src = mediaData.data || mediaData.blobUrl; });
+            const width = videoElement.videoWidth;
+            const height = videoElement.videoHeight;
+            if (!width || !height) return null;
+
+            const scale = Math.min(1, VIDEO_STILL.MAX_SIZE / Math.max(width, height));
+            const stackCanvas = document.createElement('canvas');
+            stackCanvas.width = Math.max(1, Math.round(width * scale));
+            stackCanvas.height = Math.max(1, Math.round(height * scale));
+            const stackContext = stackCanvas.getContext('2d', { willReadFrequently: true });
+
+            // Streams without a known duration only offer their first frame; a failed seek
+            // keeps the frames sampled so far
+            const duration = Number.isFinite(videoElement.duration) ? videoElement.duration : 0;
+            const frameCount = duration > 0 ? VIDEO_STILL.FRAME_COUNT : 1;
+            const frames = [];
+            for (let index = 0; index < frameCount; index++) {
+                let isSeekFailed = false;
+                if (duration > 0) {
+                    const time = duration * (index + 0.5) / frameCount;
+                    try {
+                        await this.waitForVideoEvent(videoElement, 'seeked', () => { videoElement.currentTime = time; });
+                    } catch (_seekError) {
+                        // Keep the frames sampled so far, or at least the frame that is loaded
+                        if (frames.length) break;
+                        isSeekFailed = true;
+                    }
+                }
+                stackContext.drawImage(videoElement, 0, 0, stackCanvas.width, stackCanvas.height);
+                frames.push(stackContext.getImageData(0, 0, stackCanvas.width, stackCanvas.height));
+                if (isSeekFailed) break;
+            }
+
+            stackContext.putImageData(this.computeMedianFrame(frames), 0, 0);
+
+            const stillCanvas = document.createElement('canvas');
+            stillCanvas.width = width;
+            stillCanvas.height = height;
+            stillCanvas.getContext('2d').drawImage(stackCanvas, 0, 0, width, height);
+
+            const blob = await new Promise(resolve => stillCanvas.toBlob(resolve, 'image/png'));
+            return blob ? new File([blob], mediaData.filename || 'video-still.png', { type: 'image/png' }) : null;
+        } catch (error) {
+            console.warn(`${MODULE_LOG_PREFIX} | Could not build a still image from the video:`, error);
+            return null;
+        } finally {
+            videoElement.removeAttribute('src');
+            videoElement.load();
+        }
+    }
+
+    /**
+     * Stack video frames into their per-pixel, per-channel median.
+     * 
+     * @param {ImageData[]} frames - Frames of equal size
+     * @returns {ImageData} The median frame (stored in the first frame's data)
+     */
+    computeMedianFrame(frames) {
+        const median = frames[0];
+        if (frames.length < 2) return median;
+
+        const frameData = frames.map(frame => frame.data);
+        const values = new Uint8Array(frames.length);
+        const middle = Math.floor(frames.length / 2);
+
+        for (let index = 0; index < median.data.length; index++) {
+            for (let frame = 0; frame < frameData.length; frame++) {
+                // Insertion sort; only a handful of frames are stacked
+                const value = frameData[frame][index];
+                let position = frame;
+                while (position > 0 && values[position - 1] > value) {
+                    values[position] = values[position - 1];
+                    position--;
+                }
+                values[position] = value;
+            }
+            median.data[index] = values[middle];
+        }
+
+        return median;
+    }
+
+    /**
+     * Run an action on a video element and wait for the event it triggers.
+     * 
+     * @param {HTMLVideoElement} videoElement - The video element
+     * @param {string} eventName - Event to wait for (e.g. 'loadeddata' or 'seeked')
+     * @param {Function} action - Starts the load or seek
+     * @returns {Promise<void>} Resolves on the event
+     * @throws {Error} If the video fails to load or the event does not arrive in time
+     */
+    waitForVideoEvent(videoElement, eventName, action) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timeoutId);
+                videoElement.removeEventListener(eventName, handleEvent);
+                videoElement.removeEventListener('error', handleError);
+            };
+            const handleEvent = () => {
+                cleanup();
+                resolve();
+            };
+            const handleError = () => {
+                cleanup();
+                reject(new Error(`Video failed while waiting for ${eventName}`));
+            };
+            const timeoutId = setTimeout(() => {
+                cleanup();
+                reject(new Error(`Timed out waiting for video ${eventName}`));
+            }, VIDEO_STILL.FRAME_TIMEOUT);
+
+            videoElement.addEventListener(eventName, handleEvent);
+            videoElement.addEventListener('error', handleError);
+            action();
+        });
+    }
+
     /**
      * Get the dimensions of a video from a URL.
      * 
@@ -0,0 +1,304 @@
+/**
+ * Filename Metadata Parser
+ *
+ * Reads the metadata that map makers put into file names, e.g.
+ * `Crypt_Entrance_30x20_140ppi_Night.jpg` or `tavern [gridded] 22x34.png`:
+ * - cell counts ("30x20"), from which the grid size follows with the image dimensions
+ * - explicit grid sizes ("140ppi", "70px", "100 dpi")
+ * - variant tags such as day/night, weather and gridded/gridless
+ * - a clean, human-readable scene name without the technical parts
+ *
+ * Variant words only count as tags when they end the name or are in brackets, so titles
+ * that contain them keep them: "Night Market", "Red Dawn Inn" and
+ * `The_Storm_Keep_v2_final.jpg` ("The Storm Keep") have no tags, while "Tavern Night Rain"
+ * is "Tavern" with the night and rain tags.
+ *
+ * @module FilenameMetadataParser
+ */
+
+/**
+ * @typedef {Object} FilenameMetadata
+ * @property {string|null} sceneName - Clean scene name without cell counts, sizes or tags
+ * @property {number|null} columns - Number of grid cells across, as written in the file name
+ * @property {number|null} rows - Number of grid cells down, as written in the file name
+ * @property {number|null} gridSize - Explicit grid size in pixels per cell (ppi/dpi/px)
+ * @property {string[]} variants - Variant tags (see FILENAME_VARIANTS)
+ * @property {string|null} gridPresence - FILENAME_VARIANTS.GRIDDED or GRIDLESS if the name says so
+ */
+
+/**
+ * @typedef {Object} FilenameGridHint
+ * @property {number} gridSize - Grid size in pixels (may be fractional)
+ * @property {string} source - 'cells' when computed from cell counts, 'size' for an explicit size
+ * @property {number|null} columns - Cell columns used for the size (null for an explicit size)
+ * @property {number|null} rows - Cell rows used for the size (null for an explicit size)
+ */
+
+/**
+ * Canonical variant tags
+ * @enum {string}
+ */
+export const FILENAME_VARIANTS = {
+    DAY: 'day',
+    NIGHT: 'night',
+    DAWN: 'dawn',
+    DUSK: 'dusk',
+    RAIN: 'rain',
+    SNOW: 'snow',
+    FOG: 'fog',
+    STORM: 'storm',
+    GRIDDED: 'gridded',
+    GRIDLESS: 'gridless'
+};
+
+/** Words (lowercase) that mark a variant, mapped to the canonical tag */
+const VARIANT_ALIASES = {
+    day: FILENAME_VARIANTS.DAY,
+    daytime: FILENAME_VARIANTS.DAY,
+    night: FILENAME_VARIANTS.NIGHT,
+    nighttime: FILENAME_VARIANTS.NIGHT,
+    dawn: FILENAME_VARIANTS.DAWN,
+    sunrise: FILENAME_VARIANTS.DAWN,
+    dusk: FILENAME_VARIANTS.DUSK,
+    sunset: FILENAME_VARIANTS.DUSK,
+    evening: FILENAME_VARIANTS.DUSK,
+    rain: FILENAME_VARIANTS.RAIN,
+    rainy: FILENAME_VARIANTS.RAIN,
+    snow: FILENAME_VARIANTS.SNOW,
+    snowy: FILENAME_VARIANTS.SNOW,
+    fog: FILENAME_VARIANTS.FOG,
+    foggy: FILENAME_VARIANTS.FOG,
+    misty: FILENAME_VARIANTS.FOG,
+    storm: FILENAME_VARIANTS.STORM,
+    stormy: FILENAME_VARIANTS.STORM,
+    grid: FILENAME_VARIANTS.GRIDDED,
+    gridded: FILENAME_VARIANTS.GRIDDED,
+    gridless: FILENAME_VARIANTS.GRIDLESS,
+    nogrid: FILENAME_VARIANTS.GRIDLESS,
+    ungridded: FILENAME_VARIANTS.GRIDLESS
+};
+
+/** Multi-word grid phrases, rewritten to a single alias word before splitting */
+const GRID_PHRASES = [
+    { pattern: /\b(?:no|without)[\s-]?grid\b/gi, replacement: ' gridless ' },
+    { pattern: /\bgrid[\s-]less\b/gi, replacement: ' gridless ' },
+    { pattern: /\bwith[\s-]?grid\b/gi, replacement: ' gridded ' }
+];
+
+/** Technical words dropped from the scene name, including resolution and quality tags like "1080p", "4k" or "HQ" */
+const NOISE_WORD_PATTERN = /^(?:v\d+(?:\.\d+)*|\d{3,4}p|\d+k|hd|fhd|qhd|wqhd|uhd|hq|lq|vtt|final)$/i;
+
+/** Image resolutions such as "4096x4096" or "1920x1080px", dropped from the scene name */
+const RESOLUTION_PATTERN = /(?<![\d.])(\d{3,5})\s*[x×]\s*(\d{3,5})(\s*px)?(?![\d.])/gi;
+
+/** Smallest side of a resolution written without "px" */
+const MIN_RESOLUTION_SIDE = 1000;
+
+/** "30x20" cell counts; not image resolutions such as "4096x4096" or "1920x1080px" */
+const CELL_COUNT_PATTERN = /(?<![\d.])(\d{1,3})\s*[x×]\s*(\d{1,3})(?![\d.]|\s*px)/i;
+
+/** "140ppi", "70px", "100 dpi"; not the second half of a resolution like "4096x4096px" */
+const GRID_SIZE_PATTERN = /(?<![\d.x×])(\d{2,4}(?:\.\d+)?)\s*(?:ppi|dpi|px)(?![a-z])/i;
+
+/** Limits for values read from a file name */
+const FILENAME_LIMITS = {
+    MIN_GRID_SIZE: 10,          // Smallest plausible grid size in pixels
+    MAX_GRID_SIZE: 1000,        // Largest plausible grid size in pixels
+    MIN_CELLS_PER_AXIS: 2,      // An explicit size must fit at least this many cells on the image
+    CELL_ASPECT_TOLERANCE: 0.03 // Allowed relative difference between the cell width and height
+};
+
+/** Words kept lowercase inside a title-cased scene name */
+const LOWERCASE_TITLE_WORDS = new Set(['a', 'an', 'and', 'at', 'of', 'on', 'in', 'the', 'to']);
+
+/**
+ * Service class that extracts grid and naming metadata from map file names.
+ */
+export class FilenameMetadataParser {
+    /**
+     * Parse the metadata in a file name.
+     *
+     * @param {string|null|undefined} filename - File name, with or without extension or path
+     * @returns {FilenameMetadata} The metadata found; fields are null when the name has no such hint
+     *
+     * @example
+     * parser.parse('Crypt_Entrance_30x20_140ppi_Night.jpg');
+     * // { sceneName: 'Crypt Entrance', columns: 30, rows: 20, gridSize: 140,
+     * //   variants: ['night'], gridPresence: null }
+     * parser.parse('The_Storm_Keep_v2_final.jpg').sceneName; // 'The Storm Keep', no variants
+     * parser.parse('Red Dawn Inn.png').sceneName; // 'Red Dawn Inn', no variants
+     */
+    parse(filename) {
+        const metadata = { sceneName: null, columns: null, rows: null, gridSize: null, variants: [], gridPresence: null };
+        let text = this.getBaseName(filename);
+        if (!text) return metadata;
+
+        text = text.replace(RESOLUTION_PATTERN, (match, first, second, pixelSuffix) =>
+            pixelSuffix || Math.max(Number(first), Number(second)) >= MIN_RESOLUTION_SIDE ? ' ' : match);
+
+        const cellMatch = text.match(CELL_COUNT_PATTERN);
+        if (cellMatch && Number(cellMatch[1]) > 0 && Number(cellMatch[2]) > 0) {
+            metadata.columns = Number(cellMatch[1]);
+            metadata.rows = Number(cellMatch[2]);
+            text = text.replace(cellMatch[0], ' ');
+        }
+
+        const sizeMatch = text.match(GRID_SIZE_PATTERN);
+        if (sizeMatch) {
+            const gridSize = Number(sizeMatch[1]);
+            if (gridSize >= FILENAME_LIMITS.MIN_GRID_SIZE && gridSize <= FILENAME_LIMITS.MAX_GRID_SIZE) {
+                metadata.gridSize = gridSize;
+            }
+            text = text.replace(sizeMatch[0], ' ');
+        }
+
+        const nameWords = this.collectNameWords(text, metadata.variants);
+        metadata.sceneName = nameWords.length ? this.toTitleCase(nameWords) : null;
+
+        if (metadata.variants.includes(FILENAME_VARIANTS.GRIDLESS)) {
+            metadata.gridPresence = FILENAME_VARIANTS.GRIDLESS;
+        } else if (metadata.variants.includes(FILENAME_VARIANTS.GRIDDED)) {
+            metadata.gridPresence = FILENAME_VARIANTS.GRIDDED;
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Build a scene name from the metadata, naming the time of day or weather variant so
+     * scenes imported from several variants of a map can be told apart.
+     *
+     * @param {FilenameMetadata} metadata - Parsed file name metadata
+     * @returns {string|null} Scene name, e.g. "Crypt Entrance (Night)", or null without a name
+     */
+    buildSceneName(metadata) {
+        if (!metadata?.sceneName) return null;
+
+        const shownVariants = metadata.variants
+            .filter(variant => variant !== FILENAME_VARIANTS.GRIDDED && variant !== FILENAME_VARIANTS.GRIDLESS)
+            .map(variant => variant.charAt(0).toUpperCase() + variant.slice(1));
+        return shownVariants.length
+            ? `${metadata.sceneName} (${shownVariants.join(', ')})`
+            : metadata.sceneName;
+    }
+
+    /**
+     * Work out the grid size the file name implies for an image.
+     * Cell counts divide the image dimensions (in either order, as long as the cells come out
+     * square) and win over an explicit size, which no longer holds once an image is resized.
+     *
+     * @param {FilenameMetadata} metadata - Parsed file name metadata
+     * @param {{width: number|undefined, height: number|undefined}|null} dimensions - Image dimensions
+     * @returns {FilenameGridHint|null} The implied grid, or null if the name gives none that fits the image
+     *
+     * @example
+     * parser.resolveGridSize(parser.parse('Crypt_30x20.jpg'), { width: 4200, height: 2800 });
+     * // { gridSize: 140, source: 'cells', columns: 30, rows: 20 }
+     */
+    resolveGridSize(metadata, dimensions) {
+        const width = Number(dimensions?.width);
+        const height = Number(dimensions?.height);
+        const hasDimensions = width > 0 && height > 0;
+
+        if (metadata?.columns && metadata?.rows && hasDimensions) {
+            for (const [columns, rows] of [[metadata.columns, metadata.rows], [metadata.rows, metadata.columns]]) {
+                const cellWidth = width / columns;
+                const cellHeight = height / rows;
+                const difference = Math.abs(cellWidth - cellHeight) / Math.max(cellWidth, cellHeight);
+                const gridSize = (cellWidth + cellHeight) / 2;
+                if (difference <= FILENAME_LIMITS.CELL_ASPECT_TOLERANCE && gridSize >= FILENAME_LIMITS.MIN_GRID_SIZE) {
+                    return { gridSize, source: 'cells', columns, rows };
+                }
+            }
+        }
+
+        if (metadata?.gridSize) {
+            const fitsImage = !hasDimensions
+                || Math.min(width, height) / metadata.gridSize >= FILENAME_LIMITS.MIN_CELLS_PER_AXIS;
+            if (fitsImage) {
+                return { gridSize: metadata.gridSize, source: 'size', columns: null, rows: null };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Strip the path, extension and browser duplicate suffix (" (1)") from a file name,
+     * and split underscores and camel case into words.
+     *
+     * @param {string|null|undefined} filename - File name
+     * @returns {string} Base name as space-separated text
+     */
+    getBaseName(filename) {
+        if (!filename) return '';
+
+        let baseName = String(filename).split(/[\\/]/).pop();
+        try {
+            baseName = decodeURIComponent(baseName);
+        } catch (_error) {
+            // Keep names with stray percent signs as they are
+        }
+
+        return baseName
+            .replace(/\.[a-z0-9]{2,5}$/i, '')
+            .replace(/\s*\(\d+\)$/, '')
+            .replace(/[_+]+/g, ' ')
+            .replace(/([a-z])([A-Z])/g, '$1 $2');
+    }
+
+    /**
+     * Split the remaining text into scene name words, moving variant tags into the variant list.
+     * Words in brackets are always tags; other variant words only in the run of variant words
+     * that ends the name (technical words such as "v2" in between are skipped), and never
+     * the first name word.
+     *
+     * @param {string} text - File name text with cell counts and sizes removed
+     * @param {string[]} variants - Receives the canonical variant tags found
+     * @returns {string[]} Words of the scene name
+     */
+    collectNameWords(text, variants) {
+        const addVariant = (variant) => {
+            if (!variants.includes(variant)) variants.push(variant);
+        };
+
+        let nameText = GRID_PHRASES.reduce((current, { pattern, replacement }) => current.replace(pattern, replacement), text);
+        nameText = nameText.replace(/[[({]([^\])}]*)[\])}]/g, (_match, content) => {
+            const words = content.split(/[\s,;.-]+/).filter(Boolean);
+            const isTagGroup = words.length > 0
+                && words.every(word => VARIANT_ALIASES[word.toLowerCase()] || NOISE_WORD_PATTERN.test(word));
+            if (!isTagGroup) return ` (${content.trim()}) `;
+
+            words.forEach(word => {
+                const variant = VARIANT_ALIASES[word.toLowerCase()];
+                if (variant) addVariant(variant);
+            });
+            return ' ';
+        });
+
+        const nameWords = nameText.split(/[\s,;.\-–—]+/)
+            .filter(word => word && word !== '()' && !NOISE_WORD_PATTERN.test(word));
+
+        let tagStart = nameWords.length;
+        while (tagStart > 1 && VARIANT_ALIASES[nameWords[tagStart - 1].toLowerCase()]) {
+            tagStart--;
+        }
+        nameWords.slice(tagStart).forEach(word => addVariant(VARIANT_ALIASES[word.toLowerCase()]));
+        return nameWords.slice(0, tagStart);
+    }
+
+    /**
+     * Capitalize lowercase words, keeping small words lowercase inside the name and leaving
+     * words that already contain capitals (e.g. "McGuffin", "NPC") as they are.
+     *
+     * @param {string[]} words - Scene name words
+     * @returns {string} Title-cased scene name
+     */
+    toTitleCase(words) {
+        return words.map((word, index) => {
+            if (word !== word.toLowerCase()) return word;
+            if (index > 0 && LOWERCASE_TITLE_WORDS.has(word)) return word;
+            return word.replace(/[a-z]/, letter => letter.toUpperCase());
+        }).join(' ');
+    }
+}
@@ -0,0 +1,174 @@
+/**
+ * Format Adapter Registry
+ *
+ * Keeps track of the import format adapters (Foundry exports, Dungeon Alchemist,
+ * Universal VTT and any adapters registered by other modules) and picks the best
+ * adapter for a given JSON document based on each adapter's detection confidence.
+ *
+ * @module FormatAdapterRegistry
+ */
+
+import { FoundrySceneAdapter } from './foundry-format-adapter.js';
+import { DungeonAlchemistAdapter } from './dungeon-alchemist-format-adapter.js';
+import { UniversalVttAdapter } from './uvtt-format-adapter.js';
+
+/** Module identifier for console logging */
+const MODULE_LOG_PREFIX = 'Quick Battlemap Importer';
+
+/** Adapter used when no registered adapter recognizes the data */
+const FALLBACK_ADAPTER_ID = 'dungeon-alchemist';
+
+/**
+ * @typedef {Object} FormatAdapter
+ * @property {string} id - Unique adapter identifier (e.g. 'uvtt')
+ * @property {string} label - Human readable format name shown in the import panel
+ * @property {function(Object): number} detect - Returns a confidence score between 0 and 1
+ * @property {function(Object): Object} normalize - Converts the source JSON to the imported scene structure;
+ *   light radii (`config.bright`, `config.dim`) are written to the ambient lights unchanged,
+ *   so sources that measure them in map units (e.g. feet) divide by `grid.distance`
+ */
+
+/**
+ * @typedef {Object} DetectedFormat
+ * @property {FormatAdapter} adapter - The selected adapter
+ * @property {string} id - The adapter identifier
+ * @property {string} label - The adapter label
+ * @property {number} confidence - Detection confidence (0-1); 0 when the fallback adapter was used
+ */
+
+/**
+ * Registry of import format adapters with confidence-based auto-detection.
+ */
+export class FormatAdapterRegistry {
+    constructor() {
+        /** @type {Map<string, FormatAdapter>} Registered adapters keyed by id */
+        this.adapters = new Map();
+    }
+
+    /**
+     * Register an import format adapter. An adapter with the same id replaces the existing one.
+     *
+     * @param {FormatAdapter} adapter - The adapter to register
+     * @throws {Error} If the adapter does not implement the required interface
+     *
+     * @example
+     * registry.register({
+     *   id: 'my-mapping-tool',
+     *   label: 'My Mapping Tool',
+     *   detect: (json) => json.generator === 'my-mapping-tool' ? 1 : 0,
+     *   normalize: (json) => ({ grid: { size: json.cellSize }, walls: [], lights: [] })
+     * });
+     */
+    register(adapter) {
+        if (!adapter || typeof adapter.id !== 'string' || !adapter.id) {
+            throw new Error('Format adapter requires a non-empty string id');
+        }
+        if (typeof adapter.detect !== 'function' || typeof adapter.normalize !== 'function') {
+            throw new Error(`Format adapter "${adapter.id}" must implement detect(json) and normalize(json)`);
+        }
+
+        this.adapters.set(adapter.id, adapter);
+    }
+
+    /**
+     * Remove a registered adapter.
+     *
+     * @param {string} adapterId - Identifier of the adapter to remove
+     * @returns {boolean} True if an adapter was removed
+     */
+    unregister(adapterId) {
+        return this.adapters.delete(adapterId);
+    }
+
+    /**
+     * Get a registered adapter by id.
+     *
+     * @param {string} adapterId - Identifier of the adapter
+     * @returns {FormatAdapter|undefined} The adapter, if registered
+     */
+    getAdapter(adapterId) {
+        return this.adapters.get(adapterId);
+    }
+
+    /**
+     * Get all registered adapters in registration order.
+     *
+     * @returns {FormatAdapter[]} Registered adapters
+     */
+    getAdapters() {
+        return [...this.adapters.values()];
+    }
+
+    /**
+     * Find the adapter with the highest detection confidence for the given data.
+     * Adapters whose detect function throws are treated as not matching.
+     * Falls back to the Dungeon Alchemist adapter, which mirrors the historic mapping.
+     *
+     * @param {Object} sourceData - Parsed JSON data
+     * @returns {DetectedFormat|null} The selected adapter, or null if none is registered
+     */
+    detectFormat(sourceData) {
+        let bestAdapter = null;
+        let bestConfidence = 0;
+
+        for (const adapter of this.adapters.values()) {
+            const confidence = this.evaluateConfidence(adapter, sourceData);
+            if (confidence > bestConfidence) {
+                bestAdapter = adapter;
+                bestConfidence = confidence;
+            }
+        }
+
+        if (!bestAdapter) {
+            bestAdapter = this.adapters.get(FALLBACK_ADAPTER_ID) ?? this.getAdapters()[0] ?? null;
+        }
+
+        if (!bestAdapter) {
+            return null;
+        }
+
+        return {
+            adapter: bestAdapter,
+            id: bestAdapter.id,
+            label: bestAdapter.label || bestAdapter.id,
+            confidence: bestConfidence
+        };
+    }
+
+    /**
+     * Run an adapter's detect function and clamp the result to [0, 1].
+     *
+     * @param {FormatAdapter} adapter - The adapter to evaluate
+     * @param {Object} sourceData - Parsed JSON data
+     * @returns {number} Confidence between 0 and 1
+     */
+    evaluateConfidence(adapter, sourceData) {
+        try {
+            const confidence = Number(adapter.detect(sourceData));
+            if (!Number.isFinite(confidence)) {
+                return 0;
+            }
+            // Round to avoid floating point noise from summed partial scores
+            return Math.round(Math.min(1, Math.max(0, confidence)) * 100) / 100;
+        } catch (detectError) {
+            console.warn(`${MODULE_LOG_PREFIX} | Format adapter "${adapter.id}" failed during detection:`, detectError);
+            return 0;
+        }
+    }
+}
+
+/**
+ * Create a registry pre-populated with the built-in adapters.
+ *
+ * @returns {FormatAdapterRegistry} A new registry instance
+ */
+export function createDefaultFormatAdapterRegistry() {
+    const registry = new FormatAdapterRegistry();
+    registry.register(new FoundrySceneAdapter());
+    registry.register(new DungeonAlchemistAdapter());
+    registry.register(new UniversalVttAdapter());
+    return registry;
+}
+
+/** Shared registry used by the importer and exposed through the module API */
+export const formatAdapterRegistry = createDefaultFormatAdapterRegistry();
@@ -0,0 +1,159 @@
+/**
+ * Foundry Scene Format Adapter
+ *
+ * Maps Foundry VTT scene exports ("Export Data" from the Scenes directory, v10 and newer)
+ * to the imported scene structure. Foundry exports already use Foundry's own document
+ * shape, so this adapter mostly selects the relevant fields and handles the differences
+ * between Foundry versions (e.g. environment settings introduced in v12).
+ *
+ * @module FoundrySceneAdapter
+ */
+
+import { HEX_SIZE_MEASUREMENTS } from './grid-type-utils.js';
+import { getWallHints } from './wall-type-utils.js';
+
+/**
+ * Adapter for Foundry VTT scene exports.
+ */
+export class FoundrySceneAdapter {
+    constructor() {
+        /** @type {string} Unique adapter identifier */
+        this.id = 'foundry';
+
+        /** @type {string} Human readable format name */
+        this.label = 'Foundry VTT scene export';
+    }
+
+    /**
+     * Estimate how likely the data is a Foundry scene export.
+     * Document metadata (_id, _stats) and nested light configs are strong signals,
+     * a nested grid object on its own is a weak one.
+     *
+     * @param {Object} data - Parsed JSON data
+     * @returns {number} Confidence between 0 and 1
+     */
+    detect(data) {
+        if (!data || typeof data !== 'object') {
+            return 0;
+        }
+
+        let confidence = 0;
+
+        if (data.grid && typeof data.grid === 'object' && data.grid.size !== undefined) {
+            confidence += 0.4;
+        }
+        if (data._stats || data._id) {
+            confidence += 0.3;
+        }
+        if (data.background?.src !== undefined || data.environment) {
+            confidence += 0.15;
+        }
+        if (Array.isArray(data.lights) && data.lights.some(light => light?.config)) {
+            confidence += 0.1;
+        }
+        if (Array.isArray(data.walls) && data.walls.some(wall => wall?.sight !== undefined)) {
+            confidence += 0.05;
+        }
+
+        return confidence;
+    }
+
+    /**
+     * Convert a Foundry scene export to the imported scene structure.
+     *
+     * @param {Object} data - Parsed Foundry scene export
+     * @returns {Object} Imported scene structure
+     */
+    normalize(data) {
+        const grid = typeof data.grid === 'object' && data.grid !== null ? data.grid : {};
+
+        return {
+            name: data.name,
+            width: data.width,
+            height: data.height,
+            grid: {
+                size: grid.size,
+                type: grid.type,
+                sizeMeasurement: this.getHexSizeMeasurement(data),
+                distance: grid.distance,
+                units: grid.units,
+                alpha: grid.alpha,
+                color: grid.color,
+                thickness: grid.thickness,
+                offset: {
+                    x: grid.offset?.x ?? data.shiftX,
+                    y: grid.offset?.y ?? data.shiftY
+                }
+            },
+            padding: data.padding,
+            backgroundColor: data.backgroundColor,
+            globalLight: data.environment?.globalLight?.enabled ?? data.globalLight,
+            darkness: data.environment?.darknessLevel ?? data.darkness,
+            walls: (data.walls || []).map(wall => this.mapWall(wall)),
+            lights: (data.lights || []).map(light => this.mapLight(light)),
+            tokens: data.tokens,
+            notes: data.notes,
+            drawings: data.drawings
+        };
+    }
+
+    /**
+     * Determine how hex grid sizes are measured in the export.
+     * Scenes created before v10 keep the legacy hex dimensions (point-to-point size)
+     * and are marked with the `core.legacyHex` flag.
+     *
+     * @param {Object} data - Parsed Foundry scene export
+     * @returns {string} One of HEX_SIZE_MEASUREMENTS
+     */
+    getHexSizeMeasurement(data) {
+        return data.flags?.core?.legacyHex
+            ? HEX_SIZE_MEASUREMENTS.POINT_TO_POINT
+            : HEX_SIZE_MEASUREMENTS.FLAT_TO_FLAT;
+    }
+
+    /**
+     * Select the wall fields used by the importer, including proximity thresholds,
+     * door sound and door animation. Type hints from other modules' fields are collected too.
+     *
+     * @param {Object} wall - Wall document data
+     * @returns {Object} Imported wall data
+     */
+    mapWall(wall) {
+        return {
+            c: wall.c,
+            door: wall.door,
+            ds: wall.ds,
+            dir: wall.dir,
+            move: wall.move,
+            sound: wall.sound,
+            sight: wall.sight,
+            light: wall.light,
+            threshold: wall.threshold,
+            doorSound: wall.doorSound,
+            animation: wall.animation,
+            hints: [...getWallHints(wall)],
+            flags: wall.flags
+        };
+    }
+
+    /**
+     * Select the light fields used by the importer.
+     * Light radii are taken as stored in the export.
+     *
+     * @param {Object} light - AmbientLight document data
+     * @returns {Object} Imported light data
+     */
+    mapLight(light) {
+        return {
+            x: light.x,
+            y: light.y,
+            elevation: light.elevation,
+            rotation: light.rotation,
+            hidden: light.hidden,
+            walls: light.walls,
+            vision: light.vision,
+            config: light.config,
+            flags: light.flags
+        };
+    }
+}
@@ -0,0 +1,543 @@
+/**
+ * Grid Calibration View
+ *
+ * Dialog for calibrating a square grid by hand when auto-detection fails or picks
+ * the wrong size. The map is shown zoomed in; the user either clicks several grid
+ * intersections or drags a box around a known number of cells. The resulting grid
+ * is drawn on top of the map and can be nudged with the keyboard before it is applied.
+ *
+ * Like the import panel, this is a pure view: the grid itself is computed by a
+ * callback supplied by the controller.
+ *
+ * @module GridCalibrationView
+ */
+
+/** Size of the calibration canvas in pixels */
+const VIEWPORT = {
+    WIDTH: 720,
+    HEIGHT: 480
+};
+
+/** Zoom limits and the factor applied per mouse wheel step */
+const ZOOM = {
+    MIN: 0.1,
+    MAX: 8,
+    STEP: 1.2
+};
+
+/** Calibration input modes */
+const CALIBRATION_MODES = {
+    POINTS: 'points',
+    BOX: 'box'
+};
+
+/** Screen distance in pixels within which a click removes an existing point */
+const POINT_HIT_RADIUS = 6;
+
+/** Mouse movement in screen pixels after which a press counts as a drag */
+const DRAG_THRESHOLD = 3;
+
+/**
+ * @typedef {Object} CalibrationInput
+ * @property {Array<{x: number, y: number}>} [points] - Clicked grid intersections in image pixels
+ * @property {{x: number, y: number, width: number, height: number}} [box] - Dragged box in image pixels
+ * @property {number} [columns] - Number of cells the box spans horizontally
+ * @property {number} [rows] - Number of cells the box spans vertically
+ */
+
+/**
+ * @typedef {Object} CalibratedGrid
+ * @property {number} gridSize - Grid cell size in image pixels
+ * @property {number} xOffset - Horizontal grid offset in image pixels
+ * @property {number} yOffset - Vertical grid offset in image pixels
+ * @property {number} gridType - Foundry grid type
+ */
+
+/**
+ * View class for the interactive grid calibration dialog.
+ */
+export class GridCalibrationView {
+    constructor() {
+        /** @type {HTMLImageElement|null} The map being calibrated */
+        this.image = null;
+
+        /** @type {{zoom: number, panX: number, panY: number}} Image pixel shown at the top-left corner, and zoom */
+        this.viewport = { zoom: 1, panX: 0, panY: 0 };
+
+        /** @type {string} Current input mode (one of CALIBRATION_MODES) */
+        this.mode = CALIBRATION_MODES.POINTS;
+
+        /** @type {Array<{x: number, y: number}>} Clicked grid intersections */
+        this.points = [];
+
+        /** @type {{x: number, y: number, width: number, height: number}|null} Dragged cell box */
+        this.box = null;
+
+        /** @type {CalibratedGrid|null} Current grid preview */
+        this.grid = null;
+
+        /** @type {Function|null} Computes a grid from calibration input */
+        this.estimateGrid = null;
+
+        /** @type {HTMLCanvasElement|null} */
+        this.canvas = null;
+
+        /** @type {HTMLElement|null} */
+        this.statusElement = null;
+
+        /** @type {Array<[string, Function]>} Window listeners to remove when the dialog closes */
+        this.windowListeners = [];
+    }
+
+    /**
+     * Open the calibration dialog and wait for the user to apply or cancel.
+     *
+     * @param {string} imageUrl - URL of the map image
+     * @param {Function} estimateGrid - Called with a CalibrationInput; returns a CalibratedGrid or throws
+     * @param {CalibratedGrid|null} [initialGrid] - Grid shown before any input (e.g. the auto-detected one)
+     * @returns {Promise<CalibratedGrid|null>} The calibrated grid, or null if cancelled
+     *
+     * @example
+     * const grid = await new GridCalibrationView().prompt(imageUrl, (input) => estimate(input));
+     * if (grid) console.log(grid.gridSize, grid.xOffset, grid.yOffset);
+     */
+    async prompt(imageUrl, estimateGrid, initialGrid = null) {
+        const i18n = (key) => game.i18n.localize(key);
+
+        this.image = await this.loadImage(imageUrl);
+        this.estimateGrid = estimateGrid;
+        this.grid = initialGrid ? { ...initialGrid } : null;
+        this.points = [];
+        this.box = null;
+        this.resetViewport();
+
+        return new Promise((resolve) => {
+            new Dialog({
+                title: i18n('QUICKBATTLEMAP.GridCalibrationTitle'),
+                content: this.buildDialogContent(),
+                buttons: {
+                    apply: {
+                        icon: '<i class="fas fa-check"></i>',
+                        label: i18n('QUICKBATTLEMAP.GridCalibrationApply'),
+                        callback: () => resolve(this.grid ? { ...this.grid } : null)
+                    },
+                    cancel: {
+                        icon: '<i class="fas fa-times"></i>',
+                        label: i18n('QUICKBATTLEMAP.Cancel'),
+                        callback: () => resolve(null)
+                    }
+                },
+                default: 'apply',
+                render: (html) => this.activateListeners(html[0] ?? html),
+                close: () => {
+                    this.detachWindowListeners();
+                    resolve(null);
+                }
+            }, { width: VIEWPORT.WIDTH + 40, classes: ['dialog', 'qbi-grid-calibration-dialog'] }).render(true);
+        });
+    }
+
+    /**
+     * Load the map image.
+     * @param {string} imageUrl - Image URL (data or blob URL)
+     * @returns {Promise<HTMLImageElement>} The loaded image
+     */
+    loadImage(imageUrl) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error('Failed to load image for grid calibration'));
+            image.src = imageUrl;
+        });
+    }
+
+    /**
+     * Build the dialog HTML.
+     * @returns {string} Dialog content HTML
+     */
+    buildDialogContent() {
+        const i18n = (key) => game.i18n.localize(key);
+
+        return `
+            <div class="qbi-grid-calibration">
+                <div class="qbi-grid-calibration-toolbar">
+                    <label>
+                        <input type="radio" name="qbi-calibration-mode" value="${CALIBRATION_MODES.POINTS}" checked />
+                        ${i18n('QUICKBATTLEMAP.GridCalibrationModePoints')}
+                    </label>
+                    <label>
+                        <input type="radio" name="qbi-calibration-mode" value="${CALIBRATION_MODES.BOX}" />
+                        ${i18n('QUICKBATTLEMAP.GridCalibrationModeBox')}
+                    </label>
+                    <span class="qbi-grid-calibration-cells">
+                        <input type="number" class="qbi-calibration-columns" min="1" max="50" value="3" />
+                        ×
+                        <input type="number" class="qbi-calibration-rows" min="1" max="50" value="3" />
+                        ${i18n('QUICKBATTLEMAP.GridCalibrationCells')}
+                    </span>
+                    <button type="button" class="qbi-calibration-clear">
+                        <i class="fas fa-eraser"></i> ${i18n('QUICKBATTLEMAP.GridCalibrationClear')}
+                    </button>
+                </div>
+                <canvas class="qbi-grid-calibration-canvas" width="${VIEWPORT.WIDTH}" height="${VIEWPORT.HEIGHT}" tabindex="0"></canvas>
+                <p class="qbi-grid-calibration-status"></p>
+                <p class="notes">${i18n('QUICKBATTLEMAP.GridCalibrationHint')}</p>
+            </div>
+        `;
+    }
+
+    /**
+     * Wire up the toolbar, mouse and keyboard handlers once the dialog is rendered.
+     * @param {HTMLElement} root - Rendered dialog element
+     */
+    activateListeners(root) {
+        this.canvas = root.querySelector('.qbi-grid-calibration-canvas');
+        this.statusElement = root.querySelector('.qbi-grid-calibration-status');
+        const columnsInput = root.querySelector('.qbi-calibration-columns');
+        const rowsInput = root.querySelector('.qbi-calibration-rows');
+
+        root.querySelectorAll('input[name="qbi-calibration-mode"]').forEach(radio => {
+            radio.addEventListener('change', (event) => {
+                this.mode = event.currentTarget.value;
+                this.points = [];
+                this.box = null;
+                this.render();
+            });
+        });
+
+        const handleCellCountChange = () => {
+            if (this.box) this.updateGridFromInput(columnsInput, rowsInput);
+        };
+        columnsInput.addEventListener('change', handleCellCountChange);
+        rowsInput.addEventListener('change', handleCellCountChange);
+
+        root.querySelector('.qbi-calibration-clear').addEventListener('click', () => {
+            this.points = [];
+            this.box = null;
+            this.render();
+        });
+
+        this.attachMouseHandlers(columnsInput, rowsInput);
+        this.canvas.addEventListener('keydown', (event) => this.handleKeyDown(event));
+        this.canvas.addEventListener('contextmenu', (event) => event.preventDefault());
+
+        this.render();
+        this.canvas.focus();
+    }
+
+    /**
+     * Attach the canvas mouse handlers: the left button places points or drags the cell box,
+     * the right button pans and the wheel zooms around the cursor.
+     * @param {HTMLInputElement} columnsInput - Box column count input
+     * @param {HTMLInputElement} rowsInput - Box row count input
+     */
+    attachMouseHandlers(columnsInput, rowsInput) {
+        let press = null;
+
+        this.canvas.addEventListener('mousedown', (event) => {
+            event.preventDefault();
+            this.canvas.focus();
+            const screen = this.getScreenPosition(event);
+            press = { button: event.button, screen, image: this.toImagePosition(screen), pan: { ...this.viewport }, isDrag: false };
+        });
+
+        this.addWindowListener('mousemove', (event) => {
+            if (!press) return;
+            const screen = this.getScreenPosition(event);
+            press.isDrag ||= Math.hypot(screen.x - press.screen.x, screen.y - press.screen.y) > DRAG_THRESHOLD;
+            if (!press.isDrag) return;
+
+            if (press.button === 2) {
+                this.viewport.panX = press.pan.panX - (screen.x - press.screen.x) / this.viewport.zoom;
+                this.viewport.panY = press.pan.panY - (screen.y - press.screen.y) / this.viewport.zoom;
+            } else if (press.button === 0 && this.mode === CALIBRATION_MODES.BOX) {
+                const current = this.toImagePosition(screen);
+                this.box = { x: press.image.x, y: press.image.y, width: current.x - press.image.x, height: current.y - press.image.y };
+            }
+            this.render();
+        });
+
+        this.addWindowListener('mouseup', (event) => {
+            if (!press) return;
+
+            if (press.button === 0) {
+                if (this.mode === CALIBRATION_MODES.BOX && press.isDrag) {
+                    this.updateGridFromInput(columnsInput, rowsInput);
+                } else if (this.mode === CALIBRATION_MODES.POINTS && !press.isDrag) {
+                    this.togglePoint(this.getScreenPosition(event));
+                    this.updateGridFromInput(columnsInput, rowsInput);
+                }
+            }
+            press = null;
+        });
+
+        this.canvas.addEventListener('wheel', (event) => {
+            event.preventDefault();
+            const factor = event.deltaY < 0 ? ZOOM.STEP : 1 / ZOOM.STEP;
+            this.zoomAround(this.getScreenPosition(event), factor);
+        }, { passive: false });
+    }
+
+    /**
+     * Listen on the window, so drags continue outside the canvas.
+     * @param {string} type - Event type
+     * @param {Function} handler - Event handler
+     */
+    addWindowListener(type, handler) {
+        window.addEventListener(type, handler);
+        this.windowListeners.push([type, handler]);
+    }
+
+    /**
+     * Remove the window listeners added for the dialog.
+     */
+    detachWindowListeners() {
+        for (const [type, handler] of this.windowListeners) {
+            window.removeEventListener(type, handler);
+        }
+        this.windowListeners = [];
+    }
+
+    /**
+     * Nudge the grid preview with the keyboard: arrow keys move the offset by one pixel,
+     * + and - change the cell size by one pixel. Holding Shift moves in steps of ten,
+     * holding Alt in steps of a tenth for sub-pixel grid sizes.
+     * @param {KeyboardEvent} event - The key event
+     */
+    handleKeyDown(event) {
+        if (!this.grid) return;
+
+        const step = event.shiftKey ? 10 : event.altKey ? 0.1 : 1;
+        const nudges = {
+            ArrowLeft: { xOffset: -step },
+            ArrowRight: { xOffset: step },
+            ArrowUp: { yOffset: -step },
+            ArrowDown: { yOffset: step },
+            '+': { gridSize: step },
+            '=': { gridSize: step },
+            '-': { gridSize: -step }
+        };
+        const nudge = nudges[event.key];
+        if (!nudge) return;
+
+        event.preventDefault();
+        event.stopPropagation();
+
+        const gridSize = Math.max(2, this.grid.gridSize + (nudge.gridSize ?? 0));
+        const wrap = (value) => ((value % gridSize) + gridSize) % gridSize;
+        this.grid = {
+            ...this.grid,
+            gridSize,
+            xOffset: wrap(this.grid.xOffset + (nudge.xOffset ?? 0)),
+            yOffset: wrap(this.grid.yOffset + (nudge.yOffset ?? 0))
+        };
+        this.render();
+    }
+
+    /**
+     * Add a grid intersection at the clicked position, or remove the point under the cursor.
+     * @param {{x: number, y: number}} screen - Click position on the canvas
+     */
+    togglePoint(screen) {
+        const hitIndex = this.points.findIndex(point => {
+            const pointScreen = this.toScreenPosition(point);
+            return Math.hypot(pointScreen.x - screen.x, pointScreen.y - screen.y) <= POINT_HIT_RADIUS;
+        });
+
+        if (hitIndex >= 0) {
+            this.points.splice(hitIndex, 1);
+        } else {
+            this.points.push(this.toImagePosition(screen));
+        }
+    }
+
+    /**
+     * Recompute the grid preview from the clicked points or the dragged box.
+     * Keeps the previous preview while the input is not sufficient yet.
+     * @param {HTMLInputElement} columnsInput - Box column count input
+     * @param {HTMLInputElement} rowsInput - Box row count input
+     */
+    updateGridFromInput(columnsInput, rowsInput) {
+        const input = this.mode === CALIBRATION_MODES.BOX
+            ? { box: this.box, columns: this.parseCellCount(columnsInput.value), rows: this.parseCellCount(rowsInput.value) }
+            : { points: this.points };
+
+        const hasInput = input.box ? Math.abs(input.box.width) > 1 && Math.abs(input.box.height) > 1 : input.points.length >= 2;
+        if (hasInput) {
+            try {
+                this.grid = this.estimateGrid(input);
+            } catch (_error) {
+                // Not enough distinct grid lines yet; keep the previous preview
+            }
+        }
+        this.render();
+    }
+
+    /**
+     * Parse a cell count input value.
+     * @param {string} value - Input value
+     * @returns {number} Cell count of at least 1
+     */
+    parseCellCount(value) {
+        const count = Math.round(Number(value));
+        return Number.isFinite(count) && count >= 1 ? count : 1;
+    }
+
+    /**
+     * Show the image at 100% (or fitted, if it is smaller than the canvas) centered in the canvas.
+     */
+    resetViewport() {
+        const fitZoom = Math.min(VIEWPORT.WIDTH / this.image.naturalWidth, VIEWPORT.HEIGHT / this.image.naturalHeight);
+        const zoom = Math.max(1, fitZoom);
+        this.viewport = {
+            zoom,
+            panX: this.image.naturalWidth / 2 - VIEWPORT.WIDTH / (2 * zoom),
+            panY: this.image.naturalHeight / 2 - VIEWPORT.HEIGHT / (2 * zoom)
+        };
+    }
+
+    /**
+     * Zoom in or out while keeping the image pixel under the cursor in place.
+     * @param {{x: number, y: number}} screen - Cursor position on the canvas
+     * @param {number} factor - Zoom factor
+     */
+    zoomAround(screen, factor) {
+        const anchor = this.toImagePosition(screen);
+        const zoom = Math.min(ZOOM.MAX, Math.max(ZOOM.MIN, this.viewport.zoom * factor));
+        this.viewport = {
+            zoom,
+            panX: anchor.x - screen.x / zoom,
+            panY: anchor.y - screen.y / zoom
+        };
+        this.render();
+    }
+
+    /**
+     * Get the mouse position in canvas pixels.
+     * @param {MouseEvent} event - Mouse event
+     * @returns {{x: number, y: number}} Canvas position
+     */
+    getScreenPosition(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * (this.canvas.width / rect.width),
+            y: (event.clientY - rect.top) * (this.canvas.height / rect.height)
+        };
+    }
+
+    /**
+     * Convert a canvas position to image pixels.
+     * @param {{x: number, y: number}} screen - Canvas position
+     * @returns {{x: number, y: number}} Image position
+     */
+    toImagePosition(screen) {
+        return {
+            x: this.viewport.panX + screen.x / this.viewport.zoom,
+            y: this.viewport.panY + screen.y / this.viewport.zoom
+        };
+    }
+
+    /**
+     * Convert image pixels to a canvas position.
+     * @param {{x: number, y: number}} point - Image position
+     * @returns {{x: number, y: number}} Canvas position
+     */
+    toScreenPosition(point) {
+        return {
+            x: (point.x - this.viewport.panX) * this.viewport.zoom,
+            y: (point.y - this.viewport.panY) * this.viewport.zoom
+        };
+    }
+
+    /**
+     * Redraw the image, the grid preview, the clicked points and the cell box.
+     */
+    render() {
+        if (!this.canvas) return;
+
+        const context = this.canvas.getContext('2d');
+        const { zoom, panX, panY } = this.viewport;
+
+        context.fillStyle = '#1a1a1a';
+        context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        context.imageSmoothingEnabled = zoom < 2;
+        context.drawImage(this.image, -panX * zoom, -panY * zoom, this.image.naturalWidth * zoom, this.image.naturalHeight * zoom);
+
+        if (this.grid) {
+            this.drawGridPreview(context);
+        }
+
+        context.fillStyle = '#ffd400';
+        context.strokeStyle = '#000000';
+        context.lineWidth = 1;
+        for (const point of this.points) {
+            const screen = this.toScreenPosition(point);
+            context.beginPath();
+            context.arc(screen.x, screen.y, 4, 0, Math.PI * 2);
+            context.fill();
+            context.stroke();
+        }
+
+        if (this.box) {
+            const corner = this.toScreenPosition(this.box);
+            context.strokeStyle = '#ffd400';
+            context.lineWidth = 2;
+            context.setLineDash([6, 4]);
+            context.strokeRect(corner.x, corner.y, this.box.width * zoom, this.box.height * zoom);
+            context.setLineDash([]);
+        }
+
+        this.updateStatus();
+    }
+
+    /**
+     * Draw the grid preview lines over the visible part of the image.
+     * @param {CanvasRenderingContext2D} context - Canvas context
+     */
+    drawGridPreview(context) {
+        const { gridSize, xOffset, yOffset } = this.grid;
+        const topLeft = this.toImagePosition({ x: 0, y: 0 });
+        const bottomRight = this.toImagePosition({ x: this.canvas.width, y: this.canvas.height });
+        const left = Math.max(0, topLeft.x), right = Math.min(this.image.naturalWidth, bottomRight.x);
+        const top = Math.max(0, topLeft.y), bottom = Math.min(this.image.naturalHeight, bottomRight.y);
+        if (right <= left || bottom <= top || gridSize * this.viewport.zoom < 2) return;
+
+        context.strokeStyle = 'rgba(255, 64, 160, 0.9)';
+        context.lineWidth = 1;
+        context.beginPath();
+
+        for (let x = xOffset + Math.ceil((left - xOffset) / gridSize) * gridSize; x <= right; x += gridSize) {
+            const screenX = (x - this.viewport.panX) * this.viewport.zoom;
+            context.moveTo(screenX, this.toScreenPosition({ x, y: top }).y);
+            context.lineTo(screenX, this.toScreenPosition({ x, y: bottom }).y);
+        }
+        for (let y = yOffset + Math.ceil((top - yOffset) / gridSize) * gridSize; y <= bottom; y += gridSize) {
+            const screenY = (y - this.viewport.panY) * this.viewport.zoom;
+            context.moveTo(this.toScreenPosition({ x: left, y }).x, screenY);
+            context.lineTo(this.toScreenPosition({ x: right, y }).x, screenY);
+        }
+
+        context.stroke();
+    }
+
+    /**
+     * Show the current grid preview, or what input is still needed.
+     */
+    updateStatus() {
+        if (!this.statusElement) return;
+
+        if (!this.grid) {
+            this.statusElement.textContent = game.i18n.localize(this.mode === CALIBRATION_MODES.BOX
+                ? 'QUICKBATTLEMAP.GridCalibrationNeedBox'
+                : 'QUICKBATTLEMAP.GridCalibrationNeedPoints');
+            return;
+        }
+
+        this.statusElement.textContent = game.i18n.format('QUICKBATTLEMAP.GridCalibrationStatus', {
+            size: Math.round(this.grid.gridSize * 100) / 100,
+            x: Math.round(this.grid.xOffset * 10) / 10,
+            y: Math.round(this.grid.yOffset * 10) / 10,
+            zoom: Math.round(this.viewport.zoom * 100)
+        });
+    }
+}
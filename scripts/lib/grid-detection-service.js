@@ -10,8 +10,37 @@
  * 2. Converting to grayscale and detecting edges using Sobel operators
  * 3. Projecting edges onto X and Y axes
  * 4. Applying high-pass filter to emphasize periodic patterns
- * 5. Using autocorrelation to find the dominant period (grid size)
- * 6. Estimating offset to align grid with detected lines
+ * 5. Using FFT autocorrelation and the power spectrum to find candidate periods (grid sizes)
+ * 6. Ranking the candidates by the strength and agreement of both axes and their harmonics
+ * 7. Fitting all detected grid lines by least squares for a sub-pixel size and offset,
+ *    snapped to the image size when the image divides evenly into cells
+ * 
+ * In region voting mode (the default) the square grid is also detected in a 3×3 tiling of
+ * the image inside its margins, and the grid most crops agree on wins. Ornate borders are
+ * left out, and legends, labels or roof tiles only sway the crops they cover, which are
+ * reported as outliers.
+ * 
+ * The best candidate is returned together with the ranked list, so the user can pick
+ * another one when e.g. bold lines every fifth cell made a multiple of the cell size win.
+ * Harmonic analysis of the power spectrum separates the cell size from such major lines.
+ * 
+ * Hexagonal grids are recognized by their edge orientations: pointy-top (row) hexes
+ * have edges at 30°, 90° and 150°, flat-top (column) hexes at 0°, 60° and 120°.
+ * Their size, offset and odd/even layout are measured from the axis-aligned hex edges.
+ * 
+ * The pipeline runs in a module worker when the browser supports it (see
+ * GridDetectionWorkerClient), so large maps do not freeze the UI; otherwise it runs
+ * on the main thread, one image at a time.
+ * 
+ * For square candidates the pixels along the grid lines are sampled to estimate the color,
+ * opacity and thickness of the lines drawn on the map, so the scene grid can be hidden
+ * or matched to them instead of drawing a second grid on top.
+ * 
+ * Each result is classified as gridded, gridless or uncertain from how regularly the edge
+ * projections repeat, so artwork without grid lines can be imported without a grid.
+ * 
+ * When detection fails, a square grid can be fitted to intersections the user clicked,
+ * or to a box the user dragged around a known number of cells.
  * 
  * @module GridDetectionService
  */
@@ -21,22 +50,202 @@ import {
     applyHighPassFilter,
     normalizeSignal,
     findBestPeriodFromAutocorrelation,
-    combinePeriodCandidates,
+    findPeriodCandidates,
+    findSpectralPeriods,
+    sampleAutocorrelation,
     estimateGridOffset,
+    estimateCircularPhase,
+    fitGridLines,
+    computeOrientationHistogram,
+    sumOrientationWindow,
+    orientationDifference,
     clampValue
 } from './signal-processing-utils.js';
+import { GRID_TYPES, getHexCellDimensions } from './grid-type-utils.js';
+import { GridDetectionWorkerClient } from './grid-detection-worker-client.js';
 
-/** Maximum dimension for image processing (larger images are scaled down) */
-const MAX_PROCESSING_DIMENSION = 1600;
+/**
+ * Maximum dimension for image processing (larger images are scaled down).
+ * The worker can afford a higher resolution, which keeps fine grids on very large maps.
+ */
+const PROCESSING_DIMENSIONS = {
+    WORKER: 4096,
+    MAIN_THREAD: 2048
+};
 
 /** Minimum valid grid period to filter out noise */
 const MIN_VALID_PERIOD = 6;
 
+/** Smallest autocorrelation lag considered for square grids */
+const MIN_SQUARE_LAG = 8;
+
+/** Settings for recognizing hexagonal grids from edge orientations */
+const HEX_DETECTION = {
+    ORIENTATION_WINDOW: 8,      // Degrees summed on each side of an expected edge orientation
+    AXIS_EDGE_TOLERANCE: 10,    // Degrees an edge may deviate from the hex axis edges
+    MIN_SLANT_RATIO: 0.35,      // Slanted edges must carry this share of the axis edge weight
+    MIN_SLANT_CONTRAST: 2,      // Slanted hex edges must outweigh the other diagonals by this factor
+    SIZE_AGREEMENT: 0.1         // Relative difference allowed between the two size estimates
+};
+
+/** Settings for ranking grid size candidates */
+const GRID_CANDIDATES = {
+    PEAKS_PER_AXIS: 8,          // Autocorrelation peaks considered on each axis
+    MAX_CANDIDATES: 5,          // Candidates returned to the caller
+    MERGE_TOLERANCE: 0.03,      // Relative difference at which peaks count as the same period
+    HARMONICS: [2, 3],          // Multiples of a period that should correlate as well
+    MAX_SUBDIVISION: 6,         // Largest number of cells between bold lines that is recognized
+    SUBDIVISION_RATIO: 0.75,    // A subdivision must score this share of its multiple to win
+    MIN_SPECTRAL_CELL_SCORE: 0.05, // A cell size found in the spectrum must still correlate this well on its own
+    SQUARE_ON_HEX_PENALTY: 0.5  // Score factor for square candidates when hex edges were found
+};
+
+/**
+ * Grid detection modes
+ * @enum {string}
+ */
+export const DETECTION_MODES = {
+    WHOLE_IMAGE: 'wholeImage',      // Analyze the edge projections of the whole image
+    REGION_VOTING: 'regionVoting'   // Also analyze crops and let them vote on the square grid size
+};
+
+/** Settings for region voting */
+const REGION_VOTING = {
+    TILES: 3,                   // Crops per axis
+    INSET: 0.125,               // Share of each side left out, where borders and frames are drawn
+    MIN_TILE_SIZE: 160,         // Smallest crop side in processing pixels; fewer crops are used below it
+    PERIODS_PER_REGION: 3,      // Strongest periods of each crop that take part in the vote
+    MIN_REGION_SCORE: 0.1,      // Periods scoring below this are no grid signal and do not vote
+    MIN_VOTES: 3,               // Crops that must agree for a consensus
+    MIN_CONSENSUS: 0.5,         // Share of all crops that must agree for a consensus
+    PHASE_TOLERANCE: 0.15,      // Largest offset difference between agreeing crops, in cells
+    DISAGREEMENT_PENALTY: 0.5   // Score factor for whole-image square candidates the consensus rejects
+};
+
+/**
+ * Tolerances for checking a fitted grid size against the image dimensions.
+ * Maps are usually exported as a whole number of cells; when both axes divide evenly
+ * into cells of almost the fitted size, that exact size is used.
+ */
+const IMAGE_DIVISION = {
+    MAX_DRIFT: 0.03,            // Cells the fitted grid may drift from the dividing grid across the image
+    AXIS_DRIFT: 1               // Pixels the dividing sizes of both axes may drift apart across the image
+};
+
+/** Settings for measuring the style of drawn grid lines */
+const LINE_STYLE = {
+    MIN_PERIOD: 6,              // Grids smaller than this (in processing pixels) are not measured
+    MAX_SAMPLES_PER_AXIS: 400,  // Cross-sections sampled along the lines of each axis
+    MIN_SAMPLES: 12,            // Fewer usable cross-sections give no style
+    MIN_CONTRAST: 12,           // Luminance difference from the cell background that counts as a line
+    MIN_SIGN_AGREEMENT: 0.8,    // Share of cross-sections that must agree on dark or light lines
+    MIN_ALPHA: 0.05             // Lowest opacity reported for a drawn line
+};
+
+/**
+ * Grid presence classes
+ * @enum {string}
+ */
+export const GRID_PRESENCE = {
+    GRIDDED: 'gridded',
+    GRIDLESS: 'gridless',
+    UNCERTAIN: 'uncertain'
+};
+
+/**
+ * Regularity (score of the best candidate) separating gridded from gridless images.
+ * Drawn grids, even faint ones or ones under busy artwork, score well above the gridded
+ * threshold; walls, rooms and textures without a grid stay below the gridless threshold.
+ */
+const GRID_PRESENCE_THRESHOLDS = {
+    GRIDDED: 0.3,
+    GRIDLESS: 0.15
+};
+
+/** Share of the detection progress reached after each pipeline stage */
+const DETECTION_PROGRESS = {
+    EDGES: 0.4,
+    HEX: 0.6,
+    PROJECTIONS: 0.75,
+    DONE: 1
+};
+
+/** Module identifier for console logging */
+const MODULE_LOG_PREFIX = 'Quick Battlemap Importer';
+
+/** Settings for fitting a grid to manually placed points */
+const MANUAL_POINTS = {
+    CLUSTER_TOLERANCE: 4        // Pixels within which clicked coordinates count as the same grid line
+};
+
 /**
- * @typedef {Object} GridDetectionResult
- * @property {number} gridSize - Detected grid cell size in pixels (in original image coordinates)
+ * @typedef {Object} GridAxisAgreement
+ * @property {number|null} x - Autocorrelation along the X axis (or across hex bands), null if not measured
+ * @property {number|null} y - Autocorrelation along the Y axis (or along hex bands), null if not measured
+ * @property {number} agreement - How well both axes support the size (0-1)
+ */
+
+/**
+ * @typedef {Object} GridCandidate
+ * @property {number} gridSize - Grid cell size in pixels (in original image coordinates);
+ *   flat-to-flat for hex grids. May be fractional; it is only rounded when the scene is created
  * @property {number} xOffset - Horizontal offset for grid alignment
  * @property {number} yOffset - Vertical offset for grid alignment
+ * @property {number} gridType - Foundry grid type (square or one of the hex types)
+ * @property {number} score - Quality of the candidate on its own (0-1)
+ * @property {number} confidence - Share of this candidate in the scores of all candidates (0-1)
+ * @property {GridAxisAgreement|null} axes - Per-axis support, null for manual points
+ * @property {GridLineStyle|null} [lineStyle] - Style of the grid lines drawn on the map,
+ *   null if no consistent lines were found (or for hex grids)
+ * @property {RegionVote} [regionVote] - Region voting diagnostics, on the square candidate the
+ *   regions voted for (or the best square candidate without a consensus)
+ */
+
+/**
+ * @typedef {Object} RegionVote
+ * @property {RegionResult[]} regions - Result of every crop
+ * @property {number|null} gridSize - Grid size most crops agreed on, null without any votes
+ * @property {number} votes - Number of crops that agreed on that size
+ * @property {number} consensus - Share of all crops that agreed (0-1)
+ * @property {number} outliers - Crops with a grid signal that did not see the winning grid
+ * @property {boolean} hasConsensus - True when enough crops agreed for the vote to count
+ * @property {boolean} isDecisive - True when the consensus replaced the whole-image result
+ */
+
+/**
+ * @typedef {Object} RegionResult
+ * @property {number} x - Left edge of the crop in original image pixels
+ * @property {number} y - Top edge of the crop in original image pixels
+ * @property {number} width - Crop width in original image pixels
+ * @property {number} height - Crop height in original image pixels
+ * @property {number|null} gridSize - Grid size the crop voted for, or its strongest period if it
+ *   did not support the winning grid; null without a grid signal
+ * @property {number|null} xOffset - Horizontal offset of that grid in image coordinates
+ * @property {number|null} yOffset - Vertical offset of that grid in image coordinates
+ * @property {number} score - Score of that grid in the crop (0-1)
+ * @property {boolean} isOutlier - True when the crop has a grid signal but did not see the winning grid
+ */
+
+/**
+ * @typedef {Object} GridLineStyle
+ * @property {string} color - Ink color of the lines (hex), assuming they were drawn over the map
+ *   with the lowest opacity that explains the observed color
+ * @property {number} alpha - Opacity of that ink (0-1)
+ * @property {string} observedColor - Average color of the line pixels as they appear (hex)
+ * @property {number} thickness - Line thickness in original image pixels
+ */
+
+/**
+ * @typedef {Object} GridPresence
+ * @property {GRID_PRESENCE} status - Whether the image shows a grid
+ * @property {number} regularity - How regularly the edge projections repeat at the best
+ *   candidate's size (its score, 0-1)
+ * @property {string} [source] - 'filename' when a file name tag decided the status instead
+ */
+
+/**
+ * @typedef {GridCandidate & {candidates: GridCandidate[], gridPresence: GridPresence}} GridDetectionResult
+ * The best candidate, plus all candidates ranked best first and whether the image shows a grid at all.
  */
 
 /**
@@ -44,6 +253,13 @@ const MIN_VALID_PERIOD = 6;
  * Uses signal processing techniques to find periodic grid lines.
  */
 export class GridDetectionService {
+    constructor() {
+        /** @type {GridDetectionWorkerClient} Runs detection jobs in a worker */
+        this.workerClient = new GridDetectionWorkerClient();
+
+        /** @type {Promise<void>} Serializes main-thread detection jobs */
+        this.mainThreadQueue = Promise.resolve();
+    }
 
     /**
      * Detect grid settings from an image file.
@@ -51,40 +267,439 @@ export class GridDetectionService {
      * 
      * @param {File} imageFile - The image file to analyze
      * @param {Array<{x: number, y: number}>} [manualPoints] - Optional manual grid points for fallback
+     * @param {import('./grid-detection-worker-client.js').GridDetectionJobOptions} [options] - Progress
+     *   callback, cancellation signal and detection mode
      * @returns {Promise<GridDetectionResult>} Detected grid settings
+     * @throws {DOMException} AbortError if the detection was cancelled
      * @throws {Error} If grid detection fails
      * 
      * @example
      * const detector = new GridDetectionService();
      * try {
      *   const result = await detector.detectGridFromImage(imageFile);
-     *   console.log(`Grid size: ${result.gridSize}px`);
+     *   if (result.gridPresence.status === GRID_PRESENCE.GRIDLESS) console.log('No grid lines found');
+     *   console.log(`Grid size: ${result.gridSize}px (${Math.round(result.confidence * 100)}%)`);
+     *   result.candidates.forEach(candidate => console.log(candidate.gridSize, candidate.confidence));
      * } catch (error) {
      *   console.log('Could not detect grid automatically');
      * }
      */
-    async detectGridFromImage(imageFile, manualPoints = null) {
+    async detectGridFromImage(imageFile, manualPoints = null, options = {}) {
+        const candidates = await this.findGridCandidatesForImage(imageFile, options);
+
+        if (candidates.length) {
+            return this.rankGridCandidates(candidates);
+        }
+
+        if (manualPoints && manualPoints.length >= 2) {
+            return this.rankGridCandidates([this.detectFromManualPoints(manualPoints)]);
+        }
+
+        throw new Error('Grid detection failed; insufficient periodic signal.');
+    }
+
+    /**
+     * Find grid candidates for an image in the worker, or on the main thread if workers
+     * are not supported or fail to start.
+     * 
+     * @param {Blob} imageFile - The image file to analyze
+     * @param {import('./grid-detection-worker-client.js').GridDetectionJobOptions} options - Progress
+     *   callback, cancellation signal and detection mode
+     * @returns {Promise<GridCandidate[]>} Unranked grid candidates
+     */
+    async findGridCandidatesForImage(imageFile, options) {
+        if (this.workerClient.isSupported()) {
+            try {
+                return await this.workerClient.findGridCandidates(imageFile, options);
+            } catch (error) {
+                if (!this.workerClient.isUnavailable || options.signal?.aborted) throw error;
+                console.warn(`${MODULE_LOG_PREFIX} | Grid detection worker unavailable; analyzing on the main thread`, error);
+            }
+        }
+
+        return this.findGridCandidatesOnMainThread(imageFile, options);
+    }
+
+    /**
+     * Find grid candidates on the main thread. Jobs run one at a time, and the UI gets a
+     * chance to repaint between jobs.
+     * 
+     * @param {Blob} imageFile - The image file to analyze
+     * @param {import('./grid-detection-worker-client.js').GridDetectionJobOptions} options - Progress
+     *   callback, cancellation signal and detection mode
+     * @returns {Promise<GridCandidate[]>} Unranked grid candidates
+     */
+    findGridCandidatesOnMainThread(imageFile, { onProgress, signal, detectionMode } = {}) {
+        const job = this.mainThreadQueue.then(async () => {
+            const throwIfAborted = () => {
+                if (signal?.aborted) throw new DOMException('Grid detection was cancelled', 'AbortError');
+            };
+
+            await new Promise(resolve => setTimeout(resolve, 0));
+            throwIfAborted();
+
+            const imageElement = await this.loadImageFromFile(imageFile);
+            throwIfAborted();
+
+            return this.analyzeImage(imageElement, onProgress, { detectionMode });
+        });
+
+        this.mainThreadQueue = job.then(() => {}, () => {});
+        return job;
+    }
+
+    /**
+     * Run the whole detection pipeline on a decoded image: scale it, find the grid
+     * candidates and measure the style of their drawn lines.
+     * 
+     * @param {HTMLImageElement|ImageBitmap} image - The decoded image
+     * @param {Function} [onProgress] - Called with the progress (0-1) after each pipeline stage
+     * @param {{detectionMode?: DETECTION_MODES}} [options] - Detection options
+     * @returns {GridCandidate[]} Unranked grid candidates in original image coordinates
+     */
+    analyzeImage(image, onProgress = null, options = {}) {
+        const { scaledCanvas, scaleFactor } = this.createScaledCanvas(image);
+        const imageData = this.readImageData(scaledCanvas);
+        const grayscaleData = this.extractGrayscaleData(imageData);
+
+        const candidates = this.findGridCandidates(
+            grayscaleData, imageData.width, imageData.height, scaleFactor, onProgress,
+            { width: image.width, height: image.height }, options
+        );
+        for (const candidate of candidates) {
+            candidate.lineStyle = this.measureGridLineStyle(candidate, imageData, scaleFactor);
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Measure the drawn line style of a grid on an image file, e.g. for a manually calibrated grid.
+     * 
+     * @param {Blob} imageFile - The image file
+     * @param {GridCandidate} candidate - Grid to measure, in original image coordinates
+     * @returns {Promise<GridLineStyle|null>} Line style, or null if no consistent lines were found
+     */
+    async measureGridLineStyleForImage(imageFile, candidate) {
         const imageElement = await this.loadImageFromFile(imageFile);
         const { scaledCanvas, scaleFactor } = this.createScaledCanvas(imageElement);
-        
-        const grayscaleData = this.extractGrayscaleData(scaledCanvas);
-        const edgeMagnitude = this.computeSobelMagnitude(grayscaleData, scaledCanvas.width, scaledCanvas.height);
-        const { projectionX, projectionY } = this.computeEdgeProjections(edgeMagnitude, scaledCanvas.width, scaledCanvas.height);
+        return this.measureGridLineStyle(candidate, this.readImageData(scaledCanvas), scaleFactor);
+    }
 
-        const filteredX = this.processProjection(projectionX, scaledCanvas.width);
-        const filteredY = this.processProjection(projectionY, scaledCanvas.height);
+    /**
+     * Find hex and square grid candidates in grayscale image data.
+     * 
+     * @param {Float32Array} grayscaleData - Grayscale pixel values
+     * @param {number} width - Scaled image width
+     * @param {number} height - Scaled image height
+     * @param {number} scaleFactor - Scale factor used during processing
+     * @param {Function} [onProgress] - Called with the progress (0-1) after each pipeline stage
+     * @param {{width: number, height: number}} [sourceDimensions] - Original image dimensions,
+     *   derived from the scale factor if not given
+     * @param {{detectionMode?: DETECTION_MODES}} [options] - Detection options; region voting is the default
+     * @returns {GridCandidate[]} Unranked grid candidates in original image coordinates
+     */
+    findGridCandidates(grayscaleData, width, height, scaleFactor, onProgress = null, sourceDimensions = null, options = {}) {
+        const { detectionMode = DETECTION_MODES.REGION_VOTING } = options;
+        const imageDimensions = sourceDimensions ?? { width: width / scaleFactor, height: height / scaleFactor };
+        const { magnitude: edgeMagnitude, orientation: edgeOrientation } =
+            this.computeSobelGradients(grayscaleData, width, height);
+        onProgress?.(DETECTION_PROGRESS.EDGES);
+
+        const candidates = [];
+        const hexLayout = this.classifyHexLayout(edgeMagnitude, edgeOrientation);
+        if (hexLayout) {
+            const hexResult = this.detectHexGrid(edgeMagnitude, edgeOrientation, width, height, hexLayout.isColumns, scaleFactor);
+            if (hexResult) {
+                candidates.push(hexResult);
+            }
+        }
+        onProgress?.(DETECTION_PROGRESS.HEX);
 
-        const detectedPeriod = this.detectPeriodFromProjections(filteredX, filteredY, scaledCanvas.width, scaledCanvas.height);
+        const { projectionX, projectionY } = this.computeEdgeProjections(edgeMagnitude, width, height);
 
-        if (detectedPeriod && Number.isFinite(detectedPeriod) && detectedPeriod >= MIN_VALID_PERIOD) {
-            return this.buildDetectionResult(detectedPeriod, filteredX, filteredY, scaleFactor);
+        const filteredX = this.processProjection(projectionX, width);
+        const filteredY = this.processProjection(projectionY, height);
+        onProgress?.(DETECTION_PROGRESS.PROJECTIONS);
+
+        // Square candidates stay available as alternatives, but hex edges make them less likely
+        const squareScoreFactor = candidates.length ? GRID_CANDIDATES.SQUARE_ON_HEX_PENALTY : 1;
+        const squareCandidates = this.rankPeriodCandidates(filteredX, filteredY, width, height)
+            .map(periodCandidate => this.buildDetectionResult(periodCandidate, filteredX, filteredY, scaleFactor, squareScoreFactor, imageDimensions));
+
+        // Hex maps are not voted on; their square candidates are only alternatives
+        if (detectionMode === DETECTION_MODES.REGION_VOTING && !candidates.length) {
+            const regionVote = this.voteOnRegions(edgeMagnitude, width, height, scaleFactor, imageDimensions);
+            candidates.push(...this.applyRegionVote(squareCandidates, regionVote));
+        } else {
+            candidates.push(...squareCandidates);
         }
+        onProgress?.(DETECTION_PROGRESS.DONE);
 
-        if (manualPoints && manualPoints.length >= 2) {
-            return this.detectFromManualPoints(manualPoints);
+        return candidates;
+    }
+
+    /**
+     * Detect the square grid in a tiling of crops inside the image and let the crops vote on
+     * it. The grid found by most crops wins, and is fitted again over those crops together.
+     * 
+     * @param {Float32Array} edgeMagnitude - Edge magnitude of the scaled image
+     * @param {number} width - Scaled image width
+     * @param {number} height - Scaled image height
+     * @param {number} scaleFactor - Scale factor used during processing
+     * @param {{width: number, height: number}|null} imageDimensions - Original image dimensions
+     * @returns {{candidate: GridCandidate|null, diagnostics: RegionVote}|null} The voted grid (null
+     *   without a consensus) and the voting diagnostics, or null if the image is too small to tile
+     */
+    voteOnRegions(edgeMagnitude, width, height, scaleFactor, imageDimensions) {
+        const regions = this.createVotingRegions(width, height);
+        if (!regions) {
+            return null;
         }
 
-        throw new Error('Grid detection failed; insufficient periodic signal.');
+        const inverseScale = 1 / scaleFactor;
+        const results = regions.map(region => {
+            const { projectionX, projectionY } = this.computeRegionProjections(edgeMagnitude, width, region);
+            const filteredX = this.processProjection(projectionX, region.width);
+            const filteredY = this.processProjection(projectionY, region.height);
+
+            // Offsets are measured from the crop's corner; move them to image coordinates
+            const grids = this.rankPeriodCandidates(filteredX, filteredY, region.width, region.height)
+                .slice(0, REGION_VOTING.PERIODS_PER_REGION)
+                .filter(periodCandidate => periodCandidate.score >= REGION_VOTING.MIN_REGION_SCORE)
+                .map(periodCandidate => {
+                    const grid = this.buildDetectionResult(periodCandidate, filteredX, filteredY, scaleFactor);
+                    grid.xOffset += region.x * inverseScale;
+                    grid.yOffset += region.y * inverseScale;
+                    return grid;
+                });
+            return { region, grids };
+        });
+
+        // Each crop votes for its strongest periods. Crops agree when they see the same size at
+        // the same phase: the grid is continuous across the map, while repeating textures
+        // (roofs, floor tiles) differ from crop to crop or are each in their own phase.
+        const findSupport = (grid) => results
+            .map(result => ({ region: result.region, candidate: result.grids.find(other => this.isSameRegionGrid(other, grid)) }))
+            .filter(support => support.candidate);
+        const supportScore = (support) => support.reduce((sum, { candidate }) => sum + candidate.score, 0);
+        const winners = results
+            .flatMap(result => result.grids.map(findSupport))
+            .sort((a, b) => b.length - a.length || supportScore(b) - supportScore(a))[0] ?? [];
+
+        const regionResults = results.map(({ region, grids }) => {
+            const vote = winners.find(winner => winner.region === region)?.candidate;
+            const reported = vote ?? grids[0];
+            return {
+                x: region.x * inverseScale,
+                y: region.y * inverseScale,
+                width: region.width * inverseScale,
+                height: region.height * inverseScale,
+                gridSize: reported?.gridSize ?? null,
+                xOffset: reported?.xOffset ?? null,
+                yOffset: reported?.yOffset ?? null,
+                score: reported?.score ?? 0,
+                isOutlier: !vote && !!grids.length
+            };
+        });
+
+        const consensus = winners.length / regions.length;
+        const diagnostics = {
+            regions: regionResults,
+            gridSize: null,
+            votes: winners.length,
+            consensus,
+            outliers: regionResults.filter(regionResult => regionResult.isOutlier).length,
+            hasConsensus: false,
+            isDecisive: false
+        };
+        if (!winners.length) {
+            return { candidate: null, diagnostics };
+        }
+
+        const median = (values) => {
+            const sorted = [...values].sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+        };
+        const gridSize = this.snapToImageDivision(median(winners.map(winner => winner.candidate.gridSize)), imageDimensions);
+        diagnostics.gridSize = gridSize;
+
+        if (winners.length < REGION_VOTING.MIN_VOTES || consensus < REGION_VOTING.MIN_CONSENSUS) {
+            return { candidate: null, diagnostics };
+        }
+        diagnostics.hasConsensus = true;
+
+        // Refit the grid over the agreeing crops together; one crop holds too few lines for
+        // a precise size and offset. Their projections are added up over the area they span,
+        // leaving out the crops that saw something else.
+        const area = this.getBoundingRegion(winners.map(winner => winner.region));
+        const projectionX = new Float32Array(area.width);
+        const projectionY = new Float32Array(area.height);
+        for (const { region } of winners) {
+            const regionProjections = this.computeRegionProjections(edgeMagnitude, width, region);
+            regionProjections.projectionX.forEach((value, x) => { projectionX[region.x - area.x + x] += value; });
+            regionProjections.projectionY.forEach((value, y) => { projectionY[region.y - area.y + y] += value; });
+        }
+        const periodCandidate = {
+            period: gridSize * scaleFactor,
+            score: median(winners.map(winner => winner.candidate.score)) * consensus,
+            axes: {
+                x: median(winners.map(winner => winner.candidate.axes.x)),
+                y: median(winners.map(winner => winner.candidate.axes.y)),
+                agreement: median(winners.map(winner => winner.candidate.axes.agreement))
+            }
+        };
+        const candidate = this.buildDetectionResult(
+            periodCandidate, this.processProjection(projectionX, area.width), this.processProjection(projectionY, area.height),
+            scaleFactor, 1, imageDimensions
+        );
+        candidate.xOffset = (candidate.xOffset + area.x / scaleFactor) % candidate.gridSize;
+        candidate.yOffset = (candidate.yOffset + area.y / scaleFactor) % candidate.gridSize;
+
+        return { candidate, diagnostics };
+    }
+
+    /**
+     * Check whether two crops found the same grid: the same size, with offsets that line up.
+     * 
+     * @param {GridCandidate} a - Grid found in one crop
+     * @param {GridCandidate} b - Grid found in another crop
+     * @returns {boolean} True if both crops see the same grid
+     */
+    isSameRegionGrid(a, b) {
+        if (!this.isSamePeriod(a.gridSize, b.gridSize)) {
+            return false;
+        }
+
+        const gridSize = (a.gridSize + b.gridSize) / 2;
+        const tolerance = gridSize * REGION_VOTING.PHASE_TOLERANCE;
+        const phaseDistance = (offsetA, offsetB) => {
+            const difference = ((offsetA - offsetB) % gridSize + gridSize) % gridSize;
+            return Math.min(difference, gridSize - difference);
+        };
+        return phaseDistance(a.xOffset, b.xOffset) <= tolerance
+            && phaseDistance(a.yOffset, b.yOffset) <= tolerance;
+    }
+
+    /**
+     * Tile the inside of the image into crops for region voting. The outer margin is left
+     * out, as that is where frames, borders and title cartouches are usually drawn.
+     * 
+     * @param {number} width - Scaled image width
+     * @param {number} height - Scaled image height
+     * @returns {Array<{x: number, y: number, width: number, height: number}>|null} Crops in
+     *   processing pixels, or null if fewer than 2×2 crops of the minimum size fit
+     */
+    createVotingRegions(width, height) {
+        const left = Math.round(width * REGION_VOTING.INSET);
+        const top = Math.round(height * REGION_VOTING.INSET);
+        const innerWidth = width - 2 * left;
+        const innerHeight = height - 2 * top;
+        const columns = Math.min(REGION_VOTING.TILES, Math.floor(innerWidth / REGION_VOTING.MIN_TILE_SIZE));
+        const rows = Math.min(REGION_VOTING.TILES, Math.floor(innerHeight / REGION_VOTING.MIN_TILE_SIZE));
+        if (columns < 2 || rows < 2) {
+            return null;
+        }
+
+        const regions = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const x = left + Math.round(column * innerWidth / columns);
+                const y = top + Math.round(row * innerHeight / rows);
+                regions.push({
+                    x,
+                    y,
+                    width: left + Math.round((column + 1) * innerWidth / columns) - x,
+                    height: top + Math.round((row + 1) * innerHeight / rows) - y
+                });
+            }
+        }
+        return regions;
+    }
+
+    /**
+     * Get the smallest region containing all given regions.
+     * 
+     * @param {Array<{x: number, y: number, width: number, height: number}>} regions - Regions to enclose
+     * @returns {{x: number, y: number, width: number, height: number}} Bounding region
+     */
+    getBoundingRegion(regions) {
+        const left = Math.min(...regions.map(region => region.x));
+        const top = Math.min(...regions.map(region => region.y));
+        return {
+            x: left,
+            y: top,
+            width: Math.max(...regions.map(region => region.x + region.width)) - left,
+            height: Math.max(...regions.map(region => region.y + region.height)) - top
+        };
+    }
+
+    /**
+     * Compute the edge projections of a crop.
+     * 
+     * @param {Float32Array} edgeMagnitude - Edge magnitude of the scaled image
+     * @param {number} width - Scaled image width
+     * @param {{x: number, y: number, width: number, height: number}} region - Crop in processing pixels
+     * @returns {{projectionX: Float32Array, projectionY: Float32Array}} Axis projections of the crop
+     */
+    computeRegionProjections(edgeMagnitude, width, region) {
+        const projectionX = new Float32Array(region.width);
+        const projectionY = new Float32Array(region.height);
+
+        for (let y = 0; y < region.height; y++) {
+            const rowStart = (region.y + y) * width + region.x;
+            let rowSum = 0;
+            for (let x = 0; x < region.width; x++) {
+                const edgeValue = edgeMagnitude[rowStart + x];
+                projectionX[x] += edgeValue;
+                rowSum += edgeValue;
+            }
+            projectionY[y] = rowSum;
+        }
+
+        return { projectionX, projectionY };
+    }
+
+    /**
+     * Combine the whole-image square candidates with the region vote. When the best candidate
+     * has the voted size, or there is no consensus, the candidates are kept and the diagnostics
+     * are attached to the best one. Otherwise the voted grid overrules the whole-image analysis
+     * (which was led astray by borders or artwork): it replaces the candidates of its size,
+     * takes over the best score, and the candidates it disagrees with are penalized.
+     * 
+     * @param {GridCandidate[]} squareCandidates - Whole-image square candidates, best first
+     * @param {{candidate: GridCandidate|null, diagnostics: RegionVote}|null} regionVote - Result of voteOnRegions
+     * @returns {GridCandidate[]} Square candidates to rank
+     */
+    applyRegionVote(squareCandidates, regionVote) {
+        if (!regionVote) {
+            return squareCandidates;
+        }
+
+        const { candidate: votedCandidate, diagnostics } = regionVote;
+        if (!votedCandidate) {
+            if (squareCandidates[0]) squareCandidates[0].regionVote = diagnostics;
+            return squareCandidates;
+        }
+
+        const agrees = (candidate) => this.isSamePeriod(candidate.gridSize, votedCandidate.gridSize);
+        const bestCandidate = squareCandidates[0];
+        if (bestCandidate && agrees(bestCandidate)) {
+            bestCandidate.regionVote = diagnostics;
+            return squareCandidates;
+        }
+
+        diagnostics.isDecisive = !!bestCandidate;
+        const chosen = {
+            ...votedCandidate,
+            score: Math.max(votedCandidate.score, bestCandidate?.score ?? 0),
+            regionVote: diagnostics
+        };
+        const others = squareCandidates
+            .filter(candidate => !agrees(candidate))
+            .map(candidate => ({ ...candidate, score: candidate.score * REGION_VOTING.DISAGREEMENT_PENALTY }));
+        return [chosen, ...others];
     }
 
     /**
@@ -114,18 +729,27 @@ export class GridDetectionService {
 
     /**
      * Create a scaled canvas for processing. Large images are scaled down for performance.
+     * Inside a worker, where there is no document, an OffscreenCanvas is used and
+     * images are kept at a higher resolution.
      * 
-     * @param {HTMLImageElement} image - The source image
-     * @returns {{scaledCanvas: HTMLCanvasElement, scaleFactor: number}} Canvas and scale info
+     * @param {HTMLImageElement|ImageBitmap} image - The source image
+     * @returns {{scaledCanvas: HTMLCanvasElement|OffscreenCanvas, scaleFactor: number}} Canvas and scale info
      */
     createScaledCanvas(image) {
-        const scaleFactor = Math.min(1, MAX_PROCESSING_DIMENSION / Math.max(image.width, image.height));
+        const isWorker = typeof document === 'undefined';
+        const maxDimension = isWorker ? PROCESSING_DIMENSIONS.WORKER : PROCESSING_DIMENSIONS.MAIN_THREAD;
+        const scaleFactor = Math.min(1, maxDimension / Math.max(image.width, image.height));
         const scaledWidth = Math.max(1, Math.round(image.width * scaleFactor));
         const scaledHeight = Math.max(1, Math.round(image.height * scaleFactor));
 
-        const canvas = document.createElement('canvas');
-        canvas.width = scaledWidth;
-        canvas.height = scaledHeight;
+        let canvas;
+        if (isWorker) {
+            canvas = new OffscreenCanvas(scaledWidth, scaledHeight);
+        } else {
+            canvas = document.createElement('canvas');
+            canvas.width = scaledWidth;
+            canvas.height = scaledHeight;
+        }
         
         const context = canvas.getContext('2d', { willReadFrequently: true });
         context.drawImage(image, 0, 0, scaledWidth, scaledHeight);
@@ -134,16 +758,25 @@ export class GridDetectionService {
     }
 
     /**
-     * Extract grayscale pixel data from a canvas using luminance formula.
+     * Read the RGBA pixels of a canvas.
      * 
-     * @param {HTMLCanvasElement} canvas - The source canvas
-     * @returns {Float32Array} Grayscale values (0-255)
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The source canvas
+     * @returns {ImageData} Pixel data
      */
-    extractGrayscaleData(canvas) {
+    readImageData(canvas) {
         const context = canvas.getContext('2d', { willReadFrequently: true });
-        const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+        return context.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * Extract grayscale pixel data using the luminance formula.
+     * 
+     * @param {ImageData} imageData - RGBA pixel data
+     * @returns {Float32Array} Grayscale values (0-255)
+     */
+    extractGrayscaleData(imageData) {
         const rgbaPixels = imageData.data;
-        const pixelCount = canvas.width * canvas.height;
+        const pixelCount = imageData.width * imageData.height;
         const grayscale = new Float32Array(pixelCount);
 
         for (let pixelIndex = 0, rgbaIndex = 0; pixelIndex < pixelCount; pixelIndex++, rgbaIndex += 4) {
@@ -157,15 +790,19 @@ export class GridDetectionService {
     }
 
     /**
-     * Compute edge magnitude using Sobel operators for gradient detection.
+     * Compute edge magnitude and orientation using Sobel operators for gradient detection.
+     * The orientation is the direction of the edge line itself (perpendicular to the gradient),
+     * so vertical lines have an orientation of 90° and horizontal lines 0°.
      * 
      * @param {Float32Array} grayscale - Grayscale pixel data
      * @param {number} width - Image width
      * @param {number} height - Image height
-     * @returns {Float32Array} Edge magnitude for each pixel
+     * @returns {{magnitude: Float32Array, orientation: Float32Array}} Edge magnitude and
+     *   orientation (degrees, 0-180) for each pixel
      */
-    computeSobelMagnitude(grayscale, width, height) {
-        const output = new Float32Array(width * height);
+    computeSobelGradients(grayscale, width, height) {
+        const magnitude = new Float32Array(width * height);
+        const orientation = new Float32Array(width * height);
         const sobelX = [-1, 0, 1, -2, 0, 2, -1, 0, 1];
         const sobelY = [-1, -2, -1, 0, 0, 0, 1, 2, 1];
 
@@ -184,11 +821,261 @@ export class GridDetectionService {
                     }
                 }
 
-                output[y * width + x] = Math.hypot(gradientX, gradientY);
+                const pixelIndex = y * width + x;
+                magnitude[pixelIndex] = Math.hypot(gradientX, gradientY);
+
+                const lineAngle = Math.atan2(gradientY, gradientX) * 180 / Math.PI + 90;
+                orientation[pixelIndex] = ((lineAngle % 180) + 180) % 180;
+            }
+        }
+
+        return { magnitude, orientation };
+    }
+
+    /**
+     * Decide whether the strong edges in the image form a hexagonal grid.
+     * Pointy-top hexes show three equally strong edge orientations at 30°, 90° and 150°,
+     * flat-top hexes at 0°, 60° and 120°. Square grids and most artwork lack the matching
+     * pair of slanted orientations.
+     * 
+     * @param {Float32Array} edgeMagnitude - Edge magnitude per pixel
+     * @param {Float32Array} edgeOrientation - Edge orientation per pixel in degrees
+     * @returns {{isColumns: boolean, score: number}|null} The hex layout, or null for non-hex images
+     */
+    classifyHexLayout(edgeMagnitude, edgeOrientation) {
+        const histogram = computeOrientationHistogram(
+            edgeMagnitude, edgeOrientation, this.computeStrongEdgeThreshold(edgeMagnitude)
+        );
+        const energyAt = (degrees) => sumOrientationWindow(histogram, degrees, HEX_DETECTION.ORIENTATION_WINDOW);
+
+        const evaluateLayout = (axisEnergy, slantEnergies, otherDiagonalEnergies) => {
+            const weakestSlant = Math.min(...slantEnergies);
+            const strongestOtherDiagonal = Math.max(...otherDiagonalEnergies);
+            const hasBalancedSlants = weakestSlant >= HEX_DETECTION.MIN_SLANT_RATIO * axisEnergy;
+            const hasSlantContrast = weakestSlant >= HEX_DETECTION.MIN_SLANT_CONTRAST * strongestOtherDiagonal;
+
+            if (!axisEnergy || !hasBalancedSlants || !hasSlantContrast) {
+                return 0;
+            }
+            return weakestSlant / Math.max(strongestOtherDiagonal, Number.EPSILON);
+        };
+
+        const rowScore = evaluateLayout(energyAt(90), [energyAt(30), energyAt(150)], [energyAt(60), energyAt(120)]);
+        const columnScore = evaluateLayout(energyAt(0), [energyAt(60), energyAt(120)], [energyAt(30), energyAt(150)]);
+
+        if (!rowScore && !columnScore) {
+            return null;
+        }
+
+        return columnScore > rowScore
+            ? { isColumns: true, score: columnScore }
+            : { isColumns: false, score: rowScore };
+    }
+
+    /**
+     * Compute the magnitude above which an edge counts as strong (mean plus one standard deviation).
+     * 
+     * @param {Float32Array} edgeMagnitude - Edge magnitude per pixel
+     * @returns {number} Strong edge threshold
+     */
+    computeStrongEdgeThreshold(edgeMagnitude) {
+        let sum = 0;
+        let sumOfSquares = 0;
+
+        for (const value of edgeMagnitude) {
+            sum += value;
+            sumOfSquares += value * value;
+        }
+
+        const mean = sum / edgeMagnitude.length;
+        const variance = Math.max(0, sumOfSquares / edgeMagnitude.length - mean * mean);
+        return mean + Math.sqrt(variance);
+    }
+
+    /**
+     * Measure a hexagonal grid from its axis-aligned edges (vertical edges of pointy-top hexes,
+     * horizontal edges of flat-top hexes).
+     * 
+     * Across those edges, they repeat every half hex (neighboring rows are shifted by half a hex).
+     * Along them, they form bands that repeat every row (or column) pitch. Both give an estimate
+     * of the flat-to-flat size. The band phase gives the row offset, and comparing the edge phase
+     * of even and odd bands tells whether odd or even rows are shifted.
+     * 
+     * @param {Float32Array} edgeMagnitude - Edge magnitude per pixel
+     * @param {Float32Array} edgeOrientation - Edge orientation per pixel in degrees
+     * @param {number} width - Scaled image width
+     * @param {number} height - Scaled image height
+     * @param {boolean} isColumns - True for flat-top (column) hexes
+     * @param {number} scaleFactor - Scale factor used during processing
+     * @returns {GridCandidate|null} Hex grid candidate, or null if no consistent period was found
+     */
+    detectHexGrid(edgeMagnitude, edgeOrientation, width, height, isColumns, scaleFactor) {
+        const axisOrientation = isColumns ? 0 : 90;
+        const axisEdgeMagnitude = new Float32Array(edgeMagnitude.length);
+        for (let i = 0; i < edgeMagnitude.length; i++) {
+            if (orientationDifference(edgeOrientation[i], axisOrientation) <= HEX_DETECTION.AXIS_EDGE_TOLERANCE) {
+                axisEdgeMagnitude[i] = edgeMagnitude[i];
+            }
+        }
+
+        const { projectionX, projectionY } = this.computeEdgeProjections(axisEdgeMagnitude, width, height);
+        const filteredX = this.processProjection(projectionX, width);
+        const filteredY = this.processProjection(projectionY, height);
+
+        // "Across" runs perpendicular to the axis edges, "band" runs along them
+        const acrossSignal = isColumns ? filteredY : filteredX;
+        const bandSignal = isColumns ? filteredX : filteredY;
+        // High-pass filtering turns each band into a pair of lobes at its borders, so the
+        // band phase is measured on the unfiltered projection
+        const rawBandSignal = normalizeSignal(isColumns ? projectionX : projectionY);
+        const acrossLength = isColumns ? height : width;
+        const bandLength = isColumns ? width : height;
+
+        const halfSizePeriod = this.findProjectionPeriod(acrossSignal, acrossLength);
+        const pitchPeriod = this.findProjectionPeriod(bandSignal, bandLength);
+        const sizeEstimate = this.combineHexSizeEstimates(halfSizePeriod, pitchPeriod);
+        const hexSize = sizeEstimate?.size;
+
+        if (!hexSize || hexSize < MIN_VALID_PERIOD * 2) {
+            return null;
+        }
+
+        const cell = getHexCellDimensions(hexSize, isColumns);
+        const hexLength = isColumns ? cell.width : cell.height;
+
+        // First band whose hex starts inside the image (allowing for measurement noise at the border)
+        let bandCenter = estimateCircularPhase(rawBandSignal, cell.pitch);
+        while (bandCenter - hexLength / 2 < -hexLength / 16) {
+            bandCenter += cell.pitch;
+        }
+
+        const edgePhase = estimateCircularPhase(acrossSignal, hexSize / 2);
+        const firstBandEdge = this.findFirstBandEdgePhase(
+            axisEdgeMagnitude, width, height, isColumns, hexSize, cell.pitch, hexLength, bandCenter, edgePhase
+        );
+
+        // Prefer the layout that puts the first hex closest to the image edge
+        const distanceFromOrigin = Math.min(firstBandEdge, hexSize - firstBandEdge);
+        const isFirstBandShifted = Math.abs(firstBandEdge - hexSize / 2) < distanceFromOrigin;
+        const acrossOffset = isFirstBandShifted
+            ? (firstBandEdge + hexSize / 2) % hexSize
+            : firstBandEdge;
+        const bandOffset = bandCenter - hexLength / 2;
+
+        let gridType;
+        if (isColumns) {
+            gridType = isFirstBandShifted ? GRID_TYPES.HEXEVENQ : GRID_TYPES.HEXODDQ;
+        } else {
+            gridType = isFirstBandShifted ? GRID_TYPES.HEXEVENR : GRID_TYPES.HEXODDR;
+        }
+
+        const acrossScore = halfSizePeriod?.score ?? null;
+        const bandScore = pitchPeriod?.score ?? null;
+        const periodScores = [acrossScore, bandScore].filter(score => score !== null).map(score => Math.max(0, score));
+        const meanScore = periodScores.reduce((sum, score) => sum + score, 0) / periodScores.length;
+
+        const inverseScale = 1 / scaleFactor;
+        return {
+            gridSize: hexSize * inverseScale,
+            xOffset: (isColumns ? bandOffset : acrossOffset) * inverseScale,
+            yOffset: (isColumns ? acrossOffset : bandOffset) * inverseScale,
+            gridType,
+            score: clampValue(meanScore * (0.5 + 0.5 * sizeEstimate.agreement), 0, 1),
+            axes: {
+                x: isColumns ? bandScore : acrossScore,
+                y: isColumns ? acrossScore : bandScore,
+                agreement: sizeEstimate.agreement
+            }
+        };
+    }
+
+    /**
+     * Find the dominant period of a processed projection using autocorrelation.
+     * 
+     * @param {Float32Array} signal - Normalized projection
+     * @param {number} length - Length of the projected image dimension
+     * @returns {import('./signal-processing-utils.js').PeriodCandidate|null} Period candidate or null
+     */
+    findProjectionPeriod(signal, length) {
+        const minLag = Math.max(4, Math.floor(length / 200));
+        const maxLag = Math.min(Math.floor(length / 2), 1024);
+        return findBestPeriodFromAutocorrelation(computeAutocorrelation(signal, minLag, maxLag));
+    }
+
+    /**
+     * Combine the two hex size estimates: twice the across-edge period (half a hex) and
+     * the band pitch divided by √3/2. Averages them when they agree, otherwise trusts
+     * the stronger autocorrelation peak.
+     * 
+     * @param {Object|null} halfSizePeriod - Period of the axis edges across the bands
+     * @param {Object|null} pitchPeriod - Period of the bands
+     * @returns {{size: number, agreement: number}|null} Flat-to-flat hex size and how well
+     *   the two estimates agree (0-1), or null
+     */
+    combineHexSizeEstimates(halfSizePeriod, pitchPeriod) {
+        const sizeFromEdges = halfSizePeriod ? halfSizePeriod.value * 2 : null;
+        const sizeFromBands = pitchPeriod ? pitchPeriod.value * 2 / Math.sqrt(3) : null;
+
+        if (sizeFromEdges && sizeFromBands) {
+            const difference = Math.abs(sizeFromEdges - sizeFromBands) / Math.max(sizeFromEdges, sizeFromBands);
+            const agreement = 1 - difference;
+            if (difference <= HEX_DETECTION.SIZE_AGREEMENT) {
+                return { size: (sizeFromEdges + sizeFromBands) / 2, agreement };
             }
+            return { size: halfSizePeriod.score >= pitchPeriod.score ? sizeFromEdges : sizeFromBands, agreement };
         }
 
-        return output;
+        const size = sizeFromEdges ?? sizeFromBands;
+        return size ? { size, agreement: 0 } : null;
+    }
+
+    /**
+     * Determine where the axis edges of the first band (and every second band after it) lie.
+     * All edges repeat every half hex; the first band's edges are either at the measured
+     * phase or half a hex further along.
+     * 
+     * @param {Float32Array} axisEdgeMagnitude - Magnitude of axis-aligned hex edges
+     * @param {number} width - Scaled image width
+     * @param {number} height - Scaled image height
+     * @param {boolean} isColumns - True for flat-top (column) hexes
+     * @param {number} hexSize - Flat-to-flat hex size
+     * @param {number} pitch - Distance between bands
+     * @param {number} hexLength - Point-to-point hex size
+     * @param {number} firstBandCenter - Center of the first band
+     * @param {number} edgePhase - Phase of the axis edges (0 to hexSize / 2)
+     * @returns {number} Phase of the first band's edges (0 to hexSize)
+     */
+    findFirstBandEdgePhase(axisEdgeMagnitude, width, height, isColumns, hexSize, pitch, hexLength, firstBandCenter, edgePhase) {
+        const bandLength = isColumns ? width : height;
+        const acrossLength = isColumns ? height : width;
+        const bandHalfWidth = hexLength / 4;
+        const edgeTolerance = hexSize / 8;
+        const candidatePhases = [edgePhase, edgePhase + hexSize / 2];
+        const candidateEnergy = [0, 0];
+
+        for (let center = firstBandCenter; center - bandHalfWidth < bandLength; center += pitch * 2) {
+            const bandStart = Math.max(0, Math.ceil(center - bandHalfWidth));
+            const bandEnd = Math.min(bandLength - 1, Math.floor(center + bandHalfWidth));
+
+            for (let bandPosition = bandStart; bandPosition <= bandEnd; bandPosition++) {
+                for (let acrossPosition = 0; acrossPosition < acrossLength; acrossPosition++) {
+                    const pixelIndex = isColumns
+                        ? acrossPosition * width + bandPosition
+                        : bandPosition * width + acrossPosition;
+                    const value = axisEdgeMagnitude[pixelIndex];
+                    if (!value) continue;
+
+                    for (let candidate = 0; candidate < 2; candidate++) {
+                        const offset = (((acrossPosition - candidatePhases[candidate]) % hexSize) + hexSize) % hexSize;
+                        if (Math.min(offset, hexSize - offset) <= edgeTolerance) {
+                            candidateEnergy[candidate] += value;
+                        }
+                    }
+                }
+            }
+        }
+
+        return candidateEnergy[0] >= candidateEnergy[1] ? candidatePhases[0] : candidatePhases[1];
     }
 
     /**
@@ -230,71 +1117,552 @@ export class GridDetectionService {
     }
 
     /**
-     * Detect the dominant period from X and Y projections using autocorrelation.
+     * Find and rank candidate grid periods from the X and Y projections.
+     * Autocorrelation peaks of both axes and the cell sizes found by spectral analysis are
+     * merged, then each period is scored by its autocorrelation on both axes, how well the
+     * axes agree, and whether its multiples correlate too (a real cell size repeats; a
+     * stray texture period usually does not).
      * 
      * @param {Float32Array} signalX - Normalized X projection
      * @param {Float32Array} signalY - Normalized Y projection
      * @param {number} width - Image width
      * @param {number} height - Image height
-     * @returns {number|null} Detected period or null
+     * @returns {{period: number, score: number, axes: GridAxisAgreement}[]} Periods ranked by score
      */
-    detectPeriodFromProjections(signalX, signalY, width, height) {
-        const minLagX = Math.max(8, Math.floor(width / 200));
-        const minLagY = Math.max(8, Math.floor(height / 200));
+    rankPeriodCandidates(signalX, signalY, width, height) {
         const maxLagX = Math.min(Math.floor(width / 2), 1024);
         const maxLagY = Math.min(Math.floor(height / 2), 1024);
 
-        const autocorrX = computeAutocorrelation(signalX, minLagX, maxLagX);
-        const autocorrY = computeAutocorrelation(signalY, minLagY, maxLagY);
+        const autocorrX = computeAutocorrelation(signalX, MIN_SQUARE_LAG, maxLagX);
+        const autocorrY = computeAutocorrelation(signalY, MIN_SQUARE_LAG, maxLagY);
+        const peaksX = findPeriodCandidates(autocorrX, GRID_CANDIDATES.PEAKS_PER_AXIS);
+        const peaksY = findPeriodCandidates(autocorrY, GRID_CANDIDATES.PEAKS_PER_AXIS);
+
+        const spectralPeriods = [
+            findSpectralPeriods(signalX, MIN_SQUARE_LAG, maxLagX),
+            findSpectralPeriods(signalY, MIN_SQUARE_LAG, maxLagY)
+        ].filter(spectral => spectral.fundamental !== null);
+
+        const periods = [];
+        const spectralFundamentals = spectralPeriods.map(spectral => spectral.fundamental);
+        for (const value of [...peaksX.map(peak => peak.value), ...peaksY.map(peak => peak.value), ...spectralFundamentals]) {
+            if (value < MIN_VALID_PERIOD || periods.some(period => this.isSamePeriod(period, value))) {
+                continue;
+            }
+            periods.push(value);
+        }
+
+        const ranked = periods
+            .map(period => this.scorePeriodCandidate(period, autocorrX, autocorrY, peaksX, peaksY))
+            .sort((a, b) => b.score - a.score);
+        return this.preferGridSubdivision(ranked, spectralPeriods);
+    }
+
+    /**
+     * Maps with bold lines every few cells (e.g. 5 ft cells with bold 25 ft lines) correlate
+     * best at the bold line spacing. When a candidate that evenly divides the best one scores
+     * nearly as well, it is the real cell size: it is moved to the top with the best score.
+     * When the power spectrum separated the cells from major lines at the best candidate's
+     * spacing, its cell size wins as long as it correlates at all, because faint cell lines
+     * correlate much weaker than the major lines.
+     * 
+     * @param {{period: number, score: number, axes: GridAxisAgreement}[]} ranked - Candidates sorted by score
+     * @param {import('./signal-processing-utils.js').SpectralPeriods[]} [spectralPeriods=[]] - Spectral
+     *   analysis results of the axes
+     * @returns {{period: number, score: number, axes: GridAxisAgreement}[]} Candidates with the cell size first
+     */
+    preferGridSubdivision(ranked, spectralPeriods = []) {
+        const best = ranked[0];
+        if (!best) {
+            return ranked;
+        }
+
+        const subdivision = ranked
+            .filter(candidate => {
+                const cellsPerLine = Math.round(best.period / candidate.period);
+                const isSpectralCell = spectralPeriods.some(spectral => spectral.major !== null
+                    && this.isSamePeriod(spectral.fundamental, candidate.period)
+                    && this.isSamePeriod(spectral.major, best.period));
+                return cellsPerLine >= 2
+                    && cellsPerLine <= GRID_CANDIDATES.MAX_SUBDIVISION
+                    && this.isSamePeriod(candidate.period * cellsPerLine, best.period)
+                    && (isSpectralCell
+                        ? candidate.score >= GRID_CANDIDATES.MIN_SPECTRAL_CELL_SCORE
+                        : candidate.score >= best.score * GRID_CANDIDATES.SUBDIVISION_RATIO);
+            })
+            .sort((a, b) => a.period - b.period)[0];
+
+        if (!subdivision) {
+            return ranked;
+        }
 
-        const periodX = findBestPeriodFromAutocorrelation(autocorrX);
-        const periodY = findBestPeriodFromAutocorrelation(autocorrY);
+        return [{ ...subdivision, score: best.score }, ...ranked.filter(candidate => candidate !== subdivision)];
+    }
 
-        return combinePeriodCandidates(periodX, periodY);
+    /**
+     * Check whether two periods are close enough to be the same grid size.
+     * 
+     * @param {number} periodA - First period
+     * @param {number} periodB - Second period
+     * @returns {boolean} True if the periods match
+     */
+    isSamePeriod(periodA, periodB) {
+        return Math.abs(periodA - periodB) <= Math.max(2, Math.min(periodA, periodB) * GRID_CANDIDATES.MERGE_TOLERANCE);
     }
 
     /**
-     * Build the final detection result, scaling back to original image coordinates.
+     * Score a candidate period. When both axes have a peak at the period, their lags are averaged.
      * 
-     * @param {number} period - Detected period in scaled coordinates
+     * @param {number} period - Candidate period
+     * @param {Array} autocorrX - X axis autocorrelation
+     * @param {Array} autocorrY - Y axis autocorrelation
+     * @param {import('./signal-processing-utils.js').PeriodCandidate[]} peaksX - X axis peaks
+     * @param {import('./signal-processing-utils.js').PeriodCandidate[]} peaksY - Y axis peaks
+     * @returns {{period: number, score: number, axes: GridAxisAgreement}} Scored candidate
+     */
+    scorePeriodCandidate(period, autocorrX, autocorrY, peaksX, peaksY) {
+        const peakX = peaksX.find(peak => this.isSamePeriod(peak.value, period));
+        const peakY = peaksY.find(peak => this.isSamePeriod(peak.value, period));
+        const refinedPeriod = peakX && peakY ? (peakX.value + peakY.value) / 2 : period;
+
+        const scoreX = sampleAutocorrelation(autocorrX, refinedPeriod);
+        const scoreY = sampleAutocorrelation(autocorrY, refinedPeriod);
+        const axisScores = [scoreX, scoreY].filter(score => score !== null).map(score => Math.max(0, score));
+        const meanScore = axisScores.length ? axisScores.reduce((sum, score) => sum + score, 0) / axisScores.length : 0;
+        const agreement = axisScores.length === 2
+            ? Math.min(...axisScores) / Math.max(...axisScores, Number.EPSILON)
+            : 0;
+
+        const harmonicScores = GRID_CANDIDATES.HARMONICS
+            .flatMap(multiple => [
+                sampleAutocorrelation(autocorrX, refinedPeriod * multiple),
+                sampleAutocorrelation(autocorrY, refinedPeriod * multiple)
+            ])
+            .filter(score => score !== null)
+            .map(score => Math.max(0, score));
+        // Periods too long to check their multiples get a neutral harmonic support
+        const harmonicSupport = harmonicScores.length
+            ? clampValue(harmonicScores.reduce((sum, score) => sum + score, 0) / harmonicScores.length / Math.max(meanScore, Number.EPSILON), 0, 1)
+            : 0.5;
+
+        return {
+            period: refinedPeriod,
+            score: clampValue(meanScore * (0.5 + 0.5 * agreement) * (0.5 + 0.5 * harmonicSupport), 0, 1),
+            axes: { x: scoreX, y: scoreY, agreement }
+        };
+    }
+
+    /**
+     * Build a square grid candidate, scaling back to original image coordinates.
+     * The size and offsets come from a least-squares fit of all grid lines on each axis;
+     * the autocorrelation period and strongest offset are used where too few lines were found.
+     * 
+     * @param {{period: number, score: number, axes: GridAxisAgreement}} periodCandidate - Scored period in scaled coordinates
      * @param {Float32Array} signalX - X projection for offset calculation
      * @param {Float32Array} signalY - Y projection for offset calculation
      * @param {number} scaleFactor - Scale factor used during processing
-     * @returns {GridDetectionResult} Final grid detection result
+     * @param {number} [scoreFactor=1] - Factor applied to the candidate score
+     * @param {{width: number, height: number}|null} [imageDimensions=null] - Original image dimensions
+     * @returns {GridCandidate} Grid candidate (confidence is set when ranking)
      */
-    buildDetectionResult(period, signalX, signalY, scaleFactor) {
-        const offsetX = estimateGridOffset(signalX, Math.round(period));
-        const offsetY = estimateGridOffset(signalY, Math.round(period));
+    buildDetectionResult(periodCandidate, signalX, signalY, scaleFactor, scoreFactor = 1, imageDimensions = null) {
+        const period = periodCandidate.period;
+        const fitX = fitGridLines(signalX, period, estimateCircularPhase(signalX, period));
+        const fitY = fitGridLines(signalY, period, estimateCircularPhase(signalY, period));
         const inverseScale = 1 / scaleFactor;
 
+        const gridSize = this.snapToImageDivision(this.combineLineFits(period, [fitX, fitY]) * inverseScale, imageDimensions);
+        const offsetX = (fitX ? fitX.offset : estimateGridOffset(signalX, Math.round(period))) * inverseScale;
+        const offsetY = (fitY ? fitY.offset : estimateGridOffset(signalY, Math.round(period))) * inverseScale;
+        const wrapOffset = (offset) => ((offset % gridSize) + gridSize) % gridSize;
+
+        return {
+            gridSize,
+            xOffset: wrapOffset(offsetX),
+            yOffset: wrapOffset(offsetY),
+            gridType: GRID_TYPES.SQUARE,
+            score: periodCandidate.score * scoreFactor,
+            axes: periodCandidate.axes
+        };
+    }
+
+    /**
+     * Combine the line fits of both axes into one period, weighting each axis by the
+     * number of lines it found. Fits that drifted to another period are ignored.
+     * 
+     * @param {number} period - Period from the autocorrelation
+     * @param {Array<import('./signal-processing-utils.js').GridLineFit|null>} fits - Line fits per axis
+     * @returns {number} Fitted period, or the autocorrelation period if no fit matches it
+     */
+    combineLineFits(period, fits) {
+        const matchingFits = fits.filter(fit => fit && this.isSamePeriod(fit.period, period));
+        const lineCount = matchingFits.reduce((sum, fit) => sum + fit.lineCount, 0);
+        if (!lineCount) {
+            return period;
+        }
+        return matchingFits.reduce((sum, fit) => sum + fit.period * fit.lineCount, 0) / lineCount;
+    }
+
+    /**
+     * Check how evenly the image divides into cells of the fitted size. When both axes hold
+     * a whole number of cells that the fitted grid misses by only a fraction of a cell across
+     * the whole image, the map was drawn at that exact size and the fit is snapped to it;
+     * otherwise the fitted size is kept.
+     * 
+     * @param {number} gridSize - Fitted grid size in original image pixels
+     * @param {{width: number, height: number}|null} imageDimensions - Original image dimensions
+     * @returns {number} Grid size, snapped to the image division where it matches
+     * 
+     * @example
+     * detector.snapToImageDivision(70.08, { width: 2800, height: 2100 }); // 70
+     * detector.snapToImageDivision(70.08, { width: 2830, height: 2100 }); // 70.08
+     */
+    snapToImageDivision(gridSize, imageDimensions) {
+        if (!imageDimensions?.width || !imageDimensions?.height) {
+            return gridSize;
+        }
+
+        const divisions = [imageDimensions.width, imageDimensions.height].map(length => {
+            const cells = Math.max(1, Math.round(length / gridSize));
+            return { cells, size: length / cells, drift: Math.abs(length - cells * gridSize) };
+        });
+        const [divisionX, divisionY] = divisions;
+
+        const isNearFit = divisions.every(division => division.drift <= gridSize * IMAGE_DIVISION.MAX_DRIFT);
+        const axesAgree = Math.abs(divisionX.size - divisionY.size) * Math.max(divisionX.cells, divisionY.cells)
+            <= IMAGE_DIVISION.AXIS_DRIFT;
+        return isNearFit && axesAgree ? (divisionX.size + divisionY.size) / 2 : gridSize;
+    }
+
+    /**
+     * Estimate the color, opacity and thickness of the grid lines drawn on the map.
+     * Cross-sections of every grid line are taken halfway between the crossing lines;
+     * the line pixel is the one that differs most from the cell background at the ends of
+     * the cross-section, and the thickness is the width at half that difference.
+     * 
+     * @param {GridCandidate} candidate - Grid candidate in original image coordinates
+     * @param {ImageData} imageData - RGBA pixels of the scaled image
+     * @param {number} scaleFactor - Scale factor of the pixel data
+     * @returns {GridLineStyle|null} Line style, or null for hex grids and maps without consistent lines
+     * 
+     * @example
+     * const style = detector.measureGridLineStyle(candidate, imageData, 0.5);
+     * // { color: '#000000', alpha: 0.42, observedColor: '#7a6f60', thickness: 2 }
+     */
+    measureGridLineStyle(candidate, imageData, scaleFactor) {
+        const period = candidate.gridSize * scaleFactor;
+        if (candidate.gridType !== GRID_TYPES.SQUARE || !(period >= LINE_STYLE.MIN_PERIOD)) {
+            return null;
+        }
+
+        const samples = [
+            ...this.sampleGridLineProfiles(imageData, period, candidate.xOffset * scaleFactor, candidate.yOffset * scaleFactor, true),
+            ...this.sampleGridLineProfiles(imageData, period, candidate.yOffset * scaleFactor, candidate.xOffset * scaleFactor, false)
+        ];
+        if (samples.length < LINE_STYLE.MIN_SAMPLES) {
+            return null;
+        }
+
+        const darkCount = samples.filter(sample => sample.contrast < 0).length;
+        const isDark = darkCount >= samples.length / 2;
+        const lineSamples = samples.filter(sample => (sample.contrast < 0) === isDark);
+        if (lineSamples.length < samples.length * LINE_STYLE.MIN_SIGN_AGREEMENT) {
+            return null;
+        }
+
+        const average = (select) => [0, 1, 2].map(channel =>
+            lineSamples.reduce((sum, sample) => sum + select(sample)[channel], 0) / lineSamples.length);
+        const lineColor = average(sample => sample.line);
+        const backgroundColor = average(sample => sample.background);
+        const thickness = lineSamples.reduce((sum, sample) => sum + sample.thickness, 0) / lineSamples.length;
+        const { color, alpha } = this.separateLineInk(lineColor, backgroundColor);
+
         return {
-            gridSize: period * inverseScale,
-            xOffset: offsetX * inverseScale,
-            yOffset: offsetY * inverseScale
+            color: this.toHexColor(color),
+            alpha: Math.round(alpha * 100) / 100,
+            observedColor: this.toHexColor(lineColor),
+            thickness: Math.round(thickness / scaleFactor * 10) / 10
         };
     }
 
     /**
-     * Detect grid from manually placed points (fallback when auto-detection fails).
+     * Take cross-sections of the grid lines of one axis.
+     * 
+     * @param {ImageData} imageData - RGBA pixels of the scaled image
+     * @param {number} period - Grid size in processing pixels
+     * @param {number} lineOffset - Position of a line across the sampled lines
+     * @param {number} crossOffset - Position of a crossing line, to sample halfway between crossings
+     * @param {boolean} isVertical - True to sample vertical lines (cross-sections along X)
+     * @returns {Array<{line: number[], background: number[], contrast: number, thickness: number}>} Usable cross-sections
+     */
+    sampleGridLineProfiles(imageData, period, lineOffset, crossOffset, isVertical) {
+        const { data, width, height } = imageData;
+        const acrossLength = isVertical ? width : height;
+        const alongLength = isVertical ? height : width;
+        const radius = Math.round(clampValue(period * 0.25, 2, 12));
+        const readPixel = (across, along) => {
+            const index = (isVertical ? along * width + across : across * width + along) * 4;
+            return [data[index], data[index + 1], data[index + 2]];
+        };
+        const luminance = (rgb) => 0.299 * rgb[0] + 0.587 * rgb[1] + 0.114 * rgb[2];
+
+        const linePositions = [];
+        for (let position = lineOffset % period; position < acrossLength; position += period) {
+            const center = Math.round(position);
+            if (center - radius >= 0 && center + radius < acrossLength) linePositions.push(center);
+        }
+        const samplePositions = [];
+        for (let position = (crossOffset % period) + period / 2; position < alongLength; position += period) {
+            samplePositions.push(Math.round(position));
+        }
+
+        const sampleCount = linePositions.length * samplePositions.length;
+        const stride = Math.max(1, Math.ceil(sampleCount / LINE_STYLE.MAX_SAMPLES_PER_AXIS));
+        const samples = [];
+
+        for (let sampleIndex = 0; sampleIndex < sampleCount; sampleIndex += stride) {
+            const center = linePositions[sampleIndex % linePositions.length];
+            const along = samplePositions[Math.floor(sampleIndex / linePositions.length)];
+
+            const startPixel = readPixel(center - radius, along);
+            const endPixel = readPixel(center + radius, along);
+            const background = [0, 1, 2].map(channel => (startPixel[channel] + endPixel[channel]) / 2);
+            const backgroundLuminance = luminance(background);
+
+            const profile = [];
+            for (let offset = -radius; offset <= radius; offset++) {
+                profile.push(luminance(readPixel(center + offset, along)) - backgroundLuminance);
+            }
+
+            // The line lies within a couple of pixels of its fitted position
+            let peak = radius;
+            for (let offset = -2; offset <= 2; offset++) {
+                if (Math.abs(profile[radius + offset]) > Math.abs(profile[peak])) peak = radius + offset;
+            }
+            const contrast = profile[peak];
+            if (Math.abs(contrast) < LINE_STYLE.MIN_CONTRAST) continue;
+
+            let start = peak;
+            let end = peak;
+            const isInLine = (index) => Math.sign(profile[index]) === Math.sign(contrast) && Math.abs(profile[index]) >= Math.abs(contrast) / 2;
+            while (start > 0 && isInLine(start - 1)) start--;
+            while (end < profile.length - 1 && isInLine(end + 1)) end++;
+
+            samples.push({
+                line: readPixel(center + peak - radius, along),
+                background,
+                contrast,
+                thickness: end - start + 1
+            });
+        }
+
+        return samples;
+    }
+
+    /**
+     * Split an observed line color into an ink color and opacity over the background, using the
+     * lowest opacity at which the ink stays a valid color (like "color to alpha" in image editors).
+     * 
+     * @param {number[]} lineColor - Observed line color (RGB 0-255)
+     * @param {number[]} backgroundColor - Background color next to the line (RGB 0-255)
+     * @returns {{color: number[], alpha: number}} Ink color and opacity
+     */
+    separateLineInk(lineColor, backgroundColor) {
+        let alpha = LINE_STYLE.MIN_ALPHA;
+        for (let channel = 0; channel < 3; channel++) {
+            const difference = lineColor[channel] - backgroundColor[channel];
+            const headroom = difference < 0 ? backgroundColor[channel] : 255 - backgroundColor[channel];
+            if (difference !== 0) {
+                alpha = Math.max(alpha, headroom > 0 ? Math.abs(difference) / headroom : 1);
+            }
+        }
+        alpha = Math.min(1, alpha);
+
+        const color = backgroundColor.map((value, channel) =>
+            clampValue(value + (lineColor[channel] - value) / alpha, 0, 255));
+        return { color, alpha };
+    }
+
+    /**
+     * Format an RGB color as a hex string.
+     * 
+     * @param {number[]} rgb - Color channels (0-255)
+     * @returns {string} Hex color, e.g. "#1a2b3c"
+     */
+    toHexColor(rgb) {
+        return `#${rgb.map(value => Math.round(clampValue(value, 0, 255)).toString(16).padStart(2, '0')).join('')}`;
+    }
+
+    /**
+     * Rank grid candidates by score, keep the best few and normalize their confidence.
      * 
-     * @param {Array<{x: number, y: number}>} points - Array of grid intersection points
-     * @returns {GridDetectionResult} Grid detection result
+     * @param {GridCandidate[]} candidates - Unranked candidates
+     * @returns {GridDetectionResult} The best candidate with the ranked candidate list
+     */
+    rankGridCandidates(candidates) {
+        const ranked = [...candidates]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, GRID_CANDIDATES.MAX_CANDIDATES);
+        const totalScore = ranked.reduce((sum, candidate) => sum + candidate.score, 0);
+
+        for (const candidate of ranked) {
+            candidate.confidence = totalScore > 0 ? candidate.score / totalScore : 1 / ranked.length;
+        }
+
+        return { ...ranked[0], candidates: ranked, gridPresence: this.classifyGridPresence(ranked[0]) };
+    }
+
+    /**
+     * Decide whether an image shows a grid from how regularly its edge projections repeat
+     * at the best candidate's size. Every image yields some candidate, but without grid
+     * lines its autocorrelation stays low on both axes and finds no harmonics.
+     * 
+     * @param {GridCandidate|undefined} bestCandidate - Best ranked candidate
+     * @returns {GridPresence} Grid presence classification
+     * 
+     * @example
+     * detector.classifyGridPresence({ gridSize: 64, score: 0.9 });  // { status: 'gridded', regularity: 0.9 }
+     * detector.classifyGridPresence({ gridSize: 18, score: 0.02 }); // { status: 'gridless', regularity: 0.02 }
+     */
+    classifyGridPresence(bestCandidate) {
+        const regularity = clampValue(bestCandidate?.score ?? 0, 0, 1);
+
+        let status = GRID_PRESENCE.UNCERTAIN;
+        if (regularity >= GRID_PRESENCE_THRESHOLDS.GRIDDED) {
+            status = GRID_PRESENCE.GRIDDED;
+        } else if (regularity < GRID_PRESENCE_THRESHOLDS.GRIDLESS) {
+            status = GRID_PRESENCE.GRIDLESS;
+        }
+
+        return { status, regularity };
+    }
+
+    /**
+     * Fit a square grid to manually placed grid intersections (fallback when auto-detection fails).
+     * The points do not have to be neighbours: the smallest distance between distinct grid lines
+     * gives a first size, and a least-squares fit over all points refines size and offset.
+     * 
+     * @param {Array<{x: number, y: number}>} points - Grid intersection points in image pixels
+     * @returns {GridCandidate} Grid candidate
+     * @throws {Error} If the points do not span at least one grid cell
+     * 
+     * @example
+     * detector.detectFromManualPoints([{ x: 110, y: 40 }, { x: 174, y: 40 }, { x: 238, y: 104 }]);
+     * // { gridSize: 64, xOffset: 46, yOffset: 40, gridType: GRID_TYPES.SQUARE, ... }
      */
     detectFromManualPoints(points) {
-        const xCoords = points.map(p => p.x);
-        const yCoords = points.map(p => p.y);
-        
-        const minX = Math.min(...xCoords), maxX = Math.max(...xCoords);
-        const minY = Math.min(...yCoords), maxY = Math.max(...yCoords);
+        const linesX = this.clusterManualCoordinates(points.map(p => p.x));
+        const linesY = this.clusterManualCoordinates(points.map(p => p.y));
+
+        const spacings = [linesX, linesY]
+            .filter(lines => lines.length >= 2)
+            .map(lines => Math.min(...lines.slice(1).map((line, index) => line - lines[index])));
+        if (!spacings.length) {
+            throw new Error('Manual grid calibration needs at least two distinct grid lines.');
+        }
 
-        const avgSpacingX = (maxX - minX) / (points.length - 1);
-        const avgSpacingY = (maxY - minY) / (points.length - 1);
-        const gridSize = Math.round((avgSpacingX + avgSpacingY) / 2);
+        const gridSize = this.fitManualGridSize([linesX, linesY], Math.min(...spacings));
+        const wrapOffset = (line) => ((line % gridSize) + gridSize) % gridSize;
 
         return {
             gridSize: gridSize,
-            xOffset: minX % gridSize,
-            yOffset: minY % gridSize
+            xOffset: wrapOffset(this.fitManualGridOffset(linesX, gridSize)),
+            yOffset: wrapOffset(this.fitManualGridOffset(linesY, gridSize)),
+            gridType: GRID_TYPES.SQUARE,
+            score: 1,
+            axes: null
         };
     }
+
+    /**
+     * Create the grid intersections of a box drawn around a known number of cells,
+     * so it can be fitted like clicked points.
+     * 
+     * @param {{x: number, y: number, width: number, height: number}} box - Box in image pixels
+     * @param {number} columns - Number of cells the box spans horizontally
+     * @param {number} rows - Number of cells the box spans vertically
+     * @returns {Array<{x: number, y: number}>} Grid intersection points
+     * 
+     * @example
+     * const points = detector.createCellBoxPoints({ x: 10, y: 20, width: 300, height: 200 }, 3, 2);
+     * detector.detectFromManualPoints(points).gridSize; // 100
+     */
+    createCellBoxPoints(box, columns, rows) {
+        const left = Math.min(box.x, box.x + box.width);
+        const top = Math.min(box.y, box.y + box.height);
+        const cellWidth = Math.abs(box.width) / Math.max(1, columns);
+        const cellHeight = Math.abs(box.height) / Math.max(1, rows);
+
+        const points = [];
+        for (let row = 0; row <= rows; row++) {
+            for (let column = 0; column <= columns; column++) {
+                points.push({ x: left + column * cellWidth, y: top + row * cellHeight });
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Merge clicked coordinates on one axis into grid line positions.
+     * 
+     * @param {number[]} coordinates - Coordinates on one axis
+     * @returns {number[]} Sorted grid line positions
+     */
+    clusterManualCoordinates(coordinates) {
+        const lines = [];
+        let cluster = [];
+
+        for (const coordinate of [...coordinates].sort((a, b) => a - b)) {
+            if (cluster.length && coordinate - cluster[cluster.length - 1] > MANUAL_POINTS.CLUSTER_TOLERANCE) {
+                lines.push(cluster.reduce((sum, value) => sum + value, 0) / cluster.length);
+                cluster = [];
+            }
+            cluster.push(coordinate);
+        }
+        if (cluster.length) {
+            lines.push(cluster.reduce((sum, value) => sum + value, 0) / cluster.length);
+        }
+
+        return lines;
+    }
+
+    /**
+     * Refine the grid size with a least-squares fit of the line positions on both axes,
+     * each line being a whole number of cells away from the first line of its axis.
+     * 
+     * @param {number[][]} axisLines - Sorted grid line positions per axis
+     * @param {number} estimatedSize - First size estimate
+     * @returns {number} Fitted grid size
+     */
+    fitManualGridSize(axisLines, estimatedSize) {
+        let covariance = 0;
+        let variance = 0;
+
+        for (const lines of axisLines) {
+            if (lines.length < 2) continue;
+            const steps = lines.map(line => Math.round((line - lines[0]) / estimatedSize));
+            const meanStep = steps.reduce((sum, step) => sum + step, 0) / steps.length;
+            const meanLine = lines.reduce((sum, line) => sum + line, 0) / lines.length;
+
+            lines.forEach((line, index) => {
+                covariance += (steps[index] - meanStep) * (line - meanLine);
+                variance += (steps[index] - meanStep) ** 2;
+            });
+        }
+
+        return variance > 0 ? covariance / variance : estimatedSize;
+    }
+
+    /**
+     * Find the grid offset that best matches the line positions of one axis.
+     * 
+     * @param {number[]} lines - Sorted grid line positions
+     * @param {number} gridSize - Fitted grid size
+     * @returns {number} Position of a grid line (not yet wrapped into one cell)
+     */
+    fitManualGridOffset(lines, gridSize) {
+        if (!lines.length) return 0;
+        const residuals = lines.map(line => line - Math.round((line - lines[0]) / gridSize) * gridSize);
+        return residuals.reduce((sum, value) => sum + value, 0) / residuals.length;
+    }
 }
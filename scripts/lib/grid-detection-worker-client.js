@@ -0,0 +1,222 @@
+/**
+ * Grid Detection Worker Client
+ *
+ * Runs grid detection in a module worker so large maps do not freeze the Foundry UI.
+ * The image is decoded with createImageBitmap and transferred to the worker, which
+ * scales it on an OffscreenCanvas and runs the detection pipeline there.
+ *
+ * One worker serves all requests; jobs are queued, so dropping many floors at once
+ * analyzes them one after another instead of starting a worker per image.
+ * Jobs report progress and can be cancelled with an AbortSignal; cancelling the
+ * running job terminates the worker, and a new one is started for the next job.
+ *
+ * @module GridDetectionWorkerClient
+ */
+
+/** URL of the worker module */
+const WORKER_URL = new URL('./grid-detection-worker.js', import.meta.url);
+
+/**
+ * @typedef {Object} GridDetectionJobOptions
+ * @property {Function} [onProgress] - Called with the progress of the job (0-1)
+ * @property {AbortSignal} [signal] - Cancels the job when aborted
+ * @property {string} [detectionMode] - One of DETECTION_MODES from the grid detection service
+ */
+
+/**
+ * @typedef {Object} GridDetectionJob
+ * @property {number} id - Job identifier sent to the worker
+ * @property {Blob} imageFile - Image to analyze
+ * @property {Function|undefined} onProgress - Progress callback
+ * @property {AbortSignal|undefined} signal - Cancellation signal
+ * @property {string|undefined} detectionMode - Detection mode passed to the worker
+ * @property {Function} resolve - Resolves the job promise
+ * @property {Function} reject - Rejects the job promise
+ */
+
+/**
+ * Create the error a cancelled job is rejected with.
+ * @returns {DOMException} AbortError
+ */
+function createAbortError() {
+    return new DOMException('Grid detection was cancelled', 'AbortError');
+}
+
+/**
+ * Client class that queues grid detection jobs for a shared worker.
+ */
+export class GridDetectionWorkerClient {
+    constructor() {
+        /** @type {Worker|null} The running worker, started on first use */
+        this.worker = null;
+
+        /** @type {GridDetectionJob[]} Jobs waiting for the worker */
+        this.queue = [];
+
+        /** @type {GridDetectionJob|null} Job currently running in the worker */
+        this.activeJob = null;
+
+        /** @type {number} Identifier of the next job */
+        this.nextJobId = 1;
+
+        /** @type {boolean} Set when the worker could not be started, so callers fall back to the main thread */
+        this.isUnavailable = false;
+    }
+
+    /**
+     * Check whether the browser provides the APIs the worker needs.
+     * @returns {boolean} True if module workers with OffscreenCanvas can be used
+     */
+    isSupported() {
+        return !this.isUnavailable
+            && typeof Worker === 'function'
+            && typeof OffscreenCanvas === 'function'
+            && typeof createImageBitmap === 'function';
+    }
+
+    /**
+     * Find grid candidates for an image in the worker.
+     *
+     * @param {Blob} imageFile - Image to analyze
+     * @param {GridDetectionJobOptions} [options] - Progress callback, cancellation signal and detection mode
+     * @returns {Promise<import('./grid-detection-service.js').GridCandidate[]>} Unranked grid candidates
+     * @throws {DOMException} AbortError if the job was cancelled
+     * @throws {Error} If the image cannot be analyzed or the worker is unavailable
+     *
+     * @example
+     * const controller = new AbortController();
+     * const candidates = await client.findGridCandidates(file, {
+     *   onProgress: (progress) => console.log(`${Math.round(progress * 100)}%`),
+     *   signal: controller.signal
+     * });
+     */
+    findGridCandidates(imageFile, { onProgress, signal, detectionMode } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(createAbortError());
+                return;
+            }
+
+            const job = { id: this.nextJobId++, imageFile, onProgress, signal, detectionMode, resolve, reject };
+            signal?.addEventListener('abort', () => this.cancelJob(job), { once: true });
+
+            this.queue.push(job);
+            this.processQueue();
+        });
+    }
+
+    /**
+     * Start the next queued job if the worker is idle.
+     */
+    async processQueue() {
+        if (this.activeJob || !this.queue.length) return;
+
+        const job = this.queue.shift();
+        this.activeJob = job;
+
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(job.imageFile);
+        } catch (error) {
+            this.finishJob(job, () => job.reject(error));
+            return;
+        }
+
+        // The job may have been cancelled while the image was decoding
+        if (this.activeJob !== job) {
+            bitmap.close();
+            return;
+        }
+
+        try {
+            this.ensureWorker().postMessage({ id: job.id, bitmap, detectionMode: job.detectionMode }, [bitmap]);
+        } catch (error) {
+            bitmap.close();
+            this.handleWorkerFailure(error);
+        }
+    }
+
+    /**
+     * Get the worker, starting it if needed.
+     * @returns {Worker} The worker
+     */
+    ensureWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(WORKER_URL, { type: 'module' });
+            this.worker.addEventListener('message', (event) => this.handleWorkerMessage(event.data));
+            this.worker.addEventListener('error', (event) => this.handleWorkerFailure(event));
+        }
+        return this.worker;
+    }
+
+    /**
+     * Handle progress, result and error messages from the worker.
+     * @param {{id: number, type: string, progress?: number, candidates?: Array, message?: string}} message - Worker message
+     */
+    handleWorkerMessage(message) {
+        const job = this.activeJob;
+        if (!job || message.id !== job.id) return;
+
+        if (message.type === 'progress') {
+            job.onProgress?.(message.progress);
+        } else if (message.type === 'result') {
+            this.finishJob(job, () => job.resolve(message.candidates));
+        } else if (message.type === 'error') {
+            this.finishJob(job, () => job.reject(new Error(message.message)));
+        }
+    }
+
+    /**
+     * Handle a worker that failed to load or crashed: reject all jobs and stop using workers.
+     * @param {ErrorEvent|Error} error - The failure
+     */
+    handleWorkerFailure(error) {
+        this.isUnavailable = true;
+        this.terminateWorker();
+
+        const failure = new Error(`Grid detection worker unavailable: ${error?.message || 'failed to start'}`);
+        const jobs = [this.activeJob, ...this.queue].filter(Boolean);
+        this.activeJob = null;
+        this.queue = [];
+        jobs.forEach(job => job.reject(failure));
+    }
+
+    /**
+     * Cancel a job. A queued job is dropped; the running job terminates the worker.
+     * @param {GridDetectionJob} job - The job to cancel
+     */
+    cancelJob(job) {
+        const queueIndex = this.queue.indexOf(job);
+        if (queueIndex >= 0) {
+            this.queue.splice(queueIndex, 1);
+            job.reject(createAbortError());
+            return;
+        }
+
+        if (this.activeJob === job) {
+            this.terminateWorker();
+            this.finishJob(job, () => job.reject(createAbortError()));
+        }
+    }
+
+    /**
+     * Settle the active job and continue with the next one.
+     * @param {GridDetectionJob} job - The finished job
+     * @param {Function} settle - Resolves or rejects the job
+     */
+    finishJob(job, settle) {
+        if (this.activeJob === job) {
+            this.activeJob = null;
+        }
+        settle();
+        this.processQueue();
+    }
+
+    /**
+     * Stop the worker; a new one is started for the next job.
+     */
+    terminateWorker() {
+        this.worker?.terminate();
+        this.worker = null;
+    }
+}
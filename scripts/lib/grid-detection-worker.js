@@ -0,0 +1,30 @@
+/**
+ * Grid Detection Worker
+ *
+ * Module worker entry point used by GridDetectionWorkerClient. Receives an ImageBitmap,
+ * scales it on an OffscreenCanvas and runs the grid detection pipeline off the main thread.
+ *
+ * Messages in:  { id, bitmap, detectionMode }
+ * Messages out: { id, type: 'progress', progress } | { id, type: 'result', candidates }
+ *               | { id, type: 'error', message }
+ *
+ * @module GridDetectionWorker
+ */
+
+import { GridDetectionService } from './grid-detection-service.js';
+
+const detector = new GridDetectionService();
+
+self.addEventListener('message', (event) => {
+    const { id, bitmap, detectionMode } = event.data;
+    const reportProgress = (progress) => self.postMessage({ id, type: 'progress', progress });
+
+    try {
+        const candidates = detector.analyzeImage(bitmap, reportProgress, { detectionMode });
+        bitmap.close();
+
+        self.postMessage({ id, type: 'result', candidates });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error?.message || String(error) });
+    }
+});
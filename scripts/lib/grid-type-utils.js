@@ -0,0 +1,152 @@
+/**
+ * Grid Type Utilities
+ *
+ * Helpers for Foundry grid types, with a focus on hexagonal grids.
+ * Maps grid type names used by other tools to Foundry's numeric grid types,
+ * converts hex sizes between flat-to-flat and point-to-point measurements,
+ * and computes hex cell dimensions.
+ *
+ * Foundry measures hex grid size flat-to-flat: the width of a pointy-top (row) hex
+ * and the height of a flat-top (column) hex.
+ *
+ * @module GridTypeUtils
+ */
+
+/**
+ * Foundry grid types (mirrors CONST.GRID_TYPES)
+ * @enum {number}
+ */
+export const GRID_TYPES = {
+    GRIDLESS: 0,
+    SQUARE: 1,
+    HEXODDR: 2,
+    HEXEVENR: 3,
+    HEXODDQ: 4,
+    HEXEVENQ: 5
+};
+
+/**
+ * How a hex grid size is measured
+ * @enum {string}
+ */
+export const HEX_SIZE_MEASUREMENTS = {
+    FLAT_TO_FLAT: 'flat-to-flat',
+    POINT_TO_POINT: 'point-to-point'
+};
+
+/** Ratio between a hexagon's flat-to-flat and point-to-point diameter (√3 / 2) */
+const FLAT_TO_POINT_RATIO = Math.sqrt(3) / 2;
+
+/** Grid type names that mean "no grid" */
+const GRIDLESS_NAMES = ['gridless', 'none', 'nogrid'];
+
+/** Grid type names that mean a square grid */
+const SQUARE_NAMES = ['square', 'squares'];
+
+/**
+ * Check whether a grid type is hexagonal.
+ *
+ * @param {number} gridType - Foundry grid type
+ * @returns {boolean} True for any of the four hex grid types
+ */
+export function isHexGridType(gridType) {
+    return gridType >= GRID_TYPES.HEXODDR && gridType <= GRID_TYPES.HEXEVENQ;
+}
+
+/**
+ * Check whether a grid type is a column (flat-top) hex grid.
+ *
+ * @param {number} gridType - Foundry grid type
+ * @returns {boolean} True for HEXODDQ and HEXEVENQ
+ */
+export function isHexColumnGridType(gridType) {
+    return gridType === GRID_TYPES.HEXODDQ || gridType === GRID_TYPES.HEXEVENQ;
+}
+
+/**
+ * Parse a grid type from a number or a name used by other tools.
+ * Accepts Foundry's numeric types as well as names such as "hexOddR", "hex-even-q",
+ * "hex columns", "pointy", "flat-top" or "gridless".
+ *
+ * @param {*} value - Raw grid type value
+ * @param {number} defaultType - Type returned when the value cannot be parsed
+ * @returns {number} Foundry grid type
+ *
+ * @example
+ * parseGridType('hexEvenQ', GRID_TYPES.SQUARE); // 5
+ * parseGridType(2, GRID_TYPES.SQUARE);          // 2
+ */
+export function parseGridType(value, defaultType) {
+    if (typeof value === 'number' || (typeof value === 'string' && /^\d+$/.test(value.trim()))) {
+        const numericType = Number(value);
+        return Number.isInteger(numericType) && numericType >= GRID_TYPES.GRIDLESS && numericType <= GRID_TYPES.HEXEVENQ
+            ? numericType
+            : defaultType;
+    }
+
+    if (typeof value !== 'string') {
+        return defaultType;
+    }
+
+    const key = value.toLowerCase().replace(/[^a-z]/g, '');
+
+    if (GRIDLESS_NAMES.includes(key)) {
+        return GRID_TYPES.GRIDLESS;
+    }
+    if (SQUARE_NAMES.includes(key)) {
+        return GRID_TYPES.SQUARE;
+    }
+
+    const isHexName = key.includes('hex') || key.includes('pointy') || key.includes('flat') || /^(odd|even)[rq]$/.test(key);
+    if (!isHexName) {
+        return defaultType;
+    }
+
+    // Columns are flat-top hexes ("q" in axial naming), rows are pointy-top ("r")
+    const isColumns = key.includes('col') || key.includes('flat') || key.endsWith('q');
+    const isEven = key.includes('even');
+
+    if (isColumns) {
+        return isEven ? GRID_TYPES.HEXEVENQ : GRID_TYPES.HEXODDQ;
+    }
+    return isEven ? GRID_TYPES.HEXEVENR : GRID_TYPES.HEXODDR;
+}
+
+/**
+ * Convert a hex size between flat-to-flat and point-to-point measurements.
+ *
+ * @param {number} size - The hex size to convert
+ * @param {string} fromMeasurement - Measurement of the input size (HEX_SIZE_MEASUREMENTS)
+ * @param {string} [toMeasurement=HEX_SIZE_MEASUREMENTS.FLAT_TO_FLAT] - Desired measurement
+ * @returns {number} The converted size
+ *
+ * @example
+ * // A hex that is 100px from point to point is ~86.6px from flat to flat
+ * convertHexSize(100, HEX_SIZE_MEASUREMENTS.POINT_TO_POINT); // 86.60...
+ */
+export function convertHexSize(size, fromMeasurement, toMeasurement = HEX_SIZE_MEASUREMENTS.FLAT_TO_FLAT) {
+    if (fromMeasurement === toMeasurement) {
+        return size;
+    }
+    if (fromMeasurement === HEX_SIZE_MEASUREMENTS.POINT_TO_POINT) {
+        return size * FLAT_TO_POINT_RATIO;
+    }
+    return size / FLAT_TO_POINT_RATIO;
+}
+
+/**
+ * Compute hex cell dimensions for a flat-to-flat size, matching Foundry's hex layout.
+ *
+ * @param {number} size - Flat-to-flat hex size in pixels
+ * @param {boolean} isColumns - True for flat-top (column) hexes
+ * @returns {{width: number, height: number, pitch: number}} Cell width and height, and the
+ *   distance between neighboring rows (row hexes) or columns (column hexes)
+ */
+export function getHexCellDimensions(size, isColumns) {
+    const pointToPoint = size / FLAT_TO_POINT_RATIO;
+
+    if (isColumns) {
+        return { width: pointToPoint, height: size, pitch: pointToPoint * 0.75 };
+    }
+    return { width: size, height: pointToPoint, pitch: pointToPoint * 0.75 };
+}
@@ -0,0 +1,261 @@
+/**
+ * Image Optimization Service
+ *
+ * Re-encodes background images before they are uploaded, so a 60 MB PNG does not have to
+ * be downloaded by every player. Images can be converted to WebP or AVIF at a chosen
+ * quality and downscaled to a maximum side length or to a target grid size in pixels.
+ *
+ * The optimized image keeps the aspect ratio of the original. The scale factors of the
+ * result are reported per axis, because the rounded pixel dimensions make them differ
+ * slightly; the scene geometry is rescaled with them so walls and lights stay on the art.
+ *
+ * Videos, animated GIFs and SVGs are uploaded unchanged. Browsers that cannot encode the
+ * requested format fall back to WebP, and a re-encoded image that is not smaller than the
+ * original is discarded unless it was downscaled.
+ *
+ * @module ImageOptimizationService
+ */
+
+/** Module identifier for console logging */
+const MODULE_LOG_PREFIX = 'Quick Battlemap Importer';
+
+/**
+ * Output formats for optimized images
+ * @enum {string}
+ */
+export const IMAGE_FORMATS = {
+    ORIGINAL: 'original',   // Keep the format of the dropped file
+    WEBP: 'webp',           // Re-encode as WebP
+    AVIF: 'avif'            // Re-encode as AVIF (falls back to WebP where unsupported)
+};
+
+/** MIME types and file extensions of the output formats */
+const FORMAT_TYPES = {
+    [IMAGE_FORMATS.WEBP]: { type: 'image/webp', extension: 'webp' },
+    [IMAGE_FORMATS.AVIF]: { type: 'image/avif', extension: 'avif' }
+};
+
+/** File types whose format can be kept when re-encoding, by MIME type; others become PNG */
+const REENCODABLE_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp'
+};
+
+/** File types that are never re-encoded (animation or vector data would be lost) */
+const SKIPPED_TYPES = ['image/gif', 'image/svg+xml'];
+
+/**
+ * @typedef {Object} ImageOptimizationOptions
+ * @property {string} format - One of IMAGE_FORMATS
+ * @property {number} quality - Encoder quality from 0 to 1 (ignored for PNG)
+ * @property {number} scale - Scale factor for both axes, at most 1
+ */
+
+/**
+ * @typedef {Object} ImageOptimizationResult
+ * @property {Object} mediaData - Media data to upload: the input, or a copy with the optimized file
+ * @property {boolean} isOptimized - Whether the optimized file replaces the original
+ * @property {boolean} isResized - Whether the image was downscaled
+ * @property {{width: number, height: number}} originalDimensions - Dimensions of the original image
+ * @property {{width: number, height: number}} dimensions - Dimensions of the uploaded image
+ * @property {number} scaleX - Uploaded width divided by original width
+ * @property {number} scaleY - Uploaded height divided by original height
+ * @property {number} originalSize - Size of the original file in bytes
+ * @property {number} size - Size of the uploaded file in bytes
+ * @property {string|null} type - MIME type of the uploaded file
+ */
+
+/**
+ * Service class that downscales and re-encodes background images before upload.
+ */
+export class ImageOptimizationService {
+
+    /**
+     * Compute the scale for an image from a maximum side length and a target grid size.
+     * The smaller of the two limits wins; images are never upscaled.
+     *
+     * @param {{width: number, height: number}} dimensions - Original image dimensions
+     * @param {Object} limits - Size limits
+     * @param {number} [limits.maxDimension] - Longest side in pixels (0 for no limit)
+     * @param {number} [limits.targetGridSize] - Grid size in pixels to scale to (0 to keep the grid size)
+     * @param {number|null} [limits.gridSize] - Grid size of the map at its original size, if known
+     * @returns {number} Scale factor between 0 and 1
+     *
+     * @example
+     * optimizer.computeScale({ width: 12000, height: 9000 }, { maxDimension: 8192 }); // ≈ 0.683
+     * optimizer.computeScale({ width: 7000, height: 7000 }, { targetGridSize: 100, gridSize: 140 }); // ≈ 0.714
+     */
+    computeScale(dimensions, { maxDimension = 0, targetGridSize = 0, gridSize = null } = {}) {
+        const longestSide = Math.max(Number(dimensions?.width) || 0, Number(dimensions?.height) || 0);
+        let scale = 1;
+
+        if (maxDimension > 0 && longestSide > maxDimension) {
+            scale = Math.min(scale, maxDimension / longestSide);
+        }
+        if (targetGridSize > 0 && gridSize > targetGridSize) {
+            scale = Math.min(scale, targetGridSize / gridSize);
+        }
+        return scale;
+    }
+
+    /**
+     * Downscale and re-encode a background image. Media that is not optimized is returned
+     * unchanged with a scale of 1.
+     *
+     * @param {Object} mediaData - Media data with file, filename and isVideo flag
+     * @param {{width: number, height: number}} dimensions - Dimensions of the original image
+     * @param {ImageOptimizationOptions} options - Output format, quality and scale
+     * @returns {Promise<ImageOptimizationResult>} The media to upload and what was done to it
+     *
+     * @example
+     * const result = await optimizer.optimizeImage(backgroundMediaData, { width: 12000, height: 9000 }, {
+     *   format: IMAGE_FORMATS.WEBP, quality: 0.85, scale: 0.5
+     * });
+     * // result.dimensions → { width: 6000, height: 4500 }, result.mediaData.file.type → 'image/webp'
+     */
+    async optimizeImage(mediaData, dimensions, { format, quality, scale }) {
+        const unchanged = this.buildUnchangedResult(mediaData, dimensions);
+        const file = mediaData?.file;
+        const hasDimensions = dimensions?.width > 0 && dimensions?.height > 0;
+        if (!file || mediaData.isVideo || !hasDimensions || SKIPPED_TYPES.includes(file.type)) {
+            return unchanged;
+        }
+
+        const isResized = scale < 1;
+        const output = this.resolveOutputFormat(format, file.type);
+        if (!isResized && format === IMAGE_FORMATS.ORIGINAL) {
+            return unchanged;
+        }
+
+        try {
+            const width = Math.max(1, Math.round(dimensions.width * Math.min(1, scale)));
+            const height = Math.max(1, Math.round(dimensions.height * Math.min(1, scale)));
+            const canvas = await this.drawScaledImage(file, width, height);
+
+            let blob = await this.encodeCanvas(canvas, output.type, quality);
+            let extension = output.extension;
+            if (blob?.type !== output.type && output.type !== FORMAT_TYPES[IMAGE_FORMATS.WEBP].type) {
+                // The browser cannot encode this format (e.g. AVIF) and returned a PNG
+                ({ type: output.type, extension } = FORMAT_TYPES[IMAGE_FORMATS.WEBP]);
+                blob = await this.encodeCanvas(canvas, output.type, quality);
+            }
+            if (!blob || blob.type !== output.type) {
+                console.warn(`${MODULE_LOG_PREFIX} | This browser cannot encode ${output.type}; uploading the original image`);
+                return unchanged;
+            }
+            if (!isResized && blob.size >= file.size) {
+                return unchanged;
+            }
+
+            const optimizedFile = new File([blob], this.replaceExtension(file.name, extension), {
+                type: blob.type,
+                lastModified: file.lastModified
+            });
+
+            return {
+                ...unchanged,
+                mediaData: { ...mediaData, file: optimizedFile },
+                isOptimized: true,
+                isResized,
+                dimensions: { width, height },
+                scaleX: width / dimensions.width,
+                scaleY: height / dimensions.height,
+                size: optimizedFile.size,
+                type: optimizedFile.type
+            };
+        } catch (error) {
+            console.warn(`${MODULE_LOG_PREFIX} | Image optimization failed; uploading the original image:`, error);
+            return unchanged;
+        }
+    }
+
+    /**
+     * Build the result for media that is uploaded as it is.
+     *
+     * @param {Object} mediaData - Media data
+     * @param {{width: number, height: number}} dimensions - Media dimensions
+     * @returns {ImageOptimizationResult} Result with a scale of 1
+     */
+    buildUnchangedResult(mediaData, dimensions) {
+        const size = mediaData?.file?.size ?? 0;
+        return {
+            mediaData,
+            isOptimized: false,
+            isResized: false,
+            originalDimensions: dimensions,
+            dimensions,
+            scaleX: 1,
+            scaleY: 1,
+            originalSize: size,
+            size,
+            type: mediaData?.file?.type || null
+        };
+    }
+
+    /**
+     * Get the MIME type and extension to encode to.
+     *
+     * @param {string} format - One of IMAGE_FORMATS
+     * @param {string} originalType - MIME type of the original file
+     * @returns {{type: string, extension: string}} Output type
+     */
+    resolveOutputFormat(format, originalType) {
+        if (FORMAT_TYPES[format]) {
+            return { ...FORMAT_TYPES[format] };
+        }
+
+        const extension = REENCODABLE_TYPES[originalType];
+        return extension ? { type: originalType, extension } : { type: 'image/png', extension: 'png' };
+    }
+
+    /**
+     * Decode an image file and draw it onto a canvas of the given size.
+     *
+     * @param {File} file - Image file
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {Promise<HTMLCanvasElement>} Canvas with the scaled image
+     */
+    async drawScaledImage(file, width, height) {
+        const bitmap = await createImageBitmap(file);
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = height;
+
+            const context = canvas.getContext('2d');
+            context.imageSmoothingEnabled = true;
+            context.imageSmoothingQuality = 'high';
+            context.drawImage(bitmap, 0, 0, width, height);
+            return canvas;
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    /**
+     * Encode a canvas as an image file.
+     *
+     * @param {HTMLCanvasElement} canvas - Canvas to encode
+     * @param {string} type - Requested MIME type
+     * @param {number} quality - Encoder quality from 0 to 1
+     * @returns {Promise<Blob|null>} Encoded image; its type is PNG if the browser cannot encode the requested type
+     */
+    encodeCanvas(canvas, type, quality) {
+        return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    }
+
+    /**
+     * Replace the extension of a file name.
+     *
+     * @param {string} filename - Original file name
+     * @param {string} extension - New extension without the dot
+     * @returns {string} File name with the new extension
+     */
+    replaceExtension(filename, extension) {
+        const name = String(filename || 'map');
+        const extensionIndex = name.lastIndexOf('.');
+        return `${extensionIndex > 0 ? name.slice(0, extensionIndex) : name}.${extension}`;
+    }
+}
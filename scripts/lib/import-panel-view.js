@@ -8,6 +8,8 @@
  * @module ImportPanelView
  */
 
+import { GRID_TYPES, getHexCellDimensions, isHexColumnGridType, isHexGridType } from './grid-type-utils.js';
+
 /**
  * @typedef {Object} PanelCallbacks
  * @property {Function} onCreateSceneRequested - Called when user clicks "Create Scene"
@@ -15,6 +17,9 @@
  * @property {Function} onCloseRequested - Called when user clicks close button
  * @property {Function} onFilesDropped - Called when files are dropped on the panel
  * @property {Function} onNoGridPreferenceChanged - Called when no-grid checkbox changes
+ * @property {Function} onAutoCloseGapsChanged - Called when the wall gap auto-close checkbox changes
+ * @property {Function} onGridCandidateSelected - Called with the index of the grid candidate the user picked
+ * @property {Function} onGridCalibrationRequested - Called when user clicks "Calibrate grid"
  */
 
 /** CSS selectors for frequently accessed elements */
@@ -31,7 +36,42 @@ const PANEL_SELECTORS = {
     FLOOR_LIST: '.qbi-floor-list',
     FLOOR_ITEM: '.qbi-floor-item',
     FILE_MATCH_DIALOG: '.qbi-file-match-dialog',
-    UNMATCHED_FILES: '.qbi-unmatched-files'
+    UNMATCHED_FILES: '.qbi-unmatched-files',
+    FORMAT_INFO: '.qbi-format-info',
+    FORMAT_VALUE: '.qbi-format-value',
+    IMPORT_NOTICES: '.qbi-import-notices',
+    GAP_REPORT: '.qbi-gap-report',
+    GAP_REPORT_TITLE: '.qbi-gap-report-title',
+    GAP_REPORT_LIST: '.qbi-gap-report-list',
+    GAP_AUTO_CLOSE_CHECKBOX: 'input.qbi-gap-auto-close',
+    GRID_CANDIDATES: '.qbi-grid-candidates',
+    GRID_CANDIDATE_LIST: '.qbi-grid-candidate-list',
+    CALIBRATE_GRID_BUTTON: '.qbi-calibrate-grid-button'
+};
+
+/** Number of detected grid candidates offered in the panel */
+const MAX_SHOWN_GRID_CANDIDATES = 3;
+
+/** Size of the grid candidate thumbnails in pixels */
+const GRID_THUMBNAIL_SIZE = 120;
+
+/** Number of cells of a candidate shown across its thumbnail */
+const GRID_THUMBNAIL_CELLS = 4;
+
+/** Maximum number of wall gap locations listed in the panel */
+const MAX_LISTED_WALL_GAPS = 10;
+
+/** Localization keys for the wall gap types */
+const WALL_GAP_LABEL_KEYS = {
+    'endpoint-gap': 'QUICKBATTLEMAP.WallGapEndpoint',
+    't-junction': 'QUICKBATTLEMAP.WallGapTJunction',
+    'door-gap': 'QUICKBATTLEMAP.WallGapDoor'
+};
+
+/** Font Awesome icons for import notice levels */
+const NOTICE_ICONS = {
+    info: 'fa-info-circle',
+    warning: 'fa-exclamation-triangle'
 };
 
 /** LocalStorage key for persisting no-grid preference */
@@ -64,6 +104,12 @@ export class ImportPanelView {
         /** @type {Function|null} */
         this.onNoGridPreferenceChanged = null;
         /** @type {Function|null} */
+        this.onAutoCloseGapsChanged = null;
+        /** @type {Function|null} */
+        this.onGridCandidateSelected = null;
+        /** @type {Function|null} */
+        this.onGridCalibrationRequested = null;
+        /** @type {Function|null} */
         this.onFloorOrderChanged = null;
         /** @type {Function|null} */
         this.onFloorRemoved = null;
@@ -95,6 +141,7 @@ export class ImportPanelView {
         // Set up event listeners
         this.attachButtonEventListeners();
         this.attachNoGridCheckboxListener();
+        this.attachGapAutoCloseListener();
         this.attachDragHandlers();
         this.attachDropZoneHandlers();
 
@@ -157,7 +204,7 @@ export class ImportPanelView {
                         <div class="qbi-dropzone-inner">
                             <i class="fas fa-cloud-upload-alt qbi-dropzone-icon"></i>
                             <span class="qbi-dropzone-text">Drop files here</span>
-                            <span class="qbi-dropzone-hint">Images & JSON supported</span>
+                            <span class="qbi-dropzone-hint">Images, JSON & Universal VTT supported</span>
                         </div>
                     </div>
                     
@@ -178,6 +225,40 @@ export class ImportPanelView {
                         </div>
                     </div>
                     
+                    <div class="qbi-format-info" style="display: none;">
+                        <i class="fas fa-file-import"></i>
+                        <span class="qbi-format-label">${i18n('QUICKBATTLEMAP.DetectedFormat')}</span>
+                        <span class="qbi-format-value"></span>
+                    </div>
+
+                    <div class="qbi-import-notices"></div>
+
+                    <div class="qbi-gap-report" style="display: none;">
+                        <div class="qbi-gap-report-header">
+                            <i class="fas fa-exclamation-triangle"></i>
+                            <span class="qbi-gap-report-title"></span>
+                        </div>
+                        <ul class="qbi-gap-report-list"></ul>
+                        <label class="qbi-checkbox">
+                            <input type="checkbox" class="qbi-gap-auto-close qbi-checkbox-input" />
+                            <span class="qbi-checkbox-mark"></span>
+                            <span class="qbi-checkbox-label">${i18n('QUICKBATTLEMAP.WallGapAutoClose')}</span>
+                        </label>
+                    </div>
+
+                    <div class="qbi-grid-candidates" style="display: none;">
+                        <div class="qbi-grid-candidates-header">
+                            <i class="fas fa-border-all"></i>
+                            <span>${i18n('QUICKBATTLEMAP.GridCandidatesTitle')}</span>
+                        </div>
+                        <div class="qbi-grid-candidate-list"></div>
+                    </div>
+
+                    <button type="button" class="qbi-btn qbi-btn-secondary qbi-calibrate-grid-button" style="display: none;">
+                        <i class="fas fa-ruler-combined"></i>
+                        <span>${i18n('QUICKBATTLEMAP.CalibrateGrid')}</span>
+                    </button>
+                    
                     <div class="qbi-options">
                         <label class="qbi-checkbox">
                             <input type="checkbox" class="ebm-no-grid qbi-checkbox-input" />
@@ -223,6 +304,7 @@ export class ImportPanelView {
         const createButton = panel.querySelector(PANEL_SELECTORS.CREATE_BUTTON);
         const resetButton = panel.querySelector(PANEL_SELECTORS.RESET_BUTTON);
         const closeButton = panel.querySelector(PANEL_SELECTORS.CLOSE_BUTTON);
+        const calibrateButton = panel.querySelector(PANEL_SELECTORS.CALIBRATE_GRID_BUTTON);
         
         createButton?.addEventListener('click', () => {
             this.onCreateSceneRequested?.();
@@ -235,6 +317,10 @@ export class ImportPanelView {
         closeButton?.addEventListener('click', () => {
             this.onCloseRequested?.();
         });
+
+        calibrateButton?.addEventListener('click', () => {
+            this.onGridCalibrationRequested?.();
+        });
     }
 
     /**
@@ -260,6 +346,17 @@ export class ImportPanelView {
         }
     }
 
+    /**
+     * Attach change listener to the wall gap auto-close checkbox.
+     */
+    attachGapAutoCloseListener() {
+        const checkbox = this.getPanelElement()?.querySelector(PANEL_SELECTORS.GAP_AUTO_CLOSE_CHECKBOX);
+
+        checkbox?.addEventListener('change', (event) => {
+            this.onAutoCloseGapsChanged?.(!!event.currentTarget.checked);
+        });
+    }
+
     /**
      * Attach drag event handlers to make the panel header draggable.
      */
@@ -447,6 +544,317 @@ export class ImportPanelView {
         }
     }
 
+    /**
+     * Show the detected source format of the imported JSON data.
+     * @param {{label: string, confidence: number}|null} detectedFormat - The detected format, or null to hide
+     */
+    updateDetectedFormat(detectedFormat) {
+        const formatInfo = document.querySelector(`${PANEL_SELECTORS.PANEL_ROOT} ${PANEL_SELECTORS.FORMAT_INFO}`);
+        const formatValue = formatInfo?.querySelector(PANEL_SELECTORS.FORMAT_VALUE);
+
+        if (!formatInfo || !formatValue) return;
+
+        if (!detectedFormat) {
+            formatInfo.style.display = 'none';
+            formatValue.textContent = '';
+            return;
+        }
+
+        formatValue.textContent = this.formatDetectedFormatText(detectedFormat);
+        formatInfo.style.display = '';
+    }
+
+    /**
+     * Build the display text for a detected format, including its confidence.
+     * @param {{label: string, confidence: number}} detectedFormat - The detected format
+     * @returns {string} Display text such as "Universal VTT (100%)"
+     */
+    formatDetectedFormatText(detectedFormat) {
+        const confidenceText = detectedFormat.confidence > 0
+            ? `${Math.round(detectedFormat.confidence * 100)}%`
+            : game.i18n.localize('QUICKBATTLEMAP.FormatFallback');
+        return `${detectedFormat.label} (${confidenceText})`;
+    }
+
+    /**
+     * Show, replace or remove an import notice (e.g. geometry rescaling or cleanup reports).
+     * Each notice id holds at most one notice.
+     * @param {string} noticeId - Identifier of the notice
+     * @param {{text: string, level?: 'info'|'warning'}|null} notice - The notice to show, or null to remove it
+     */
+    updateImportNotice(noticeId, notice) {
+        const noticeList = document.querySelector(`${PANEL_SELECTORS.PANEL_ROOT} ${PANEL_SELECTORS.IMPORT_NOTICES}`);
+        if (!noticeList) return;
+
+        const existingNotice = noticeList.querySelector(`[data-notice-id="${noticeId}"]`);
+        if (!notice) {
+            existingNotice?.remove();
+            return;
+        }
+
+        const level = notice.level === 'warning' ? 'warning' : 'info';
+        const noticeElement = existingNotice || document.createElement('div');
+        noticeElement.className = 'qbi-import-notice';
+        noticeElement.dataset.noticeId = noticeId;
+        noticeElement.dataset.level = level;
+        noticeElement.innerHTML = `<i class="fas ${NOTICE_ICONS[level]}"></i><span class="qbi-import-notice-text"></span>`;
+        noticeElement.querySelector('.qbi-import-notice-text').textContent = notice.text;
+
+        if (!existingNotice) {
+            noticeList.appendChild(noticeElement);
+        }
+    }
+
+    /**
+     * Show the wall gap report listing possible light leaks, or hide it when there are none.
+     * @param {import('./wall-gap-analyzer.js').WallGapReport|null} report - The wall gap report
+     * @param {boolean} isAutoCloseEnabled - Whether gaps will be closed automatically
+     */
+    updateWallGapReport(report, isAutoCloseEnabled) {
+        const reportElement = document.querySelector(`${PANEL_SELECTORS.PANEL_ROOT} ${PANEL_SELECTORS.GAP_REPORT}`);
+        if (!reportElement) return;
+
+        if (!report?.issues?.length) {
+            reportElement.style.display = 'none';
+            return;
+        }
+
+        const closableCount = report.issues.filter(issue => issue.target).length;
+        let titleText = game.i18n.format('QUICKBATTLEMAP.WallGapReportTitle', {
+            count: report.issues.length,
+            tolerance: report.tolerance
+        });
+        if (isAutoCloseEnabled && closableCount) {
+            titleText += ` ${game.i18n.format('QUICKBATTLEMAP.WallGapReportClosing', { count: closableCount })}`;
+        }
+        reportElement.querySelector(PANEL_SELECTORS.GAP_REPORT_TITLE).textContent = titleText;
+
+        const list = reportElement.querySelector(PANEL_SELECTORS.GAP_REPORT_LIST);
+        list.innerHTML = '';
+        for (const issue of report.issues.slice(0, MAX_LISTED_WALL_GAPS)) {
+            const item = document.createElement('li');
+            const distanceText = issue.distance !== null ? ` (${Math.round(issue.distance * 10) / 10}px)` : '';
+            item.textContent = `${game.i18n.localize(WALL_GAP_LABEL_KEYS[issue.type])} @ ${Math.round(issue.x)}, ${Math.round(issue.y)}${distanceText}`;
+            list.appendChild(item);
+        }
+        if (report.issues.length > MAX_LISTED_WALL_GAPS) {
+            const moreItem = document.createElement('li');
+            moreItem.className = 'qbi-gap-report-more';
+            moreItem.textContent = game.i18n.format('QUICKBATTLEMAP.WallGapReportMore', {
+                count: report.issues.length - MAX_LISTED_WALL_GAPS
+            });
+            list.appendChild(moreItem);
+        }
+
+        const checkbox = reportElement.querySelector(PANEL_SELECTORS.GAP_AUTO_CLOSE_CHECKBOX);
+        if (checkbox) {
+            checkbox.checked = !!isAutoCloseEnabled;
+            checkbox.disabled = closableCount === 0;
+        }
+
+        reportElement.style.display = '';
+    }
+
+    /**
+     * Show the best grid detection candidates as grid overlays on thumbnails of the image,
+     * or hide them when there are none. Each thumbnail shows a few cells around the image center.
+     * @param {string|null} imageUrl - URL of the analyzed image
+     * @param {import('./grid-detection-service.js').GridCandidate[]|null} candidates - Ranked grid candidates
+     * @param {number} [selectedIndex=0] - Index of the candidate currently applied
+     */
+    async updateGridCandidates(imageUrl, candidates, selectedIndex = 0) {
+        const container = document.querySelector(`${PANEL_SELECTORS.PANEL_ROOT} ${PANEL_SELECTORS.GRID_CANDIDATES}`);
+        if (!container) return;
+
+        const list = container.querySelector(PANEL_SELECTORS.GRID_CANDIDATE_LIST);
+        list.innerHTML = '';
+
+        if (!imageUrl || !candidates || candidates.length < 2) {
+            container.style.display = 'none';
+            return;
+        }
+
+        let image;
+        try {
+            image = await this.loadThumbnailImage(imageUrl);
+        } catch (_error) {
+            container.style.display = 'none';
+            return;
+        }
+
+        candidates.slice(0, MAX_SHOWN_GRID_CANDIDATES).forEach((candidate, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'qbi-grid-candidate';
+            button.classList.toggle('qbi-grid-candidate-selected', index === selectedIndex);
+            button.title = this.describeGridCandidateAxes(candidate);
+
+            const canvas = document.createElement('canvas');
+            canvas.width = GRID_THUMBNAIL_SIZE;
+            canvas.height = GRID_THUMBNAIL_SIZE;
+            this.drawGridCandidateThumbnail(canvas, image, candidate);
+
+            const label = document.createElement('span');
+            label.className = 'qbi-grid-candidate-label';
+            label.textContent = game.i18n.format('QUICKBATTLEMAP.GridCandidateLabel', {
+                size: Math.round(candidate.gridSize * 100) / 100,
+                type: game.i18n.localize(this.getGridTypeLabelKey(candidate.gridType)),
+                confidence: Math.round((candidate.confidence ?? 0) * 100)
+            });
+
+            button.append(canvas, label);
+            button.addEventListener('click', () => {
+                list.querySelectorAll('.qbi-grid-candidate').forEach(element => element.classList.remove('qbi-grid-candidate-selected'));
+                button.classList.add('qbi-grid-candidate-selected');
+                this.onGridCandidateSelected?.(index);
+            });
+            list.appendChild(button);
+        });
+
+        container.style.display = '';
+    }
+
+    /**
+     * Show or hide the "Calibrate grid" button.
+     * @param {boolean} isAvailable - Whether a background image without imported grid data is loaded
+     */
+    setGridCalibrationAvailable(isAvailable) {
+        const button = document.querySelector(`${PANEL_SELECTORS.PANEL_ROOT} ${PANEL_SELECTORS.CALIBRATE_GRID_BUTTON}`);
+        if (button) {
+            button.style.display = isAvailable ? '' : 'none';
+        }
+    }
+
+    /**
+     * Load an image for drawing thumbnails.
+     * @param {string} imageUrl - Image URL (data or blob URL)
+     * @returns {Promise<HTMLImageElement>} The loaded image
+     */
+    loadThumbnailImage(imageUrl) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = reject;
+            image.src = imageUrl;
+        });
+    }
+
+    /**
+     * Draw a crop of the image around its center with the candidate grid on top.
+     * @param {HTMLCanvasElement} canvas - Thumbnail canvas
+     * @param {HTMLImageElement} image - The analyzed image
+     * @param {import('./grid-detection-service.js').GridCandidate} candidate - Grid candidate to draw
+     */
+    drawGridCandidateThumbnail(canvas, image, candidate) {
+        const context = canvas.getContext('2d');
+        const cropSize = Math.min(candidate.gridSize * GRID_THUMBNAIL_CELLS, image.naturalWidth, image.naturalHeight);
+        const cropX = (image.naturalWidth - cropSize) / 2;
+        const cropY = (image.naturalHeight - cropSize) / 2;
+        const scale = canvas.width / cropSize;
+
+        context.drawImage(image, cropX, cropY, cropSize, cropSize, 0, 0, canvas.width, canvas.height);
+        context.strokeStyle = 'rgba(255, 64, 160, 0.9)';
+        context.lineWidth = 1.5;
+        context.beginPath();
+
+        const toCanvas = (x, y) => [(x - cropX) * scale, (y - cropY) * scale];
+        if (isHexGridType(candidate.gridType)) {
+            this.traceHexGrid(context, candidate, cropX, cropY, cropSize, toCanvas);
+        } else {
+            const firstX = cropX + ((candidate.xOffset - cropX) % candidate.gridSize) - candidate.gridSize;
+            const firstY = cropY + ((candidate.yOffset - cropY) % candidate.gridSize) - candidate.gridSize;
+            for (let x = firstX; x <= cropX + cropSize; x += candidate.gridSize) {
+                context.moveTo(...toCanvas(x, cropY));
+                context.lineTo(...toCanvas(x, cropY + cropSize));
+            }
+            for (let y = firstY; y <= cropY + cropSize; y += candidate.gridSize) {
+                context.moveTo(...toCanvas(cropX, y));
+                context.lineTo(...toCanvas(cropX + cropSize, y));
+            }
+        }
+
+        context.stroke();
+    }
+
+    /**
+     * Add the outlines of the hexes that overlap the crop to the current canvas path.
+     * The offset is the top-left corner of the first unshifted row (or column).
+     * @param {CanvasRenderingContext2D} context - Canvas context
+     * @param {import('./grid-detection-service.js').GridCandidate} candidate - Hex grid candidate
+     * @param {number} cropX - Left edge of the crop in image pixels
+     * @param {number} cropY - Top edge of the crop in image pixels
+     * @param {number} cropSize - Crop size in image pixels
+     * @param {Function} toCanvas - Converts image coordinates to canvas coordinates
+     */
+    traceHexGrid(context, candidate, cropX, cropY, cropSize, toCanvas) {
+        const isColumns = isHexColumnGridType(candidate.gridType);
+        const isEven = candidate.gridType === GRID_TYPES.HEXEVENR || candidate.gridType === GRID_TYPES.HEXEVENQ;
+        const size = candidate.gridSize;
+        const hexLength = isColumns ? getHexCellDimensions(size, true).width : getHexCellDimensions(size, false).height;
+        const pitch = hexLength * 0.75;
+
+        // "Across" runs along the flat-to-flat size, "band" along the rows (or columns)
+        const acrossOffset = isColumns ? candidate.yOffset : candidate.xOffset;
+        const bandOffset = isColumns ? candidate.xOffset : candidate.yOffset;
+        const acrossStart = isColumns ? cropY : cropX;
+        const bandStart = isColumns ? cropX : cropY;
+        const firstBand = Math.floor((bandStart - bandOffset) / pitch) - 1;
+        const firstCell = Math.floor((acrossStart - acrossOffset) / size) - 1;
+        const toPoint = (across, band) => isColumns ? toCanvas(band, across) : toCanvas(across, band);
+
+        for (let band = firstBand; bandOffset + band * pitch < bandStart + cropSize; band++) {
+            const isShifted = isEven ? band % 2 === 0 : Math.abs(band % 2) === 1;
+            const top = bandOffset + band * pitch;
+
+            for (let cell = firstCell; acrossOffset + cell * size < acrossStart + cropSize; cell++) {
+                const left = acrossOffset + cell * size + (isShifted ? size / 2 : 0);
+                const vertices = [
+                    [left + size / 2, top], [left + size, top + hexLength / 4], [left + size, top + hexLength * 0.75],
+                    [left + size / 2, top + hexLength], [left, top + hexLength * 0.75], [left, top + hexLength / 4]
+                ];
+                context.moveTo(...toPoint(...vertices[5]));
+                for (const vertex of vertices) {
+                    context.lineTo(...toPoint(...vertex));
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the localization key naming a grid type.
+     * @param {number} gridType - Foundry grid type
+     * @returns {string} Localization key
+     */
+    getGridTypeLabelKey(gridType) {
+        if (!isHexGridType(gridType)) return 'QUICKBATTLEMAP.GridTypeSquare';
+        return isHexColumnGridType(gridType) ? 'QUICKBATTLEMAP.GridTypeHexColumns' : 'QUICKBATTLEMAP.GridTypeHexRows';
+    }
+
+    /**
+     * Describe how well both image axes support a grid candidate (used as tooltip).
+     * @param {import('./grid-detection-service.js').GridCandidate} candidate - Grid candidate
+     * @returns {string} Tooltip text
+     */
+    describeGridCandidateAxes(candidate) {
+        if (!candidate.axes) return '';
+        const percent = (value) => value === null ? '-' : `${Math.round(Math.max(0, value) * 100)}%`;
+        return game.i18n.format('QUICKBATTLEMAP.GridCandidateAxes', {
+            x: percent(candidate.axes.x),
+            y: percent(candidate.axes.y),
+            agreement: percent(candidate.axes.agreement)
+        });
+    }
+
+    /**
+     * Remove all import notices.
+     */
+    clearImportNotices() {
+        const noticeList = document.querySelector(`${PANEL_SELECTORS.PANEL_ROOT} ${PANEL_SELECTORS.IMPORT_NOTICES}`);
+        if (noticeList) {
+            noticeList.innerHTML = '';
+        }
+    }
+
     /**
      * Show the progress/busy indicator with a message.
      * @param {string} statusMessage - Message to display
@@ -491,6 +899,11 @@ export class ImportPanelView {
     resetAllStatuses(persistedNoGridValue) {
         this.updateBackgroundMediaStatus(false, '');
         this.updateWallDataStatus(false, '');
+        this.updateDetectedFormat(null);
+        this.clearImportNotices();
+        this.updateWallGapReport(null, false);
+        this.updateGridCandidates(null, null);
+        this.setGridCalibrationAvailable(false);
         this.setCreateButtonEnabled(false);
 
         // Hide and reset progress indicator
@@ -572,6 +985,7 @@ export class ImportPanelView {
                     <div class="qbi-floor-json ${floor.jsonFile ? 'has-json' : 'no-json'}">
                         <i class="fas ${floor.jsonFile ? 'fa-check-circle' : 'fa-times-circle'}"></i>
                         <span>${floor.jsonFile ? this.truncateFilename(floor.jsonFile.name) : i18n('QUICKBATTLEMAP.NoJson')}</span>
+                        ${floor.detectedFormat ? `<span class="qbi-floor-format">${this.formatDetectedFormatText(floor.detectedFormat)}</span>` : ''}
                     </div>
                 </div>
                 <div class="qbi-floor-actions">
@@ -0,0 +1,88 @@
+/**
+ * Light Preset Editor
+ *
+ * Settings menu form for editing the light preset library as JSON.
+ * Opened from the module settings; the presets are validated before they are saved.
+ *
+ * @module LightPresetEditor
+ */
+
+import { DEFAULT_LIGHT_PRESETS, parseLightPresets } from './light-preset-library.js';
+import { getLightPresetsText, saveLightPresets } from './module-settings.js';
+
+/**
+ * Form application with a JSON text area for the light preset library.
+ */
+export class LightPresetEditor extends FormApplication {
+    /** @override */
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'qbi-light-preset-editor',
+            classes: ['qbi-light-preset-editor'],
+            width: 600,
+            height: 'auto',
+            closeOnSubmit: true,
+            submitOnClose: false
+        });
+    }
+
+    /** @override */
+    get title() {
+        return game.i18n.localize('QUICKBATTLEMAP.LightPresetEditorTitle');
+    }
+
+    /**
+     * Build the form markup. The JSON text is filled in by activateListeners.
+     * @override
+     * @returns {Promise<jQuery>} The inner form HTML
+     */
+    async _renderInner() {
+        const i18n = (key) => game.i18n.localize(key);
+
+        return $(`
+            <form class="qbi-light-preset-form" autocomplete="off">
+                <p class="notes">${i18n('QUICKBATTLEMAP.LightPresetEditorHint')}</p>
+                <textarea name="presets" rows="22" spellcheck="false"></textarea>
+                <footer class="sheet-footer flexrow">
+                    <button type="button" class="qbi-light-preset-reset">
+                        <i class="fas fa-undo"></i> ${i18n('QUICKBATTLEMAP.LightPresetEditorReset')}
+                    </button>
+                    <button type="submit">
+                        <i class="fas fa-save"></i> ${i18n('QUICKBATTLEMAP.LightPresetEditorSave')}
+                    </button>
+                </footer>
+            </form>
+        `);
+    }
+
+    /**
+     * Fill in the current presets and wire up the reset button.
+     * @override
+     * @param {jQuery} html - The rendered form
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        const textArea = html.find('textarea[name="presets"]')[0];
+        textArea.value = getLightPresetsText();
+
+        html.find('.qbi-light-preset-reset').on('click', () => {
+            textArea.value = JSON.stringify(DEFAULT_LIGHT_PRESETS, null, 2);
+        });
+    }
+
+    /**
+     * Validate and save the edited presets. Invalid JSON keeps the form open.
+     * @override
+     * @param {Event} _event - The submit event (unused)
+     * @param {{presets: string}} formData - Submitted form data
+     */
+    async _updateObject(_event, formData) {
+        try {
+            await saveLightPresets(parseLightPresets(formData.presets));
+        } catch (error) {
+            ui.notifications.error(game.i18n.format('QUICKBATTLEMAP.LightPresetsInvalid', { error: error.message }));
+            throw error;
+        }
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * Light Preset Library
+ *
+ * Maps light names and tags from imported data (e.g. "torch", "brazier", "magic crystal")
+ * to complete Foundry light configurations. Many exports only provide a position, a color
+ * and a name, so a matching preset fills in the radius, animation and color that the
+ * source left out. Values the source does specify always win over the preset.
+ *
+ * Preset radii are given in grid cells, the unit the format adapters return light radii
+ * in, so they are used as they are and mix with imported radii.
+ * The library is edited by users through the module settings.
+ *
+ * @module LightPresetLibrary
+ */
+
+/**
+ * @typedef {Object} LightPreset
+ * @property {string} id - Unique preset identifier
+ * @property {string[]} patterns - Case-insensitive words or phrases to match; `*` matches any word characters
+ * @property {Object} config - Foundry light config; `bright` and `dim` are in grid cells
+ */
+
+/** Built-in presets shipped with the module */
+export const DEFAULT_LIGHT_PRESETS = [
+    {
+        id: 'torch',
+        patterns: ['torch*', 'sconce*'],
+        config: {
+            bright: 4,
+            dim: 8,
+            color: '#ff9329',
+            alpha: 0.4,
+            animation: { type: 'torch', speed: 3, intensity: 5 }
+        }
+    },
+    {
+        id: 'brazier',
+        patterns: ['brazier*', 'campfire*', 'bonfire*', 'fire pit*', 'firepit*', 'fireplace*', 'hearth*'],
+        config: {
+            bright: 4,
+            dim: 8,
+            color: '#ff7a1a',
+            alpha: 0.45,
+            animation: { type: 'flame', speed: 4, intensity: 5 }
+        }
+    },
+    {
+        id: 'candle',
+        patterns: ['candle*', 'candelabr*'],
+        config: {
+            bright: 1,
+            dim: 2,
+            color: '#ffc56e',
+            alpha: 0.3,
+            animation: { type: 'torch', speed: 2, intensity: 2 }
+        }
+    },
+    {
+        id: 'lantern',
+        patterns: ['lantern*', 'lamp*'],
+        config: {
+            bright: 6,
+            dim: 12,
+            color: '#ffb35c',
+            alpha: 0.35,
+            animation: { type: 'torch', speed: 1, intensity: 1 }
+        }
+    },
+    {
+        id: 'magic-crystal',
+        patterns: ['crystal*', 'magic*', 'arcane', 'glowstone*', 'rune*'],
+        config: {
+            bright: 2,
+            dim: 4,
+            color: '#7ab8ff',
+            alpha: 0.5,
+            coloration: 2,
+            animation: { type: 'pulse', speed: 2, intensity: 3 }
+        }
+    }
+];
+
+/** Light fields that may hold a name, type or tag to match presets against */
+const DESCRIPTOR_FIELDS = ['name', 'label', 'type', 'kind', 'tag', 'tags', 'keywords'];
+
+/**
+ * Collect the name, type and tag texts of a light, lowercased.
+ *
+ * @param {Object} light - Imported light data
+ * @returns {string[]} Descriptor texts
+ *
+ * @example
+ * getLightDescriptors({ name: 'Wall Torch', tags: ['fire'] }); // ['wall torch', 'fire']
+ */
+export function getLightDescriptors(light) {
+    return DESCRIPTOR_FIELDS
+        .flatMap(field => Array.isArray(light?.[field]) ? light[field] : [light?.[field]])
+        .filter(value => typeof value === 'string' && value.trim())
+        .map(value => value.trim().toLowerCase());
+}
+
+/**
+ * Parse and validate a light preset library from JSON text.
+ *
+ * @param {string} text - JSON text containing an array of presets
+ * @returns {LightPreset[]} The validated presets
+ * @throws {Error} If the JSON is invalid or a preset is malformed
+ */
+export function parseLightPresets(text) {
+    const presets = JSON.parse(text);
+
+    if (!Array.isArray(presets)) {
+        throw new Error('The light preset library must be a JSON array');
+    }
+
+    presets.forEach((preset, index) => {
+        const name = preset?.id ?? `#${index + 1}`;
+        if (typeof preset?.id !== 'string' || !preset.id) {
+            throw new Error(`Light preset ${name} needs an "id"`);
+        }
+        if (!Array.isArray(preset.patterns) || !preset.patterns.length || preset.patterns.some(pattern => typeof pattern !== 'string' || !pattern.trim())) {
+            throw new Error(`Light preset "${name}" needs a list of "patterns"`);
+        }
+        if (!preset.config || typeof preset.config !== 'object' || Array.isArray(preset.config)) {
+            throw new Error(`Light preset "${name}" needs a "config" object`);
+        }
+    });
+
+    return presets;
+}
+
+/**
+ * Service class that matches imported lights to presets and applies them.
+ */
+export class LightPresetLibrary {
+    /**
+     * @param {LightPreset[]} [presets] - Presets to use (defaults to the built-in presets)
+     */
+    constructor(presets = DEFAULT_LIGHT_PRESETS) {
+        /** @type {{preset: LightPreset, matchers: RegExp[]}[]} Presets with compiled patterns */
+        this.entries = [];
+
+        this.setPresets(presets);
+    }
+
+    /**
+     * Replace the presets used for matching.
+     *
+     * @param {LightPreset[]} presets - New presets
+     */
+    setPresets(presets) {
+        this.entries = (presets || []).map(preset => ({
+            preset,
+            matchers: preset.patterns.map(pattern => this.compilePattern(pattern))
+        }));
+    }
+
+    /**
+     * Compile a preset pattern to a whole-word regular expression.
+     *
+     * @param {string} pattern - Word or phrase, where `*` matches any word characters
+     * @returns {RegExp} Case-insensitive regular expression
+     */
+    compilePattern(pattern) {
+        const escaped = pattern.trim().toLowerCase()
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('\\w*');
+        return new RegExp(`\\b${escaped}\\b`, 'i');
+    }
+
+    /**
+     * Find the first preset whose patterns match the light's name, type or tags.
+     *
+     * @param {Object} light - Imported light data
+     * @returns {LightPreset|null} The matching preset, or null
+     *
+     * @example
+     * library.findPreset({ name: 'Magic Crystal' })?.id; // 'magic-crystal'
+     */
+    findPreset(light) {
+        const descriptors = getLightDescriptors(light);
+        if (!descriptors.length) {
+            return null;
+        }
+
+        const match = this.entries.find(entry =>
+            entry.matchers.some(matcher => descriptors.some(text => matcher.test(text))));
+        return match?.preset ?? null;
+    }
+
+    /**
+     * Merge a preset into a light config. Values set in the source config win; radii of 0
+     * and animations without a type count as unset.
+     *
+     * @param {Object} sourceConfig - Light config from the imported data, radii in grid units
+     * @param {LightPreset} preset - The preset to apply
+     * @returns {Object} The merged light config, radii in grid units
+     */
+    applyPreset(sourceConfig, preset) {
+        const presetConfig = { ...preset.config };
+        const setSourceValues = Object.entries(sourceConfig || {}).filter(([key, value]) => {
+            if (value == null) return false;
+            if (key === 'bright' || key === 'dim') return Number(value) > 0;
+            if (key === 'animation') return !!(typeof value === 'string' ? value : value.type);
+            return true;
+        });
+
+        return { ...presetConfig, ...Object.fromEntries(setSourceValues) };
+    }
+}
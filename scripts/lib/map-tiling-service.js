@@ -0,0 +1,242 @@
+/**
+ * Map Tiling Service
+ *
+ * Splits background images that exceed a texture size limit into a grid of smaller
+ * images. Many GPUs cannot load textures above 8192 or 16384 pixels, and Foundry shows
+ * such backgrounds black or blurry. The scene is then built from a small preview as its
+ * background and one Tile per piece at full resolution on top.
+ *
+ * Pieces are cut in the image's own pixel space and placed by scaling that space to the
+ * scene rectangle, so walls, lights and the grid keep using the coordinates they would
+ * have with a single background image. Pieces overlap their right and bottom neighbours
+ * by a few pixels, which hides the seams texture filtering leaves between tiles.
+ *
+ * @module MapTilingService
+ */
+
+/** Settings for splitting images into tiles */
+const TILING = {
+    OVERLAP: 2,             // Pixels each piece extends into its right and bottom neighbours
+    PREVIEW_SIZE: 2048,     // Longest side of the preview used as the scene background
+    DEFAULT_QUALITY: 0.92   // Encoder quality for lossy formats
+};
+
+/** File types pieces can be encoded in, by MIME type; others become PNG */
+const PIECE_TYPES = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/avif': 'avif'
+};
+
+/** File types that are never split (animation or vector data would be lost) */
+const UNSPLITTABLE_TYPES = ['image/gif', 'image/svg+xml'];
+
+/**
+ * @typedef {Object} TileLayoutCell
+ * @property {number} row - Row index, from the top
+ * @property {number} column - Column index, from the left
+ * @property {number} x - Left edge in image pixels
+ * @property {number} y - Top edge in image pixels
+ * @property {number} width - Width in image pixels, including the overlap
+ * @property {number} height - Height in image pixels, including the overlap
+ */
+
+/**
+ * @typedef {Object} TileLayout
+ * @property {number} rows - Number of rows
+ * @property {number} columns - Number of columns
+ * @property {{width: number, height: number}} dimensions - Dimensions of the whole image
+ * @property {TileLayoutCell[]} cells - Pieces in row-major order
+ */
+
+/**
+ * @typedef {Object} MapPiece
+ * @property {TileLayoutCell} cell - Where the piece lies in the image
+ * @property {Object} mediaData - Media data of the piece, ready for upload
+ */
+
+/**
+ * @typedef {Object} TiledMap
+ * @property {TileLayout} layout - How the image was split
+ * @property {Object} previewMediaData - Media data of the downscaled preview
+ * @property {MapPiece[]} pieces - The pieces at full resolution
+ */
+
+/**
+ * Service class that splits oversized background images into tile pieces.
+ */
+export class MapTilingService {
+
+    /**
+     * Check whether media can be split into tiles. Videos, GIFs and SVGs cannot.
+     *
+     * @param {Object} mediaData - Media data with file and isVideo flag
+     * @returns {boolean} True for raster images
+     */
+    isSplittable(mediaData) {
+        return !!mediaData?.file && !mediaData.isVideo && !UNSPLITTABLE_TYPES.includes(mediaData.file.type);
+    }
+
+    /**
+     * Plan how to split an image so no piece exceeds the size limit. Images within the
+     * limit get no layout. Pieces of a row or column share one size, so the seams fall
+     * on an even grid.
+     *
+     * @param {{width: number, height: number}} dimensions - Image dimensions
+     * @param {number} maxTileSize - Longest side a piece may have (0 never splits)
+     * @returns {TileLayout|null} The layout, or null if the image does not need splitting
+     *
+     * @example
+     * const layout = tiling.computeTileLayout({ width: 20000, height: 10000 }, 8192);
+     * // layout.columns === 3, layout.rows === 2, layout.cells[1].x === 6667
+     */
+    computeTileLayout(dimensions, maxTileSize) {
+        const width = Number(dimensions?.width);
+        const height = Number(dimensions?.height);
+        const hasDimensions = Number.isFinite(width) && Number.isFinite(height) && width > 0 && height > 0;
+        if (!hasDimensions || !(maxTileSize > 0) || Math.max(width, height) <= maxTileSize) {
+            return null;
+        }
+
+        // Leave room for the overlap, so overlapping pieces stay within the limit
+        const pieceSize = Math.max(1, maxTileSize - TILING.OVERLAP);
+        const columns = Math.ceil(width / pieceSize);
+        const rows = Math.ceil(height / pieceSize);
+        const columnEdges = this.splitEvenly(width, columns);
+        const rowEdges = this.splitEvenly(height, rows);
+
+        const cells = [];
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const x = columnEdges[column];
+                const y = rowEdges[row];
+                cells.push({
+                    row,
+                    column,
+                    x,
+                    y,
+                    width: Math.min(width, columnEdges[column + 1] + TILING.OVERLAP) - x,
+                    height: Math.min(height, rowEdges[row + 1] + TILING.OVERLAP) - y
+                });
+            }
+        }
+
+        return { rows, columns, dimensions: { width, height }, cells };
+    }
+
+    /**
+     * Split a length into parts of (nearly) equal size.
+     *
+     * @param {number} length - Length in pixels
+     * @param {number} parts - Number of parts
+     * @returns {number[]} Part edges, from 0 to the length
+     */
+    splitEvenly(length, parts) {
+        return Array.from({ length: parts + 1 }, (_, index) => Math.round(index * length / parts));
+    }
+
+    /**
+     * Cut an image into the pieces of a layout and build a downscaled preview of it.
+     * Pieces keep the image's format where possible and are named after the image with
+     * their row and column, e.g. "castle-r1-c2.webp".
+     *
+     * @param {Object} mediaData - Media data with the image file
+     * @param {TileLayout} layout - Layout from computeTileLayout
+     * @param {Object} [options] - Encoding options
+     * @param {number} [options.quality] - Encoder quality from 0 to 1 for lossy formats
+     * @returns {Promise<TiledMap>} The preview and the pieces
+     * @throws {Error} If the image cannot be decoded or encoded
+     *
+     * @example
+     * const tiledMap = await tiling.splitImage(backgroundMediaData, layout);
+     * for (const piece of tiledMap.pieces) await storage.uploadBackgroundMedia(piece.mediaData, options);
+     */
+    async splitImage(mediaData, layout, { quality = TILING.DEFAULT_QUALITY } = {}) {
+        const file = mediaData.file;
+        const type = PIECE_TYPES[file.type] ? file.type : 'image/png';
+        const extension = PIECE_TYPES[type];
+        const stem = this.getNameStem(file.name);
+
+        const bitmap = await createImageBitmap(file);
+        try {
+            const previewScale = Math.min(1, TILING.PREVIEW_SIZE / Math.max(layout.dimensions.width, layout.dimensions.height));
+            const previewWidth = Math.max(1, Math.round(layout.dimensions.width * previewScale));
+            const previewHeight = Math.max(1, Math.round(layout.dimensions.height * previewScale));
+            const previewFile = await this.renderPiece(bitmap, {
+                x: 0,
+                y: 0,
+                width: layout.dimensions.width,
+                height: layout.dimensions.height
+            }, previewWidth, previewHeight, { type, quality, name: `${stem}-preview.${extension}` });
+
+            const pieces = [];
+            for (const cell of layout.cells) {
+                const pieceFile = await this.renderPiece(bitmap, cell, cell.width, cell.height, {
+                    type,
+                    quality,
+                    name: `${stem}-r${cell.row + 1}-c${cell.column + 1}.${extension}`
+                });
+                pieces.push({ cell, mediaData: this.buildMediaData(pieceFile) });
+            }
+
+            return { layout, previewMediaData: this.buildMediaData(previewFile), pieces };
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    /**
+     * Draw a region of an image onto a canvas and encode it.
+     *
+     * @param {ImageBitmap} bitmap - Decoded source image
+     * @param {{x: number, y: number, width: number, height: number}} region - Source region in image pixels
+     * @param {number} width - Output width
+     * @param {number} height - Output height
+     * @param {{type: string, quality: number, name: string}} output - Output type, quality and file name
+     * @returns {Promise<File>} The encoded image
+     * @throws {Error} If the canvas cannot be encoded
+     */
+    async renderPiece(bitmap, region, width, height, { type, quality, name }) {
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(bitmap, region.x, region.y, region.width, region.height, 0, 0, width, height);
+
+        let blob = await new Promise(resolve => canvas.toBlob(resolve, type, quality));
+        canvas.width = 0;
+        canvas.height = 0;
+        if (!blob) {
+            throw new Error(`Could not encode map piece ${name}`);
+        }
+
+        // Browsers that cannot encode the type return a PNG
+        const pieceName = blob.type === type ? name : `${this.getNameStem(name)}.png`;
+        return new File([blob], pieceName, { type: blob.type });
+    }
+
+    /**
+     * Build the media data of a piece for upload.
+     *
+     * @param {File} file - The piece's image file
+     * @returns {Object} Media data with file, filename and isVideo flag
+     */
+    buildMediaData(file) {
+        return { file, filename: file.name, isVideo: false };
+    }
+
+    /**
+     * Get a file name without its extension.
+     *
+     * @param {string} filename - File name
+     * @returns {string} The name without extension
+     */
+    getNameStem(filename) {
+        const name = String(filename || 'map');
+        const extensionIndex = name.lastIndexOf('.');
+        return extensionIndex > 0 ? name.slice(0, extensionIndex) : name;
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Media Cleanup Dialog
+ *
+ * Settings menu form that lists uploaded battlemap media no scene uses any more.
+ * Scanning is a dry run that changes nothing, and the dialog never deletes files either:
+ * Foundry offers no way to delete files from the browser, so the selected files are
+ * exported as a list of paths to delete on the server or in the S3 console.
+ *
+ * @module MediaCleanupDialog
+ */
+
+import { MediaCleanupService } from './media-cleanup-service.js';
+import { getStorageSettings } from './module-settings.js';
+
+/** Module identifier for console logging */
+const MODULE_LOG_PREFIX = 'Quick Battlemap Importer';
+
+/**
+ * Form application that scans the upload folders and exports the unreferenced files.
+ */
+export class MediaCleanupDialog extends FormApplication {
+    constructor(object = {}, options = {}) {
+        super(object, options);
+
+        /** @type {MediaCleanupService} */
+        this.cleanupService = new MediaCleanupService();
+
+        /** @type {import('./media-cleanup-service.js').CleanupReport|null} Result of the last scan */
+        this.report = null;
+
+        /** @type {boolean} Whether a scan is running */
+        this.isScanning = false;
+    }
+
+    /** @override */
+    static get defaultOptions() {
+        return foundry.utils.mergeObject(super.defaultOptions, {
+            id: 'qbi-media-cleanup',
+            classes: ['qbi-media-cleanup'],
+            width: 640,
+            height: 'auto',
+            closeOnSubmit: false,
+            submitOnClose: false
+        });
+    }
+
+    /** @override */
+    get title() {
+        return game.i18n.localize('QUICKBATTLEMAP.MediaCleanupTitle');
+    }
+
+    /**
+     * Build the form markup with the result of the last scan.
+     * @override
+     * @returns {Promise<jQuery>} The inner form HTML
+     */
+    async _renderInner() {
+        const i18n = (key) => game.i18n.localize(key);
+
+        return $(`
+            <form class="qbi-media-cleanup-form" autocomplete="off">
+                <p class="notes">${i18n('QUICKBATTLEMAP.MediaCleanupHint')}</p>
+                ${this.renderReport()}
+                <footer class="sheet-footer flexrow">
+                    <button type="button" class="qbi-media-cleanup-scan" ${this.isScanning ? 'disabled' : ''}>
+                        <i class="fas ${this.isScanning ? 'fa-spinner fa-spin' : 'fa-search'}"></i> ${i18n('QUICKBATTLEMAP.MediaCleanupScan')}
+                    </button>
+                    <button type="button" class="qbi-media-cleanup-export" ${this.report?.orphans.length ? '' : 'disabled'}>
+                        <i class="fas fa-file-export"></i> ${i18n('QUICKBATTLEMAP.MediaCleanupExport')}
+                    </button>
+                </footer>
+            </form>
+        `);
+    }
+
+    /**
+     * Build the markup of the scan result: totals and the unreferenced files with checkboxes.
+     * @returns {string} HTML of the report, empty before the first scan
+     */
+    renderReport() {
+        if (this.isScanning) {
+            return `<p class="qbi-media-cleanup-status">${game.i18n.localize('QUICKBATTLEMAP.MediaCleanupScanning')}</p>`;
+        }
+        if (!this.report) return '';
+
+        const escape = (text) => Handlebars.escapeExpression(text);
+        const { files, orphans, totalSize, orphanSize, directories } = this.report;
+        const summary = game.i18n.format('QUICKBATTLEMAP.MediaCleanupSummary', {
+            count: files.length,
+            size: this.formatFileSize(totalSize),
+            orphanCount: orphans.length,
+            orphanSize: this.formatFileSize(orphanSize)
+        });
+        const scanned = game.i18n.format('QUICKBATTLEMAP.MediaCleanupScanned', { directories: directories.join(', ') });
+
+        if (orphans.length === 0) {
+            return `
+                <p class="qbi-media-cleanup-status">${escape(summary)}</p>
+                <p class="notes">${escape(scanned)}</p>
+                <p>${game.i18n.localize('QUICKBATTLEMAP.MediaCleanupNothing')}</p>
+            `;
+        }
+
+        const rows = orphans.map(file => `
+            <li class="qbi-media-cleanup-file flexrow">
+                <input type="checkbox" name="orphan" value="${escape(file.path)}" checked>
+                <span class="qbi-media-cleanup-path" title="${escape(file.path)}">${escape(`${file.directory}/${file.name}`)}</span>
+                <span class="qbi-media-cleanup-size">${file.size === null ? '?' : this.formatFileSize(file.size)}</span>
+            </li>
+        `).join('');
+
+        return `
+            <p class="qbi-media-cleanup-status">${escape(summary)}</p>
+            <p class="notes">${escape(scanned)}</p>
+            <ul class="qbi-media-cleanup-list">${rows}</ul>
+        `;
+    }
+
+    /**
+     * Wire up the scan and export buttons.
+     * @override
+     * @param {jQuery} html - The rendered form
+     */
+    activateListeners(html) {
+        super.activateListeners(html);
+
+        html.find('.qbi-media-cleanup-scan').on('click', () => this.scanUploads());
+        html.find('.qbi-media-cleanup-export').on('click', () => this.exportSelectedFiles(html));
+    }
+
+    /**
+     * Scan the upload folders and show the unreferenced files.
+     */
+    async scanUploads() {
+        this.isScanning = true;
+        this.render();
+        try {
+            this.report = await this.cleanupService.scan({ ...getStorageSettings(), world: game.world.id });
+        } catch (error) {
+            console.error(`${MODULE_LOG_PREFIX} | Media scan failed:`, error);
+            ui.notifications.error(game.i18n.localize('QUICKBATTLEMAP.MediaCleanupFailed'));
+        } finally {
+            this.isScanning = false;
+            this.render();
+        }
+    }
+
+    /**
+     * Download the paths of the checked files as a text file, one path per line.
+     * @param {jQuery} html - The rendered form
+     */
+    exportSelectedFiles(html) {
+        const paths = html.find('input[name="orphan"]:checked').map((_index, input) => input.value).get();
+        if (paths.length === 0) {
+            ui.notifications.warn(game.i18n.localize('QUICKBATTLEMAP.MediaCleanupNoneSelected'));
+            return;
+        }
+
+        const saveFile = foundry.utils.saveDataToFile ?? globalThis.saveDataToFile;
+        saveFile(`${paths.join('\n')}\n`, 'text/plain', `${game.world.id}-unused-battlemap-media.txt`);
+    }
+
+    /**
+     * Format a byte count for display.
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Size in KB or MB
+     */
+    formatFileSize(bytes) {
+        const megabytes = bytes / (1024 * 1024);
+        return megabytes >= 1 ? `${megabytes.toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+
+    /**
+     * The form has no submit action; the buttons act directly.
+     * @override
+     */
+    async _updateObject() {}
+}
@@ -0,0 +1,252 @@
+/**
+ * Media Cleanup Service
+ *
+ * Finds uploaded battlemap media that no scene uses any more. Imports that were reset or
+ * failed, and scenes that were deleted, leave their backgrounds and tiles in the upload
+ * folder. The service lists the module's upload directories and checks every file against
+ * the scenes of the world and of its compendiums (including scenes inside adventures).
+ *
+ * A file counts as referenced when any string in a scene's data points at it, so
+ * backgrounds, tile textures, Levels floor tiles and paths other modules keep in flags
+ * all protect it. Only directories with an upload manifest and the default upload folder
+ * are scanned, so files the GM put next to the uploads are never reported.
+ *
+ * @module MediaCleanupService
+ */
+
+import { DEFAULT_PATH_TEMPLATE, MANIFEST_FILENAME, MediaStorageService, STORAGE_SOURCES } from './media-storage-service.js';
+
+/** Module identifier for console logging */
+const MODULE_LOG_PREFIX = 'Quick Battlemap Importer';
+
+/** Settings for scanning the upload directories */
+const CLEANUP_SCAN = {
+    MAX_DEPTH: 6,           // Directory levels below the upload root that are scanned
+    SIZE_REQUESTS: 8        // File size requests sent at the same time
+};
+
+/**
+ * @typedef {Object} UploadedFile
+ * @property {string} path - Path or URL of the file as listed by FilePicker.browse
+ * @property {string} name - Decoded file name
+ * @property {string} directory - Directory the file is in
+ * @property {number|null} size - File size in bytes, null if unknown
+ * @property {boolean} isReferenced - Whether a scene uses the file
+ */
+
+/**
+ * @typedef {Object} CleanupReport
+ * @property {string[]} directories - Upload roots that were scanned
+ * @property {UploadedFile[]} files - All uploaded media files
+ * @property {UploadedFile[]} orphans - Files no scene uses
+ * @property {number} totalSize - Size of all files in bytes
+ * @property {number} orphanSize - Size of the unreferenced files in bytes
+ */
+
+/**
+ * Service class that reports uploaded media files no scene references.
+ */
+export class MediaCleanupService {
+    /**
+     * @param {MediaStorageService} [storageService] - Storage service used to resolve the upload directories
+     */
+    constructor(storageService = new MediaStorageService()) {
+        /** @type {MediaStorageService} */
+        this.storageService = storageService;
+    }
+
+    /**
+     * Scan the upload directories and find the files no scene references. This is a dry
+     * run: nothing is changed.
+     *
+     * @param {import('./media-storage-service.js').StorageOptions} storageOptions - Current storage settings
+     * @returns {Promise<CleanupReport>} All uploaded files and the unreferenced ones
+     *
+     * @example
+     * const report = await cleanup.scan({ source: 'data', pathTemplate: 'worlds/{world}/quick-battlemap', world: game.world.id });
+     * console.log(`${report.orphans.length} unused files`);
+     */
+    async scan(storageOptions) {
+        const roots = await this.resolveUploadRoots(storageOptions);
+        const filesByPath = new Map();
+        for (const root of roots) {
+            for (const file of await this.listUploadedFiles(root)) {
+                filesByPath.set(file.path, file);
+            }
+        }
+
+        const references = await this.collectReferencedPaths();
+        const files = [...filesByPath.values()];
+        for (const file of files) {
+            file.isReferenced = references.has(this.normalizePath(file.path));
+        }
+        await this.measureFileSizes(files);
+
+        const orphans = files.filter(file => !file.isReferenced);
+        const sumSizes = (list) => list.reduce((total, file) => total + (file.size ?? 0), 0);
+        return {
+            directories: roots.map(root => root.directory),
+            files,
+            orphans,
+            totalSize: sumSizes(files),
+            orphanSize: sumSizes(orphans)
+        };
+    }
+
+    /**
+     * Get the upload roots to scan: the root of the current path template and the default
+     * upload folder, which holds uploads made before the template was changed.
+     *
+     * @param {import('./media-storage-service.js').StorageOptions} storageOptions - Current storage settings
+     * @returns {Promise<Array<import('./media-storage-service.js').StorageTarget & {isDefault: boolean}>>} Roots to scan
+     */
+    async resolveUploadRoots(storageOptions) {
+        const defaultTarget = await this.storageService.resolveStorageRoot({
+            world: storageOptions.world,
+            source: STORAGE_SOURCES.DATA,
+            pathTemplate: DEFAULT_PATH_TEMPLATE
+        });
+        const roots = [{ ...defaultTarget, isDefault: true }];
+
+        try {
+            const configuredTarget = await this.storageService.resolveStorageRoot(storageOptions);
+            const isSameRoot = configuredTarget.source === defaultTarget.source && configuredTarget.directory === defaultTarget.directory;
+            if (!isSameRoot) {
+                roots.push({ ...configuredTarget, isDefault: false });
+            }
+        } catch (error) {
+            console.warn(`${MODULE_LOG_PREFIX} | Could not resolve the upload folder:`, error);
+        }
+        return roots;
+    }
+
+    /**
+     * List the uploaded media files below an upload root.
+     *
+     * @param {import('./media-storage-service.js').StorageTarget & {isDefault: boolean}} root - Upload root
+     * @returns {Promise<UploadedFile[]>} The uploaded files
+     */
+    async listUploadedFiles(root) {
+        const files = [];
+        const pending = [{ directory: root.directory, depth: 0 }];
+
+        while (pending.length > 0) {
+            const { directory, depth } = pending.shift();
+            let listing;
+            try {
+                listing = await FilePicker.browse(root.source, directory, this.storageService.getSourceOptions(root));
+            } catch (_browseError) {
+                continue; // Missing directory
+            }
+
+            const filePaths = listing?.files ?? [];
+            const names = filePaths.map(path => this.storageService.getFileName(path));
+            const isUploadDirectory = (root.isDefault && depth === 0) || names.includes(MANIFEST_FILENAME);
+            if (isUploadDirectory) {
+                filePaths.forEach((path, index) => {
+                    if (names[index] === MANIFEST_FILENAME) return;
+                    files.push({ path, name: names[index], directory, size: null, isReferenced: false });
+                });
+            }
+
+            if (depth < CLEANUP_SCAN.MAX_DEPTH) {
+                for (const subdirectory of listing?.dirs ?? []) {
+                    pending.push({ directory: this.decodePath(subdirectory).replace(/\/+$/, ''), depth: depth + 1 });
+                }
+            }
+        }
+        return files;
+    }
+
+    /**
+     * Collect the normalized paths referenced by the world's scenes and by the scenes in
+     * world compendiums, including scenes inside adventures.
+     *
+     * @returns {Promise<Set<string>>} Normalized referenced paths
+     */
+    async collectReferencedPaths() {
+        const references = new Set();
+        for (const scene of game.scenes ?? []) {
+            this.addReferences(scene.toObject(), references);
+        }
+
+        for (const pack of game.packs ?? []) {
+            if (pack.metadata?.packageType !== 'world') continue;
+            if (pack.documentName !== 'Scene' && pack.documentName !== 'Adventure') continue;
+
+            const documents = await pack.getDocuments();
+            for (const document of documents) {
+                const data = document.toObject();
+                const scenes = pack.documentName === 'Adventure' ? (data.scenes ?? []) : [data];
+                scenes.forEach(sceneData => this.addReferences(sceneData, references));
+            }
+        }
+        return references;
+    }
+
+    /**
+     * Add every string in a document's data to the reference set.
+     *
+     * @param {*} value - Document data, or a value inside it
+     * @param {Set<string>} references - Normalized referenced paths
+     */
+    addReferences(value, references) {
+        if (typeof value === 'string') {
+            if (value) references.add(this.normalizePath(value));
+        } else if (Array.isArray(value)) {
+            value.forEach(item => this.addReferences(item, references));
+        } else if (value && typeof value === 'object') {
+            Object.values(value).forEach(item => this.addReferences(item, references));
+        }
+    }
+
+    /**
+     * Normalize a file path or URL for comparison: decoded, without query string, and
+     * relative to the server for same-origin URLs.
+     *
+     * @param {string} path - Path or URL
+     * @returns {string} Normalized path
+     */
+    normalizePath(path) {
+        let normalized = String(path).split(/[?#]/)[0];
+        const origin = globalThis.location?.origin;
+        if (origin && normalized.startsWith(`${origin}/`)) {
+            normalized = normalized.slice(origin.length);
+        }
+        return this.decodePath(normalized).replace(/^\.?\/+/, '');
+    }
+
+    /**
+     * Decode a URL-encoded path, keeping it as it is if it is not valid encoding.
+     *
+     * @param {string} path - Path as listed or stored
+     * @returns {string} Decoded path
+     */
+    decodePath(path) {
+        try {
+            return decodeURI(path);
+        } catch (_decodeError) {
+            return path;
+        }
+    }
+
+    /**
+     * Fill in file sizes from the Content-Length of HEAD requests. Sizes that cannot be
+     * read stay null.
+     *
+     * @param {UploadedFile[]} files - Files to measure
+     */
+    async measureFileSizes(files) {
+        for (let start = 0; start < files.length; start += CLEANUP_SCAN.SIZE_REQUESTS) {
+            await Promise.all(files.slice(start, start + CLEANUP_SCAN.SIZE_REQUESTS).map(async (file) => {
+                try {
+                    const response = await fetch(file.path, { method: 'HEAD', cache: 'no-store' });
+                    const length = Number(response.headers.get('Content-Length'));
+                    file.size = response.ok && Number.isFinite(length) ? length : null;
+                } catch (_sizeError) {
+                    file.size = null;
+                }
+            }));
+        }
+    }
+}
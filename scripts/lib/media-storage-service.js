@@ -4,14 +4,48 @@
  * Handles uploading background media files (images and videos) to Foundry VTT's
  * file storage system. Manages directory creation and file organization.
  * 
+ * Files are stored under content-addressed names (the original name followed by part of
+ * the SHA-256 of the contents), so two different maps that are both called map.png never
+ * replace each other. A manifest in the upload directory records each uploaded file by its
+ * hash and each original file name with the hash it had; a file that was already uploaded
+ * is reused instead of uploaded again, and re-importing an unchanged file skips hashing.
+ * 
+ * Files go to Foundry's user data, core data or an S3 bucket, into a directory built from a
+ * path template (e.g. "worlds/{world}/quick-battlemap/{sceneName}"). Every upload is looked
+ * up with FilePicker.browse afterwards, so a scene is never created for a file that did not
+ * arrive.
+ * 
  * @module MediaStorageService
  */
 
+import { computeContentHash } from './content-hash-utils.js';
+
 /** Module identifier for console logging */
 const MODULE_LOG_PREFIX = 'Quick Battlemap Importer';
 
-/** Storage source for file operations (Foundry's data directory) */
-const STORAGE_SOURCE = 'data';
+/**
+ * Foundry file storage sources
+ * @enum {string}
+ */
+export const STORAGE_SOURCES = {
+    DATA: 'data',       // User data directory
+    S3: 's3'            // S3-compatible object storage configured on the server
+};
+
+/** Default directory template for uploaded media */
+export const DEFAULT_PATH_TEMPLATE = 'worlds/{world}/quick-battlemap';
+
+/** Name of the manifest file in the upload directory */
+export const MANIFEST_FILENAME = 'quick-import-manifest.json';
+
+/** Version of the manifest format */
+const MANIFEST_VERSION = 1;
+
+/** Hex digits of the content hash used in stored file names (64 bits) */
+const HASH_NAME_LENGTH = 16;
+
+/** Longest part of the original name kept in stored file names */
+const MAX_NAME_STEM_LENGTH = 64;
 
 /**
  * @typedef {Object} BackgroundMediaData
@@ -21,52 +55,131 @@ const STORAGE_SOURCE = 'data';
  * @property {boolean} isVideo - Whether the media is a video file
  */
 
+/**
+ * @typedef {Object} StorageOptions
+ * @property {string} [source] - One of STORAGE_SOURCES, user data by default
+ * @property {string} [bucket] - S3 bucket; the first bucket the server offers if empty
+ * @property {string} [pathTemplate] - Directory template with {world}, {sceneName} and {floor} tokens
+ * @property {boolean} [useSceneFolder] - Put the files in a subfolder named after the scene
+ * @property {string} world - World identifier for the {world} token
+ * @property {string} [sceneName] - Scene name for the {sceneName} token and the scene subfolder
+ * @property {number} [floor] - Floor number (1 for the base floor) for the {floor} token
+ */
+
+/**
+ * @typedef {Object} StorageTarget
+ * @property {string} source - Storage source
+ * @property {string|null} bucket - S3 bucket, null for other sources
+ * @property {string} directory - Directory the files are stored in
+ */
+
 /**
  * @typedef {Object} UploadResult
  * @property {string} path - The path to the uploaded file in Foundry's storage
+ * @property {string} hash - SHA-256 of the file contents
+ * @property {boolean} isReused - True when an identical file was already stored and no upload was needed
+ */
+
+/**
+ * @typedef {Object} MediaManifest
+ * @property {number} version - Manifest format version
+ * @property {Object<string, ManifestFileEntry>} files - Stored files keyed by content hash
+ * @property {Object<string, ManifestNameEntry>} names - Original file names with the contents they last had
+ */
+
+/**
+ * @typedef {Object} ManifestFileEntry
+ * @property {string} path - Path of the stored file
+ * @property {number} size - File size in bytes
+ * @property {string} type - MIME type
+ * @property {string[]} names - Original file names this content was imported as
+ * @property {number} uploaded - Upload time (ms since epoch)
+ */
+
+/**
+ * @typedef {Object} ManifestNameEntry
+ * @property {string} hash - Content hash the file had when it was last imported
+ * @property {number} size - File size in bytes at that time
+ * @property {number} lastModified - File modification time at that time
  */
 
 /**
  * Service class responsible for uploading media files to Foundry's storage.
- * Handles directory creation and file upload with error handling.
+ * Handles storage targets, directory creation and file upload with error handling.
  */
 export class MediaStorageService {
+    constructor() {
+        /** @type {Promise} Runs uploads one at a time, so manifest updates do not overwrite each other */
+        this.uploadQueue = Promise.resolve();
+    }
 
     /**
      * Upload a background media file (image or video) to Foundry's storage.
-     * Creates the target directory if it doesn't exist.
+     * Creates the target directory if it doesn't exist. The file is stored under a name
+     * derived from its contents; if the same contents were uploaded before, the stored
+     * file is reused.
      * 
      * @param {BackgroundMediaData} mediaData - The media data to upload
-     * @param {string} worldId - The current world's identifier for directory naming
+     * @param {StorageOptions} options - Where to store the file
      * @returns {Promise<UploadResult|null>} Upload result with file path, or null on failure
      * 
      * @example
      * const storage = new MediaStorageService();
-     * const result = await storage.uploadBackgroundMedia(mediaData, game.world.id);
+     * const result = await storage.uploadBackgroundMedia(mediaData, {
+     *   source: STORAGE_SOURCES.DATA,
+     *   pathTemplate: 'worlds/{world}/maps/{sceneName}',
+     *   world: game.world.id,
+     *   sceneName: 'Crypt Entrance'
+     * });
      * if (result?.path) {
      *   // Use result.path as the scene background
+     *   if (result.isReused) console.log('Already uploaded');
      * }
      */
-    async uploadBackgroundMedia(mediaData, worldId) {
+    uploadBackgroundMedia(mediaData, options) {
+        const upload = this.uploadQueue.then(() => this.storeMediaFile(mediaData, options));
+        this.uploadQueue = upload.catch(() => {});
+        return upload;
+    }
+
+    /**
+     * Store a media file under its content-addressed name, reusing an identical stored file.
+     * 
+     * @param {BackgroundMediaData} mediaData - The media data to upload
+     * @param {StorageOptions} options - Where to store the file
+     * @returns {Promise<UploadResult|null>} Upload result with file path, or null on failure
+     */
+    async storeMediaFile(mediaData, options) {
         try {
             // Get or create a File object from the media data
             const fileToUpload = await this.prepareFileForUpload(mediaData);
 
-            // Build the target directory path
-            const targetDirectory = this.buildTargetDirectory(worldId);
-            
-            // Ensure the directory exists
-            await this.ensureDirectoryExists(STORAGE_SOURCE, targetDirectory);
+            // Resolve the target directory, creating it if needed, and list its files
+            const target = await this.resolveStorageTarget(options);
+            const storedFiles = await this.listDirectoryFiles(target);
+            const manifest = await this.loadManifest(storedFiles);
+
+            const hash = await this.resolveContentHash(fileToUpload, manifest);
+            const storedPath = this.findStoredFile(manifest, hash, storedFiles, fileToUpload.name);
 
-            // Upload the file
-            const uploadResult = await FilePicker.upload(
-                STORAGE_SOURCE, 
-                targetDirectory, 
-                fileToUpload, 
-                { overwrite: true }
-            );
+            let path = storedPath;
+            if (!path) {
+                const storedFile = new File([fileToUpload], this.buildStoredFilename(fileToUpload.name, hash), {
+                    type: fileToUpload.type,
+                    lastModified: fileToUpload.lastModified
+                });
+                const uploadResult = await FilePicker.upload(target.source, target.directory, storedFile, this.getSourceOptions(target));
+                path = uploadResult?.path;
+                if (!path) return null;
+
+                // Make sure the file arrived before a scene points at it
+                path = await this.verifyStoredFile(target, storedFile.name);
+            }
 
-            return { path: uploadResult?.path };
+            this.recordUpload(manifest, fileToUpload, hash, path);
+            await this.saveManifest(manifest, target);
+
+            return { path, hash, isReused: !!storedPath };
 
         } catch (uploadError) {
             this.handleUploadError(uploadError);
@@ -74,6 +187,197 @@ export class MediaStorageService {
         }
     }
 
+    /**
+     * Get the content hash of a file. When the manifest saw a file of this name, size and
+     * modification time before, its recorded hash is used instead of reading the file again.
+     * 
+     * @param {File} file - The file to upload
+     * @param {MediaManifest} manifest - The upload directory's manifest
+     * @returns {Promise<string>} SHA-256 of the file contents
+     */
+    async resolveContentHash(file, manifest) {
+        const known = manifest.names[file.name];
+        if (known && known.size === file.size && known.lastModified === file.lastModified && manifest.files[known.hash]) {
+            return known.hash;
+        }
+        return computeContentHash(file);
+    }
+
+    /**
+     * Find an already stored file with the given contents.
+     * 
+     * @param {MediaManifest} manifest - The upload directory's manifest
+     * @param {string} hash - Content hash of the file to upload
+     * @param {Map<string, string>} storedFiles - Paths of the files in the upload directory by file name
+     * @param {string} originalName - Original file name, used for the content-addressed name
+     * @returns {string|null} Path of the stored file, or null if it has to be uploaded
+     */
+    findStoredFile(manifest, hash, storedFiles, originalName) {
+        const recordedPath = manifest.files[hash]?.path;
+        if (recordedPath && storedFiles.has(this.getFileName(recordedPath))) {
+            return storedFiles.get(this.getFileName(recordedPath));
+        }
+
+        // The file may have been uploaded by a client whose manifest update was lost
+        return storedFiles.get(this.buildStoredFilename(originalName, hash)) ?? null;
+    }
+
+    /**
+     * Build the content-addressed name a file is stored under: its original name made
+     * URL-safe, followed by the start of its content hash.
+     * 
+     * @param {string} originalName - Original file name
+     * @param {string} hash - SHA-256 of the file contents
+     * @returns {string} Stored file name
+     * 
+     * @example
+     * storage.buildStoredFilename('Crypt Entrance (Night).webp', '9f86d081884c7d65...');
+     * // 'crypt-entrance-night-9f86d081884c7d65.webp'
+     */
+    buildStoredFilename(originalName, hash) {
+        const name = String(originalName || '');
+        const extensionIndex = name.lastIndexOf('.');
+        const extension = extensionIndex > 0 ? name.slice(extensionIndex + 1).toLowerCase().replace(/[^a-z0-9]/g, '') : '';
+        const stem = this.toPathSegment(extensionIndex > 0 ? name.slice(0, extensionIndex) : name);
+
+        const hashPart = hash.slice(0, HASH_NAME_LENGTH);
+        const baseName = stem ? `${stem}-${hashPart}` : hashPart;
+        return extension ? `${baseName}.${extension}` : baseName;
+    }
+
+    /**
+     * Turn a name into a URL-safe path segment: lowercase ASCII letters and digits joined by dashes.
+     * 
+     * @param {string} value - Name to convert
+     * @returns {string} Path segment, empty if nothing usable remains
+     * 
+     * @example
+     * storage.toPathSegment('Crypt Entrance (Night)'); // 'crypt-entrance-night'
+     */
+    toPathSegment(value) {
+        return String(value ?? '')
+            .normalize('NFKD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, MAX_NAME_STEM_LENGTH)
+            .replace(/-+$/, '');
+    }
+
+    /**
+     * Record a stored file and the original name it was imported as in the manifest.
+     * 
+     * @param {MediaManifest} manifest - The upload directory's manifest
+     * @param {File} file - The imported file
+     * @param {string} hash - SHA-256 of the file contents
+     * @param {string} path - Path of the stored file
+     */
+    recordUpload(manifest, file, hash, path) {
+        const entry = manifest.files[hash] ?? { path, size: file.size, type: file.type, names: [], uploaded: Date.now() };
+        entry.path = path;
+        if (!entry.names.includes(file.name)) {
+            entry.names.push(file.name);
+        }
+        manifest.files[hash] = entry;
+        manifest.names[file.name] = { hash, size: file.size, lastModified: file.lastModified };
+    }
+
+    /**
+     * List the files in the target directory, creating the directory if needed.
+     * 
+     * @param {StorageTarget} target - Storage target
+     * @returns {Promise<Map<string, string>>} Paths of the files in the directory by file name
+     */
+    async listDirectoryFiles(target) {
+        try {
+            const listing = await FilePicker.browse(target.source, target.directory, this.getSourceOptions(target));
+            return new Map((listing?.files ?? []).map(path => [this.getFileName(path), path]));
+        } catch (_browseError) {
+            // Directory doesn't exist, try to create it
+            await this.createDirectoryPath(target);
+            return new Map();
+        }
+    }
+
+    /**
+     * Check that an uploaded file is listed in the target directory.
+     * 
+     * @param {StorageTarget} target - Storage target
+     * @param {string} fileName - Name the file was stored under
+     * @returns {Promise<string>} Path of the stored file as listed
+     * @throws {Error} If the file is not in the directory
+     */
+    async verifyStoredFile(target, fileName) {
+        const listing = await FilePicker.browse(target.source, target.directory, this.getSourceOptions(target));
+        const path = (listing?.files ?? []).find(filePath => this.getFileName(filePath) === fileName);
+        if (!path) {
+            throw new Error(game.i18n.format('QUICKBATTLEMAP.UploadNotFound', { path: `${target.directory}/${fileName}` }));
+        }
+        return path;
+    }
+
+    /**
+     * Get the decoded file name of a stored file path or URL.
+     * FilePicker.browse URL-encodes file names, and S3 files are listed as full URLs.
+     * 
+     * @param {string} path - Path or URL of a stored file
+     * @returns {string} File name
+     */
+    getFileName(path) {
+        const fileName = String(path).split(/[?#]/)[0].split('/').pop();
+        try {
+            return decodeURIComponent(fileName);
+        } catch (_decodeError) {
+            return fileName;
+        }
+    }
+
+    /**
+     * Load the manifest of the upload directory. A missing or unreadable manifest starts empty.
+     * 
+     * @param {Map<string, string>} storedFiles - Paths of the files in the upload directory by file name
+     * @returns {Promise<MediaManifest>} The manifest
+     */
+    async loadManifest(storedFiles) {
+        const emptyManifest = { version: MANIFEST_VERSION, files: {}, names: {} };
+        const manifestPath = storedFiles.get(MANIFEST_FILENAME);
+        if (!manifestPath) {
+            return emptyManifest;
+        }
+
+        try {
+            const response = await fetch(manifestPath, { cache: 'no-store' });
+            if (!response.ok) return emptyManifest;
+
+            const stored = await response.json();
+            return {
+                version: MANIFEST_VERSION,
+                files: stored?.files && typeof stored.files === 'object' ? stored.files : {},
+                names: stored?.names && typeof stored.names === 'object' ? stored.names : {}
+            };
+        } catch (error) {
+            console.warn(`${MODULE_LOG_PREFIX} | Upload manifest is unreadable; starting a new one`, error);
+            return emptyManifest;
+        }
+    }
+
+    /**
+     * Write the manifest to the upload directory.
+     * 
+     * @param {MediaManifest} manifest - The manifest to save
+     * @param {StorageTarget} target - Storage target of the upload directory
+     */
+    async saveManifest(manifest, target) {
+        const manifestFile = new File([JSON.stringify(manifest, null, 2)], MANIFEST_FILENAME, { type: 'application/json' });
+        try {
+            await FilePicker.upload(target.source, target.directory, manifestFile, this.getSourceOptions(target), { notify: false });
+        } catch (error) {
+            // The media is stored either way; only the next re-import is slower
+            console.warn(`${MODULE_LOG_PREFIX} | Could not save the upload manifest`, error);
+        }
+    }
+
     /**
      * Prepare a File object for upload from media data.
      * If a File object already exists, uses it directly.
@@ -109,31 +413,110 @@ export class MediaStorageService {
     }
 
     /**
-     * Build the target directory path for storing battlemap media.
-     * Uses the world ID to organize files by world.
+     * Resolve the storage source, bucket and directory for an upload. Without a configured
+     * bucket, the first S3 bucket the server offers is used. Unsupported saved sources, such
+     * as `public`, which Foundry does not accept uploads to, fall back to user data.
+     * 
+     * @param {StorageOptions} options - Storage settings and template values
+     * @returns {Promise<StorageTarget>} Where to store the file
+     * @throws {Error} If S3 storage is selected but no bucket is available
+     */
+    async resolveStorageTarget(options) {
+        const isSupportedSource = Object.values(STORAGE_SOURCES).includes(options.source);
+        if (options.source && !isSupportedSource) {
+            console.warn(`${MODULE_LOG_PREFIX} | Uploads to "${options.source}" are not supported; using user data`);
+        }
+        const source = isSupportedSource ? options.source : STORAGE_SOURCES.DATA;
+        const directory = this.buildTargetDirectory(options);
+        if (source !== STORAGE_SOURCES.S3) {
+            return { source, bucket: null, directory };
+        }
+
+        let bucket = options.bucket;
+        if (!bucket) {
+            const listing = await FilePicker.browse(source, '');
+            bucket = listing?.dirs?.[0];
+        }
+        if (!bucket) {
+            throw new Error(game.i18n.localize('QUICKBATTLEMAP.UploadNoBucket'));
+        }
+        return { source, bucket, directory };
+    }
+
+    /**
+     * Resolve the directory all uploads for the given settings end up under: the path
+     * template up to its first scene-specific token.
      * 
-     * @param {string} worldId - The world identifier
+     * @param {StorageOptions} options - Storage settings (scene name and floor are ignored)
+     * @returns {Promise<StorageTarget>} The upload root
+     * @throws {Error} If S3 storage is selected but no bucket is available
+     * 
+     * @example
+     * await storage.resolveStorageRoot({ pathTemplate: 'worlds/{world}/maps/{sceneName}', world: 'my-world' });
+     * // { source: 'data', bucket: null, directory: 'worlds/my-world/maps' }
+     */
+    resolveStorageRoot(options) {
+        const segments = (String(options.pathTemplate || '').trim() || DEFAULT_PATH_TEMPLATE).split(/[\\/]+/);
+        const sceneSegmentIndex = segments.findIndex(segment => /\{(sceneName|floor)\}/.test(segment));
+        const rootTemplate = (sceneSegmentIndex === -1 ? segments : segments.slice(0, sceneSegmentIndex)).join('/');
+
+        return this.resolveStorageTarget({ ...options, pathTemplate: rootTemplate, useSceneFolder: false });
+    }
+
+    /**
+     * Build the target directory path for storing battlemap media from the path template.
+     * The {world}, {sceneName} and {floor} tokens are replaced (scene names become URL-safe,
+     * floors "floor-1", "floor-2", ...), and empty or ".." segments are dropped. With the
+     * scene subfolder option a folder named after the scene is added unless the template
+     * already contains one.
+     * 
+     * @param {StorageOptions} options - Path template and token values
      * @returns {string} The target directory path
+     * 
+     * @example
+     * storage.buildTargetDirectory({ pathTemplate: '{world}/{sceneName}/{floor}', world: 'my-world', sceneName: 'Crypt Entrance', floor: 2 });
+     * // 'my-world/crypt-entrance/floor-2'
      */
-    buildTargetDirectory(worldId) {
-        return `worlds/${worldId}/quick-battlemap`;
+    buildTargetDirectory(options) {
+        const template = String(options.pathTemplate || '').trim() || DEFAULT_PATH_TEMPLATE;
+        const sceneSegment = this.toPathSegment(options.sceneName) || 'scene';
+        const tokens = {
+            world: options.world,
+            sceneName: sceneSegment,
+            floor: `floor-${options.floor || 1}`
+        };
+
+        const segments = template
+            .replace(/\{(\w+)\}/g, (match, token) => (token in tokens ? tokens[token] : match))
+            .split(/[\\/]+/)
+            .map(segment => segment.trim())
+            .filter(segment => segment && segment !== '.' && segment !== '..');
+
+        if (options.useSceneFolder && !template.includes('{sceneName}')) {
+            segments.push(sceneSegment);
+        }
+        return segments.join('/') || this.buildTargetDirectory({ ...options, pathTemplate: DEFAULT_PATH_TEMPLATE });
     }
 
     /**
-     * Ensure a directory exists in Foundry's file storage.
-     * Creates the directory if it doesn't exist, handling race conditions.
+     * Get the extra FilePicker options for a storage target (the bucket for S3).
      * 
-     * @param {string} storageSource - The storage source (typically 'data')
-     * @param {string} directoryPath - The path to the directory
-     * @throws {Error} If directory creation fails for reasons other than already existing
+     * @param {StorageTarget} target - Storage target
+     * @returns {Object} Options for FilePicker.browse, upload and createDirectory
      */
-    async ensureDirectoryExists(storageSource, directoryPath) {
-        try {
-            // Try to browse the directory to see if it exists
-            await FilePicker.browse(storageSource, directoryPath);
-        } catch (_browseError) {
-            // Directory doesn't exist, try to create it
-            await this.createDirectorySafely(storageSource, directoryPath);
+    getSourceOptions(target) {
+        return target.bucket ? { bucket: target.bucket } : {};
+    }
+
+    /**
+     * Create the target directory and any missing parent directories.
+     * 
+     * @param {StorageTarget} target - Storage target
+     */
+    async createDirectoryPath(target) {
+        const segments = target.directory.split('/');
+        for (let depth = 1; depth <= segments.length; depth++) {
+            await this.createDirectorySafely(target, segments.slice(0, depth).join('/'));
         }
     }
 
@@ -141,12 +524,12 @@ export class MediaStorageService {
      * Safely create a directory, handling the case where it already exists.
      * Multiple simultaneous requests might try to create the same directory.
      * 
-     * @param {string} storageSource - The storage source
+     * @param {StorageTarget} target - Storage target
      * @param {string} directoryPath - The path to create
      */
-    async createDirectorySafely(storageSource, directoryPath) {
+    async createDirectorySafely(target, directoryPath) {
         try {
-            await FilePicker.createDirectory(storageSource, directoryPath, {});
+            await FilePicker.createDirectory(target.source, directoryPath, this.getSourceOptions(target));
         } catch (createError) {
             // EEXIST means directory was created by another request - that's fine
             const errorMessage = String(createError || '');
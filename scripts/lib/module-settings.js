@@ -0,0 +1,360 @@
+/**
+ * Module Settings
+ *
+ * Registers the module's world settings and provides safe access to them.
+ * Settings are read through getModuleSetting, which falls back to the default value
+ * when the settings are not registered yet (e.g. before the init hook ran).
+ * The light preset library is stored as JSON text and edited through a settings menu.
+ * Images that grid detection classifies as gridless are imported without a grid, or
+ * with a default cell size, depending on the gridless map handling setting. Maps with
+ * their own drawn grid get the scene grid drawn over it, hidden, or matched to it.
+ * Grid detection analyzes the whole image, or lets crops of the map vote on the grid.
+ * Uploaded media goes to the chosen storage source (and S3 bucket), in a directory built
+ * from a path template. Background images can be re-encoded and downscaled before upload,
+ * and images above the map tile size are split into tiles. A second settings menu scans
+ * the upload folders for media no scene uses any more.
+ *
+ * @module ModuleSettings
+ */
+
+import { WALL_GAP_DEFAULTS } from './wall-gap-analyzer.js';
+import { DEFAULT_LIGHT_PRESETS, parseLightPresets } from './light-preset-library.js';
+import { LightPresetEditor } from './light-preset-editor.js';
+import { MediaCleanupDialog } from './media-cleanup-dialog.js';
+import { DETECTION_MODES } from './grid-detection-service.js';
+import { STORAGE_SOURCES, DEFAULT_PATH_TEMPLATE } from './media-storage-service.js';
+import { IMAGE_FORMATS } from './image-optimization-service.js';
+
+/** Namespace of the module's settings (the package id from module.json) */
+export const MODULE_SETTINGS_NAMESPACE = 'quick-battlemap-importer';
+
+/**
+ * Setting keys
+ * @enum {string}
+ */
+export const SETTING_KEYS = {
+    WALL_GAP_TOLERANCE: 'wallGapTolerance',
+    AUTO_CLOSE_WALL_GAPS: 'autoCloseWallGaps',
+    LIGHT_PRESETS: 'lightPresets',
+    GRIDLESS_MAP_HANDLING: 'gridlessMapHandling',
+    DEFAULT_GRID_SIZE: 'defaultGridSize',
+    DRAWN_GRID_HANDLING: 'drawnGridHandling',
+    GRID_DETECTION_MODE: 'gridDetectionMode',
+    STORAGE_SOURCE: 'storageSource',
+    STORAGE_BUCKET: 'storageBucket',
+    STORAGE_PATH_TEMPLATE: 'storagePathTemplate',
+    STORAGE_SCENE_FOLDER: 'storageSceneFolder',
+    IMAGE_OPTIMIZATION: 'imageOptimization',
+    IMAGE_FORMAT: 'imageFormat',
+    IMAGE_QUALITY: 'imageQuality',
+    IMAGE_MAX_DIMENSION: 'imageMaxDimension',
+    IMAGE_TARGET_GRID_SIZE: 'imageTargetGridSize',
+    MAP_TILE_SIZE: 'mapTileSize'
+};
+
+/**
+ * What to do with images that show no grid lines
+ * @enum {string}
+ */
+export const GRIDLESS_MAP_HANDLING = {
+    NO_GRID: 'noGrid',              // Create the scene without a grid
+    DEFAULT_GRID: 'defaultGrid'     // Create the scene with the default grid size
+};
+
+/**
+ * How to style the scene grid on maps whose art has a grid drawn on it
+ * @enum {string}
+ */
+export const DRAWN_GRID_HANDLING = {
+    OVERLAY: 'overlay',     // Draw the default scene grid over the art
+    HIDE: 'hide',           // Make the scene grid invisible and rely on the drawn grid
+    MATCH: 'match'          // Give the scene grid the color, opacity and thickness of the drawn lines
+};
+
+/** Key of the light preset editor settings menu */
+const LIGHT_PRESET_MENU_KEY = 'lightPresetEditor';
+
+/** Key of the media cleanup settings menu */
+const MEDIA_CLEANUP_MENU_KEY = 'mediaCleanup';
+
+/** Module identifier for console logging */
+const MODULE_LOG_PREFIX = 'Quick Battlemap Importer';
+
+/** Setting definitions keyed by setting key */
+const SETTING_DEFINITIONS = {
+    [SETTING_KEYS.WALL_GAP_TOLERANCE]: {
+        name: 'QUICKBATTLEMAP.SettingWallGapToleranceName',
+        hint: 'QUICKBATTLEMAP.SettingWallGapToleranceHint',
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: { min: 1, max: 20, step: 1 },
+        default: WALL_GAP_DEFAULTS.TOLERANCE
+    },
+    [SETTING_KEYS.AUTO_CLOSE_WALL_GAPS]: {
+        name: 'QUICKBATTLEMAP.SettingAutoCloseWallGapsName',
+        hint: 'QUICKBATTLEMAP.SettingAutoCloseWallGapsHint',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    },
+    [SETTING_KEYS.GRIDLESS_MAP_HANDLING]: {
+        name: 'QUICKBATTLEMAP.SettingGridlessMapHandlingName',
+        hint: 'QUICKBATTLEMAP.SettingGridlessMapHandlingHint',
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            [GRIDLESS_MAP_HANDLING.NO_GRID]: 'QUICKBATTLEMAP.SettingGridlessMapHandlingNoGrid',
+            [GRIDLESS_MAP_HANDLING.DEFAULT_GRID]: 'QUICKBATTLEMAP.SettingGridlessMapHandlingDefaultGrid'
+        },
+        default: GRIDLESS_MAP_HANDLING.NO_GRID
+    },
+    [SETTING_KEYS.DEFAULT_GRID_SIZE]: {
+        name: 'QUICKBATTLEMAP.SettingDefaultGridSizeName',
+        hint: 'QUICKBATTLEMAP.SettingDefaultGridSizeHint',
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: { min: 50, max: 300, step: 1 },
+        default: 100
+    },
+    [SETTING_KEYS.DRAWN_GRID_HANDLING]: {
+        name: 'QUICKBATTLEMAP.SettingDrawnGridHandlingName',
+        hint: 'QUICKBATTLEMAP.SettingDrawnGridHandlingHint',
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            [DRAWN_GRID_HANDLING.OVERLAY]: 'QUICKBATTLEMAP.SettingDrawnGridHandlingOverlay',
+            [DRAWN_GRID_HANDLING.HIDE]: 'QUICKBATTLEMAP.SettingDrawnGridHandlingHide',
+            [DRAWN_GRID_HANDLING.MATCH]: 'QUICKBATTLEMAP.SettingDrawnGridHandlingMatch'
+        },
+        default: DRAWN_GRID_HANDLING.OVERLAY
+    },
+    [SETTING_KEYS.GRID_DETECTION_MODE]: {
+        name: 'QUICKBATTLEMAP.SettingGridDetectionModeName',
+        hint: 'QUICKBATTLEMAP.SettingGridDetectionModeHint',
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            [DETECTION_MODES.REGION_VOTING]: 'QUICKBATTLEMAP.SettingGridDetectionModeRegionVoting',
+            [DETECTION_MODES.WHOLE_IMAGE]: 'QUICKBATTLEMAP.SettingGridDetectionModeWholeImage'
+        },
+        default: DETECTION_MODES.REGION_VOTING
+    },
+    [SETTING_KEYS.STORAGE_SOURCE]: {
+        name: 'QUICKBATTLEMAP.SettingStorageSourceName',
+        hint: 'QUICKBATTLEMAP.SettingStorageSourceHint',
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            [STORAGE_SOURCES.DATA]: 'QUICKBATTLEMAP.SettingStorageSourceData',
+            [STORAGE_SOURCES.S3]: 'QUICKBATTLEMAP.SettingStorageSourceS3'
+        },
+        default: STORAGE_SOURCES.DATA
+    },
+    [SETTING_KEYS.STORAGE_BUCKET]: {
+        name: 'QUICKBATTLEMAP.SettingStorageBucketName',
+        hint: 'QUICKBATTLEMAP.SettingStorageBucketHint',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: ''
+    },
+    [SETTING_KEYS.STORAGE_PATH_TEMPLATE]: {
+        name: 'QUICKBATTLEMAP.SettingStoragePathTemplateName',
+        hint: 'QUICKBATTLEMAP.SettingStoragePathTemplateHint',
+        scope: 'world',
+        config: true,
+        type: String,
+        default: DEFAULT_PATH_TEMPLATE
+    },
+    [SETTING_KEYS.STORAGE_SCENE_FOLDER]: {
+        name: 'QUICKBATTLEMAP.SettingStorageSceneFolderName',
+        hint: 'QUICKBATTLEMAP.SettingStorageSceneFolderHint',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    },
+    [SETTING_KEYS.IMAGE_OPTIMIZATION]: {
+        name: 'QUICKBATTLEMAP.SettingImageOptimizationName',
+        hint: 'QUICKBATTLEMAP.SettingImageOptimizationHint',
+        scope: 'world',
+        config: true,
+        type: Boolean,
+        default: false
+    },
+    [SETTING_KEYS.IMAGE_FORMAT]: {
+        name: 'QUICKBATTLEMAP.SettingImageFormatName',
+        hint: 'QUICKBATTLEMAP.SettingImageFormatHint',
+        scope: 'world',
+        config: true,
+        type: String,
+        choices: {
+            [IMAGE_FORMATS.WEBP]: 'QUICKBATTLEMAP.SettingImageFormatWebp',
+            [IMAGE_FORMATS.AVIF]: 'QUICKBATTLEMAP.SettingImageFormatAvif',
+            [IMAGE_FORMATS.ORIGINAL]: 'QUICKBATTLEMAP.SettingImageFormatOriginal'
+        },
+        default: IMAGE_FORMATS.WEBP
+    },
+    [SETTING_KEYS.IMAGE_QUALITY]: {
+        name: 'QUICKBATTLEMAP.SettingImageQualityName',
+        hint: 'QUICKBATTLEMAP.SettingImageQualityHint',
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: { min: 50, max: 100, step: 5 },
+        default: 85
+    },
+    [SETTING_KEYS.IMAGE_MAX_DIMENSION]: {
+        name: 'QUICKBATTLEMAP.SettingImageMaxDimensionName',
+        hint: 'QUICKBATTLEMAP.SettingImageMaxDimensionHint',
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: { min: 0, max: 16384, step: 256 },
+        default: 8192
+    },
+    [SETTING_KEYS.IMAGE_TARGET_GRID_SIZE]: {
+        name: 'QUICKBATTLEMAP.SettingImageTargetGridSizeName',
+        hint: 'QUICKBATTLEMAP.SettingImageTargetGridSizeHint',
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: { min: 0, max: 300, step: 5 },
+        default: 0
+    },
+    [SETTING_KEYS.MAP_TILE_SIZE]: {
+        name: 'QUICKBATTLEMAP.SettingMapTileSizeName',
+        hint: 'QUICKBATTLEMAP.SettingMapTileSizeHint',
+        scope: 'world',
+        config: true,
+        type: Number,
+        range: { min: 0, max: 16384, step: 1024 },
+        default: 8192
+    },
+    [SETTING_KEYS.LIGHT_PRESETS]: {
+        scope: 'world',
+        config: false,
+        type: String,
+        default: JSON.stringify(DEFAULT_LIGHT_PRESETS, null, 2)
+    }
+};
+
+/**
+ * Register all module settings. Called once during the init hook.
+ */
+export function registerModuleSettings() {
+    for (const [key, definition] of Object.entries(SETTING_DEFINITIONS)) {
+        const registeredDefinition = key === SETTING_KEYS.STORAGE_BUCKET ? withBucketChoices(definition) : definition;
+        game.settings.register(MODULE_SETTINGS_NAMESPACE, key, registeredDefinition);
+    }
+
+    game.settings.registerMenu(MODULE_SETTINGS_NAMESPACE, LIGHT_PRESET_MENU_KEY, {
+        name: 'QUICKBATTLEMAP.SettingLightPresetsName',
+        label: 'QUICKBATTLEMAP.SettingLightPresetsLabel',
+        hint: 'QUICKBATTLEMAP.SettingLightPresetsHint',
+        icon: 'fas fa-lightbulb',
+        type: LightPresetEditor,
+        restricted: true
+    });
+
+    game.settings.registerMenu(MODULE_SETTINGS_NAMESPACE, MEDIA_CLEANUP_MENU_KEY, {
+        name: 'QUICKBATTLEMAP.SettingMediaCleanupName',
+        label: 'QUICKBATTLEMAP.SettingMediaCleanupLabel',
+        hint: 'QUICKBATTLEMAP.SettingMediaCleanupHint',
+        icon: 'fas fa-broom',
+        type: MediaCleanupDialog,
+        restricted: true
+    });
+}
+
+/**
+ * Offer the S3 buckets configured on the server as choices of the bucket setting.
+ * Without configured buckets the setting stays a text field.
+ *
+ * @param {Object} definition - Definition of the bucket setting
+ * @returns {Object} The definition, with choices if buckets are configured
+ */
+function withBucketChoices(definition) {
+    const buckets = game.data?.files?.s3?.buckets ?? [];
+    if (buckets.length === 0) {
+        return definition;
+    }
+
+    return {
+        ...definition,
+        choices: {
+            '': 'QUICKBATTLEMAP.SettingStorageBucketFirst',
+            ...Object.fromEntries(buckets.map(bucket => [bucket, bucket]))
+        }
+    };
+}
+
+/**
+ * Read a module setting, falling back to its default value if it cannot be read.
+ *
+ * @param {string} key - One of SETTING_KEYS
+ * @returns {*} The setting value
+ */
+export function getModuleSetting(key) {
+    try {
+        return game.settings.get(MODULE_SETTINGS_NAMESPACE, key);
+    } catch (error) {
+        console.warn(`${MODULE_LOG_PREFIX} | Could not read setting "${key}"; using default`, error);
+        return SETTING_DEFINITIONS[key]?.default;
+    }
+}
+
+/**
+ * Get the storage settings uploads use.
+ *
+ * @returns {{source: string, bucket: string, pathTemplate: string, useSceneFolder: boolean}} Storage source, S3 bucket, path template and scene folder choice
+ */
+export function getStorageSettings() {
+    return {
+        source: getModuleSetting(SETTING_KEYS.STORAGE_SOURCE),
+        bucket: getModuleSetting(SETTING_KEYS.STORAGE_BUCKET),
+        pathTemplate: getModuleSetting(SETTING_KEYS.STORAGE_PATH_TEMPLATE),
+        useSceneFolder: getModuleSetting(SETTING_KEYS.STORAGE_SCENE_FOLDER)
+    };
+}
+
+/**
+ * Get the stored light preset library as JSON text.
+ *
+ * @returns {string} JSON text of the preset array
+ */
+export function getLightPresetsText() {
+    return getModuleSetting(SETTING_KEYS.LIGHT_PRESETS);
+}
+
+/**
+ * Get the light preset library, falling back to the built-in presets if the stored
+ * JSON cannot be parsed.
+ *
+ * @returns {import('./light-preset-library.js').LightPreset[]} The light presets
+ */
+export function getLightPresets() {
+    try {
+        return parseLightPresets(getLightPresetsText());
+    } catch (error) {
+        console.warn(`${MODULE_LOG_PREFIX} | Stored light presets are invalid; using defaults`, error);
+        return DEFAULT_LIGHT_PRESETS;
+    }
+}
+
+/**
+ * Save the light preset library.
+ *
+ * @param {import('./light-preset-library.js').LightPreset[]} presets - Validated presets
+ * @returns {Promise<*>} Resolves when the setting is saved
+ */
+export function saveLightPresets(presets) {
+    return game.settings.set(MODULE_SETTINGS_NAMESPACE, SETTING_KEYS.LIGHT_PRESETS, JSON.stringify(presets, null, 2));
+}
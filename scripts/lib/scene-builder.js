@@ -7,6 +7,9 @@
  * @module SceneBuilder
  */
 
+import { DocumentReferenceResolver } from './document-reference-resolver.js';
+import { GRID_TYPES, HEX_SIZE_MEASUREMENTS, convertHexSize, isHexGridType, parseGridType } from './grid-type-utils.js';
+
 /** Module identifier for console logging */
 const MODULE_LOG_PREFIX = 'Quick Battlemap Importer';
 
@@ -30,12 +33,13 @@ const CANVAS_READY_CHECK_INTERVAL_MS = 100;
 
 /**
  * @typedef {Object} GridSettings
- * @property {number} size - Grid cell size in pixels
- * @property {number} type - Grid type (0=none, 1=square, etc.)
+ * @property {number} size - Grid cell size in pixels (flat-to-flat for hex grids)
+ * @property {number} type - Grid type (0=none, 1=square, 2-5=hex, see GRID_TYPES)
  * @property {number} distance - Distance per grid cell
  * @property {string} units - Distance units
  * @property {string} color - Grid line color
  * @property {number} alpha - Grid line opacity
+ * @property {number} [thickness] - Grid line thickness in pixels (Foundry v12+)
  * @property {Object} offset - Grid offset
  * @property {number} offset.x - Horizontal offset
  * @property {number} offset.y - Vertical offset
@@ -43,7 +47,7 @@ const CANVAS_READY_CHECK_INTERVAL_MS = 100;
 
 /**
  * Service class responsible for building and configuring Foundry scenes.
- * Handles scene creation, grid settings, walls, and lights.
+ * Handles scene creation, grid settings, walls, lights, tokens, notes, and drawings.
  */
 export class SceneBuilder {
     
@@ -55,6 +59,9 @@ export class SceneBuilder {
     constructor(enableDebugLogging = false) {
         /** @type {boolean} Enable verbose console logging */
         this.isDebugLoggingEnabled = enableDebugLogging;
+
+        /** @type {DocumentReferenceResolver} Resolves actors and journal entries referenced by imported data */
+        this.referenceResolver = new DocumentReferenceResolver();
     }
 
     /**
@@ -147,6 +154,9 @@ export class SceneBuilder {
 
     /**
      * Apply grid settings to a scene, handling different Foundry versions.
+     * Unknown grid types fall back to square. Grid sizes are rounded to whole pixels,
+     * as Foundry stores them as integers; fractional sizes should already have been fitted
+     * with SceneGeometryScaler.fitToWholeGridSize so the rounding does not misalign the grid.
      * 
      * @param {Scene} scene - The scene to update
      * @param {GridSettings} gridSettings - Grid configuration to apply
@@ -156,7 +166,9 @@ export class SceneBuilder {
         // Override grid type if no-grid mode is enabled
         const effectiveGridSettings = { ...gridSettings };
         if (useNoGridMode) {
-            effectiveGridSettings.type = 0;
+            effectiveGridSettings.type = GRID_TYPES.GRIDLESS;
+        } else {
+            effectiveGridSettings.type = this.resolveGridType(gridSettings.type);
         }
 
         const sceneSnapshot = duplicate(scene.toObject());
@@ -169,7 +181,7 @@ export class SceneBuilder {
         if (usesObjectGridFormat) {
             await this.applyObjectGridSettings(scene, sceneSnapshot, effectiveGridSettings);
         } else {
-            await this.applyLegacyGridSettings(scene, effectiveGridSettings);
+            await this.applyLegacyGridSettings(scene, effectiveGridSettings, true);
         }
 
         if (this.isDebugLoggingEnabled) {
@@ -178,6 +190,21 @@ export class SceneBuilder {
         }
     }
 
+    /**
+     * Resolve a grid type to one Foundry accepts, warning when it has to fall back to square.
+     * 
+     * @param {number|string} gridType - Grid type from the normalized data
+     * @returns {number} A valid Foundry grid type
+     */
+    resolveGridType(gridType) {
+        const resolvedType = parseGridType(gridType, null);
+        if (resolvedType === null) {
+            console.warn(`${MODULE_LOG_PREFIX} | Unknown grid type "${gridType}"; using a square grid`);
+            return GRID_TYPES.SQUARE;
+        }
+        return resolvedType;
+    }
+
     /**
      * Apply grid settings using modern object format (Foundry v10+).
      * Falls back to legacy format if update fails.
@@ -189,7 +216,7 @@ export class SceneBuilder {
     async applyObjectGridSettings(scene, snapshot, gridSettings) {
         const gridUpdateData = {
             ...(snapshot.grid || {}),
-            size: gridSettings.size,
+            size: Math.round(gridSettings.size),
             type: gridSettings.type,
             distance: gridSettings.distance,
             units: gridSettings.units,
@@ -200,32 +227,42 @@ export class SceneBuilder {
                 y: gridSettings.offset?.y ?? 0
             }
         };
+        if (gridSettings.thickness >= 1) {
+            gridUpdateData.thickness = Math.round(gridSettings.thickness);
+        }
 
         try {
             await scene.update({ grid: gridUpdateData });
         } catch (updateError) {
             console.warn(`${MODULE_LOG_PREFIX} | Grid object update failed; using legacy format`, updateError);
-            await this.applyLegacyGridSettings(scene, gridSettings);
+            await this.applyLegacyGridSettings(scene, gridSettings, false);
         }
     }
 
     /**
      * Apply grid settings using legacy flat property format.
      * Used for older Foundry versions or as fallback.
+     * Foundry versions before v10 measure hex grids point-to-point, so hex sizes are
+     * converted from the flat-to-flat size used everywhere else in the importer.
      * 
      * @param {Scene} scene - The scene to update
      * @param {GridSettings} gridSettings - Grid settings to apply
+     * @param {boolean} usesLegacyHexDimensions - True when the running Foundry version uses legacy hex sizes
      */
-    async applyLegacyGridSettings(scene, gridSettings) {
+    async applyLegacyGridSettings(scene, gridSettings, usesLegacyHexDimensions) {
+        const gridSize = usesLegacyHexDimensions && isHexGridType(gridSettings.type)
+            ? convertHexSize(gridSettings.size, HEX_SIZE_MEASUREMENTS.FLAT_TO_FLAT, HEX_SIZE_MEASUREMENTS.POINT_TO_POINT)
+            : gridSettings.size;
+
         await scene.update({
-            grid: gridSettings.size,
+            grid: Math.round(gridSize),
             gridType: gridSettings.type,
             gridDistance: gridSettings.distance,
             gridUnits: gridSettings.units,
             gridColor: gridSettings.color,
             gridAlpha: gridSettings.alpha,
-            shiftX: gridSettings.offset?.x ?? 0,
-            shiftY: gridSettings.offset?.y ?? 0
+            shiftX: Math.round(gridSettings.offset?.x ?? 0),
+            shiftY: Math.round(gridSettings.offset?.y ?? 0)
         });
     }
 
@@ -343,6 +380,157 @@ export class SceneBuilder {
         }
     }
 
+    /**
+     * Create the tokens, notes, and drawings carried in the imported data.
+     * 
+     * @param {Scene} scene - The scene to add the documents to
+     * @param {Object} normalizedData - Normalized scene data with tokens, notes, and drawings
+     * @param {number} [elevation] - Optional elevation for tokens (multi-floor scenes)
+     * @returns {Promise<void>}
+     */
+    async createPlaceables(scene, normalizedData, elevation) {
+        await this.createDrawings(scene, normalizedData.drawings);
+        await this.createNotes(scene, normalizedData.notes);
+        await this.createTokens(scene, normalizedData.tokens, elevation);
+    }
+
+    /**
+     * Create drawing documents in a scene. Drawings are authored by the current user.
+     * 
+     * @param {Scene} scene - The scene to add drawings to
+     * @param {Array} drawingsData - Array of drawing document data
+     * @returns {Promise<void>}
+     */
+    async createDrawings(scene, drawingsData) {
+        const drawings = (drawingsData || []).map(drawing => ({
+            ...drawing,
+            author: game.user?.id
+        }));
+
+        if (!drawings.length) {
+            return;
+        }
+
+        if (this.isDebugLoggingEnabled) {
+            console.log(`${MODULE_LOG_PREFIX} | Creating ${drawings.length} drawings`);
+        }
+
+        try {
+            await scene.createEmbeddedDocuments('Drawing', drawings);
+        } catch (creationError) {
+            console.error(`${MODULE_LOG_PREFIX} | Failed to create drawings:`, drawings.slice(0, 5));
+            console.error(creationError);
+            ui.notifications.warn('Some drawings could not be created. See console.');
+        }
+    }
+
+    /**
+     * Create note documents in a scene, linking each note to a matching journal entry.
+     * Notes without a matching journal entry keep their label text.
+     * 
+     * @param {Scene} scene - The scene to add notes to
+     * @param {Array} notesData - Array of note document data
+     * @returns {Promise<void>}
+     */
+    async createNotes(scene, notesData) {
+        const notes = notesData || [];
+
+        if (!notes.length) {
+            return;
+        }
+
+        let unlinkedCount = 0;
+        const noteDocuments = notes.map(note => {
+            const { entryName, pageName, name, label, ...noteData } = note;
+            const { entryId, pageId } = this.referenceResolver.resolveJournalForNote(note);
+
+            if (!entryId) {
+                unlinkedCount++;
+            }
+
+            return {
+                ...noteData,
+                entryId: entryId,
+                pageId: pageId,
+                text: noteData.text || name || label || entryName || ''
+            };
+        });
+
+        if (this.isDebugLoggingEnabled) {
+            console.log(`${MODULE_LOG_PREFIX} | Creating ${noteDocuments.length} notes (${unlinkedCount} without journal entry)`);
+        }
+
+        try {
+            await scene.createEmbeddedDocuments('Note', noteDocuments);
+        } catch (creationError) {
+            console.error(`${MODULE_LOG_PREFIX} | Failed to create notes:`, noteDocuments.slice(0, 5));
+            console.error(creationError);
+            ui.notifications.warn('Some notes could not be created. See console.');
+            return;
+        }
+
+        if (unlinkedCount > 0) {
+            ui.notifications.warn(`${unlinkedCount} note(s) have no matching journal entry in this world.`);
+        }
+    }
+
+    /**
+     * Create token documents in a scene, resolving each token to a world or compendium actor.
+     * The actor's prototype token provides defaults for values the imported token does not set.
+     * Tokens without a matching actor are still created so their placement is not lost.
+     * 
+     * @param {Scene} scene - The scene to add tokens to
+     * @param {Array} tokensData - Array of token document data
+     * @param {number} [elevation] - Optional elevation for all tokens
+     * @returns {Promise<void>}
+     */
+    async createTokens(scene, tokensData, elevation) {
+        const tokens = tokensData || [];
+
+        if (!tokens.length) {
+            return;
+        }
+
+        let unresolvedCount = 0;
+        const tokenDocuments = [];
+
+        for (const token of tokens) {
+            const { actorUuid, actorName, ...tokenData } = token;
+            const actor = await this.referenceResolver.resolveActorForToken(token);
+
+            if (!actor) {
+                unresolvedCount++;
+            }
+
+            const prototypeData = actor?.prototypeToken?.toObject?.() ?? {};
+            const mergedToken = foundry.utils.mergeObject(prototypeData, tokenData, { inplace: false });
+            mergedToken.actorId = actor?.id ?? null;
+
+            if (elevation !== undefined) {
+                mergedToken.elevation = elevation;
+            }
+
+            tokenDocuments.push(mergedToken);
+        }
+
+        if (this.isDebugLoggingEnabled) {
+            console.log(`${MODULE_LOG_PREFIX} | Creating ${tokenDocuments.length} tokens (${unresolvedCount} without actor)`);
+        }
+
+        try {
+            await scene.createEmbeddedDocuments('Token', tokenDocuments);
+        } catch (creationError) {
+            console.error(`${MODULE_LOG_PREFIX} | Failed to create tokens:`, tokenDocuments.slice(0, 5));
+            console.error(creationError);
+            ui.notifications.warn('Some tokens could not be created. See console.');
+            return;
+        }
+
+        if (unresolvedCount > 0) {
+            ui.notifications.warn(`${unresolvedCount} token(s) could not be matched to an actor and were created without one.`);
+        }
+    }
+
     /**
      * Create floor tiles for multi-floor scenes.
      * Each additional floor is created as an overhead tile that can be toggled.
@@ -464,6 +652,54 @@ export class SceneBuilder {
         }
     }
 
+    /**
+     * Place the pieces of a split background image as tiles covering the scene rectangle.
+     * The pieces are positioned by scaling the image's pixel space to the scene, so they
+     * line up with the walls, lights and grid like a single background would. Call this
+     * after the grid settings are applied: the scene rectangle's offset comes from the
+     * padding, which Foundry rounds to whole grid cells.
+     * 
+     * @param {Scene} scene - The scene to add the map tiles to, with its final grid settings
+     * @param {import('./map-tiling-service.js').TileLayout} layout - How the image was split
+     * @param {string[]} tilePaths - Uploaded paths of the pieces, in layout order
+     * @returns {Promise<void>}
+     */
+    async createMapTiles(scene, layout, tilePaths) {
+        const { sceneX = 0, sceneY = 0 } = scene.dimensions ?? {};
+        const scaleX = scene.width / layout.dimensions.width;
+        const scaleY = scene.height / layout.dimensions.height;
+
+        const tileDocuments = layout.cells.map((cell, index) => ({
+            texture: {
+                src: tilePaths[index]
+            },
+            x: sceneX + cell.x * scaleX,
+            y: sceneY + cell.y * scaleY,
+            width: cell.width * scaleX,
+            height: cell.height * scaleY,
+            overhead: false,
+            roof: false,
+            occlusion: { mode: 0 },
+            locked: true,
+            sort: index - layout.cells.length, // Below tiles placed by the GM
+            flags: {
+                'quick-battlemap-importer': {
+                    mapTile: { row: cell.row, column: cell.column }
+                }
+            }
+        }));
+
+        try {
+            await scene.createEmbeddedDocuments('Tile', tileDocuments);
+            if (this.isDebugLoggingEnabled) {
+                console.log(`${MODULE_LOG_PREFIX} | Created ${tileDocuments.length} map tiles (${layout.columns}×${layout.rows})`);
+            }
+        } catch (error) {
+            console.error(`${MODULE_LOG_PREFIX} | Failed to create map tiles:`, error);
+            ui.notifications.warn('Some map tiles could not be created. See console.');
+        }
+    }
+
     /**
      * Utility method to create a delay.
      * 
@@ -557,7 +793,8 @@ export class SceneBuilder {
      * Each additional floor is created as a tile with proper elevation.
      * 
      * @param {Scene} scene - The scene to add floor tiles to
-     * @param {Array} additionalFloors - Array of floor data (excluding base floor)
+     * @param {Array} additionalFloors - Array of floor data (excluding base floor); a floor's
+     *   normalizedData, if set, is used instead of normalizing its JSON again
      * @param {Object} baseDimensions - Dimensions of the base floor
      * @param {Object} dataNormalizer - Data normalizer instance for processing JSON
      * @param {Array<number>} floorElevations - Array of elevation values for each floor
@@ -610,7 +847,7 @@ export class SceneBuilder {
 
             // Process walls and lights for this floor if JSON data exists
             if (floor.jsonData) {
-                const normalizedData = dataNormalizer.normalizeToFoundryFormat(floor.jsonData);
+                const normalizedData = floor.normalizedData ?? dataNormalizer.normalizeToFoundryFormat(floor.jsonData);
                 
                 // Create walls with elevation
                 if (normalizedData.walls && normalizedData.walls.length > 0) {
@@ -621,6 +858,9 @@ export class SceneBuilder {
                 if (normalizedData.lights && normalizedData.lights.length > 0) {
                     await this.createLightsWithElevation(scene, normalizedData.lights, elevation, rangeTop);
                 }
+
+                // Create tokens, notes, and drawings for this floor
+                await this.createPlaceables(scene, normalizedData, elevation);
             }
         }
 
@@ -2,20 +2,38 @@
  * Scene Data Normalizer
  * 
  * Transforms imported scene configuration data (from JSON exports like Dungeon Alchemist)
- * into Foundry VTT's expected document format. Handles various input formats and
- * provides sensible defaults for missing values.
+ * into Foundry VTT's expected document format. The source format is detected through the
+ * format adapter registry; the selected adapter maps its keys to the imported scene
+ * structure, and this class validates the values and provides sensible defaults.
  * 
  * @module SceneDataNormalizer
  */
 
+import { formatAdapterRegistry } from './format-adapter-registry.js';
+import { HEX_SIZE_MEASUREMENTS, convertHexSize, isHexGridType, parseGridType } from './grid-type-utils.js';
+import { WallTopologyOptimizer } from './wall-topology-optimizer.js';
+import { WallGapAnalyzer, WALL_GAP_DEFAULTS } from './wall-gap-analyzer.js';
+import {
+    WALL_DOOR_STATES,
+    WALL_DOOR_TYPES,
+    WALL_HINTS,
+    WALL_MOVEMENT_TYPES,
+    WALL_SENSE_TYPES,
+    getWallHints,
+    parseDoorState,
+    parseDoorType
+} from './wall-type-utils.js';
+import { LightPresetLibrary } from './light-preset-library.js';
+
 /**
  * @typedef {Object} NormalizedGridSettings
- * @property {number} size - Grid cell size in pixels
- * @property {number} type - Grid type (0=none, 1=square, 2=hex-row, 3=hex-col)
+ * @property {number} size - Grid cell size in pixels (flat-to-flat for hex grids)
+ * @property {number} type - Grid type (0=none, 1=square, 2/3=hex rows odd/even, 4/5=hex columns odd/even)
  * @property {number} distance - Real-world distance per grid cell
  * @property {string} units - Unit of measurement (ft, m, etc.)
  * @property {number} alpha - Grid line opacity (0-1)
  * @property {string} color - Grid line color (hex)
+ * @property {number} [thickness] - Grid line thickness in pixels, if given
  * @property {Object} offset - Grid offset for alignment
  * @property {number} offset.x - Horizontal offset in pixels
  * @property {number} offset.y - Vertical offset in pixels
@@ -31,18 +49,50 @@
  * @property {number} sound - Sound restriction type
  * @property {number} sight - Vision restriction type
  * @property {number} light - Light restriction type
+ * @property {NormalizedWallThreshold} [threshold] - Proximity thresholds (only when set)
+ * @property {string} [doorSound] - Door sound key from CONFIG.Wall.doorSounds (doors only)
+ * @property {Object} [animation] - Door animation settings (doors only)
  * @property {Object} flags - Custom module flags
  */
 
+/**
+ * @typedef {Object} NormalizedWallThreshold
+ * @property {number|null} light - Light threshold in scene distance units
+ * @property {number|null} sight - Sight threshold in scene distance units
+ * @property {number|null} sound - Sound threshold in scene distance units
+ * @property {boolean} attenuation - Whether light is attenuated by the threshold
+ */
+
 /**
  * @typedef {Object} NormalizedLightData
  * @property {number} x - X coordinate
  * @property {number} y - Y coordinate
+ * @property {number} [elevation] - Light elevation (only when set)
  * @property {number} rotation - Light rotation angle
  * @property {boolean} hidden - Whether light is hidden from players
  * @property {boolean} walls - Whether light is blocked by walls
  * @property {boolean} vision - Whether light provides vision
- * @property {Object} config - Light configuration object
+ * @property {NormalizedLightConfig} config - Light configuration object
+ * @property {Object} flags - Custom module flags
+ */
+
+/**
+ * @typedef {Object} NormalizedLightConfig
+ * @property {number} alpha - Color intensity (0-1)
+ * @property {string|null} color - Light color (hex)
+ * @property {number} bright - Bright radius in grid units
+ * @property {number} dim - Dim radius in grid units
+ * @property {number} angle - Emission angle in degrees (360 = full circle, less = cone)
+ * @property {number} coloration - Coloration technique id
+ * @property {number} luminosity - Luminosity (0-1)
+ * @property {number} attenuation - Falloff between bright and dim (0-1)
+ * @property {number} saturation - Saturation adjustment (-1 to 1)
+ * @property {number} contrast - Contrast adjustment (-1 to 1)
+ * @property {number} shadows - Shadow strength (0-1)
+ * @property {boolean} negative - Whether the light emits darkness
+ * @property {number} priority - Priority among overlapping lights
+ * @property {{type: string|null, speed: number, intensity: number, reverse: boolean}} animation - Light animation
+ * @property {{min: number, max: number}} darkness - Scene darkness range in which the light is active
  */
 
 /**
@@ -57,11 +107,17 @@
  * @property {number} darkness - Darkness level (0-1)
  * @property {NormalizedWallData[]} walls - Wall documents
  * @property {NormalizedLightData[]} lights - Ambient light documents
- * @property {Array} tokens - Token documents
- * @property {Array} notes - Note documents
- * @property {Array} drawings - Drawing documents
+ * @property {Object[]} tokens - Token data (actor references are resolved when creating the scene)
+ * @property {Object[]} notes - Note data (journal references are resolved when creating the scene)
+ * @property {Object[]} drawings - Drawing documents
+ * @property {{id: string, label: string, confidence: number}|null} sourceFormat - The detected source format
+ * @property {import('./wall-topology-optimizer.js').WallOptimizationStats} wallOptimization - Wall counts before and after optimization
+ * @property {import('./wall-gap-analyzer.js').WallGapReport} wallGaps - Possible light leaks between walls
  */
 
+/** Module identifier for console logging */
+const MODULE_LOG_PREFIX = 'Quick Battlemap Importer';
+
 /** Default values for grid configuration */
 const GRID_DEFAULTS = {
     SIZE: 100,
@@ -79,15 +135,85 @@ const SCENE_DEFAULTS = {
     DARKNESS: 0
 };
 
+/**
+ * Restrictions applied to walls with a window or low wall hint.
+ * Their sight and light thresholds are set to one grid cell, so tokens right at
+ * the wall can see and light can shine through while everything else is blocked.
+ */
+const WALL_HINT_PRESETS = {
+    [WALL_HINTS.WINDOW]: {
+        move: WALL_MOVEMENT_TYPES.NORMAL,
+        sight: WALL_SENSE_TYPES.PROXIMITY,
+        light: WALL_SENSE_TYPES.PROXIMITY,
+        sound: WALL_SENSE_TYPES.LIMITED,
+        attenuation: true
+    },
+    [WALL_HINTS.LOW_WALL]: {
+        move: WALL_MOVEMENT_TYPES.NORMAL,
+        sight: WALL_SENSE_TYPES.PROXIMITY,
+        light: WALL_SENSE_TYPES.PROXIMITY,
+        sound: WALL_SENSE_TYPES.NONE,
+        attenuation: false
+    }
+};
+
+/** Light defaults applied when the source data omits a value */
+const LIGHT_DEFAULTS = {
+    ALPHA: 0.5,
+    ANGLE: 360,
+    COLORATION: 1,      // Luminance (Foundry's default technique)
+    LUMINOSITY: 0.5,
+    ATTENUATION: 0.5,
+    ANIMATION_SPEED: 5,
+    ANIMATION_INTENSITY: 5
+};
+
 /**
  * Service class that normalizes imported scene data to Foundry's expected format.
  * Handles various JSON export formats and provides sensible defaults.
  */
 export class SceneDataNormalizer {
+    /**
+     * @param {import('./format-adapter-registry.js').FormatAdapterRegistry} [adapterRegistry] - Registry used for format detection
+     */
+    constructor(adapterRegistry = formatAdapterRegistry) {
+        /** @type {import('./format-adapter-registry.js').FormatAdapterRegistry} Registry of source format adapters */
+        this.adapterRegistry = adapterRegistry;
+
+        /** @type {WallTopologyOptimizer} Simplifies imported wall geometry */
+        this.wallOptimizer = new WallTopologyOptimizer();
+
+        /** @type {WallGapAnalyzer} Finds (and optionally closes) small gaps between walls */
+        this.wallGapAnalyzer = new WallGapAnalyzer();
+
+        /** @type {{tolerance: number, autoClose: boolean}} Wall gap analysis options */
+        this.wallGapOptions = { tolerance: WALL_GAP_DEFAULTS.TOLERANCE, autoClose: false };
+
+        /** @type {LightPresetLibrary} Fills in light configs from name/tag presets */
+        this.lightPresetLibrary = new LightPresetLibrary();
+
+        /** @type {string|null} Background color used when the imported data has none, e.g. sampled from the map's border */
+        this.defaultBackgroundColor = null;
+    }
+
+    /**
+     * Detect the source format of imported JSON data.
+     * 
+     * @param {Object|null|undefined} inputData - Raw imported scene data
+     * @returns {{id: string, label: string, confidence: number}|null} The detected format, or null without data
+     */
+    detectSourceFormat(inputData) {
+        if (!inputData) {
+            return null;
+        }
+
+        const detected = this.adapterRegistry.detectFormat(inputData);
+        return detected ? { id: detected.id, label: detected.label, confidence: detected.confidence } : null;
+    }
 
     /**
      * Transform imported scene configuration into Foundry's internal document format.
-     * Handles multiple input formats and normalizes all values.
+     * The best matching format adapter maps the source keys, then all values are normalized.
      * 
      * @param {Object|null|undefined} inputData - Raw imported scene data (may be null/undefined)
      * @returns {NormalizedSceneData} Normalized scene configuration ready for Foundry
@@ -98,174 +224,202 @@ export class SceneDataNormalizer {
      * // normalized.grid, normalized.walls, etc. are ready for Scene.create()
      */
     normalizeToFoundryFormat(inputData) {
-        const sourceData = inputData || {};
+        const detectedFormat = inputData ? this.adapterRegistry.detectFormat(inputData) : null;
+        const importedData = detectedFormat ? (detectedFormat.adapter.normalize(inputData) || {}) : {};
+        const grid = this.normalizeGridSettings(importedData.grid);
+        const optimizedWalls = this.wallOptimizer.optimize(this.normalizeWallsData(importedData.walls || [], grid.distance));
+        const { walls, wallGaps } = this.analyzeWallGaps(optimizedWalls.walls);
 
         const normalizedData = {
-            name: sourceData.name,
-            width: this.parseNumberOrUndefined(sourceData.width),
-            height: this.parseNumberOrUndefined(sourceData.height),
-            grid: this.normalizeGridSettings(sourceData),
-            padding: this.parseNumberWithDefault(sourceData.padding, SCENE_DEFAULTS.PADDING),
-            backgroundColor: sourceData.backgroundColor ?? sourceData.gridColor ?? SCENE_DEFAULTS.BACKGROUND_COLOR,
-            globalLight: !!sourceData.globalLight,
-            darkness: this.parseNumberWithDefault(sourceData.darkness, SCENE_DEFAULTS.DARKNESS),
-            walls: this.normalizeWallsData(sourceData.walls || []),
-            lights: this.normalizeLightsData(sourceData.lights || [], sourceData),
-            tokens: sourceData.tokens ?? [],
-            notes: sourceData.notes ?? [],
-            drawings: sourceData.drawings ?? []
+            name: importedData.name,
+            width: this.parseNumberOrUndefined(importedData.width),
+            height: this.parseNumberOrUndefined(importedData.height),
+            grid,
+            padding: this.parseNumberWithDefault(importedData.padding, SCENE_DEFAULTS.PADDING),
+            backgroundColor: importedData.backgroundColor ?? this.defaultBackgroundColor ?? SCENE_DEFAULTS.BACKGROUND_COLOR,
+            globalLight: !!importedData.globalLight,
+            darkness: this.parseNumberWithDefault(importedData.darkness, SCENE_DEFAULTS.DARKNESS),
+            walls,
+            lights: this.normalizeLightsData(importedData.lights || []),
+            tokens: this.normalizePlaceablesData(importedData.tokens),
+            notes: this.normalizePlaceablesData(importedData.notes),
+            drawings: this.normalizeDrawingsData(importedData.drawings),
+            sourceFormat: detectedFormat
+                ? { id: detectedFormat.id, label: detectedFormat.label, confidence: detectedFormat.confidence }
+                : null,
+            wallOptimization: optimizedWalls.stats,
+            wallGaps
         };
 
         return normalizedData;
     }
 
     /**
-     * Normalize grid settings from various input formats.
-     * Supports both flat properties and nested grid object.
+     * Normalize grid settings from the imported grid object, applying defaults.
+     * Grid type names (e.g. "hexOddQ") are mapped to Foundry grid types, and hex sizes
+     * measured point-to-point are converted to Foundry's flat-to-flat size.
      * 
-     * @param {Object} sourceData - Source data containing grid information
+     * @param {Object|undefined} gridData - Grid data provided by the format adapter
      * @returns {NormalizedGridSettings} Normalized grid configuration
      */
-    normalizeGridSettings(sourceData) {
-        // Extract grid values from either flat properties or nested grid object
-        const gridSize = this.extractGridValue(sourceData, 'size', 'grid', GRID_DEFAULTS.SIZE);
-        const gridType = this.extractGridValue(sourceData, 'gridType', 'type', GRID_DEFAULTS.TYPE);
-        const gridDistance = sourceData.gridDistance ?? sourceData.grid?.distance ?? GRID_DEFAULTS.DISTANCE;
-        const gridUnits = sourceData.gridUnits ?? sourceData.grid?.units ?? GRID_DEFAULTS.UNITS;
-        const gridAlpha = this.parseNumberWithDefault(
-            sourceData.gridAlpha ?? sourceData.grid?.alpha, 
-            GRID_DEFAULTS.ALPHA
-        );
-        const gridColor = sourceData.gridColor ?? sourceData.grid?.color ?? GRID_DEFAULTS.COLOR;
-        const offsetX = this.parseNumberWithDefault(sourceData.shiftX ?? sourceData.grid?.shiftX, 0);
-        const offsetY = this.parseNumberWithDefault(sourceData.shiftY ?? sourceData.grid?.shiftY, 0);
+    normalizeGridSettings(gridData) {
+        const grid = gridData || {};
+        const type = parseGridType(grid.type, GRID_DEFAULTS.TYPE);
+        let size = this.parseNumberWithDefault(grid.size, GRID_DEFAULTS.SIZE);
+
+        if (isHexGridType(type) && grid.sizeMeasurement === HEX_SIZE_MEASUREMENTS.POINT_TO_POINT) {
+            size = convertHexSize(size, HEX_SIZE_MEASUREMENTS.POINT_TO_POINT);
+        }
 
         return {
-            size: gridSize,
-            type: gridType,
-            distance: gridDistance,
-            units: gridUnits,
-            alpha: gridAlpha,
-            color: gridColor,
+            size,
+            type,
+            distance: this.parseNumberWithDefault(grid.distance, GRID_DEFAULTS.DISTANCE),
+            units: grid.units ?? GRID_DEFAULTS.UNITS,
+            alpha: this.parseNumberWithDefault(grid.alpha, GRID_DEFAULTS.ALPHA),
+            color: grid.color ?? GRID_DEFAULTS.COLOR,
+            thickness: this.parseNumberOrUndefined(grid.thickness),
             offset: {
-                x: offsetX,
-                y: offsetY
+                x: this.parseNumberWithDefault(grid.offset?.x, 0),
+                y: this.parseNumberWithDefault(grid.offset?.y, 0)
             }
         };
     }
 
-    /**
-     * Extract a grid value from source data, handling both number and object formats.
-     * 
-     * @param {Object} sourceData - Source data object
-     * @param {string} flatKey - Key for flat property (e.g., 'gridType')
-     * @param {string} nestedKey - Key within grid object (e.g., 'type')
-     * @param {number} defaultValue - Default value if not found
-     * @returns {number} The extracted grid value
-     */
-    extractGridValue(sourceData, flatKey, nestedKey, defaultValue) {
-        // Handle the special case where grid can be a number (size) or an object
-        if (nestedKey === 'grid' || flatKey === 'size') {
-            const rawGridValue = typeof sourceData.grid === 'number' 
-                ? sourceData.grid 
-                : sourceData.grid?.size;
-            return this.parseNumberWithDefault(rawGridValue, defaultValue);
-        }
-
-        const flatValue = sourceData[flatKey];
-        const nestedValue = sourceData.grid?.[nestedKey];
-        
-        return this.parseNumberWithDefault(
-            flatValue !== undefined ? flatValue : nestedValue, 
-            defaultValue
-        );
-    }
-
     /**
      * Normalize an array of wall data to Foundry's Wall document format.
-     * Filters out regular walls that share exact coordinates with doors to prevent
-     * duplicate walls blocking door functionality.
+     * Overlapping walls at door locations are removed afterwards by the wall optimizer,
+     * which cuts door spans out of collinear walls.
      * 
      * @param {Array} wallsArray - Array of raw wall data objects
+     * @param {number} [gridDistance] - Scene distance per grid cell, used for hinted wall thresholds
      * @returns {NormalizedWallData[]} Array of normalized wall documents
      */
-    normalizeWallsData(wallsArray) {
-        const normalizedWalls = wallsArray.map(wall => this.normalizeWall(wall));
-        return this.filterDuplicateWallsAtDoorLocations(normalizedWalls);
+    normalizeWallsData(wallsArray, gridDistance = GRID_DEFAULTS.DISTANCE) {
+        return wallsArray.map(wall => this.normalizeWall(wall, gridDistance));
     }
 
     /**
-     * Filter out regular walls that have the same coordinates as doors.
-     * Some map exports include both a wall segment and a door at the same location,
-     * which causes the door to be blocked by the overlapping wall.
+     * Look for small gaps between walls and close them when auto-close is enabled.
      * 
-     * @param {NormalizedWallData[]} walls - Array of normalized wall data
-     * @returns {NormalizedWallData[]} Filtered array with duplicate walls removed
+     * @param {NormalizedWallData[]} walls - Optimized walls
+     * @returns {{walls: NormalizedWallData[], wallGaps: import('./wall-gap-analyzer.js').WallGapReport}} Walls and gap report
      */
-    filterDuplicateWallsAtDoorLocations(walls) {
-        // Collect coordinates of all doors
-        const doorCoordinates = new Set();
-        
-        for (const wall of walls) {
-            if (wall.door > 0 && Array.isArray(wall.c) && wall.c.length >= 4) {
-                // Store both forward and reverse coordinate strings to handle different orderings
-                const coordKey = wall.c.slice(0, 4).join(',');
-                const reverseKey = [wall.c[2], wall.c[3], wall.c[0], wall.c[1]].join(',');
-                doorCoordinates.add(coordKey);
-                doorCoordinates.add(reverseKey);
-            }
-        }
+    analyzeWallGaps(walls) {
+        const wallGaps = this.wallGapAnalyzer.analyze(walls, this.wallGapOptions.tolerance);
 
-        // If no doors, return walls as-is
-        if (doorCoordinates.size === 0) {
-            return walls;
+        if (!this.wallGapOptions.autoClose || !wallGaps.issues.length) {
+            return { walls, wallGaps };
         }
 
-        // Filter out regular walls (door === 0) that share coordinates with doors
-        return walls.filter(wall => {
-            // Keep all doors
-            if (wall.door > 0) {
-                return true;
-            }
-
-            // Check if this regular wall overlaps with a door location
-            if (Array.isArray(wall.c) && wall.c.length >= 4) {
-                const coordKey = wall.c.slice(0, 4).join(',');
-                if (doorCoordinates.has(coordKey)) {
-                    return false; // Remove this wall - there's a door here
-                }
-            }
-
-            return true;
-        });
+        const closed = this.wallGapAnalyzer.closeGaps(walls, wallGaps);
+        return { walls: closed.walls, wallGaps: { ...wallGaps, closedCount: closed.closedCount } };
     }
 
     /**
      * Normalize a single wall object to Foundry's expected format.
+     * Door type and state, proximity thresholds, door sound and door animation are kept,
+     * and wall type hints (windows, low walls, secret, locked or open doors) are applied.
      * 
      * @param {Object} wall - Raw wall data
+     * @param {number} [gridDistance] - Scene distance per grid cell, used for hinted wall thresholds
      * @returns {NormalizedWallData} Normalized wall document
      */
-    normalizeWall(wall) {
+    normalizeWall(wall, gridDistance = GRID_DEFAULTS.DISTANCE) {
         const restrictionTypes = this.getWallRestrictionTypes();
-        const doorType = this.ensureFiniteNumber(wall.door, 0);
+        const hints = getWallHints(wall);
+        const { door, ds } = this.resolveDoorSettings(wall, hints);
         
         // Doors should default to NORMAL restrictions (blocking) when closed,
         // while regular walls default to NONE (the source data usually specifies restrictions)
-        const isDoor = doorType > 0;
+        const isDoor = door !== WALL_DOOR_TYPES.NONE;
         const defaultRestriction = isDoor ? restrictionTypes.NORMAL : restrictionTypes.NONE;
+        const presetHint = Object.keys(WALL_HINT_PRESETS).find(hint => hints.has(hint));
+        const preset = presetHint ? WALL_HINT_PRESETS[presetHint] : null;
 
-        return {
+        const normalizedWall = {
             c: this.normalizeWallCoordinates(wall.c),
-            door: doorType,
-            ds: this.ensureFiniteNumber(wall.ds, 0),
+            door,
+            ds,
             dir: this.ensureFiniteNumber(wall.dir, 0),
-            move: this.parseRestrictionValue(wall.move, defaultRestriction, restrictionTypes),
-            sound: this.parseRestrictionValue(wall.sound, defaultRestriction, restrictionTypes),
-            sight: this.parseRestrictionValue(wall.sense ?? wall.sight, defaultRestriction, restrictionTypes),
-            light: this.parseRestrictionValue(wall.light, defaultRestriction, restrictionTypes),
+            move: preset?.move ?? this.parseMovementValue(this.parseRestrictionValue(wall.move, defaultRestriction, restrictionTypes)),
+            sound: preset?.sound ?? this.parseRestrictionValue(wall.sound, defaultRestriction, restrictionTypes),
+            sight: preset?.sight ?? this.parseRestrictionValue(wall.sight, defaultRestriction, restrictionTypes),
+            light: preset?.light ?? this.parseRestrictionValue(wall.light, defaultRestriction, restrictionTypes),
             flags: wall.flags ?? {}
         };
+
+        const threshold = this.normalizeWallThreshold(wall.threshold)
+            ?? (preset ? { light: gridDistance, sight: gridDistance, sound: null, attenuation: preset.attenuation } : null);
+        if (threshold) {
+            normalizedWall.threshold = threshold;
+        }
+
+        if (isDoor && typeof wall.doorSound === 'string' && wall.doorSound) {
+            normalizedWall.doorSound = wall.doorSound;
+        }
+        if (isDoor && wall.animation && typeof wall.animation === 'object') {
+            normalizedWall.animation = { ...wall.animation };
+        }
+
+        return normalizedWall;
+    }
+
+    /**
+     * Determine the door type and state of a wall from its door fields and hints.
+     * A secret hint makes the wall a secret door; a locked hint turns a plain wall into a
+     * locked door. Walls that are not doors are always closed.
+     * 
+     * @param {Object} wall - Raw wall data
+     * @param {Set<string>} hints - Wall type hints from getWallHints
+     * @returns {{door: number, ds: number}} Foundry door type and door state
+     */
+    resolveDoorSettings(wall, hints) {
+        let door = parseDoorType(wall.door);
+        let ds = parseDoorState(wall.ds);
+
+        if (hints.has(WALL_HINTS.SECRET)) {
+            door = WALL_DOOR_TYPES.SECRET;
+        } else if (hints.has(WALL_HINTS.LOCKED) && door === WALL_DOOR_TYPES.NONE) {
+            door = WALL_DOOR_TYPES.DOOR;
+        }
+
+        if (hints.has(WALL_HINTS.LOCKED)) {
+            ds = WALL_DOOR_STATES.LOCKED;
+        } else if (hints.has(WALL_HINTS.OPEN) && ds === WALL_DOOR_STATES.CLOSED) {
+            ds = WALL_DOOR_STATES.OPEN;
+        }
+
+        return { door, ds: door === WALL_DOOR_TYPES.NONE ? WALL_DOOR_STATES.CLOSED : ds };
+    }
+
+    /**
+     * Normalize proximity thresholds. A single number applies to sight and light.
+     * 
+     * @param {Object|number|undefined} threshold - Raw threshold data
+     * @returns {NormalizedWallThreshold|null} Normalized thresholds, or null when none are set
+     */
+    normalizeWallThreshold(threshold) {
+        const parseDistance = (value) => {
+            const number = value === null || value === '' ? NaN : Number(value);
+            return Number.isFinite(number) && number >= 0 ? number : null;
+        };
+
+        if (typeof threshold === 'number' || typeof threshold === 'string') {
+            const distance = parseDistance(threshold);
+            return distance === null ? null : { light: distance, sight: distance, sound: null, attenuation: false };
+        }
+
+        if (!threshold || typeof threshold !== 'object') {
+            return null;
+        }
+
+        return {
+            light: parseDistance(threshold.light),
+            sight: parseDistance(threshold.sight),
+            sound: parseDistance(threshold.sound),
+            attenuation: !!threshold.attenuation
+        };
     }
 
     /**
@@ -282,16 +436,23 @@ export class SceneDataNormalizer {
     }
 
     /**
-     * Get wall restriction type constants from Foundry or use defaults.
+     * Get wall sense type constants from Foundry or use defaults.
+     * (CONST.WALL_RESTRICTION_TYPES only lists the restriction names since Foundry v10.)
      * 
-     * @returns {{NONE: number, LIMITED: number, NORMAL: number}} Restriction type values
+     * @returns {{NONE: number, LIMITED: number, NORMAL: number, PROXIMITY: number, DISTANCE: number}} Restriction type values
      */
     getWallRestrictionTypes() {
-        return globalThis?.CONST?.WALL_RESTRICTION_TYPES || {
-            NONE: 0,
-            LIMITED: 10,
-            NORMAL: 20
-        };
+        return globalThis?.CONST?.WALL_SENSE_TYPES || WALL_SENSE_TYPES;
+    }
+
+    /**
+     * Reduce a restriction to the values Foundry allows for movement (none or normal).
+     * 
+     * @param {number} restriction - Parsed restriction value
+     * @returns {number} Movement restriction type
+     */
+    parseMovementValue(restriction) {
+        return restriction === WALL_SENSE_TYPES.NONE ? WALL_MOVEMENT_TYPES.NONE : WALL_MOVEMENT_TYPES.NORMAL;
     }
 
     /**
@@ -311,8 +472,13 @@ export class SceneDataNormalizer {
             return value;
         }
 
+        // Missing values use the default (doors block unless told otherwise)
+        if (value == null) {
+            return defaultValue;
+        }
+
         // Falsy values map to NONE
-        if (value === 0 || value === '0' || value === false || value == null) {
+        if (value === 0 || value === '0' || value === false) {
             return restrictionTypes.NONE;
         }
 
@@ -334,6 +500,12 @@ export class SceneDataNormalizer {
             if (lowercaseValue.startsWith('norm')) {
                 return restrictionTypes.NORMAL;
             }
+            if (lowercaseValue.startsWith('prox')) {
+                return restrictionTypes.PROXIMITY ?? restrictionTypes.NORMAL;
+            }
+            if (lowercaseValue.startsWith('dist') || lowercaseValue.startsWith('reverse')) {
+                return restrictionTypes.DISTANCE ?? restrictionTypes.NORMAL;
+            }
         }
 
         return defaultValue;
@@ -342,66 +514,171 @@ export class SceneDataNormalizer {
     /**
      * Normalize an array of light data to Foundry's AmbientLight document format.
      * 
-     * @param {Array} lightsArray - Array of raw light data objects
-     * @param {Object} sourceData - Source scene data for context (grid settings, etc.)
+     * @param {Array} lightsArray - Array of imported light data objects
      * @returns {NormalizedLightData[]} Array of normalized light documents
      */
-    normalizeLightsData(lightsArray, sourceData = {}) {
-        // Calculate the conversion factor from source units to grid units
-        // Dungeon Alchemist exports light radii in map units (e.g., feet)
-        // Foundry expects radii in grid units (number of grid squares)
-        const gridDistance = sourceData.gridDistance ?? sourceData.grid?.distance ?? GRID_DEFAULTS.DISTANCE;
-        
-        return lightsArray.map(light => this.normalizeLight(light, gridDistance));
+    normalizeLightsData(lightsArray) {
+        return lightsArray.map(light => this.normalizeLight(light));
     }
 
     /**
      * Normalize a single light object to Foundry's expected format.
+     * Radii are kept as the format adapter returned them; adapters convert from their source units.
+     * Lights whose name or tags match a light preset get the preset's settings
+     * for everything the source does not specify.
      * 
-     * @param {Object} light - Raw light data
-     * @param {number} gridDistance - Distance per grid cell for unit conversion
+     * @param {Object} light - Imported light data
      * @returns {NormalizedLightData} Normalized light document
      */
-    normalizeLight(light, gridDistance = GRID_DEFAULTS.DISTANCE) {
-        // Convert light radii from map units (feet) to grid units
-        // e.g., 33.75 feet / 5 feet per grid = 6.75 grid units
-        const brightRadius = this.convertToGridUnits(light.bright, gridDistance);
-        const dimRadius = this.convertToGridUnits(light.dim, gridDistance);
+    normalizeLight(light) {
+        const elevation = Number(light.elevation);
+        const preset = this.lightPresetLibrary.findPreset(light);
+        const config = preset
+            ? this.lightPresetLibrary.applyPreset(light.config, preset)
+            : (light.config || {});
 
         return {
             x: Number(light.x),
             y: Number(light.y),
-            rotation: 0,
-            hidden: false,
-            walls: true,
-            vision: false,
-            config: {
-                alpha: Number(light.tintAlpha ?? 0.5),
-                color: light.tintColor ?? null,
-                bright: brightRadius,
-                dim: dimRadius,
-                angle: 360
+            ...(light.elevation != null && Number.isFinite(elevation) ? { elevation } : {}),
+            rotation: this.normalizeAngle(light.rotation, 0),
+            hidden: !!light.hidden,
+            walls: light.walls ?? true,
+            vision: !!light.vision,
+            config: this.normalizeLightConfig(config),
+            flags: light.flags ?? {}
+        };
+    }
+
+    /**
+     * Normalize a light configuration, keeping cones, animation, coloration and the
+     * other rendering settings. Legacy darkness lights with a negative luminosity are
+     * converted to negative (darkness-emitting) lights.
+     * 
+     * @param {Object} config - Imported light configuration
+     * @returns {NormalizedLightConfig} Normalized light configuration
+     */
+    normalizeLightConfig(config) {
+        const rawLuminosity = this.parseNumberInRange(config.luminosity, -1, 1, LIGHT_DEFAULTS.LUMINOSITY);
+        const isNegative = !!config.negative || rawLuminosity < 0;
+
+        return {
+            alpha: this.parseNumberInRange(config.alpha, 0, 1, LIGHT_DEFAULTS.ALPHA),
+            color: config.color ?? null,
+            bright: this.parseNonNegativeNumber(config.bright),
+            dim: this.parseNonNegativeNumber(config.dim),
+            angle: this.parseNumberInRange(config.angle, 0, 360, LIGHT_DEFAULTS.ANGLE),
+            coloration: Math.round(this.parseNumberInRange(config.coloration, 0, Infinity, LIGHT_DEFAULTS.COLORATION)),
+            luminosity: Math.abs(rawLuminosity),
+            attenuation: this.parseNumberInRange(config.attenuation, 0, 1, LIGHT_DEFAULTS.ATTENUATION),
+            saturation: this.parseNumberInRange(config.saturation, -1, 1, 0),
+            contrast: this.parseNumberInRange(config.contrast, -1, 1, 0),
+            shadows: this.parseNumberInRange(config.shadows, 0, 1, 0),
+            negative: isNegative,
+            priority: Math.round(this.parseNumberInRange(config.priority, 0, Infinity, 0)),
+            animation: this.normalizeLightAnimation(config.animation),
+            darkness: {
+                min: this.parseNumberInRange(config.darkness?.min, 0, 1, 0),
+                max: this.parseNumberInRange(config.darkness?.max, 0, 1, 1)
             }
         };
     }
 
     /**
-     * Convert a distance value from map units to grid units.
+     * Normalize a light animation. Accepts an animation object or just the animation type name.
+     * Unknown animation types are dropped when Foundry's animation list is available.
      * 
-     * @param {number|undefined} value - The value in map units (e.g., feet)
-     * @param {number} gridDistance - Distance per grid cell
-     * @returns {number} The value in grid units
+     * @param {Object|string|null|undefined} animation - Imported animation data
+     * @returns {{type: string|null, speed: number, intensity: number, reverse: boolean}} Normalized animation
      */
-    convertToGridUnits(value, gridDistance) {
-        const numValue = Number(value);
-        if (!Number.isFinite(numValue) || numValue <= 0) {
-            return 0;
+    normalizeLightAnimation(animation) {
+        const source = typeof animation === 'string' ? { type: animation } : (animation || {});
+        const knownAnimations = globalThis?.CONFIG?.Canvas?.lightAnimations;
+        let type = typeof source.type === 'string' && source.type ? source.type : null;
+
+        if (type && knownAnimations && !(type in knownAnimations)) {
+            console.warn(`${MODULE_LOG_PREFIX} | Unknown light animation "${type}" ignored`);
+            type = null;
         }
-        // Avoid division by zero
-        if (!Number.isFinite(gridDistance) || gridDistance <= 0) {
-            return numValue;
+
+        return {
+            type,
+            speed: Math.round(this.parseNumberInRange(source.speed, 0, 10, LIGHT_DEFAULTS.ANIMATION_SPEED)),
+            intensity: Math.round(this.parseNumberInRange(source.intensity, 1, 10, LIGHT_DEFAULTS.ANIMATION_INTENSITY)),
+            reverse: !!source.reverse
+        };
+    }
+
+    /**
+     * Normalize an angle in degrees to the range 0-360.
+     * 
+     * @param {*} value - Raw angle
+     * @param {number} defaultValue - Default if the angle is missing or invalid
+     * @returns {number} Angle between 0 and 360
+     */
+    normalizeAngle(value, defaultValue) {
+        const angle = value == null || value === '' ? NaN : Number(value);
+        return Number.isFinite(angle) ? ((angle % 360) + 360) % 360 : defaultValue;
+    }
+
+    /**
+     * Normalize placeable document data (tokens, notes) for creation in a new scene.
+     * Drops entries without a valid position and removes document ids from the source world.
+     * 
+     * @param {Array|undefined} placeablesArray - Array of raw placeable data
+     * @returns {Object[]} Array of placeable data ready for creation
+     */
+    normalizePlaceablesData(placeablesArray) {
+        if (!Array.isArray(placeablesArray)) {
+            return [];
         }
-        return numValue / gridDistance;
+
+        return placeablesArray
+            .filter(placeable => placeable && typeof placeable === 'object')
+            .map(({ _id, ...placeable }) => ({
+                ...placeable,
+                x: Number(placeable.x),
+                y: Number(placeable.y)
+            }))
+            .filter(placeable => Number.isFinite(placeable.x) && Number.isFinite(placeable.y));
+    }
+
+    /**
+     * Normalize drawing data, converting the legacy flat shape properties
+     * (type, width, height, points) to the nested shape object used since Foundry v10.
+     * 
+     * @param {Array|undefined} drawingsArray - Array of raw drawing data
+     * @returns {Object[]} Array of drawing data ready for creation
+     */
+    normalizeDrawingsData(drawingsArray) {
+        return this.normalizePlaceablesData(drawingsArray).map(drawing => {
+            if (drawing.shape || drawing.type === undefined) {
+                return drawing;
+            }
+
+            const { type, width, height, points, ...drawingData } = drawing;
+            return {
+                ...drawingData,
+                shape: {
+                    // Freehand drawings became polygons in Foundry v10
+                    type: type === 'f' ? 'p' : type,
+                    width: Number(width) || 0,
+                    height: Number(height) || 0,
+                    points: Array.isArray(points) ? points.flat().map(Number) : []
+                }
+            };
+        });
+    }
+
+    /**
+     * Parse a value as a non-negative number, returning 0 if invalid or negative.
+     * 
+     * @param {*} value - Value to parse
+     * @returns {number} Parsed non-negative number or 0
+     */
+    parseNonNegativeNumber(value) {
+        const parsed = Number(value);
+        return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
     }
 
     /**
@@ -427,6 +704,20 @@ export class SceneDataNormalizer {
         return Number.isFinite(parsed) ? parsed : defaultValue;
     }
 
+    /**
+     * Parse a number and clamp it to a range. Missing or invalid values use the default.
+     * 
+     * @param {*} value - The value to parse
+     * @param {number} min - Lowest allowed value
+     * @param {number} max - Highest allowed value
+     * @param {number} defaultValue - Default if parsing fails
+     * @returns {number} The clamped number
+     */
+    parseNumberInRange(value, min, max, defaultValue) {
+        const parsed = value == null || value === '' ? NaN : Number(value);
+        return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : defaultValue;
+    }
+
     /**
      * Ensure a value is a finite number, returning default if not.
      * 
@@ -0,0 +1,206 @@
+/**
+ * Scene Geometry Scaler
+ *
+ * Rescales normalized scene data (grid, walls, lights, tokens, notes, drawings) to a
+ * different pixel resolution. Used when the background media was resized after the JSON
+ * export was made, e.g. a 4K render downscaled to 2K, so the geometry still lines up.
+ *
+ * Light radii are normalized to scene distance units and stay valid at any resolution,
+ * so only positions and pixel sizes are scaled.
+ *
+ * Foundry stores grid sizes as whole pixels. A fractional grid size (e.g. a detected
+ * 70.4 px grid) is kept until the scene is created, where the whole scene is scaled so
+ * the grid size becomes whole instead of letting the rounded grid drift off the map.
+ *
+ * @module SceneGeometryScaler
+ */
+
+/** Tolerances for comparing the JSON resolution with the media resolution */
+const RESOLUTION_TOLERANCES = {
+    SAME_SCALE: 0.005,      // Ratios this close to 1 need no rescaling
+    AXIS_AGREEMENT: 0.01    // Relative difference allowed between the X and Y ratios
+};
+
+/** Grid sizes within this many pixels of a whole number are rounded instead of scaled */
+const WHOLE_GRID_SIZE_TOLERANCE = 0.01;
+
+/**
+ * @typedef {Object} ResolutionCheckResult
+ * @property {'unknown'|'match'|'rescale'|'mismatch'} status - Outcome of the comparison:
+ *   unknown (dimensions missing), match (same resolution), rescale (consistent ratio),
+ *   mismatch (the axes disagree)
+ * @property {number} scaleX - Media width divided by JSON width
+ * @property {number} scaleY - Media height divided by JSON height
+ * @property {{width: number, height: number}|null} sourceDimensions - Dimensions declared in the JSON
+ * @property {{width: number, height: number}|null} mediaDimensions - Dimensions of the background media
+ */
+
+/**
+ * Service class that compares and rescales scene geometry between resolutions.
+ */
+export class SceneGeometryScaler {
+
+    /**
+     * Compare the dimensions declared in normalized data with the background media dimensions.
+     *
+     * @param {Object} normalizedData - Normalized scene data (with width and height)
+     * @param {{width: number, height: number}} mediaDimensions - Background media dimensions
+     * @returns {ResolutionCheckResult} Comparison result
+     *
+     * @example
+     * const check = scaler.compareResolution({ width: 4096, height: 4096 }, { width: 2048, height: 2048 });
+     * // check.status === 'rescale', check.scaleX === 0.5
+     */
+    compareResolution(normalizedData, mediaDimensions) {
+        const sourceWidth = Number(normalizedData?.width);
+        const sourceHeight = Number(normalizedData?.height);
+        const mediaWidth = Number(mediaDimensions?.width);
+        const mediaHeight = Number(mediaDimensions?.height);
+
+        const hasDimensions = [sourceWidth, sourceHeight, mediaWidth, mediaHeight]
+            .every(value => Number.isFinite(value) && value > 0);
+
+        if (!hasDimensions) {
+            return { status: 'unknown', scaleX: 1, scaleY: 1, sourceDimensions: null, mediaDimensions: null };
+        }
+
+        const scaleX = mediaWidth / sourceWidth;
+        const scaleY = mediaHeight / sourceHeight;
+        const result = {
+            scaleX,
+            scaleY,
+            sourceDimensions: { width: sourceWidth, height: sourceHeight },
+            mediaDimensions: { width: mediaWidth, height: mediaHeight }
+        };
+
+        const isSameScale = Math.abs(scaleX - 1) <= RESOLUTION_TOLERANCES.SAME_SCALE
+            && Math.abs(scaleY - 1) <= RESOLUTION_TOLERANCES.SAME_SCALE;
+        if (isSameScale) {
+            return { ...result, status: 'match' };
+        }
+
+        const axisDifference = Math.abs(scaleX - scaleY) / Math.max(scaleX, scaleY);
+        return { ...result, status: axisDifference <= RESOLUTION_TOLERANCES.AXIS_AGREEMENT ? 'rescale' : 'mismatch' };
+    }
+
+    /**
+     * Rescale normalized data to the media resolution when the JSON was exported at a
+     * different but proportional resolution. Mismatched or unknown dimensions leave the
+     * data unchanged.
+     *
+     * @param {Object} normalizedData - Normalized scene data
+     * @param {{width: number, height: number}} mediaDimensions - Background media dimensions
+     * @returns {{normalizedData: Object, resolution: ResolutionCheckResult}} The (possibly rescaled) data and the comparison result
+     */
+    matchMediaResolution(normalizedData, mediaDimensions) {
+        const resolution = this.compareResolution(normalizedData, mediaDimensions);
+
+        if (resolution.status !== 'rescale') {
+            return { normalizedData, resolution };
+        }
+
+        const rescaledData = this.scaleNormalizedData(normalizedData, resolution.scaleX, resolution.scaleY);
+        rescaledData.width = resolution.mediaDimensions.width;
+        rescaledData.height = resolution.mediaDimensions.height;
+
+        return { normalizedData: rescaledData, resolution };
+    }
+
+    /**
+     * Scale the scene so a fractional grid size becomes a whole number of pixels, as Foundry
+     * requires. The background is stretched to the scene dimensions, so scaling the
+     * dimensions, grid offsets and geometry together keeps every grid line on the map.
+     * Rounding the size alone would shift the last lines of a 40-cell map by up to 20 px.
+     *
+     * @param {Object} normalizedData - Normalized scene data
+     * @param {{width: number, height: number}} mediaDimensions - Background media dimensions,
+     *   used when the data declares none
+     * @returns {{normalizedData: Object, scale: number}} The (possibly scaled) data and the scale applied
+     *
+     * @example
+     * const { normalizedData, scale } = scaler.fitToWholeGridSize(
+     *   { grid: { size: 70.4, offset: { x: 10, y: 0 } }, walls: [] }, { width: 2816, height: 2112 }
+     * );
+     * // normalizedData.grid.size === 70, normalizedData.width === 2800, scale ≈ 0.9943
+     */
+    fitToWholeGridSize(normalizedData, mediaDimensions) {
+        const gridSize = Number(normalizedData?.grid?.size);
+        const wholeGridSize = Math.max(1, Math.round(gridSize));
+        const width = normalizedData?.width || mediaDimensions?.width;
+        const height = normalizedData?.height || mediaDimensions?.height;
+
+        const isFractional = Number.isFinite(gridSize) && gridSize > 0
+            && Math.abs(wholeGridSize - gridSize) > WHOLE_GRID_SIZE_TOLERANCE;
+        if (!isFractional || !width || !height) {
+            return { normalizedData, scale: 1 };
+        }
+
+        const scale = wholeGridSize / gridSize;
+        const fittedData = this.scaleNormalizedData({ ...normalizedData, width, height }, scale, scale);
+        fittedData.grid.size = wholeGridSize;
+
+        return { normalizedData: fittedData, scale };
+    }
+
+    /**
+     * Scale all pixel-based geometry in normalized scene data.
+     * Returns a new object; the input is not modified.
+     *
+     * @param {Object} normalizedData - Normalized scene data
+     * @param {number} scaleX - Horizontal scale factor
+     * @param {number} scaleY - Vertical scale factor
+     * @returns {Object} Scaled copy of the normalized data
+     */
+    scaleNormalizedData(normalizedData, scaleX, scaleY) {
+        const averageScale = (scaleX + scaleY) / 2;
+        const scalePoint = (placeable) => ({ ...placeable, x: placeable.x * scaleX, y: placeable.y * scaleY });
+
+        return {
+            ...normalizedData,
+            width: Number.isFinite(normalizedData.width) ? Math.round(normalizedData.width * scaleX) : normalizedData.width,
+            height: Number.isFinite(normalizedData.height) ? Math.round(normalizedData.height * scaleY) : normalizedData.height,
+            grid: normalizedData.grid && {
+                ...normalizedData.grid,
+                size: normalizedData.grid.size * averageScale,
+                offset: {
+                    x: (normalizedData.grid.offset?.x ?? 0) * scaleX,
+                    y: (normalizedData.grid.offset?.y ?? 0) * scaleY
+                }
+            },
+            walls: (normalizedData.walls || []).map(wall => ({
+                ...wall,
+                c: wall.c.map((coordinate, index) => Math.round(coordinate * (index % 2 === 0 ? scaleX : scaleY)))
+            })),
+            lights: (normalizedData.lights || []).map(scalePoint),
+            tokens: (normalizedData.tokens || []).map(scalePoint),
+            notes: (normalizedData.notes || []).map(scalePoint),
+            drawings: (normalizedData.drawings || []).map(drawing => this.scaleDrawing(drawing, scaleX, scaleY))
+        };
+    }
+
+    /**
+     * Scale a drawing's position and shape.
+     *
+     * @param {Object} drawing - Normalized drawing data
+     * @param {number} scaleX - Horizontal scale factor
+     * @param {number} scaleY - Vertical scale factor
+     * @returns {Object} Scaled drawing data
+     */
+    scaleDrawing(drawing, scaleX, scaleY) {
+        const shape = drawing.shape || {};
+
+        return {
+            ...drawing,
+            x: drawing.x * scaleX,
+            y: drawing.y * scaleY,
+            shape: {
+                ...shape,
+                width: Number.isFinite(shape.width) ? shape.width * scaleX : shape.width,
+                height: Number.isFinite(shape.height) ? shape.height * scaleY : shape.height,
+                points: Array.isArray(shape.points)
+                    ? shape.points.map((coordinate, index) => coordinate * (index % 2 === 0 ? scaleX : scaleY))
+                    : shape.points
+            }
+        };
+    }
+}
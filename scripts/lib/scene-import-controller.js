@@ -11,9 +11,16 @@
 import { ImportPanelView } from './import-panel-view.js';
 import { SceneDataNormalizer } from './scene-data-normalizer.js';
 import { MediaStorageService } from './media-storage-service.js';
-import { GridDetectionService } from './grid-detection-service.js';
+import { ImageOptimizationService } from './image-optimization-service.js';
+import { MapTilingService } from './map-tiling-service.js';
+import { GRID_PRESENCE, GridDetectionService } from './grid-detection-service.js';
+import { GridCalibrationView } from './grid-calibration-view.js';
+import { GRID_TYPES, isHexGridType } from './grid-type-utils.js';
 import { FileProcessor } from './file-processor.js';
+import { FILENAME_VARIANTS, FilenameMetadataParser } from './filename-metadata-parser.js';
 import { SceneBuilder } from './scene-builder.js';
+import { SceneGeometryScaler } from './scene-geometry-scaler.js';
+import { DRAWN_GRID_HANDLING, getLightPresets, getModuleSetting, getStorageSettings, GRIDLESS_MAP_HANDLING, SETTING_KEYS } from './module-settings.js';
 
 /**
  * @typedef {Object} BackgroundMediaData
@@ -30,6 +37,7 @@ import { SceneBuilder } from './scene-builder.js';
  * @property {File|null} mediaFile - Original media file
  * @property {Object|null} jsonData - Parsed JSON configuration
  * @property {File|null} jsonFile - Original JSON file
+ * @property {AbortController} [gridDetectionAbortController] - Cancels the floor's running grid detection
  */
 
 /** Module identifier for console logging */
@@ -38,6 +46,9 @@ const MODULE_LOG_PREFIX = 'Quick Battlemap Importer';
 /** LocalStorage key for persisting no-grid preference */
 const NO_GRID_STORAGE_KEY = 'quick-battlemap:no-grid';
 
+/** Allowed relative difference between a detected grid size and the one from the file name */
+const FILENAME_GRID_TOLERANCE = 0.03;
+
 /**
  * Check if the Levels module by theripper93 is installed and active.
  * @returns {boolean} True if Levels module is active
@@ -67,6 +78,24 @@ export class SceneImportController {
         /** @type {boolean} User preference to skip grid detection/application */
         this.isNoGridModeEnabled = false;
 
+        /** @type {boolean} No-grid mode was enabled for this import because the image shows no grid */
+        this.isNoGridAutoEnabled = false;
+
+        /** @type {boolean} Close small gaps between imported walls automatically */
+        this.isAutoCloseGapsEnabled = false;
+
+        /** @type {import('./grid-detection-service.js').GridCandidate[]} Ranked candidates of the last grid auto-detection */
+        this.gridCandidates = [];
+
+        /** @type {?Object} Grid presence of the last grid auto-detection, null when the file name supplied the grid */
+        this.gridDetectionPresence = null;
+
+        /** @type {boolean} Whether the scene structure was generated from a detected or calibrated grid (not imported) */
+        this.isGridStructureGenerated = false;
+
+        /** @type {AbortController} Cancels the running grid detection of the background image */
+        this.gridDetectionAbortController = new AbortController();
+
         /** @type {FloorData[]} Array of floor data for multi-floor scenes */
         this.floors = [];
 
@@ -83,9 +112,14 @@ export class SceneImportController {
         this.panelView = new ImportPanelView();
         this.dataNormalizer = new SceneDataNormalizer();
         this.storageService = new MediaStorageService();
+        this.imageOptimizer = new ImageOptimizationService();
+        this.mapTiler = new MapTilingService();
         this.gridDetectionService = new GridDetectionService();
+        this.gridCalibrationView = new GridCalibrationView();
         this.fileProcessor = new FileProcessor();
+        this.filenameParser = new FilenameMetadataParser();
         this.sceneBuilder = new SceneBuilder(this.isDebugLoggingEnabled);
+        this.geometryScaler = new SceneGeometryScaler();
     }
 
     /**
@@ -130,12 +164,16 @@ export class SceneImportController {
     setupPanelEventCallbacks() {
         this.isNoGridModeEnabled = this.loadNoGridPreference();
         this.panelView.setNoGridCheckboxState(this.isNoGridModeEnabled);
+        this.isAutoCloseGapsEnabled = !!getModuleSetting(SETTING_KEYS.AUTO_CLOSE_WALL_GAPS);
 
         this.panelView.onCreateSceneRequested = () => this.executeSceneCreation();
         this.panelView.onResetRequested = () => this.resetImportState();
         this.panelView.onCloseRequested = () => this.hideImportPanel();
         this.panelView.onFilesDropped = (event) => this.processDroppedFiles(event);
         this.panelView.onNoGridPreferenceChanged = (isEnabled) => this.handleNoGridPreferenceChange(isEnabled);
+        this.panelView.onAutoCloseGapsChanged = (isEnabled) => this.handleAutoCloseGapsChange(isEnabled);
+        this.panelView.onGridCandidateSelected = (index) => this.handleGridCandidateSelected(index);
+        this.panelView.onGridCalibrationRequested = () => this.handleGridCalibrationRequested();
         this.panelView.onFloorOrderChanged = (action, floorId, targetId) => this.handleFloorOrderChange(action, floorId, targetId);
         this.panelView.onFloorRemoved = (floorId) => this.handleFloorRemoval(floorId);
         this.panelView.onFileMatchRequested = (fileName, fileType) => this.handleFileMatchRequest(fileName, fileType);
@@ -163,6 +201,12 @@ export class SceneImportController {
             localStorage.setItem(NO_GRID_STORAGE_KEY, String(this.isNoGridModeEnabled));
         } catch (_error) { /* localStorage may not be available */ }
 
+        // Unticking the automatic no-grid choice means the gridless image should get a grid after all
+        if (!this.isNoGridModeEnabled && this.isNoGridAutoEnabled) {
+            this.isNoGridAutoEnabled = false;
+            this.applyDefaultGridToGridlessImage();
+        }
+
         const wallStatusElement = document.querySelector('.wall-data-status .status-value');
         if (wallStatusElement && this.isNoGridModeEnabled && wallStatusElement.title === 'Auto-detected grid') {
             wallStatusElement.textContent = '❌';
@@ -170,6 +214,15 @@ export class SceneImportController {
         }
     }
 
+    /**
+     * Handle changes to the wall gap auto-close checkbox.
+     * @param {boolean} isEnabled - Whether gaps should be closed automatically
+     */
+    async handleAutoCloseGapsChange(isEnabled) {
+        this.isAutoCloseGapsEnabled = !!isEnabled;
+        await this.refreshImportNotices();
+    }
+
     /**
      * Process files dropped onto the panel or canvas.
      * @param {DragEvent} dropEvent - The native drag-and-drop event
@@ -178,9 +231,13 @@ export class SceneImportController {
         const droppedFiles = dropEvent.dataTransfer?.files;
         if (!droppedFiles || droppedFiles.length === 0) return;
 
+        // The size report of the previously created scene no longer applies
+        this.panelView.updateImportNotice('optimization', null);
+
         // Collect all files by type
         const mediaFiles = [];
         const jsonFiles = [];
+        const universalVttFiles = [];
 
         for (let i = 0; i < droppedFiles.length; i++) {
             const file = droppedFiles[i];
@@ -190,13 +247,18 @@ export class SceneImportController {
                 mediaFiles.push({ file, type: fileType });
             } else if (fileType === 'json') {
                 jsonFiles.push(file);
+            } else if (fileType === 'uvtt') {
+                universalVttFiles.push(file);
             }
         }
 
+        // Universal VTT files carry their own background, so they count as media sources
+        const mediaSourceCount = mediaFiles.length + universalVttFiles.length;
+
         // If multiple files dropped AND Levels module is active, use multi-floor matching
         const canUseMultiFloor = isLevelsModuleActive();
-        if (canUseMultiFloor && (mediaFiles.length > 1 || (mediaFiles.length >= 1 && jsonFiles.length >= 1))) {
-            this.processMultipleFiles(mediaFiles, jsonFiles);
+        if (canUseMultiFloor && (mediaSourceCount > 1 || (mediaSourceCount >= 1 && jsonFiles.length >= 1))) {
+            this.processMultipleFiles(mediaFiles, jsonFiles, universalVttFiles);
         } else {
             // Single file mode - legacy behavior
             for (const { file, type } of mediaFiles) {
@@ -209,6 +271,9 @@ export class SceneImportController {
             for (const file of jsonFiles) {
                 this.handleJsonConfigFile(file);
             }
+            for (const file of universalVttFiles) {
+                this.handleUniversalVttFile(file);
+            }
         }
     }
 
@@ -216,8 +281,9 @@ export class SceneImportController {
      * Process multiple files and attempt to match them by name.
      * @param {Array<{file: File, type: string}>} mediaFiles - Array of media files
      * @param {File[]} jsonFiles - Array of JSON files
+     * @param {File[]} [universalVttFiles] - Array of Universal VTT files (each becomes a complete floor)
      */
-    async processMultipleFiles(mediaFiles, jsonFiles) {
+    async processMultipleFiles(mediaFiles, jsonFiles, universalVttFiles = []) {
         // Extract base names for matching
         const getBaseName = (filename) => {
             const name = filename.toLowerCase();
@@ -271,6 +337,11 @@ export class SceneImportController {
             await this.createFloorFromFiles(mediaItem.file, mediaItem.type, null);
         }
 
+        // Create floors for Universal VTT files (media and data in one file)
+        for (const uvttFile of universalVttFiles) {
+            await this.createFloorFromUniversalVtt(uvttFile);
+        }
+
         // Store unmatched JSON files for manual assignment
         this.unmatchedJsonFiles = unmatchedJson;
 
@@ -330,31 +401,82 @@ export class SceneImportController {
 
         this.floors.push(floor);
 
-        // Run grid detection for image floors without JSON
-        if (!jsonData && !mediaData.isVideo && !this.isNoGridModeEnabled) {
+        // Run grid detection for floors without JSON (videos through a still of their frames)
+        if (!jsonData && !this.isNoGridModeEnabled) {
             this.runGridAutoDetectionForFloor(floor);
         }
 
         return floor;
     }
 
+    /**
+     * Create a new floor from a Universal VTT file.
+     * The embedded image becomes the floor media and the file itself its data.
+     * @param {File} uvttFile - The Universal VTT file
+     * @returns {Promise<FloorData|null>} The created floor data, or null if the file could not be used
+     */
+    async createFloorFromUniversalVtt(uvttFile) {
+        try {
+            const processedUvtt = await this.fileProcessor.processUniversalVttFile(uvttFile);
+            if (!processedUvtt.imageData) {
+                ui.notifications.warn(`${game.i18n.localize('QUICKBATTLEMAP.UniversalVttMissingImage')}: ${uvttFile.name}`);
+                return null;
+            }
+
+            const floor = {
+                id: `floor-${++this.floorIdCounter}`,
+                mediaData: {
+                    data: processedUvtt.imageData.dataUrl,
+                    filename: processedUvtt.imageData.filename,
+                    file: processedUvtt.imageData.file,
+                    isVideo: false
+                },
+                mediaFile: processedUvtt.imageData.file,
+                jsonData: processedUvtt.parsedContent,
+                jsonFile: uvttFile
+            };
+
+            this.floors.push(floor);
+            return floor;
+        } catch (error) {
+            console.warn(`${MODULE_LOG_PREFIX} | Failed to read Universal VTT file for floor:`, error);
+            ui.notifications.error(game.i18n.localize('QUICKBATTLEMAP.InvalidJSON'));
+            return null;
+        }
+    }
+
     /**
      * Run grid auto-detection for a specific floor.
      * @param {FloorData} floor - The floor to detect grid for
      */
     async runGridAutoDetectionForFloor(floor) {
+        floor.gridDetectionAbortController = new AbortController();
         try {
-            const result = await this.gridDetectionService.detectGridFromImage(floor.mediaFile);
+            const detectionImage = await this.getGridDetectionImage(floor.mediaData);
+            if (!detectionImage || floor.gridDetectionAbortController.signal.aborted) return;
+
+            const detected = await this.gridDetectionService.detectGridFromImage(detectionImage, null, {
+                signal: floor.gridDetectionAbortController.signal,
+                detectionMode: getModuleSetting(SETTING_KEYS.GRID_DETECTION_MODE)
+            });
+            const filenameHint = await this.resolveFilenameGridHint(floor.mediaFile?.name, floor.mediaData);
+            // A JSON may have been matched to the floor while the image was analyzed
+            if (floor.jsonData || !this.floors.includes(floor)) return;
+
+            const { result } = this.applyFilenameGridHint(detected, filenameHint);
+
+            // Only the base floor's grid is used, so only a gridless base floor changes the import
+            if (result?.gridPresence?.status === GRID_PRESENCE.GRIDLESS) {
+                if (floor === this.floors[0]) {
+                    floor.jsonData = this.resolveGridlessImage(result.gridPresence);
+                    floor.autoDetectedGrid = !!floor.jsonData;
+                    this.refreshFloorListUI();
+                }
+                return;
+            }
+
             if (result && Number.isFinite(result.gridSize) && result.gridSize > 0) {
-                floor.jsonData = {
-                    grid: {
-                        size: Math.round(result.gridSize),
-                        type: 1, distance: 5, units: 'ft', alpha: 0.2, color: '#000000'
-                    },
-                    shiftX: Math.round(result.xOffset || 0),
-                    shiftY: Math.round(result.yOffset || 0),
-                    walls: [], lights: []
-                };
+                floor.jsonData = this.buildDetectedGridStructure(result);
                 floor.autoDetectedGrid = true;
                 this.refreshFloorListUI();
             }
@@ -374,7 +496,8 @@ export class SceneImportController {
             name: floor.mediaData?.filename || 'Unknown',
             mediaFile: floor.mediaFile,
             jsonFile: floor.jsonFile,
-            hasAutoGrid: floor.autoDetectedGrid
+            hasAutoGrid: floor.autoDetectedGrid,
+            detectedFormat: floor.jsonFile ? this.dataNormalizer.detectSourceFormat(floor.jsonData) : null
         }));
 
         this.panelView.renderFloorList(floorDisplayData);
@@ -429,6 +552,7 @@ export class SceneImportController {
         if (index === -1) return;
 
         const floor = this.floors[index];
+        floor.gridDetectionAbortController?.abort();
         
         // Revoke blob URL if video
         if (floor.mediaData?.isVideo) {
@@ -507,6 +631,8 @@ export class SceneImportController {
      * @param {File} imageFile - The dropped image file
      */
     async handleImageFile(imageFile) {
+        this.cancelGridDetection();
+        this.resetGridPresenceDecision();
         try {
             const processedImage = await this.fileProcessor.processImageFile(imageFile);
             this.backgroundMediaData = {
@@ -518,10 +644,12 @@ export class SceneImportController {
             
             this.panelView.updateBackgroundMediaStatus(true, imageFile.name);
             this.updateCreateButtonState();
+            await this.refreshImportNotices();
 
             if (!this.isNoGridModeEnabled) {
                 await this.runGridAutoDetection(imageFile);
             }
+            this.updateGridCalibrationAvailability();
         } catch (error) {
             console.error(`${MODULE_LOG_PREFIX} | Image processing failed:`, error);
         }
@@ -536,7 +664,7 @@ export class SceneImportController {
         try {
             await this.detectAndApplyGridFromImage(imageFile);
         } catch (error) {
-            if (this.isDebugLoggingEnabled) {
+            if (this.isDebugLoggingEnabled && error?.name !== 'AbortError') {
                 console.warn(`${MODULE_LOG_PREFIX} | Auto grid detection failed:`, error);
             }
         } finally {
@@ -544,11 +672,53 @@ export class SceneImportController {
         }
     }
 
+    /**
+     * Run automatic grid detection on a video background, using a still built from its frames.
+     * @param {Object} mediaData - The video's media data
+     */
+    async runVideoGridAutoDetection(mediaData) {
+        this.showProgressIndicator(game.i18n.localize('QUICKBATTLEMAP.ProgressSamplingVideo'));
+        let detectionImage;
+        try {
+            detectionImage = await this.getGridDetectionImage(mediaData);
+        } finally {
+            this.hideProgressIndicator();
+        }
+
+        // Another background may have been dropped while the frames were sampled
+        if (!detectionImage || this.backgroundMediaData !== mediaData) return;
+        await this.runGridAutoDetection(detectionImage);
+    }
+
+    /**
+     * Get the image grid detection runs on: the image itself, or for videos a still built
+     * from sampled frames (created once and kept with the media data).
+     * @param {Object|null} mediaData - Media data of the background or a floor
+     * @returns {Promise<File|null>} Image to analyze, or null if none could be made
+     */
+    async getGridDetectionImage(mediaData) {
+        if (!mediaData?.isVideo) return mediaData?.file ?? null;
+
+        if (mediaData.detectionImage === undefined) {
+            mediaData.detectionImage = await this.fileProcessor.createVideoStill(mediaData);
+        }
+        return mediaData.detectionImage;
+    }
+
+    /**
+     * Cancel the running grid detection of the background image, if any.
+     */
+    cancelGridDetection() {
+        this.gridDetectionAbortController.abort();
+        this.gridDetectionAbortController = new AbortController();
+    }
+
     /**
      * Process a video file for use as scene background.
      * @param {File} videoFile - The dropped video file
      */
-    handleVideoFile(videoFile) {
+    async handleVideoFile(videoFile) {
+        this.cancelGridDetection();
         const processedVideo = this.fileProcessor.processVideoFile(videoFile);
         this.backgroundMediaData = {
             data: processedVideo.blobUrl,
@@ -556,8 +726,15 @@ export class SceneImportController {
             file: processedVideo.file,
             isVideo: true
         };
+        this.resetGridPresenceDecision();
         this.panelView.updateBackgroundMediaStatus(true, videoFile.name);
         this.updateCreateButtonState();
+        this.updateGridCalibrationAvailability();
+        this.refreshImportNotices();
+
+        if (!this.isNoGridModeEnabled) {
+            await this.runVideoGridAutoDetection(this.backgroundMediaData);
+        }
     }
 
     /**
@@ -568,14 +745,376 @@ export class SceneImportController {
         try {
             const processedJson = await this.fileProcessor.processJsonFile(jsonFile);
             this.importedSceneStructure = processedJson.parsedContent;
+            this.isGridStructureGenerated = false;
+            this.clearGridCandidates();
+            this.resetGridPresenceDecision();
+            this.updateGridCalibrationAvailability();
             this.panelView.updateWallDataStatus(true, jsonFile.name);
+            this.panelView.updateDetectedFormat(this.dataNormalizer.detectSourceFormat(this.importedSceneStructure));
             this.updateCreateButtonState();
+            await this.refreshImportNotices();
         } catch (error) {
             console.error(`${MODULE_LOG_PREFIX} | JSON parse error:`, error);
             ui.notifications.error(game.i18n.localize("QUICKBATTLEMAP.InvalidJSON"));
         }
     }
 
+    /**
+     * Process a Universal VTT file (.dd2vtt, .df2vtt, .uvtt).
+     * A single file supplies both the background image and the wall/light data.
+     * @param {File} uvttFile - The dropped Universal VTT file
+     */
+    async handleUniversalVttFile(uvttFile) {
+        this.cancelGridDetection();
+        try {
+            const processedUvtt = await this.fileProcessor.processUniversalVttFile(uvttFile);
+
+            if (processedUvtt.imageData) {
+                this.fileProcessor.revokeBlobUrl(this.backgroundMediaData?.data);
+                this.backgroundMediaData = {
+                    data: processedUvtt.imageData.dataUrl,
+                    filename: processedUvtt.imageData.filename,
+                    file: processedUvtt.imageData.file,
+                    isVideo: false
+                };
+                this.panelView.updateBackgroundMediaStatus(true, uvttFile.name);
+            } else {
+                ui.notifications.warn(`${game.i18n.localize('QUICKBATTLEMAP.UniversalVttMissingImage')}: ${uvttFile.name}`);
+            }
+
+            this.importedSceneStructure = processedUvtt.parsedContent;
+            this.isGridStructureGenerated = false;
+            this.clearGridCandidates();
+            this.resetGridPresenceDecision();
+            this.updateGridCalibrationAvailability();
+            this.panelView.updateWallDataStatus(true, uvttFile.name);
+            this.panelView.updateDetectedFormat(this.dataNormalizer.detectSourceFormat(this.importedSceneStructure));
+            this.updateCreateButtonState();
+            await this.refreshImportNotices();
+        } catch (error) {
+            console.error(`${MODULE_LOG_PREFIX} | Universal VTT parse error:`, error);
+            ui.notifications.error(game.i18n.localize("QUICKBATTLEMAP.InvalidJSON"));
+        }
+    }
+
+    /**
+     * Show what will happen to the imported data in the panel before the scene is created:
+     * the wall optimization result, possible light leaks and, once media is loaded, any rescale or resolution mismatch.
+     */
+    async refreshImportNotices() {
+        if (!this.importedSceneStructure) {
+            this.panelView.updateImportNotice('walls', null);
+            this.panelView.updateImportNotice('resolution', null);
+            this.panelView.updateWallGapReport(null, false);
+            return;
+        }
+
+        this.applyNormalizerOptions();
+        const normalizedData = this.dataNormalizer.normalizeToFoundryFormat(this.importedSceneStructure);
+        this.panelView.updateImportNotice('walls', this.describeWallOptimization(normalizedData.wallOptimization));
+        this.panelView.updateWallGapReport(normalizedData.wallGaps, this.isAutoCloseGapsEnabled);
+
+        if (!this.backgroundMediaData) {
+            this.panelView.updateImportNotice('resolution', null);
+            return;
+        }
+
+        const mediaDimensions = await this.fileProcessor.getMediaDimensions(this.backgroundMediaData);
+        const resolution = this.geometryScaler.compareResolution(normalizedData, mediaDimensions);
+        this.panelView.updateImportNotice('resolution', this.describeResolutionCheck(resolution));
+    }
+
+    /**
+     * Pass the wall gap tolerance setting, the auto-close choice and the light preset
+     * library to the normalizer.
+     */
+    applyNormalizerOptions() {
+        this.dataNormalizer.wallGapOptions = {
+            tolerance: Number(getModuleSetting(SETTING_KEYS.WALL_GAP_TOLERANCE)),
+            autoClose: this.isAutoCloseGapsEnabled
+        };
+        this.dataNormalizer.lightPresetLibrary.setPresets(getLightPresets());
+    }
+
+    /**
+     * Build the panel notice for the wall optimization result.
+     * @param {import('./wall-topology-optimizer.js').WallOptimizationStats} stats - Wall optimization statistics
+     * @returns {{text: string, level: string}|null} Notice to show, or null when nothing changed
+     */
+    describeWallOptimization(stats) {
+        if (!stats || stats.before === stats.after) {
+            return null;
+        }
+
+        return {
+            level: 'info',
+            text: game.i18n.format('QUICKBATTLEMAP.WallsOptimized', {
+                before: stats.before,
+                after: stats.after,
+                merged: stats.merged,
+                snapped: stats.snappedEndpoints,
+                removed: stats.removedZeroLength,
+                split: stats.splitAtDoors
+            })
+        };
+    }
+
+    /**
+     * Build the panel notice for a resolution check.
+     * @param {import('./scene-geometry-scaler.js').ResolutionCheckResult} resolution - The resolution check result
+     * @returns {{text: string, level: string}|null} Notice to show, or null when nothing changes
+     */
+    describeResolutionCheck(resolution) {
+        const formatDimensions = (dimensions) => `${dimensions.width}×${dimensions.height}`;
+
+        if (resolution.status === 'rescale') {
+            return {
+                level: 'info',
+                text: game.i18n.format('QUICKBATTLEMAP.GeometryRescaled', {
+                    source: formatDimensions(resolution.sourceDimensions),
+                    media: formatDimensions(resolution.mediaDimensions),
+                    scale: Number(((resolution.scaleX + resolution.scaleY) / 2).toFixed(3))
+                })
+            };
+        }
+
+        if (resolution.status === 'mismatch') {
+            return {
+                level: 'warning',
+                text: game.i18n.format('QUICKBATTLEMAP.GeometryResolutionMismatch', {
+                    source: formatDimensions(resolution.sourceDimensions),
+                    media: formatDimensions(resolution.mediaDimensions)
+                })
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Normalize imported scene data and rescale it to the background media resolution.
+     * Warns when the resolutions differ by inconsistent ratios, as the geometry cannot be aligned.
+     * @param {Object|null} sceneStructure - Raw imported scene data
+     * @param {{width: number, height: number}} mediaDimensions - Background media dimensions
+     * @returns {Object} Normalized scene data in the media's pixel space
+     */
+    normalizeForMedia(sceneStructure, mediaDimensions) {
+        this.applyNormalizerOptions();
+        const { normalizedData, resolution } = this.geometryScaler.matchMediaResolution(
+            this.dataNormalizer.normalizeToFoundryFormat(sceneStructure),
+            mediaDimensions
+        );
+
+        if (resolution.status === 'mismatch') {
+            ui.notifications.warn(this.describeResolutionCheck(resolution).text);
+        } else if (resolution.status === 'rescale' && this.isDebugLoggingEnabled) {
+            console.log(`${MODULE_LOG_PREFIX} | Rescaled geometry to media resolution:`, resolution);
+        }
+
+        return normalizedData;
+    }
+
+    /**
+     * Fit normalized data to the background the scene is created with: rescale it to the
+     * optimized image, then make a fractional grid size whole by scaling the scene, as
+     * Foundry requires. The whole-grid scale is returned so other floors can follow it.
+     * @param {Object} normalizedData - Normalized scene data in the original media's pixel space
+     * @param {import('./image-optimization-service.js').ImageOptimizationResult} optimization - Result of the image optimization
+     * @returns {{normalizedData: Object, scale: number}} Normalized scene data in the scene's pixel space and the whole-grid scale applied
+     */
+    fitToSceneMedia(normalizedData, optimization) {
+        const scaledData = this.scaleToOptimizedMedia(normalizedData, optimization);
+        if (this.isNoGridModeEnabled) {
+            return { normalizedData: scaledData, scale: 1 };
+        }
+
+        const { normalizedData: fittedData, scale } = this.geometryScaler.fitToWholeGridSize(scaledData, optimization.dimensions);
+        if (scale !== 1 && this.isDebugLoggingEnabled) {
+            console.log(`${MODULE_LOG_PREFIX} | Scaled scene by ${scale} for a whole grid size of ${fittedData.grid.size}px (was ${scaledData.grid.size}px)`);
+        }
+
+        return { normalizedData: fittedData, scale };
+    }
+
+    /**
+     * Scale an upper floor's geometry by the scale that made the base floor's grid size
+     * whole, as the floor tiles are stretched to the scaled scene.
+     * @param {Object} normalizedData - Normalized floor data in the optimized image's pixel space
+     * @param {number} scale - Whole-grid scale from fitToSceneMedia for the base floor
+     * @returns {Object} Normalized floor data in the scene's pixel space
+     */
+    fitToBaseFloor(normalizedData, scale) {
+        return scale === 1 ? normalizedData : this.geometryScaler.scaleNormalizedData(normalizedData, scale, scale);
+    }
+
+    /**
+     * Rescale grid, walls, lights and other geometry to a downscaled background image.
+     * @param {Object} normalizedData - Normalized scene data in the original media's pixel space
+     * @param {import('./image-optimization-service.js').ImageOptimizationResult} optimization - Result of the image optimization
+     * @returns {Object} Normalized scene data in the optimized image's pixel space
+     */
+    scaleToOptimizedMedia(normalizedData, optimization) {
+        if (!optimization.isResized) {
+            return normalizedData;
+        }
+
+        if (this.isDebugLoggingEnabled) {
+            console.log(`${MODULE_LOG_PREFIX} | Rescaled geometry to the optimized image:`, optimization.dimensions);
+        }
+        return this.geometryScaler.scaleNormalizedData(normalizedData, optimization.scaleX, optimization.scaleY);
+    }
+
+    /**
+     * Compute how far background images are downscaled before upload, from the maximum
+     * image size and target grid size settings.
+     * @param {{width: number, height: number}} mediaDimensions - Dimensions of the (base) background image
+     * @param {Object} normalizedData - Normalized scene data in the media's pixel space
+     * @returns {number} Scale factor between 0 and 1
+     */
+    getImageOptimizationScale(mediaDimensions, normalizedData) {
+        if (!getModuleSetting(SETTING_KEYS.IMAGE_OPTIMIZATION)) {
+            return 1;
+        }
+
+        return this.imageOptimizer.computeScale(mediaDimensions, {
+            maxDimension: Number(getModuleSetting(SETTING_KEYS.IMAGE_MAX_DIMENSION)),
+            targetGridSize: Number(getModuleSetting(SETTING_KEYS.IMAGE_TARGET_GRID_SIZE)),
+            gridSize: this.isNoGridModeEnabled ? null : normalizedData?.grid?.size
+        });
+    }
+
+    /**
+     * Downscale and re-encode a background image before upload when image optimization is enabled.
+     * @param {BackgroundMediaData} mediaData - Background media of the scene or a floor
+     * @param {{width: number, height: number}} mediaDimensions - Dimensions of the media
+     * @param {number} scale - Scale factor from getImageOptimizationScale
+     * @returns {Promise<import('./image-optimization-service.js').ImageOptimizationResult>} The media to upload
+     */
+    async optimizeBackgroundMedia(mediaData, mediaDimensions, scale) {
+        if (!getModuleSetting(SETTING_KEYS.IMAGE_OPTIMIZATION)) {
+            return this.imageOptimizer.buildUnchangedResult(mediaData, mediaDimensions);
+        }
+
+        this.showProgressIndicator(game.i18n.localize('QUICKBATTLEMAP.ProgressOptimizing'));
+        try {
+            return await this.imageOptimizer.optimizeImage(mediaData, mediaDimensions, {
+                format: getModuleSetting(SETTING_KEYS.IMAGE_FORMAT),
+                quality: Number(getModuleSetting(SETTING_KEYS.IMAGE_QUALITY)) / 100,
+                scale
+            });
+        } finally {
+            this.hideProgressIndicator();
+        }
+    }
+
+    /**
+     * Build the panel notice comparing the uploaded background size with the original.
+     * @param {import('./image-optimization-service.js').ImageOptimizationResult[]} optimizations - Results of the scene's background images
+     * @returns {{level: string, text: string}|null} Notice, or null if no image was optimized
+     */
+    describeImageOptimization(optimizations) {
+        const optimized = optimizations.filter(optimization => optimization.isOptimized);
+        if (optimized.length === 0) return null;
+
+        const originalSize = optimizations.reduce((total, optimization) => total + optimization.originalSize, 0);
+        const size = optimizations.reduce((total, optimization) => total + optimization.size, 0);
+        const base = optimizations[0];
+        const data = {
+            before: this.formatFileSize(originalSize),
+            after: this.formatFileSize(size),
+            format: String(base.type || '').replace('image/', '').toUpperCase(),
+            originalWidth: base.originalDimensions.width,
+            originalHeight: base.originalDimensions.height,
+            width: base.dimensions.width,
+            height: base.dimensions.height
+        };
+
+        const key = base.isResized ? 'QUICKBATTLEMAP.ImageOptimizedResized' : 'QUICKBATTLEMAP.ImageOptimized';
+        return { level: 'info', text: game.i18n.format(key, data) };
+    }
+
+    /**
+     * Split a background image into tiles when it exceeds the map tile size setting.
+     * If the image cannot be split, it is uploaded whole.
+     * @param {import('./image-optimization-service.js').ImageOptimizationResult} optimization - The background to upload
+     * @returns {Promise<import('./map-tiling-service.js').TiledMap|null>} The preview and pieces, or null to upload the image whole
+     */
+    async splitOversizedMap(optimization) {
+        if (!this.mapTiler.isSplittable(optimization.mediaData)) return null;
+
+        const layout = this.mapTiler.computeTileLayout(optimization.dimensions, Number(getModuleSetting(SETTING_KEYS.MAP_TILE_SIZE)));
+        if (!layout) return null;
+
+        this.showProgressIndicator(game.i18n.localize('QUICKBATTLEMAP.ProgressSplittingMap'));
+        try {
+            const quality = getModuleSetting(SETTING_KEYS.IMAGE_OPTIMIZATION)
+                ? Number(getModuleSetting(SETTING_KEYS.IMAGE_QUALITY)) / 100
+                : undefined;
+            return await this.mapTiler.splitImage(optimization.mediaData, layout, { quality });
+        } catch (error) {
+            console.error(`${MODULE_LOG_PREFIX} | Map splitting failed:`, error);
+            ui.notifications.warn(game.i18n.localize('QUICKBATTLEMAP.MapSplitFailed'));
+            return null;
+        } finally {
+            this.hideProgressIndicator();
+        }
+    }
+
+    /**
+     * Upload the pieces of a split background image.
+     * @param {import('./map-tiling-service.js').TiledMap} tiledMap - The split image
+     * @param {string} sceneName - Name of the scene being created
+     * @param {number} floor - Floor number, 1 for the base floor
+     * @returns {Promise<string[]|null>} Uploaded paths in layout order, or null if an upload failed
+     */
+    async uploadMapPieces(tiledMap, sceneName, floor) {
+        const tilePaths = [];
+        for (const [index, piece] of tiledMap.pieces.entries()) {
+            this.showProgressIndicator(game.i18n.format('QUICKBATTLEMAP.ProgressUploadingTiles', {
+                current: index + 1,
+                total: tiledMap.pieces.length
+            }));
+            try {
+                const uploadResult = await this.storageService.uploadBackgroundMedia(piece.mediaData, this.getStorageOptions(sceneName, floor));
+                if (!uploadResult?.path) return null;
+                tilePaths.push(uploadResult.path);
+            } finally {
+                this.hideProgressIndicator();
+            }
+        }
+        return tilePaths;
+    }
+
+    /**
+     * Build the panel notice telling how an oversized background was split.
+     * @param {import('./map-tiling-service.js').TiledMap|null} tiledMap - The split image, if any
+     * @returns {{level: string, text: string}|null} Notice, or null if the background was not split
+     */
+    describeMapTiles(tiledMap) {
+        if (!tiledMap) return null;
+
+        const { columns, rows, dimensions } = tiledMap.layout;
+        return {
+            level: 'info',
+            text: game.i18n.format('QUICKBATTLEMAP.MapSplitIntoTiles', {
+                columns,
+                rows,
+                width: dimensions.width,
+                height: dimensions.height
+            })
+        };
+    }
+
+    /**
+     * Format a byte count for display.
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Size in KB or MB
+     */
+    formatFileSize(bytes) {
+        const megabytes = bytes / (1024 * 1024);
+        return megabytes >= 1 ? `${megabytes.toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    }
+
     /**
      * Update the enabled state of the "Create Scene" button.
      */
@@ -610,23 +1149,35 @@ export class SceneImportController {
         try {
             ui.notifications.info(game.i18n.localize("QUICKBATTLEMAP.CreatingScene"));
 
-            const uploadResult = await this.uploadBackgroundMedia();
-            if (!uploadResult?.path) {
-                ui.notifications.error(game.i18n.localize("QUICKBATTLEMAP.UploadFailed"));
-                return;
-            }
-
             const mediaDimensions = await this.fileProcessor.getMediaDimensions(this.backgroundMediaData);
-            const normalizedData = this.dataNormalizer.normalizeToFoundryFormat(this.importedSceneStructure);
+            this.dataNormalizer.defaultBackgroundColor = await this.fileProcessor.sampleBorderColor(this.backgroundMediaData);
+            const matchedData = this.normalizeForMedia(this.importedSceneStructure, mediaDimensions);
+
+            const optimization = await this.optimizeBackgroundMedia(
+                this.backgroundMediaData,
+                mediaDimensions,
+                this.getImageOptimizationScale(mediaDimensions, matchedData)
+            );
+            const { normalizedData } = this.fitToSceneMedia(matchedData, optimization);
 
             this.logNormalizedData(normalizedData);
 
             const sceneName = this.determineSceneName(normalizedData.name);
+
+            // Oversized maps get a preview as background and their full-resolution pieces as tiles
+            const tiledMap = await this.splitOversizedMap(optimization);
+            const uploadResult = await this.uploadBackgroundMedia(tiledMap?.previewMediaData ?? optimization.mediaData, sceneName);
+            const tilePaths = tiledMap && uploadResult?.path ? await this.uploadMapPieces(tiledMap, sceneName, 1) : [];
+            if (!uploadResult?.path || !tilePaths) {
+                ui.notifications.error(game.i18n.localize("QUICKBATTLEMAP.UploadFailed"));
+                return;
+            }
+
             const createdScene = await this.sceneBuilder.createScene({
                 backgroundPath: uploadResult.path,
                 sceneName: sceneName,
-                width: normalizedData.width || mediaDimensions.width || 1920,
-                height: normalizedData.height || mediaDimensions.height || 1080,
+                width: normalizedData.width || optimization.dimensions.width || 1920,
+                height: normalizedData.height || optimization.dimensions.height || 1080,
                 padding: normalizedData.padding,
                 backgroundColor: normalizedData.backgroundColor,
                 globalLight: normalizedData.globalLight,
@@ -635,10 +1186,18 @@ export class SceneImportController {
 
             await this.sceneBuilder.activateAndWaitForCanvas(createdScene);
             await this.sceneBuilder.applyGridSettings(createdScene, normalizedData.grid, this.isNoGridModeEnabled);
+
+            // The scene offset depends on the grid size, as padding is rounded to whole cells
+            if (tiledMap) {
+                await this.sceneBuilder.createMapTiles(createdScene, tiledMap.layout, tilePaths);
+            }
             await this.sceneBuilder.createWalls(createdScene, normalizedData.walls);
             await this.sceneBuilder.createLights(createdScene, normalizedData.lights);
+            await this.sceneBuilder.createPlaceables(createdScene, normalizedData);
 
             this.cleanupAfterCreation(sceneName);
+            this.panelView.updateImportNotice('optimization', this.describeImageOptimization([optimization]));
+            this.panelView.updateImportNotice('mapTiles', this.describeMapTiles(tiledMap));
 
         } catch (error) {
             console.error(`${MODULE_LOG_PREFIX} | Scene creation failed:`, error);
@@ -666,6 +1225,32 @@ export class SceneImportController {
 
             // Use the first floor as the base/background
             const baseFloor = this.floors[0];
+
+            // Get dimensions from the base floor
+            const baseDimensions = await this.fileProcessor.getMediaDimensions(baseFloor.mediaData);
+            this.dataNormalizer.defaultBackgroundColor = await this.fileProcessor.sampleBorderColor(baseFloor.mediaData);
+            const baseMatchedData = this.normalizeForMedia(baseFloor.jsonData, baseDimensions);
+
+            // Optimize every floor image at the base floor's scale, so the floors stay aligned.
+            // Upper floor geometry is first matched to its own image's resolution.
+            const optimizationScale = this.getImageOptimizationScale(baseDimensions, baseMatchedData);
+            const optimizations = [];
+            const floorMatchedData = [baseMatchedData];
+            for (let i = 0; i < this.floors.length; i++) {
+                const floor = this.floors[i];
+                const floorDimensions = i === 0 ? baseDimensions : await this.fileProcessor.getMediaDimensions(floor.mediaData);
+                if (i > 0) {
+                    floorMatchedData.push(floor.jsonData ? this.normalizeForMedia(floor.jsonData, floorDimensions) : null);
+                }
+                optimizations.push(await this.optimizeBackgroundMedia(floor.mediaData, floorDimensions, optimizationScale));
+            }
+            const { normalizedData: baseNormalizedData, scale: wholeGridScale } = this.fitToSceneMedia(baseMatchedData, optimizations[0]);
+
+            // Determine scene name from first floor
+            const sceneName = this.determineSceneName(baseNormalizedData.name, baseFloor.mediaData?.filename);
+
+            // An oversized base floor gets a preview as background and its full-resolution pieces as tiles
+            const baseTiledMap = await this.splitOversizedMap(optimizations[0]);
             
             // Upload all floor media files
             this.showProgressIndicator(game.i18n.localize('QUICKBATTLEMAP.ProgressUploading'));
@@ -673,7 +1258,8 @@ export class SceneImportController {
             const uploadedFloors = [];
             for (let i = 0; i < this.floors.length; i++) {
                 const floor = this.floors[i];
-                const uploadResult = await this.storageService.uploadBackgroundMedia(floor.mediaData, game.world.id);
+                const floorMediaData = i === 0 && baseTiledMap ? baseTiledMap.previewMediaData : optimizations[i].mediaData;
+                const uploadResult = await this.storageService.uploadBackgroundMedia(floorMediaData, this.getStorageOptions(sceneName, i + 1));
                 if (!uploadResult?.path) {
                     ui.notifications.error(`${game.i18n.localize("QUICKBATTLEMAP.UploadFailed")}: Floor ${i + 1}`);
                     this.hideProgressIndicator();
@@ -681,18 +1267,21 @@ export class SceneImportController {
                 }
                 uploadedFloors.push({
                     ...floor,
-                    uploadedPath: uploadResult.path
+                    uploadedPath: uploadResult.path,
+                    // Geometry of the upper floors follows their downscaled images and the base floor's whole-grid scale
+                    normalizedData: i > 0 && floorMatchedData[i]
+                        ? this.fitToBaseFloor(this.scaleToOptimizedMedia(floorMatchedData[i], optimizations[i]), wholeGridScale)
+                        : undefined
                 });
             }
             
             this.hideProgressIndicator();
 
-            // Get dimensions from the base floor
-            const baseDimensions = await this.fileProcessor.getMediaDimensions(baseFloor.mediaData);
-            const baseNormalizedData = this.dataNormalizer.normalizeToFoundryFormat(baseFloor.jsonData);
-
-            // Determine scene name from first floor
-            const sceneName = this.determineSceneName(baseNormalizedData.name, baseFloor.mediaData?.filename);
+            const baseTilePaths = baseTiledMap ? await this.uploadMapPieces(baseTiledMap, sceneName, 1) : [];
+            if (!baseTilePaths) {
+                ui.notifications.error(`${game.i18n.localize("QUICKBATTLEMAP.UploadFailed")}: Floor 1`);
+                return;
+            }
 
             // Calculate floor elevations (each floor is 10 units apart by default)
             const floorHeight = baseNormalizedData.grid?.distance || 5;
@@ -710,8 +1299,8 @@ export class SceneImportController {
             const createdScene = await this.sceneBuilder.createScene({
                 backgroundPath: uploadedFloors[0].uploadedPath,
                 sceneName: sceneName,
-                width: baseNormalizedData.width || baseDimensions.width || 1920,
-                height: baseNormalizedData.height || baseDimensions.height || 1080,
+                width: baseNormalizedData.width || optimizations[0].dimensions.width || 1920,
+                height: baseNormalizedData.height || optimizations[0].dimensions.height || 1080,
                 padding: baseNormalizedData.padding,
                 backgroundColor: baseNormalizedData.backgroundColor,
                 globalLight: baseNormalizedData.globalLight,
@@ -721,16 +1310,23 @@ export class SceneImportController {
             await this.sceneBuilder.activateAndWaitForCanvas(createdScene);
             await this.sceneBuilder.applyGridSettings(createdScene, baseNormalizedData.grid, this.isNoGridModeEnabled);
 
+            // The scene offset depends on the grid size, as padding is rounded to whole cells
+            if (baseTiledMap) {
+                await this.sceneBuilder.createMapTiles(createdScene, baseTiledMap.layout, baseTilePaths);
+            }
+
             // Create walls and lights from base floor with elevation
             await this.sceneBuilder.createWallsWithElevation(createdScene, baseNormalizedData.walls, floorElevations[0], floorElevations[0] + floorHeight * 2 - 1);
             await this.sceneBuilder.createLightsWithElevation(createdScene, baseNormalizedData.lights, floorElevations[0], floorElevations[0] + floorHeight * 2 - 1);
+            await this.sceneBuilder.createPlaceables(createdScene, baseNormalizedData, floorElevations[0]);
 
-            // Create floor tiles for additional floors (floors 2+) with proper Levels flags
+            // Create floor tiles for additional floors (floors 2+) with proper Levels flags.
+            // Tiles cover the scene, which differs from the base image when it was scaled to a whole grid size.
             if (uploadedFloors.length > 1) {
                 await this.sceneBuilder.createLevelsFloorTiles(
                     createdScene,
                     uploadedFloors.slice(1),
-                    baseDimensions,
+                    { width: createdScene.width, height: createdScene.height },
                     this.dataNormalizer,
                     floorElevations.slice(1),
                     floorHeight
@@ -745,6 +1341,8 @@ export class SceneImportController {
             });
 
             this.cleanupAfterMultiFloorCreation(sceneName);
+            this.panelView.updateImportNotice('optimization', this.describeImageOptimization(optimizations));
+            this.panelView.updateImportNotice('mapTiles', this.describeMapTiles(baseTiledMap));
 
         } catch (error) {
             console.error(`${MODULE_LOG_PREFIX} | Multi-floor scene creation failed:`, error);
@@ -758,13 +1356,15 @@ export class SceneImportController {
     async ensureGridDataExists() {
         const shouldDetect = !this.isNoGridModeEnabled && 
                             !this.importedSceneStructure && 
-                            this.backgroundMediaData?.file && 
-                            !this.backgroundMediaData?.isVideo;
+                            this.backgroundMediaData?.file;
 
         if (shouldDetect) {
             try {
                 this.showProgressIndicator(game.i18n.localize('QUICKBATTLEMAP.ProgressAnalyzing'));
-                await this.detectAndApplyGridFromImage(this.backgroundMediaData.file);
+                const detectionImage = await this.getGridDetectionImage(this.backgroundMediaData);
+                if (detectionImage) {
+                    await this.detectAndApplyGridFromImage(detectionImage);
+                }
             } catch (_error) { /* handled below */ } 
             finally {
                 this.hideProgressIndicator();
@@ -779,37 +1379,58 @@ export class SceneImportController {
         if (this.isNoGridModeEnabled || this.importedSceneStructure) return;
 
         const message = this.backgroundMediaData?.isVideo
-            ? "No grid data provided for video. Drop a JSON export or enable the No Grid option."
-            : "Grid data missing and auto-detection failed. Drop a JSON export or set grid manually.";
+            ? "Grid data missing and no grid was found in the video frames. Drop a JSON export or enable the No Grid option."
+            : "Grid data missing and auto-detection failed. Drop a JSON export or use Calibrate grid.";
         ui.notifications.error(message);
     }
 
     /**
      * Upload the background media to Foundry's storage.
+     * @param {BackgroundMediaData} mediaData - Background media to upload (optimized, if enabled)
+     * @param {string} sceneName - Name of the scene being created
      * @returns {Promise<{path: string}|null>} Upload result
      */
-    async uploadBackgroundMedia() {
+    async uploadBackgroundMedia(mediaData, sceneName) {
         this.showProgressIndicator(game.i18n.localize('QUICKBATTLEMAP.ProgressUploading'));
         try {
-            return await this.storageService.uploadBackgroundMedia(this.backgroundMediaData, game.world.id);
+            return await this.storageService.uploadBackgroundMedia(mediaData, this.getStorageOptions(sceneName, 1));
         } finally {
             this.hideProgressIndicator();
         }
     }
 
+    /**
+     * Build the storage options for an upload from the storage settings.
+     * @param {string} sceneName - Name of the scene being created
+     * @param {number} floor - Floor number, 1 for the base floor
+     * @returns {import('./media-storage-service.js').StorageOptions} Storage options
+     */
+    getStorageOptions(sceneName, floor) {
+        return {
+            ...getStorageSettings(),
+            world: game.world.id,
+            sceneName,
+            floor
+        };
+    }
+
     /**
      * Log normalized scene data for debugging.
      * @param {Object} data - The normalized scene configuration
      */
     logNormalizedData(data) {
         if (!this.isDebugLoggingEnabled) return;
+        console.log(`${MODULE_LOG_PREFIX} | Source format:`, data.sourceFormat);
+        console.log(`${MODULE_LOG_PREFIX} | Wall optimization:`, data.wallOptimization);
+        console.log(`${MODULE_LOG_PREFIX} | Wall gaps:`, data.wallGaps);
         console.log(`${MODULE_LOG_PREFIX} | Normalized grid:`, data.grid);
         console.log(`${MODULE_LOG_PREFIX} | First wall:`, data.walls?.[0]);
         console.log(`${MODULE_LOG_PREFIX} | First light:`, data.lights?.[0]);
     }
 
     /**
-     * Determine the scene name from config or filename.
+     * Determine the scene name from config or filename. A file name is cleaned of cell counts,
+     * sizes and tags (e.g. "Crypt_Entrance_30x20_Night.jpg" becomes "Crypt Entrance (Night)").
      * @param {string|undefined} configuredName - Name from JSON config
      * @param {string} [fallbackFilename] - Fallback filename if no config name
      * @returns {string} The scene name to use
@@ -817,7 +1438,7 @@ export class SceneImportController {
     determineSceneName(configuredName, fallbackFilename) {
         if (configuredName) return configuredName;
         const filename = fallbackFilename || this.backgroundMediaData?.filename;
-        const nameFromFile = filename?.split('.').slice(0, -1).join('.');
+        const nameFromFile = this.filenameParser.buildSceneName(this.filenameParser.parse(filename));
         return nameFromFile || game.i18n.localize("QUICKBATTLEMAP.DefaultSceneName");
     }
 
@@ -829,9 +1450,16 @@ export class SceneImportController {
         this.fileProcessor.revokeBlobUrl(this.backgroundMediaData?.data);
         this.backgroundMediaData = null;
         this.importedSceneStructure = null;
+        this.isGridStructureGenerated = false;
 
         this.panelView.updateBackgroundMediaStatus(false, '');
         this.panelView.updateWallDataStatus(false, '');
+        this.panelView.updateDetectedFormat(null);
+        this.panelView.setGridCalibrationAvailable(false);
+        this.panelView.clearImportNotices();
+        this.panelView.updateWallGapReport(null, false);
+        this.clearGridCandidates();
+        this.resetGridPresenceDecision();
 
         const createButton = document.querySelector('.create-scene-button');
         if (createButton) createButton.disabled = true;
@@ -857,6 +1485,7 @@ export class SceneImportController {
         this.unmatchedJsonFiles = [];
         this.backgroundMediaData = null;
         this.importedSceneStructure = null;
+        this.resetGridPresenceDecision();
 
         // Update UI
         this.panelView.clearFloorList();
@@ -876,27 +1505,465 @@ export class SceneImportController {
     async detectAndApplyGridFromImage(imageFile) {
         if (this.importedSceneStructure) return;
 
-        const result = await this.gridDetectionService.detectGridFromImage(imageFile);
+        const signal = this.gridDetectionAbortController.signal;
+        let detected = null;
+        try {
+            detected = await this.gridDetectionService.detectGridFromImage(imageFile, null, {
+                signal,
+                detectionMode: getModuleSetting(SETTING_KEYS.GRID_DETECTION_MODE),
+                onProgress: (progress) => this.panelView.showBusyState(game.i18n.format('QUICKBATTLEMAP.ProgressAnalyzingPercent', {
+                    percent: Math.round(progress * 100)
+                }))
+            });
+        } catch (error) {
+            // The file name may still give the grid
+            if (error?.name === 'AbortError') throw error;
+            if (this.isDebugLoggingEnabled) {
+                console.warn(`${MODULE_LOG_PREFIX} | Auto grid detection failed:`, error);
+            }
+        }
+        const filenameHint = await this.resolveFilenameGridHint(imageFile.name, this.backgroundMediaData);
+        // Imported data may have arrived while the image was analyzed
+        if (this.importedSceneStructure || signal.aborted) return;
+
+        const { result, notice } = this.applyFilenameGridHint(detected, filenameHint);
+        this.panelView.updateImportNotice('filename', notice);
+
+        if (result?.gridPresence?.status === GRID_PRESENCE.GRIDLESS) {
+            this.clearGridCandidates();
+            this.importedSceneStructure = this.resolveGridlessImage(result.gridPresence);
+            this.isGridStructureGenerated = !!this.importedSceneStructure;
+            if (this.importedSceneStructure) {
+                this.panelView.updateWallDataStatus(true, 'Default grid');
+            }
+            this.updateCreateButtonState();
+            return;
+        }
         if (!result || !Number.isFinite(result.gridSize) || result.gridSize <= 0) return;
 
-        this.importedSceneStructure = {
+        this.importedSceneStructure = this.buildDetectedGridStructure(result);
+        this.isGridStructureGenerated = true;
+        this.gridCandidates = result.candidates?.length ? result.candidates : [result];
+        this.gridDetectionPresence = result.gridPresence ?? null;
+
+        this.panelView.updateWallDataStatus(true, 'Auto-detected grid');
+        this.panelView.updateGridCandidates(this.backgroundMediaData?.data, this.gridCandidates, 0);
+        this.panelView.updateImportNotice('grid', this.describeGridPresence(result.gridPresence, result.gridSize));
+        this.panelView.updateImportNotice('gridRegions', this.describeRegionVote(result.regionVote));
+        this.panelView.updateImportNotice('gridStyle', this.describeGridLineStyle(result.lineStyle));
+        this.updateCreateButtonState();
+        
+        if (this.isDebugLoggingEnabled) {
+            console.log(`${MODULE_LOG_PREFIX} | Auto grid detection success:`, this.importedSceneStructure, this.gridCandidates);
+        }
+    }
+
+    /**
+     * Read the grid hints in a media file name, with the grid size they imply for the image.
+     * @param {string|undefined} filename - Media file name
+     * @param {Object|null} mediaData - Media data, used for the image dimensions
+     * @returns {Promise<{metadata: import('./filename-metadata-parser.js').FilenameMetadata, grid: import('./filename-metadata-parser.js').FilenameGridHint|null}>} File name hints
+     */
+    async resolveFilenameGridHint(filename, mediaData) {
+        const metadata = this.filenameParser.parse(filename);
+        const dimensions = metadata.columns || metadata.gridSize
+            ? await this.fileProcessor.getMediaDimensions(mediaData)
+            : null;
+        return { metadata, grid: this.filenameParser.resolveGridSize(metadata, dimensions) };
+    }
+
+    /**
+     * Combine the detection result with the file name hints, which take priority:
+     * - a grid size from the file name picks the detected candidate of that size (keeping its
+     *   sub-pixel size, offsets and line style), or replaces the detected grid if none matches
+     * - a "gridless" tag imports the map as gridless
+     * - a "gridded" tag keeps the best detected grid even when no clear grid lines were found
+     * Grid sizes from the file name are only applied to square grids, as cell counts of hex maps
+     * are ambiguous.
+     * @param {import('./grid-detection-service.js').GridDetectionResult|null} detected - Detection result, null if detection failed
+     * @param {{metadata: import('./filename-metadata-parser.js').FilenameMetadata, grid: import('./filename-metadata-parser.js').FilenameGridHint|null}} filenameHint - File name hints
+     * @returns {{result: Object|null, notice: {text: string, level: string}|null}} Result to apply and the notice explaining it
+     */
+    applyFilenameGridHint(detected, { metadata, grid }) {
+        const detectedCandidates = detected ? (detected.candidates?.length ? detected.candidates : [detected]) : [];
+
+        if (grid && !(detected && isHexGridType(detected.gridType))) {
+            const matchingCandidate = detectedCandidates.find(candidate => !isHexGridType(candidate.gridType)
+                && Math.abs(candidate.gridSize - grid.gridSize) <= grid.gridSize * FILENAME_GRID_TOLERANCE);
+            const chosen = matchingCandidate ?? {
+                gridSize: grid.gridSize, xOffset: 0, yOffset: 0, gridType: GRID_TYPES.SQUARE,
+                score: 1, confidence: 1, axes: null, lineStyle: null
+            };
+
+            return {
+                result: { ...chosen, candidates: [chosen, ...detectedCandidates.filter(candidate => candidate !== chosen)], gridPresence: null },
+                notice: this.describeFilenameGrid(grid, chosen, detectedCandidates)
+            };
+        }
+
+        if (metadata.gridPresence === FILENAME_VARIANTS.GRIDLESS) {
+            const gridPresence = { status: GRID_PRESENCE.GRIDLESS, regularity: detected?.gridPresence?.regularity ?? 0, source: 'filename' };
+            return { result: { ...(detected ?? {}), gridPresence }, notice: null };
+        }
+
+        if (metadata.gridPresence === FILENAME_VARIANTS.GRIDDED && detected?.gridPresence?.status === GRID_PRESENCE.GRIDLESS) {
+            return {
+                result: { ...detected, gridPresence: { ...detected.gridPresence, status: GRID_PRESENCE.UNCERTAIN } },
+                notice: { level: 'warning', text: game.i18n.localize('QUICKBATTLEMAP.FilenameGriddedUnconfirmed') }
+            };
+        }
+
+        return { result: detected, notice: null };
+    }
+
+    /**
+     * Build the panel notice explaining how the grid from the file name was applied.
+     * @param {import('./filename-metadata-parser.js').FilenameGridHint} grid - Grid implied by the file name
+     * @param {import('./grid-detection-service.js').GridCandidate} chosen - Grid that is used
+     * @param {import('./grid-detection-service.js').GridCandidate[]} detectedCandidates - Ranked detected candidates
+     * @returns {{text: string, level: string}} Notice to show
+     */
+    describeFilenameGrid(grid, chosen, detectedCandidates) {
+        const roundSize = (size) => Math.round(size * 100) / 100;
+        const data = {
+            source: grid.source === 'cells'
+                ? game.i18n.format('QUICKBATTLEMAP.FilenameGridCells', { columns: grid.columns, rows: grid.rows })
+                : game.i18n.format('QUICKBATTLEMAP.FilenameGridSize', { size: roundSize(grid.gridSize) }),
+            size: roundSize(chosen.gridSize),
+            detected: roundSize(detectedCandidates[0]?.gridSize ?? 0)
+        };
+
+        if (!detectedCandidates.length) {
+            return { level: 'info', text: game.i18n.format('QUICKBATTLEMAP.FilenameGridUsed', data) };
+        }
+        if (chosen === detectedCandidates[0]) {
+            return { level: 'info', text: game.i18n.format('QUICKBATTLEMAP.FilenameGridConfirmed', data) };
+        }
+        if (detectedCandidates.includes(chosen)) {
+            return { level: 'info', text: game.i18n.format('QUICKBATTLEMAP.FilenameGridCandidate', data) };
+        }
+        return { level: 'warning', text: game.i18n.format('QUICKBATTLEMAP.FilenameGridOverride', data) };
+    }
+
+    /**
+     * Build a scene structure without walls or lights from a detected grid.
+     * The size and offsets keep their sub-pixel precision; they are made whole when the scene is created.
+     * @param {import('./grid-detection-service.js').GridCandidate} candidate - Detected grid
+     * @returns {Object} Scene structure with grid and offsets
+     */
+    buildDetectedGridStructure(candidate) {
+        return {
             grid: {
-                size: Math.round(result.gridSize),
-                type: 1, distance: 5, units: 'ft', alpha: 0.2, color: '#000000'
+                size: candidate.gridSize,
+                type: candidate.gridType ?? 1, distance: 5, units: 'ft',
+                ...this.getGridLineSettings(candidate.lineStyle)
             },
-            shiftX: Math.round(result.xOffset || 0),
-            shiftY: Math.round(result.yOffset || 0),
+            shiftX: candidate.xOffset || 0,
+            shiftY: candidate.yOffset || 0,
             walls: [], lights: []
         };
+    }
 
-        this.panelView.updateWallDataStatus(true, 'Auto-detected grid');
-        this.updateCreateButtonState();
-        
+    /**
+     * Choose the scene grid's line color, opacity and thickness, following the drawn grid
+     * setting when the map has its own grid lines.
+     * @param {import('./grid-detection-service.js').GridLineStyle|null|undefined} lineStyle - Measured style of the drawn lines
+     * @returns {{alpha: number, color: string, thickness?: number}} Grid line settings
+     */
+    getGridLineSettings(lineStyle) {
+        const handling = lineStyle ? getModuleSetting(SETTING_KEYS.DRAWN_GRID_HANDLING) : DRAWN_GRID_HANDLING.OVERLAY;
+
+        if (handling === DRAWN_GRID_HANDLING.HIDE) {
+            return { alpha: 0, color: '#000000' };
+        }
+        if (handling === DRAWN_GRID_HANDLING.MATCH) {
+            return { alpha: lineStyle.alpha, color: lineStyle.color, thickness: Math.max(1, Math.round(lineStyle.thickness)) };
+        }
+        return { alpha: 0.2, color: '#000000' };
+    }
+
+    /**
+     * Build the panel notice describing how the map regions voted on the grid.
+     * @param {import('./grid-detection-service.js').RegionVote|undefined} regionVote - Region voting diagnostics
+     * @returns {{text: string, level: string}|null} Notice to show, or null when the regions agreed with the whole image
+     */
+    describeRegionVote(regionVote) {
+        if (!regionVote) return null;
+
+        const data = {
+            votes: regionVote.votes,
+            regions: regionVote.regions.length,
+            outliers: regionVote.outliers,
+            size: Math.round(regionVote.gridSize ?? 0)
+        };
+        if (!regionVote.hasConsensus) {
+            return { level: 'warning', text: game.i18n.format('QUICKBATTLEMAP.GridRegionVoteSplit', data) };
+        }
+        if (regionVote.isDecisive) {
+            return { level: 'info', text: game.i18n.format('QUICKBATTLEMAP.GridRegionVoteDecided', data) };
+        }
+        if (regionVote.outliers) {
+            return { level: 'info', text: game.i18n.format('QUICKBATTLEMAP.GridRegionVoteOutliers', data) };
+        }
+        return null;
+    }
+
+    /**
+     * Build the panel notice describing the grid lines drawn on the map and how the scene grid is styled.
+     * @param {import('./grid-detection-service.js').GridLineStyle|null|undefined} lineStyle - Measured style of the drawn lines
+     * @returns {{text: string, level: string}|null} Notice to show, or null when no lines were measured
+     */
+    describeGridLineStyle(lineStyle) {
+        if (!lineStyle) return null;
+
+        const messageKeys = {
+            [DRAWN_GRID_HANDLING.OVERLAY]: 'QUICKBATTLEMAP.GridLineStyleOverlay',
+            [DRAWN_GRID_HANDLING.HIDE]: 'QUICKBATTLEMAP.GridLineStyleHidden',
+            [DRAWN_GRID_HANDLING.MATCH]: 'QUICKBATTLEMAP.GridLineStyleMatched'
+        };
+        const handling = getModuleSetting(SETTING_KEYS.DRAWN_GRID_HANDLING);
+
+        return {
+            level: 'info',
+            text: game.i18n.format(messageKeys[handling] ?? messageKeys[DRAWN_GRID_HANDLING.OVERLAY], {
+                color: lineStyle.observedColor,
+                thickness: lineStyle.thickness,
+                opacity: Math.round(lineStyle.alpha * 100)
+            })
+        };
+    }
+
+    /**
+     * Measure the drawn grid lines of the background image along a calibrated grid.
+     * @param {import('./grid-detection-service.js').GridCandidate} calibratedGrid - Calibrated grid
+     * @returns {Promise<import('./grid-detection-service.js').GridLineStyle|null>} Line style, or null if not measurable
+     */
+    async measureCalibratedGridLineStyle(calibratedGrid) {
+        if (!this.backgroundMediaData?.file) return null;
+
+        try {
+            return await this.gridDetectionService.measureGridLineStyleForImage(this.backgroundMediaData.file, calibratedGrid);
+        } catch (error) {
+            if (this.isDebugLoggingEnabled) {
+                console.warn(`${MODULE_LOG_PREFIX} | Could not measure the drawn grid lines:`, error);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Decide how to import an image that shows no grid, following the gridless map setting:
+     * either enable no-grid mode for this import (without changing the saved preference)
+     * or use the default grid size. The panel notice says which and why.
+     * @param {import('./grid-detection-service.js').GridPresence} gridPresence - Grid presence classification
+     * @returns {Object|null} Scene structure with the default grid, or null in no-grid mode
+     */
+    resolveGridlessImage(gridPresence) {
+        const useNoGrid = getModuleSetting(SETTING_KEYS.GRIDLESS_MAP_HANDLING) !== GRIDLESS_MAP_HANDLING.DEFAULT_GRID;
+        const defaultGridSize = this.getDefaultGridSize();
+        this.panelView.updateImportNotice('grid', this.describeGridPresence(gridPresence, useNoGrid ? null : defaultGridSize));
+
+        if (useNoGrid) {
+            this.isNoGridModeEnabled = true;
+            this.isNoGridAutoEnabled = true;
+            this.panelView.setNoGridCheckboxState(true);
+            return null;
+        }
+        return this.buildDefaultGridStructure(defaultGridSize);
+    }
+
+    /**
+     * Give a gridless image the default grid after the user unticked the automatic no-grid choice.
+     */
+    applyDefaultGridToGridlessImage() {
+        const defaultGridSize = this.getDefaultGridSize();
+        const notice = {
+            level: 'info',
+            text: game.i18n.format('QUICKBATTLEMAP.GridPresenceDefaultGrid', { size: defaultGridSize })
+        };
+
+        const baseFloor = this.floors[0];
+        if (baseFloor) {
+            if (baseFloor.jsonData) return;
+            baseFloor.jsonData = this.buildDefaultGridStructure(defaultGridSize);
+            baseFloor.autoDetectedGrid = true;
+            this.refreshFloorListUI();
+        } else {
+            if (this.importedSceneStructure) return;
+            this.importedSceneStructure = this.buildDefaultGridStructure(defaultGridSize);
+            this.isGridStructureGenerated = true;
+            this.panelView.updateWallDataStatus(true, 'Default grid');
+            this.updateCreateButtonState();
+        }
+        this.panelView.updateImportNotice('grid', notice);
+    }
+
+    /**
+     * Undo the automatic no-grid choice and its notice, e.g. when another image or imported
+     * data replaces the gridless image.
+     */
+    resetGridPresenceDecision() {
+        if (this.isNoGridAutoEnabled) {
+            this.isNoGridModeEnabled = this.loadNoGridPreference();
+            this.panelView.setNoGridCheckboxState(this.isNoGridModeEnabled);
+        }
+        this.isNoGridAutoEnabled = false;
+        this.panelView.updateImportNotice('grid', null);
+        this.panelView.updateImportNotice('gridRegions', null);
+        this.panelView.updateImportNotice('gridStyle', null);
+        this.panelView.updateImportNotice('filename', null);
+    }
+
+    /**
+     * Read the default grid size setting.
+     * @returns {number} Default grid size in pixels
+     */
+    getDefaultGridSize() {
+        return Number(getModuleSetting(SETTING_KEYS.DEFAULT_GRID_SIZE)) || 100;
+    }
+
+    /**
+     * Build a scene structure with a square grid of the default size.
+     * @param {number} gridSize - Grid size in pixels
+     * @returns {Object} Scene structure with the grid
+     */
+    buildDefaultGridStructure(gridSize) {
+        return this.buildDetectedGridStructure({ gridSize, xOffset: 0, yOffset: 0, gridType: GRID_TYPES.SQUARE });
+    }
+
+    /**
+     * Build the panel notice explaining the grid presence decision.
+     * @param {import('./grid-detection-service.js').GridPresence|undefined} gridPresence - Grid presence classification
+     * @param {number|null} gridSize - Detected grid size, or the default size used for a gridless
+     *   image (null when it is imported without a grid)
+     * @returns {{text: string, level: string}|null} Notice to show, or null without a classification
+     */
+    describeGridPresence(gridPresence, gridSize) {
+        if (!gridPresence) return null;
+
+        const data = {
+            regularity: Math.round(gridPresence.regularity * 100),
+            size: Math.round((gridSize ?? 0) * 100) / 100
+        };
+
+        if (gridPresence.status === GRID_PRESENCE.GRIDDED) {
+            return { level: 'info', text: game.i18n.format('QUICKBATTLEMAP.GridPresenceGridded', data) };
+        }
+        if (gridPresence.status === GRID_PRESENCE.UNCERTAIN) {
+            return { level: 'warning', text: game.i18n.format('QUICKBATTLEMAP.GridPresenceUncertain', data) };
+        }
+        if (gridPresence.source === 'filename') {
+            return {
+                level: 'info',
+                text: game.i18n.format(gridSize === null
+                    ? 'QUICKBATTLEMAP.GridPresenceFilenameNoGrid'
+                    : 'QUICKBATTLEMAP.GridPresenceFilenameDefaultGrid', data)
+            };
+        }
+        return {
+            level: 'info',
+            text: game.i18n.format(gridSize === null
+                ? 'QUICKBATTLEMAP.GridPresenceGridlessNoGrid'
+                : 'QUICKBATTLEMAP.GridPresenceGridlessDefaultGrid', data)
+        };
+    }
+
+    /**
+     * Apply the grid candidate the user picked in the panel.
+     * Only replaces the scene structure while it still comes from auto-detection,
+     * and refreshes the grid notices to describe the picked candidate.
+     * @param {number} index - Index into the ranked grid candidates
+     */
+    handleGridCandidateSelected(index) {
+        const candidate = this.gridCandidates[index];
+        if (!candidate || !this.isGridStructureGenerated) return;
+
+        this.importedSceneStructure = this.buildDetectedGridStructure(candidate);
+        this.panelView.updateImportNotice('gridStyle', this.describeGridLineStyle(candidate.lineStyle));
+        if (this.gridDetectionPresence) {
+            // The user picked this grid, so a weak candidate is uncertain rather than gridless
+            const presence = this.gridDetectionService.classifyGridPresence(candidate);
+            if (presence.status === GRID_PRESENCE.GRIDLESS) presence.status = GRID_PRESENCE.UNCERTAIN;
+            this.panelView.updateImportNotice('grid', this.describeGridPresence(presence, candidate.gridSize));
+        }
         if (this.isDebugLoggingEnabled) {
-            console.log(`${MODULE_LOG_PREFIX} | Auto grid detection success:`, this.importedSceneStructure);
+            console.log(`${MODULE_LOG_PREFIX} | Grid candidate selected:`, candidate);
         }
     }
 
+    /**
+     * Open the grid calibration dialog for the background image and apply the calibrated grid.
+     * The current detected grid, if square, is shown as the starting point.
+     */
+    async handleGridCalibrationRequested() {
+        if (!this.backgroundMediaData || this.backgroundMediaData.isVideo) return;
+
+        const currentGrid = this.isGridStructureGenerated ? this.importedSceneStructure?.grid : null;
+        const initialGrid = currentGrid && !isHexGridType(currentGrid.type)
+            ? { gridSize: currentGrid.size, xOffset: this.importedSceneStructure.shiftX, yOffset: this.importedSceneStructure.shiftY, gridType: currentGrid.type }
+            : null;
+
+        let calibratedGrid;
+        try {
+            calibratedGrid = await this.gridCalibrationView.prompt(
+                this.backgroundMediaData.data,
+                (input) => this.estimateCalibratedGrid(input),
+                initialGrid
+            );
+        } catch (error) {
+            console.error(`${MODULE_LOG_PREFIX} | Grid calibration failed:`, error);
+            ui.notifications.error(game.i18n.localize('QUICKBATTLEMAP.GridCalibrationFailed'));
+            return;
+        }
+        if (!calibratedGrid) return;
+
+        calibratedGrid.lineStyle = await this.measureCalibratedGridLineStyle(calibratedGrid);
+        this.importedSceneStructure = this.buildDetectedGridStructure(calibratedGrid);
+        this.isGridStructureGenerated = true;
+        this.clearGridCandidates();
+        this.resetGridPresenceDecision();
+        this.panelView.updateWallDataStatus(true, game.i18n.localize('QUICKBATTLEMAP.GridCalibrated'));
+        this.panelView.updateImportNotice('gridStyle', this.describeGridLineStyle(calibratedGrid.lineStyle));
+
+        if (this.isDebugLoggingEnabled) {
+            console.log(`${MODULE_LOG_PREFIX} | Grid calibrated manually:`, this.importedSceneStructure);
+        }
+    }
+
+    /**
+     * Fit a grid to the intersections clicked, or the cell box dragged, in the calibration dialog.
+     * @param {import('./grid-calibration-view.js').CalibrationInput} input - Calibration input
+     * @returns {import('./grid-detection-service.js').GridCandidate} Fitted grid
+     * @throws {Error} If the input does not span at least one grid cell
+     */
+    estimateCalibratedGrid(input) {
+        const points = input.box
+            ? this.gridDetectionService.createCellBoxPoints(input.box, input.columns, input.rows)
+            : input.points;
+        return this.gridDetectionService.detectFromManualPoints(points);
+    }
+
+    /**
+     * Offer grid calibration while a single background image is loaded and no imported
+     * data supplies the grid.
+     */
+    updateGridCalibrationAvailability() {
+        const isAvailable = !!this.backgroundMediaData
+            && !this.backgroundMediaData.isVideo
+            && this.floors.length === 0
+            && (!this.importedSceneStructure || this.isGridStructureGenerated);
+        this.panelView.setGridCalibrationAvailable(isAvailable);
+    }
+
+    /**
+     * Forget the grid candidates, e.g. when imported data replaces the auto-detected grid.
+     */
+    clearGridCandidates() {
+        this.gridCandidates = [];
+        this.gridDetectionPresence = null;
+        this.panelView.updateGridCandidates(null, null);
+    }
+
     /**
      * Show progress indicator with a status message.
      * @param {string} message - Message to display
@@ -920,11 +1987,14 @@ export class SceneImportController {
      * Reset all import state to initial values.
      */
     resetImportState() {
+        this.cancelGridDetection();
+
         // Revoke legacy blob URL
         this.fileProcessor.revokeBlobUrl(this.backgroundMediaData?.data);
         
-        // Revoke all floor blob URLs
+        // Revoke all floor blob URLs and stop their grid detection
         for (const floor of this.floors) {
+            floor.gridDetectionAbortController?.abort();
             if (floor.mediaData?.isVideo) {
                 this.fileProcessor.revokeBlobUrl(floor.mediaData.data);
             }
@@ -933,11 +2003,16 @@ export class SceneImportController {
         // Reset all state
         this.backgroundMediaData = null;
         this.importedSceneStructure = null;
+        this.isGridStructureGenerated = false;
+        this.gridCandidates = [];
+        this.gridDetectionPresence = null;
         this.floors = [];
         this.unmatchedMediaFiles = [];
         this.unmatchedJsonFiles = [];
         this.pendingOperationCount = 0;
         this.isNoGridModeEnabled = this.loadNoGridPreference();
+        this.isNoGridAutoEnabled = false;
+        this.isAutoCloseGapsEnabled = !!getModuleSetting(SETTING_KEYS.AUTO_CLOSE_WALL_GAPS);
         
         // Reset UI
         this.panelView.resetAllStatuses(this.isNoGridModeEnabled);
@@ -5,6 +5,11 @@
  * Provides autocorrelation, filtering, and normalization algorithms
  * used by the GridDetectionService.
  * 
+ * Autocorrelation and power spectra are computed with a radix-2 FFT, so their cost is
+ * O(n log n) instead of O(n · maxLag) and detection can run on large images.
+ * Autocorrelation peaks are refined to sub-pixel lags with parabolic interpolation, and
+ * grid line positions can be fitted by least squares to measure non-integer grid sizes.
+ * 
  * @module SignalProcessingUtils
  */
 
@@ -20,11 +25,122 @@
  * @property {number} score - Confidence score for this period
  */
 
+/**
+ * @typedef {Object} SpectralPeriods
+ * @property {number|null} fundamental - Period of the smallest repeating cell, or null if none found
+ * @property {number|null} major - Period of stronger lines drawn every few cells, or null if there are none
+ */
+
+/**
+ * @typedef {Object} GridLineFit
+ * @property {number} period - Fitted distance between grid lines
+ * @property {number} offset - Fitted position of the first grid line (0 to period)
+ * @property {number} lineCount - Number of grid lines the fit is based on
+ */
+
+/** Settings for the power spectrum period analysis */
+const SPECTRAL_ANALYSIS = {
+    HARMONICS: 4,               // Harmonics averaged when scoring a fundamental frequency
+    PEAKS: 12,                  // Strongest spectral peaks considered as fundamentals
+    LOWEST_PEAK_RATIO: 0.8,     // A lower frequency within this share of the best score wins (f vs 2f for thin lines)
+    MAX_SUBDIVISION: 6,         // Largest number of cells between major lines that is recognized
+    SUBDIVISION_CONTRAST: 2,    // Power at the cell harmonics must exceed the other major harmonics by this factor
+    MAJOR_LINE_CONTRAST: 4      // Peaks between the cell harmonics must exceed the power right beside them by this factor
+};
+
+/** Settings for fitting grid line positions */
+const LINE_FIT = {
+    SEARCH_WINDOW: 0.25,        // Share of the period searched around each expected line position
+    CENTROID_RADIUS: 2,         // Samples on each side of a line peak used for its centroid
+    MIN_LINE_STRENGTH: 0.5,     // Lines weaker than this share of the median line peak are skipped
+    MIN_LINES: 3,               // Fewer lines are not enough for a fit
+    ITERATIONS: 2               // Passes of locating lines with the refined period
+};
+
+/**
+ * Get the smallest power of two that is at least the given length.
+ * 
+ * @param {number} length - Minimum length
+ * @returns {number} Power of two
+ */
+function nextPowerOfTwo(length) {
+    let size = 1;
+    while (size < length) size <<= 1;
+    return size;
+}
+
+/**
+ * In-place iterative radix-2 fast Fourier transform.
+ * 
+ * @param {Float64Array} real - Real parts; length must be a power of two
+ * @param {Float64Array} imag - Imaginary parts, same length
+ * @param {boolean} [inverse=false] - Compute the inverse transform (scaled by 1/n)
+ * 
+ * @example
+ * const real = new Float64Array([1, 0, 0, 0]), imag = new Float64Array(4);
+ * computeFFT(real, imag); // real = [1, 1, 1, 1]
+ */
+export function computeFFT(real, imag, inverse = false) {
+    const size = real.length;
+
+    // Bit-reversal permutation
+    for (let i = 1, j = 0; i < size; i++) {
+        let bit = size >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [real[i], real[j]] = [real[j], real[i]];
+            [imag[i], imag[j]] = [imag[j], imag[i]];
+        }
+    }
+
+    // Butterflies
+    for (let blockSize = 2; blockSize <= size; blockSize <<= 1) {
+        const angle = (inverse ? 2 : -2) * Math.PI / blockSize;
+        const stepReal = Math.cos(angle);
+        const stepImag = Math.sin(angle);
+        const halfBlock = blockSize >> 1;
+
+        for (let start = 0; start < size; start += blockSize) {
+            let twiddleReal = 1;
+            let twiddleImag = 0;
+
+            for (let k = 0; k < halfBlock; k++) {
+                const even = start + k;
+                const odd = even + halfBlock;
+                const productReal = real[odd] * twiddleReal - imag[odd] * twiddleImag;
+                const productImag = real[odd] * twiddleImag + imag[odd] * twiddleReal;
+
+                real[odd] = real[even] - productReal;
+                imag[odd] = imag[even] - productImag;
+                real[even] += productReal;
+                imag[even] += productImag;
+
+                const nextTwiddleReal = twiddleReal * stepReal - twiddleImag * stepImag;
+                twiddleImag = twiddleReal * stepImag + twiddleImag * stepReal;
+                twiddleReal = nextTwiddleReal;
+            }
+        }
+    }
+
+    if (inverse) {
+        for (let i = 0; i < size; i++) {
+            real[i] /= size;
+            imag[i] /= size;
+        }
+    }
+}
+
 /**
  * Compute normalized autocorrelation of a signal.
  * Autocorrelation measures how similar a signal is to a delayed version of itself.
  * Peaks in autocorrelation indicate periodic patterns.
  * 
+ * Uses the Wiener-Khinchin theorem: the inverse FFT of the power spectrum of the
+ * zero-padded signal gives the (linear, not circular) autocorrelation at every lag.
+ * 
  * @param {Float32Array} signal - Input signal
  * @param {number} minLag - Minimum lag to consider (avoids self-correlation peak)
  * @param {number} maxLag - Maximum lag to consider
@@ -45,32 +161,245 @@ export function computeAutocorrelation(signal, minLag, maxLag) {
     }
     const mean = sum / signalLength;
 
-    // Calculate denominator (variance-like term for normalization)
-    let denominator = 0;
+    // Zero-pad to at least twice the length so lags do not wrap around
+    const paddedLength = nextPowerOfTwo(signalLength * 2);
+    const real = new Float64Array(paddedLength);
+    const imag = new Float64Array(paddedLength);
     for (let i = 0; i < signalLength; i++) {
-        const deviation = signal[i] - mean;
-        denominator += deviation * deviation;
+        real[i] = signal[i] - mean;
     }
-    denominator = denominator || 1; // Prevent division by zero
 
-    // Calculate autocorrelation for each lag value
+    computeFFT(real, imag);
+    for (let i = 0; i < paddedLength; i++) {
+        real[i] = real[i] * real[i] + imag[i] * imag[i];
+        imag[i] = 0;
+    }
+    computeFFT(real, imag, true);
+
+    // Lag 0 is the variance-like normalization term
+    const denominator = real[0] || 1; // Prevent division by zero
+
     const result = [];
     for (let lag = minLag; lag <= maxLag; lag++) {
-        let numerator = 0;
-        
-        for (let i = 0; i + lag < signalLength; i++) {
-            numerator += (signal[i] - mean) * (signal[i + lag] - mean);
-        }
-
         result.push({
             lag: lag,
-            val: numerator / denominator
+            val: lag < signalLength ? real[lag] / denominator : 0
         });
     }
 
     return result;
 }
 
+/**
+ * Compute the power spectrum of a signal after removing its mean and applying a Hann window.
+ * The signal is zero-padded to twice its length (rounded up to a power of two) for finer
+ * frequency bins; bin k corresponds to a period of `length / k` samples.
+ * 
+ * @param {Float32Array} signal - Input signal
+ * @returns {{power: Float64Array, length: number}} Power per frequency bin (0 to length/2)
+ *   and the padded transform length
+ * 
+ * @example
+ * const { power, length } = computePowerSpectrum(projection);
+ * // power[Math.round(length / 64)] is strong for a 64 pixel grid
+ */
+export function computePowerSpectrum(signal) {
+    const signalLength = signal.length;
+    const paddedLength = nextPowerOfTwo(signalLength * 2);
+    const real = new Float64Array(paddedLength);
+    const imag = new Float64Array(paddedLength);
+
+    let sum = 0;
+    for (let i = 0; i < signalLength; i++) {
+        sum += signal[i];
+    }
+    const mean = sum / signalLength;
+
+    for (let i = 0; i < signalLength; i++) {
+        const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / Math.max(1, signalLength - 1));
+        real[i] = (signal[i] - mean) * window;
+    }
+
+    computeFFT(real, imag);
+
+    const power = new Float64Array(paddedLength / 2 + 1);
+    for (let i = 0; i < power.length; i++) {
+        power[i] = real[i] * real[i] + imag[i] * imag[i];
+    }
+
+    return { power, length: paddedLength };
+}
+
+/**
+ * Read the power spectrum at a (possibly fractional) bin, taking the highest value
+ * within one bin.
+ * 
+ * @param {Float64Array} power - Power spectrum
+ * @param {number} bin - Frequency bin
+ * @returns {number} Power, or 0 if the bin is out of range
+ */
+function sampleSpectrum(power, bin) {
+    const start = Math.max(1, Math.floor(bin) - 1);
+    const end = Math.min(power.length - 1, Math.ceil(bin) + 1);
+
+    let best = 0;
+    for (let index = start; index <= end; index++) {
+        best = Math.max(best, power[index]);
+    }
+    return best;
+}
+
+/**
+ * Estimate the grid period from the power spectrum with harmonic analysis.
+ * 
+ * Grid lines form a pulse train, whose spectrum has peaks at every multiple of the line
+ * frequency. Each spectral peak is scored by the mean power of its first harmonics, and
+ * the lowest frequency scoring close to the best becomes the base period. If the base
+ * turns out to be major lines (e.g. bold lines every 5 cells), the finer cell lines only
+ * add power at every m-th harmonic of the base; that contrast separates the fundamental
+ * cell from the major lines. If the base is the cell itself, major lines show up as
+ * peaks between the cell harmonics.
+ * 
+ * @param {Float32Array} signal - Normalized projection signal
+ * @param {number} minPeriod - Smallest period to consider
+ * @param {number} maxPeriod - Largest period to consider
+ * @returns {SpectralPeriods} Fundamental and major line periods
+ * 
+ * @example
+ * const { fundamental, major } = findSpectralPeriods(projection, 8, 512);
+ * // A 20 px grid with bold lines every 100 px: fundamental ≈ 20, major ≈ 100
+ */
+export function findSpectralPeriods(signal, minPeriod, maxPeriod) {
+    const { power, length } = computePowerSpectrum(signal);
+    const minBin = Math.max(2, Math.ceil(length / maxPeriod));
+    const maxBin = Math.min(power.length - 2, Math.floor(length / minPeriod));
+    if (minBin >= maxBin) {
+        return { fundamental: null, major: null };
+    }
+
+    const peaks = [];
+    for (let bin = minBin; bin <= maxBin; bin++) {
+        if (power[bin] > power[bin - 1] && power[bin] >= power[bin + 1]) {
+            peaks.push({ bin: refinePeakBin(power, bin), power: power[bin] });
+        }
+    }
+    if (!peaks.length) {
+        return { fundamental: null, major: null };
+    }
+
+    const harmonicScore = (bin) => {
+        let score = 0;
+        for (let harmonic = 1; harmonic <= SPECTRAL_ANALYSIS.HARMONICS; harmonic++) {
+            score += sampleSpectrum(power, bin * harmonic);
+        }
+        return score / SPECTRAL_ANALYSIS.HARMONICS;
+    };
+
+    const scored = peaks
+        .sort((a, b) => b.power - a.power)
+        .slice(0, SPECTRAL_ANALYSIS.PEAKS)
+        .map(peak => ({ bin: peak.bin, score: harmonicScore(peak.bin) }));
+    const bestScore = Math.max(...scored.map(peak => peak.score));
+    const base = scored
+        .filter(peak => peak.score >= bestScore * SPECTRAL_ANALYSIS.LOWEST_PEAK_RATIO)
+        .sort((a, b) => a.bin - b.bin)[0];
+
+    const cellsPerMajor = findSpectralSubdivision(power, base.bin, maxBin);
+    if (cellsPerMajor > 1) {
+        return { fundamental: length / (base.bin * cellsPerMajor), major: length / base.bin };
+    }
+
+    const majorSubdivision = findMajorLineSubdivision(power, base.bin, Math.ceil(length / maxPeriod));
+    return {
+        fundamental: length / base.bin,
+        major: majorSubdivision > 1 ? length * majorSubdivision / base.bin : null
+    };
+}
+
+/**
+ * Find major lines drawn every m cells of a fundamental period: they add spectral peaks
+ * at the fractions j/m of the fundamental frequency, which a plain grid does not have.
+ * Each such peak is compared with the power halfway to its neighbours.
+ * 
+ * @param {Float64Array} power - Power spectrum
+ * @param {number} fundamentalBin - Frequency bin of the cell period
+ * @param {number} minBin - Lowest bin in the allowed period range
+ * @returns {number} Cells per major line, or 1 if there are no major lines
+ */
+function findMajorLineSubdivision(power, fundamentalBin, minBin) {
+    let bestSubdivision = 1;
+    let bestContrast = SPECTRAL_ANALYSIS.MAJOR_LINE_CONTRAST;
+
+    for (let subdivision = SPECTRAL_ANALYSIS.MAX_SUBDIVISION; subdivision >= 2; subdivision--) {
+        const step = fundamentalBin / subdivision;
+        if (step < minBin || step < 4) continue;
+
+        let peakPower = 0, besidePower = 0;
+        for (let fraction = 1; fraction < subdivision; fraction++) {
+            peakPower += sampleSpectrum(power, step * fraction);
+            besidePower += sampleSpectrum(power, step * (fraction - 0.5)) + sampleSpectrum(power, step * (fraction + 0.5));
+        }
+
+        const contrast = (2 * peakPower) / Math.max(besidePower, Number.EPSILON);
+        if (contrast > bestContrast) {
+            bestContrast = contrast;
+            bestSubdivision = subdivision;
+        }
+    }
+
+    return bestSubdivision;
+}
+
+/**
+ * Refine a spectral peak position with parabolic interpolation of its neighbours.
+ * 
+ * @param {Float64Array} power - Power spectrum
+ * @param {number} bin - Bin of the local maximum
+ * @returns {number} Fractional peak bin
+ */
+function refinePeakBin(power, bin) {
+    return bin + interpolatePeakOffset(power[bin - 1], power[bin], power[bin + 1]);
+}
+
+/**
+ * Find how many cells lie between major lines: the subdivision m whose harmonics
+ * (m, 2m, ... times the base frequency) carry clearly more power than the other
+ * harmonics of the base.
+ * 
+ * @param {Float64Array} power - Power spectrum
+ * @param {number} baseBin - Frequency bin of the base period
+ * @param {number} maxBin - Highest bin in the allowed period range
+ * @returns {number} Cells per major line, or 1 if the base is the cell itself
+ */
+function findSpectralSubdivision(power, baseBin, maxBin) {
+    let bestSubdivision = 1;
+    let bestContrast = SPECTRAL_ANALYSIS.SUBDIVISION_CONTRAST;
+
+    for (let subdivision = 2; subdivision <= SPECTRAL_ANALYSIS.MAX_SUBDIVISION; subdivision++) {
+        if (baseBin * subdivision > maxBin) break;
+
+        let cellPower = 0, cellCount = 0, otherPower = 0, otherCount = 0;
+        for (let harmonic = 1; harmonic <= subdivision * 2 && baseBin * harmonic <= maxBin; harmonic++) {
+            const value = sampleSpectrum(power, baseBin * harmonic);
+            if (harmonic % subdivision === 0) {
+                cellPower += value;
+                cellCount++;
+            } else {
+                otherPower += value;
+                otherCount++;
+            }
+        }
+
+        const contrast = (cellPower / cellCount) / Math.max(otherPower / Math.max(1, otherCount), Number.EPSILON);
+        if (contrast > bestContrast) {
+            bestContrast = contrast;
+            bestSubdivision = subdivision;
+        }
+    }
+
+    return bestSubdivision;
+}
+
 /**
  * Apply a high-pass filter by subtracting a moving average.
  * This removes low-frequency trends and emphasizes periodic patterns (like grid lines).
@@ -164,15 +493,20 @@ export function normalizeSignal(signal) {
 }
 
 /**
- * Find the best period from autocorrelation data.
- * Looks for the first significant peak in the autocorrelation.
+ * Find the local peaks of autocorrelation data, strongest first.
+ * Peak lags are refined with parabolic interpolation, so they may be fractional.
  * 
  * @param {AutocorrelationEntry[]} autocorrelation - Autocorrelation data
- * @returns {PeriodCandidate|null} Best period candidate or null if none found
+ * @param {number} [maxCandidates=5] - Maximum number of peaks to return
+ * @returns {PeriodCandidate[]} Peak periods sorted by score (highest first)
+ * 
+ * @example
+ * const peaks = findPeriodCandidates(computeAutocorrelation(signal, 8, 512), 8);
+ * // peaks[0].value is the (sub-pixel) lag of the strongest peak
  */
-export function findBestPeriodFromAutocorrelation(autocorrelation) {
+export function findPeriodCandidates(autocorrelation, maxCandidates = 5) {
     if (!autocorrelation || !autocorrelation.length) {
-        return null;
+        return [];
     }
 
     // Find all local peaks (values higher than both neighbors)
@@ -182,25 +516,55 @@ export function findBestPeriodFromAutocorrelation(autocorrelation) {
                       autocorrelation[i].val >= autocorrelation[i + 1].val;
         
         if (isPeak) {
-            peaks.push(autocorrelation[i]);
+            const offset = interpolatePeakOffset(autocorrelation[i - 1].val, autocorrelation[i].val, autocorrelation[i + 1].val);
+            peaks.push({ value: autocorrelation[i].lag + offset, score: autocorrelation[i].val });
         }
     }
 
-    if (!peaks.length) {
+    // Sort by value (strongest peaks first)
+    return peaks.sort((a, b) => b.score - a.score).slice(0, maxCandidates);
+}
+
+/**
+ * Find the best period from autocorrelation data.
+ * Looks for the first significant peak in the autocorrelation.
+ * 
+ * @param {AutocorrelationEntry[]} autocorrelation - Autocorrelation data
+ * @returns {PeriodCandidate|null} Best period candidate or null if none found
+ */
+export function findBestPeriodFromAutocorrelation(autocorrelation) {
+    // Take top peaks and sort by lag (prefer smaller periods = fundamental frequency)
+    const topPeaks = findPeriodCandidates(autocorrelation, 5).sort((a, b) => a.value - b.value);
+    return topPeaks[0] ?? null;
+}
+
+/**
+ * Read the autocorrelation at a (possibly fractional) lag, taking the highest value
+ * within one lag so that slightly off periods still find their peak.
+ * 
+ * @param {AutocorrelationEntry[]} autocorrelation - Autocorrelation data with consecutive lags
+ * @param {number} lag - Lag to sample
+ * @returns {number|null} Autocorrelation value, or null if the lag is out of range
+ */
+export function sampleAutocorrelation(autocorrelation, lag) {
+    if (!autocorrelation || !autocorrelation.length) {
         return null;
     }
 
-    // Sort by value (strongest peaks first)
-    peaks.sort((a, b) => b.val - a.val);
-    
-    // Take top peaks and sort by lag (prefer smaller periods = fundamental frequency)
-    const topPeaks = peaks.slice(0, 5).sort((a, b) => a.lag - b.lag);
-    const bestPeak = topPeaks[0];
+    const firstLag = autocorrelation[0].lag;
+    const lastLag = autocorrelation[autocorrelation.length - 1].lag;
+    const start = Math.max(firstLag, Math.floor(lag) - 1);
+    const end = Math.min(lastLag, Math.ceil(lag) + 1);
 
-    return {
-        value: bestPeak.lag,
-        score: bestPeak.val
-    };
+    if (start > end) {
+        return null;
+    }
+
+    let best = -Infinity;
+    for (let currentLag = start; currentLag <= end; currentLag++) {
+        best = Math.max(best, autocorrelation[currentLag - firstLag].val);
+    }
+    return best;
 }
 
 /**
@@ -274,6 +638,243 @@ export function estimateGridOffset(signal, period) {
     return bestOffset;
 }
 
+/**
+ * Estimate the phase of a periodic signal using a circular mean.
+ * Unlike estimateGridOffset this works with non-integer periods and returns the
+ * center of wide peaks (e.g. bands) rather than their strongest sample.
+ * The signal mean is subtracted first, so a short signal that does not span a whole
+ * number of periods is not pulled towards its start by the baseline.
+ * 
+ * @param {Float32Array} signal - Non-negative signal (e.g. a normalized projection)
+ * @param {number} period - Period of the signal (may be fractional)
+ * @returns {number} Phase of the signal peaks (0 to period)
+ */
+export function estimateCircularPhase(signal, period) {
+    if (!period || period <= 0 || !signal.length) {
+        return 0;
+    }
+
+    const angularStep = (2 * Math.PI) / period;
+    const mean = signal.reduce((sum, value) => sum + value, 0) / signal.length;
+    let cosineSum = 0;
+    let sineSum = 0;
+
+    for (let i = 0; i < signal.length; i++) {
+        cosineSum += (signal[i] - mean) * Math.cos(i * angularStep);
+        sineSum += (signal[i] - mean) * Math.sin(i * angularStep);
+    }
+
+    const phase = (Math.atan2(sineSum, cosineSum) / angularStep) % period;
+    return phase < 0 ? phase + period : phase;
+}
+
+/**
+ * Find the sub-pixel position of a peak from three samples around it, by fitting a
+ * parabola through them.
+ * 
+ * @param {number} left - Sample before the peak
+ * @param {number} center - Peak sample
+ * @param {number} right - Sample after the peak
+ * @returns {number} Offset of the peak from the center sample (-0.5 to 0.5)
+ * 
+ * @example
+ * interpolatePeakOffset(0.5, 1, 0.5); // 0
+ * interpolatePeakOffset(0.2, 1, 0.8); // ≈ 0.3
+ */
+export function interpolatePeakOffset(left, center, right) {
+    const curvature = left - 2 * center + right;
+    if (!(curvature < 0)) {
+        return 0;
+    }
+    return clampValue(0.5 * (left - right) / curvature, -0.5, 0.5);
+}
+
+/**
+ * Fit the grid lines of a projection: every line near its expected position is located
+ * with sub-pixel precision (as the centroid of its edge response, since edge filters
+ * respond on both sides of a line), and a least-squares line through (line index, position)
+ * gives the period and offset. Averaging over all lines of the image measures the
+ * period far more precisely than a single autocorrelation lag.
+ * 
+ * @param {Float32Array} signal - Normalized projection signal
+ * @param {number} period - Estimated period (may be fractional)
+ * @param {number} phase - Estimated position of a grid line (0 to period)
+ * @returns {GridLineFit|null} Fitted period and offset, or null if too few lines were found
+ * 
+ * @example
+ * const fit = fitGridLines(projection, 70, estimateCircularPhase(projection, 70));
+ * // fit.period ≈ 70.4 for a map drawn with 70.4 px cells
+ */
+export function fitGridLines(signal, period, phase) {
+    if (!period || period < 2) {
+        return null;
+    }
+
+    let fit = { period, offset: phase, lineCount: 0 };
+    for (let iteration = 0; iteration < LINE_FIT.ITERATIONS; iteration++) {
+        const lines = locateGridLines(signal, fit.period, fit.offset);
+        if (lines.length < LINE_FIT.MIN_LINES) {
+            return null;
+        }
+
+        const refinedFit = fitLinePositions(lines);
+        if (!refinedFit || Math.abs(refinedFit.period - fit.period) > fit.period * LINE_FIT.SEARCH_WINDOW) {
+            return null;
+        }
+        fit = refinedFit;
+    }
+
+    const offset = fit.offset % fit.period;
+    return { ...fit, offset: offset < 0 ? offset + fit.period : offset };
+}
+
+/**
+ * Locate the grid lines near their expected positions, skipping weak lines (e.g. where
+ * the grid is covered by artwork).
+ * 
+ * @param {Float32Array} signal - Normalized projection signal
+ * @param {number} period - Estimated period
+ * @param {number} phase - Estimated position of a grid line
+ * @returns {Array<{index: number, position: number, strength: number}>} Lines with their
+ *   index in the grid, sub-pixel position and peak value
+ */
+function locateGridLines(signal, period, phase) {
+    const searchRadius = Math.max(1, Math.floor(period * LINE_FIT.SEARCH_WINDOW));
+    const firstIndex = Math.ceil((searchRadius - phase) / period);
+    const lines = [];
+
+    for (let index = firstIndex; phase + index * period + searchRadius < signal.length - 1; index++) {
+        const expected = Math.round(phase + index * period);
+        let peak = expected;
+        for (let i = expected - searchRadius; i <= expected + searchRadius; i++) {
+            if (signal[i] > signal[peak]) peak = i;
+        }
+
+        const position = computePeakCentroid(signal, peak, LINE_FIT.CENTROID_RADIUS);
+        if (position !== null) {
+            lines.push({ index, position, strength: signal[peak] });
+        }
+    }
+
+    if (!lines.length) {
+        return lines;
+    }
+
+    const strengths = lines.map(line => line.strength).sort((a, b) => a - b);
+    const minStrength = strengths[Math.floor(strengths.length / 2)] * LINE_FIT.MIN_LINE_STRENGTH;
+    return lines.filter(line => line.strength >= minStrength);
+}
+
+/**
+ * Compute the centroid of a peak and its neighbours above the lowest of them.
+ * 
+ * @param {Float32Array} signal - Signal containing the peak
+ * @param {number} peak - Index of the peak sample
+ * @param {number} radius - Samples on each side included in the centroid
+ * @returns {number|null} Sub-pixel peak position, or null if the peak is flat
+ */
+function computePeakCentroid(signal, peak, radius) {
+    const start = Math.max(0, peak - radius);
+    const end = Math.min(signal.length - 1, peak + radius);
+
+    let baseline = Infinity;
+    for (let i = start; i <= end; i++) {
+        baseline = Math.min(baseline, signal[i]);
+    }
+
+    let weightSum = 0;
+    let positionSum = 0;
+    for (let i = start; i <= end; i++) {
+        weightSum += signal[i] - baseline;
+        positionSum += (signal[i] - baseline) * i;
+    }
+    return weightSum > 0 ? positionSum / weightSum : null;
+}
+
+/**
+ * Least-squares fit of line positions against their grid index, weighted by line strength.
+ * 
+ * @param {Array<{index: number, position: number, strength: number}>} lines - Located lines
+ * @returns {GridLineFit|null} Fitted period and offset, or null if the lines share one index
+ */
+function fitLinePositions(lines) {
+    let weightSum = 0;
+    let indexSum = 0;
+    let positionSum = 0;
+    for (const line of lines) {
+        weightSum += line.strength;
+        indexSum += line.strength * line.index;
+        positionSum += line.strength * line.position;
+    }
+    if (weightSum <= 0) {
+        return null;
+    }
+
+    const meanIndex = indexSum / weightSum;
+    const meanPosition = positionSum / weightSum;
+    let covariance = 0;
+    let variance = 0;
+    for (const line of lines) {
+        covariance += line.strength * (line.index - meanIndex) * (line.position - meanPosition);
+        variance += line.strength * (line.index - meanIndex) ** 2;
+    }
+    if (variance <= 0) {
+        return null;
+    }
+
+    const period = covariance / variance;
+    return { period, offset: meanPosition - period * meanIndex, lineCount: lines.length };
+}
+
+/**
+ * Build a histogram of edge orientations weighted by edge magnitude.
+ * 
+ * @param {Float32Array} magnitude - Edge magnitude per pixel
+ * @param {Float32Array} orientation - Edge line orientation per pixel in degrees (0-180)
+ * @param {number} minMagnitude - Pixels with a weaker edge are ignored
+ * @returns {Float32Array} Histogram with one bin per degree (180 bins)
+ */
+export function computeOrientationHistogram(magnitude, orientation, minMagnitude) {
+    const histogram = new Float32Array(180);
+
+    for (let i = 0; i < magnitude.length; i++) {
+        if (magnitude[i] < minMagnitude) continue;
+        histogram[Math.floor(orientation[i]) % 180] += magnitude[i];
+    }
+
+    return histogram;
+}
+
+/**
+ * Sum the histogram bins around an orientation, wrapping around at 180 degrees.
+ * 
+ * @param {Float32Array} histogram - Orientation histogram (180 bins)
+ * @param {number} centerDegrees - Orientation to sum around
+ * @param {number} halfWidthDegrees - Number of bins to include on each side
+ * @returns {number} Total histogram weight in the window
+ */
+export function sumOrientationWindow(histogram, centerDegrees, halfWidthDegrees) {
+    let total = 0;
+
+    for (let offset = -halfWidthDegrees; offset <= halfWidthDegrees; offset++) {
+        total += histogram[((centerDegrees + offset) % 180 + 180) % 180];
+    }
+
+    return total;
+}
+
+/**
+ * Compute the smallest difference between two line orientations (0-90 degrees).
+ * 
+ * @param {number} orientationA - First orientation in degrees
+ * @param {number} orientationB - Second orientation in degrees
+ * @returns {number} Angular difference in degrees
+ */
+export function orientationDifference(orientationA, orientationB) {
+    const difference = Math.abs(orientationA - orientationB) % 180;
+    return difference > 90 ? 180 - difference : difference;
+}
+
 /**
  * Clamp a numeric value to a specified range.
  * 
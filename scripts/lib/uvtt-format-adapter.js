@@ -0,0 +1,276 @@
+/**
+ * Universal VTT Format Adapter
+ *
+ * Converts Universal VTT exports (.dd2vtt from Dungeondraft, .df2vtt from DungeonFog,
+ * and generic .uvtt files) into the imported scene structure.
+ * Universal VTT stores all geometry in grid units relative to a map origin, so every
+ * coordinate is converted to scene pixels using the embedded pixels-per-grid value.
+ *
+ * @module UniversalVttAdapter
+ */
+
+import { WALL_HINTS, getWallHints } from './wall-type-utils.js';
+import { getLightDescriptors } from './light-preset-library.js';
+
+/**
+ * @typedef {Object} UvttPoint
+ * @property {number} x - Horizontal position in grid units
+ * @property {number} y - Vertical position in grid units
+ */
+
+/**
+ * @typedef {Object} UvttPortal
+ * @property {UvttPoint} position - Center of the portal
+ * @property {UvttPoint[]} bounds - The two end points of the portal
+ * @property {number} rotation - Rotation in radians
+ * @property {boolean} closed - Whether the portal is closed
+ * @property {boolean} freestanding - Whether the portal stands outside of a wall
+ */
+
+/**
+ * @typedef {Object} UvttLight
+ * @property {UvttPoint} position - Light position
+ * @property {number} range - Light range in grid units
+ * @property {number} intensity - Light intensity (usually 0-1)
+ * @property {string} color - Light color as an AARRGGBB or RRGGBB hex string
+ * @property {boolean} shadows - Whether the light casts shadows
+ */
+
+/** Default values used when a Universal VTT file omits optional fields */
+const UVTT_DEFAULTS = {
+    PIXELS_PER_GRID: 70,
+    GRID_DISTANCE: 5,
+    GRID_UNITS: 'ft',
+    LIGHT_ALPHA: 0.5
+};
+
+/**
+ * Adapter that converts Universal VTT data to the imported scene structure.
+ */
+export class UniversalVttAdapter {
+    constructor() {
+        /** @type {string} Unique adapter identifier */
+        this.id = 'uvtt';
+
+        /** @type {string} Human readable format name */
+        this.label = 'Universal VTT';
+    }
+
+    /**
+     * Estimate how likely the data is a Universal VTT export.
+     * The resolution block with pixels_per_grid is unique to the format.
+     *
+     * @param {Object|null|undefined} data - Parsed JSON data
+     * @returns {number} Confidence between 0 and 1
+     */
+    detect(data) {
+        if (!data || typeof data !== 'object') {
+            return 0;
+        }
+        if (!Number.isFinite(Number(data.resolution?.pixels_per_grid))) {
+            return 0;
+        }
+        return data.format !== undefined || Array.isArray(data.line_of_sight) ? 1 : 0.8;
+    }
+
+    /**
+     * Convert Universal VTT data into the imported scene structure.
+     * Walls come from line-of-sight polylines, doors from portals, and lights from
+     * the light list. All coordinates are converted from grid units to pixels.
+     *
+     * @param {Object} data - Parsed Universal VTT data
+     * @returns {Object} Imported scene structure
+     *
+     * @example
+     * const adapter = new UniversalVttAdapter();
+     * const sceneData = adapter.normalize(parsedDd2vtt);
+     */
+    normalize(data) {
+        const resolution = data.resolution || {};
+        const pixelsPerGrid = this.parsePositiveNumber(resolution.pixels_per_grid, UVTT_DEFAULTS.PIXELS_PER_GRID);
+        const origin = {
+            x: Number(resolution.map_origin?.x) || 0,
+            y: Number(resolution.map_origin?.y) || 0
+        };
+        const toPixels = (point) => this.convertPointToPixels(point, origin, pixelsPerGrid);
+
+        const mapWidth = Number(resolution.map_size?.x);
+        const mapHeight = Number(resolution.map_size?.y);
+
+        return {
+            width: Number.isFinite(mapWidth) ? Math.round(mapWidth * pixelsPerGrid) : undefined,
+            height: Number.isFinite(mapHeight) ? Math.round(mapHeight * pixelsPerGrid) : undefined,
+            grid: {
+                size: pixelsPerGrid,
+                type: 1,
+                distance: UVTT_DEFAULTS.GRID_DISTANCE,
+                units: UVTT_DEFAULTS.GRID_UNITS
+            },
+            walls: [
+                ...this.convertPolylinesToWalls(data.line_of_sight, toPixels),
+                ...this.convertPolylinesToWalls(data.objects_line_of_sight, toPixels),
+                ...this.convertPortalsToDoors(data.portals, toPixels)
+            ],
+            lights: this.convertLights(data.lights, toPixels)
+        };
+    }
+
+    /**
+     * Convert a grid-unit point to scene pixel coordinates.
+     *
+     * @param {UvttPoint} point - Point in grid units
+     * @param {{x: number, y: number}} origin - Map origin in grid units
+     * @param {number} pixelsPerGrid - Pixels per grid cell
+     * @returns {{x: number, y: number}} Point in pixels
+     */
+    convertPointToPixels(point, origin, pixelsPerGrid) {
+        return {
+            x: Math.round((Number(point?.x) - origin.x) * pixelsPerGrid),
+            y: Math.round((Number(point?.y) - origin.y) * pixelsPerGrid)
+        };
+    }
+
+    /**
+     * Convert line-of-sight polylines into individual wall segments.
+     *
+     * @param {UvttPoint[][]|undefined} polylines - Array of point lists
+     * @param {Function} toPixels - Point conversion function
+     * @returns {Array} Wall data with pixel coordinates
+     */
+    convertPolylinesToWalls(polylines, toPixels) {
+        if (!Array.isArray(polylines)) {
+            return [];
+        }
+
+        const walls = [];
+
+        for (const polyline of polylines) {
+            if (!Array.isArray(polyline)) continue;
+
+            for (let i = 0; i < polyline.length - 1; i++) {
+                const start = toPixels(polyline[i]);
+                const end = toPixels(polyline[i + 1]);
+
+                walls.push({
+                    c: [start.x, start.y, end.x, end.y],
+                    move: 'normal',
+                    sight: 'normal',
+                    sound: 'normal',
+                    light: 'normal'
+                });
+            }
+        }
+
+        return walls;
+    }
+
+    /**
+     * Convert portals into door walls. Open portals become open doors.
+     * Type hints on a portal (e.g. a "window" type or a secret flag) are passed on,
+     * so windows are not imported as doors.
+     *
+     * @param {UvttPortal[]|undefined} portals - Array of portals
+     * @param {Function} toPixels - Point conversion function
+     * @returns {Array} Door wall data with pixel coordinates
+     */
+    convertPortalsToDoors(portals, toPixels) {
+        if (!Array.isArray(portals)) {
+            return [];
+        }
+
+        return portals
+            .filter(portal => Array.isArray(portal?.bounds) && portal.bounds.length >= 2)
+            .map(portal => {
+                const start = toPixels(portal.bounds[0]);
+                const end = toPixels(portal.bounds[1]);
+
+                const hints = getWallHints(portal);
+                const isWindow = hints.has(WALL_HINTS.WINDOW);
+
+                return {
+                    c: [start.x, start.y, end.x, end.y],
+                    door: isWindow ? 0 : 1,
+                    ds: portal.closed === false ? 1 : 0,
+                    hints: [...hints],
+                    move: 'normal',
+                    sight: 'normal',
+                    sound: 'normal',
+                    light: 'normal'
+                };
+            });
+    }
+
+    /**
+     * Convert Universal VTT lights into ambient light data.
+     * The range is given in grid cells, the unit the importer writes light radii in,
+     * so it becomes the dim radius unchanged.
+     * Lights that do not cast shadows shine through walls. Names and tags are passed on
+     * for light preset matching.
+     *
+     * @param {UvttLight[]|undefined} lights - Array of lights
+     * @param {Function} toPixels - Point conversion function
+     * @returns {Array} Light data with pixel coordinates
+     */
+    convertLights(lights, toPixels) {
+        if (!Array.isArray(lights)) {
+            return [];
+        }
+
+        return lights
+            .filter(light => light?.position)
+            .map(light => {
+                const position = toPixels(light.position);
+                const range = this.parsePositiveNumber(light.range, 0);
+                const intensity = this.parsePositiveNumber(light.intensity, 1);
+
+                return {
+                    x: position.x,
+                    y: position.y,
+                    walls: light.shadows !== false,
+                    keywords: getLightDescriptors(light),
+                    config: {
+                        dim: range,
+                        bright: range / 2,
+                        color: this.parseColor(light.color),
+                        alpha: Math.min(1, UVTT_DEFAULTS.LIGHT_ALPHA * intensity),
+                        angle: 360
+                    }
+                };
+            });
+    }
+
+    /**
+     * Convert a Universal VTT color string (AARRGGBB or RRGGBB) to a CSS hex color.
+     *
+     * @param {string|undefined} color - Color string from the export
+     * @returns {string|null} Hex color (#rrggbb) or null if not parseable
+     */
+    parseColor(color) {
+        if (typeof color !== 'string') {
+            return null;
+        }
+
+        const hex = color.replace(/^#/, '').toLowerCase();
+
+        if (/^[0-9a-f]{8}$/.test(hex)) {
+            return `#${hex.slice(2)}`;
+        }
+        if (/^[0-9a-f]{6}$/.test(hex)) {
+            return `#${hex}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a value as a positive number, returning a default if invalid.
+     *
+     * @param {*} value - Value to parse
+     * @param {number} defaultValue - Default value if parsing fails
+     * @returns {number} Parsed positive number or default
+     */
+    parsePositiveNumber(value, defaultValue) {
+        const parsed = Number(value);
+        return Number.isFinite(parsed) && parsed > 0 ? parsed : defaultValue;
+    }
+}
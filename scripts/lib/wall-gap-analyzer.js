@@ -0,0 +1,346 @@
+/**
+ * Wall Gap Analyzer
+ *
+ * Finds places where imported walls almost, but not quite, meet. Such hairline gaps
+ * let vision and light leak between rooms. Three kinds of gaps are reported:
+ * - Endpoint gaps: a loose wall end close to another wall's end
+ * - T-junctions: a loose wall end just short of (or beside) another wall
+ * - Door gaps: a door end that does not touch any wall
+ *
+ * Gaps within the tolerance can be closed by moving the loose end onto the other wall;
+ * walls hit in the middle are split at the junction so the ends meet exactly.
+ *
+ * @module WallGapAnalyzer
+ */
+
+/** Default analysis settings (pixels) */
+export const WALL_GAP_DEFAULTS = {
+    TOLERANCE: 4,           // Gaps up to this size are reported as suspicious
+    TOUCH_DISTANCE: 0.5,    // Ends closer than this to a wall count as connected
+    CELL_SIZE: 64           // Cell size of the spatial index
+};
+
+/**
+ * Kinds of wall gaps
+ * @enum {string}
+ */
+export const WALL_GAP_TYPES = {
+    ENDPOINT_GAP: 'endpoint-gap',
+    T_JUNCTION: 't-junction',
+    DOOR_GAP: 'door-gap'
+};
+
+/**
+ * @typedef {Object} WallGapIssue
+ * @property {string} type - One of WALL_GAP_TYPES
+ * @property {number} wallIndex - Index of the wall with the loose end
+ * @property {number} endpointIndex - 0 for the wall start, 1 for the wall end
+ * @property {number} x - X coordinate of the loose end
+ * @property {number} y - Y coordinate of the loose end
+ * @property {{x: number, y: number}|null} target - Point that closes the gap, or null if nothing is within tolerance
+ * @property {number|null} targetWallIndex - Wall to split at the target for T-junctions
+ * @property {number|null} distance - Gap size in pixels, or null without a target
+ */
+
+/**
+ * @typedef {Object} WallGapReport
+ * @property {number} tolerance - Tolerance used for the analysis
+ * @property {WallGapIssue[]} issues - Suspicious locations
+ * @property {number} closedCount - Number of gaps that were closed automatically
+ */
+
+/**
+ * Service class that detects and closes small gaps between walls.
+ */
+export class WallGapAnalyzer {
+
+    /**
+     * Analyze walls for gaps that may leak vision or light.
+     *
+     * @param {Object[]} walls - Normalized walls
+     * @param {number} [tolerance=WALL_GAP_DEFAULTS.TOLERANCE] - Largest gap to report, in pixels
+     * @returns {WallGapReport} The analysis report
+     *
+     * @example
+     * const report = analyzer.analyze(normalizedData.walls, 4);
+     * report.issues.forEach(issue => console.log(issue.type, issue.x, issue.y));
+     */
+    analyze(walls, tolerance = WALL_GAP_DEFAULTS.TOLERANCE) {
+        const validIndices = walls
+            .map((wall, index) => (this.hasValidCoordinates(wall) ? index : -1))
+            .filter(index => index >= 0);
+
+        const endpointCounts = new Map();
+        for (const index of validIndices) {
+            const [x1, y1, x2, y2] = walls[index].c;
+            for (const key of [`${x1},${y1}`, `${x2},${y2}`]) {
+                endpointCounts.set(key, (endpointCounts.get(key) || 0) + 1);
+            }
+        }
+
+        const spatialIndex = this.buildSpatialIndex(walls, validIndices, tolerance);
+        const reportedPairs = new Set();
+        const issues = [];
+
+        for (const wallIndex of validIndices) {
+            const wall = walls[wallIndex];
+            const isDoor = wall.door > 0;
+
+            for (const endpointIndex of [0, 1]) {
+                const x = wall.c[endpointIndex * 2];
+                const y = wall.c[endpointIndex * 2 + 1];
+
+                if (endpointCounts.get(`${x},${y}`) > 1) continue;
+
+                const nearbyIndices = this.queryNearbyWalls(spatialIndex, x, y, tolerance)
+                    .filter(index => index !== wallIndex);
+                const touchesWall = nearbyIndices.some(index =>
+                    this.distanceToSegment(x, y, walls[index].c).distance <= WALL_GAP_DEFAULTS.TOUCH_DISTANCE
+                );
+                if (touchesWall) continue;
+
+                const issue = this.findGapTarget(walls, nearbyIndices, x, y, tolerance);
+
+                if (issue?.type === WALL_GAP_TYPES.ENDPOINT_GAP) {
+                    // Report a gap between two loose ends only once
+                    const pairKey = [`${x},${y}`, `${issue.target.x},${issue.target.y}`].sort().join('|');
+                    if (reportedPairs.has(pairKey)) continue;
+                    reportedPairs.add(pairKey);
+                }
+
+                if (issue) {
+                    issues.push({
+                        ...issue,
+                        type: isDoor ? WALL_GAP_TYPES.DOOR_GAP : issue.type,
+                        wallIndex,
+                        endpointIndex,
+                        x,
+                        y
+                    });
+                } else if (isDoor) {
+                    issues.push({
+                        type: WALL_GAP_TYPES.DOOR_GAP,
+                        wallIndex,
+                        endpointIndex,
+                        x,
+                        y,
+                        target: null,
+                        targetWallIndex: null,
+                        distance: null
+                    });
+                }
+            }
+        }
+
+        return { tolerance, issues, closedCount: 0 };
+    }
+
+    /**
+     * Find the closest point that would close a gap at a loose wall end.
+     * Another wall's end is preferred over a point in the middle of a wall.
+     *
+     * @param {Object[]} walls - All walls
+     * @param {number[]} nearbyIndices - Indices of walls near the loose end
+     * @param {number} x - X coordinate of the loose end
+     * @param {number} y - Y coordinate of the loose end
+     * @param {number} tolerance - Largest gap to close
+     * @returns {{type: string, target: {x: number, y: number}, targetWallIndex: number|null, distance: number}|null} The gap, or null
+     */
+    findGapTarget(walls, nearbyIndices, x, y, tolerance) {
+        let nearestEndpoint = null;
+        let nearestSegment = null;
+
+        for (const index of nearbyIndices) {
+            const [x1, y1, x2, y2] = walls[index].c;
+
+            for (const [endX, endY] of [[x1, y1], [x2, y2]]) {
+                const distance = Math.hypot(endX - x, endY - y);
+                if (distance <= tolerance && (!nearestEndpoint || distance < nearestEndpoint.distance)) {
+                    nearestEndpoint = { x: endX, y: endY, distance };
+                }
+            }
+
+            const projection = this.distanceToSegment(x, y, walls[index].c);
+            if (projection.distance <= tolerance && (!nearestSegment || projection.distance < nearestSegment.distance)) {
+                nearestSegment = { ...projection, wallIndex: index };
+            }
+        }
+
+        if (nearestEndpoint) {
+            return {
+                type: WALL_GAP_TYPES.ENDPOINT_GAP,
+                target: { x: nearestEndpoint.x, y: nearestEndpoint.y },
+                targetWallIndex: null,
+                distance: nearestEndpoint.distance
+            };
+        }
+
+        if (nearestSegment) {
+            return {
+                type: WALL_GAP_TYPES.T_JUNCTION,
+                target: { x: Math.round(nearestSegment.x), y: Math.round(nearestSegment.y) },
+                targetWallIndex: nearestSegment.wallIndex,
+                distance: nearestSegment.distance
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Close the gaps from a report by moving loose ends onto their targets.
+     * Walls met in the middle are split at the junction point.
+     *
+     * @param {Object[]} walls - The walls the report was created for
+     * @param {WallGapReport} report - The analysis report
+     * @returns {{walls: Object[], closedCount: number}} Updated walls and the number of closed gaps
+     */
+    closeGaps(walls, report) {
+        const updatedWalls = walls.map(wall => ({ ...wall, c: Array.isArray(wall.c) ? [...wall.c] : wall.c }));
+        const splitPointsByWall = new Map();
+        let closedCount = 0;
+
+        for (const issue of report.issues) {
+            if (!issue.target) continue;
+
+            const coordinates = updatedWalls[issue.wallIndex].c;
+            coordinates[issue.endpointIndex * 2] = issue.target.x;
+            coordinates[issue.endpointIndex * 2 + 1] = issue.target.y;
+            closedCount++;
+
+            if (issue.targetWallIndex !== null) {
+                if (!splitPointsByWall.has(issue.targetWallIndex)) {
+                    splitPointsByWall.set(issue.targetWallIndex, []);
+                }
+                splitPointsByWall.get(issue.targetWallIndex).push(issue.target);
+            }
+        }
+
+        const resultWalls = updatedWalls.flatMap((wall, index) =>
+            splitPointsByWall.has(index) ? this.splitWallAtPoints(wall, splitPointsByWall.get(index)) : [wall]
+        );
+
+        return { walls: resultWalls, closedCount };
+    }
+
+    /**
+     * Split a wall into pieces at the given points (ordered along the wall).
+     * Doors are never split; they are returned unchanged.
+     *
+     * @param {Object} wall - The wall to split
+     * @param {{x: number, y: number}[]} points - Points on the wall to split at
+     * @returns {Object[]} The wall pieces
+     */
+    splitWallAtPoints(wall, points) {
+        if (wall.door > 0) {
+            return [wall];
+        }
+
+        const [x1, y1, x2, y2] = wall.c;
+        const lengthSquared = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+        const orderedPoints = points
+            .map(point => ({ ...point, t: ((point.x - x1) * (x2 - x1) + (point.y - y1) * (y2 - y1)) / lengthSquared }))
+            .filter(point => point.t > 0 && point.t < 1)
+            .sort((a, b) => a.t - b.t);
+
+        const vertices = [{ x: x1, y: y1 }, ...orderedPoints, { x: x2, y: y2 }];
+        const pieces = [];
+        for (let i = 0; i < vertices.length - 1; i++) {
+            const from = vertices[i];
+            const to = vertices[i + 1];
+            if (from.x === to.x && from.y === to.y) continue;
+            pieces.push({ ...wall, c: [from.x, from.y, to.x, to.y] });
+        }
+        return pieces;
+    }
+
+    /**
+     * Check whether a wall has four finite coordinates.
+     *
+     * @param {Object} wall - Wall data
+     * @returns {boolean} True if the wall can be analyzed
+     */
+    hasValidCoordinates(wall) {
+        return Array.isArray(wall?.c) && wall.c.length >= 4 && wall.c.slice(0, 4).every(Number.isFinite);
+    }
+
+    /**
+     * Build a grid-based spatial index of walls, expanded by the tolerance.
+     *
+     * @param {Object[]} walls - All walls
+     * @param {number[]} indices - Indices of walls to index
+     * @param {number} tolerance - Search tolerance in pixels
+     * @returns {{cellSize: number, cells: Map<string, number[]>}} The spatial index
+     */
+    buildSpatialIndex(walls, indices, tolerance) {
+        const cellSize = Math.max(WALL_GAP_DEFAULTS.CELL_SIZE, tolerance * 2);
+        const cells = new Map();
+
+        for (const index of indices) {
+            const [x1, y1, x2, y2] = walls[index].c;
+            const minCellX = Math.floor((Math.min(x1, x2) - tolerance) / cellSize);
+            const maxCellX = Math.floor((Math.max(x1, x2) + tolerance) / cellSize);
+            const minCellY = Math.floor((Math.min(y1, y2) - tolerance) / cellSize);
+            const maxCellY = Math.floor((Math.max(y1, y2) + tolerance) / cellSize);
+
+            for (let cellX = minCellX; cellX <= maxCellX; cellX++) {
+                for (let cellY = minCellY; cellY <= maxCellY; cellY++) {
+                    const key = `${cellX},${cellY}`;
+                    if (!cells.has(key)) {
+                        cells.set(key, []);
+                    }
+                    cells.get(key).push(index);
+                }
+            }
+        }
+
+        return { cellSize, cells };
+    }
+
+    /**
+     * Get the indices of walls that may lie within the tolerance of a point.
+     *
+     * @param {{cellSize: number, cells: Map<string, number[]>}} spatialIndex - The spatial index
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} tolerance - Search tolerance in pixels
+     * @returns {number[]} Candidate wall indices
+     */
+    queryNearbyWalls(spatialIndex, x, y, tolerance) {
+        const { cellSize, cells } = spatialIndex;
+        const candidates = new Set();
+
+        for (let cellX = Math.floor((x - tolerance) / cellSize); cellX <= Math.floor((x + tolerance) / cellSize); cellX++) {
+            for (let cellY = Math.floor((y - tolerance) / cellSize); cellY <= Math.floor((y + tolerance) / cellSize); cellY++) {
+                for (const index of cells.get(`${cellX},${cellY}`) || []) {
+                    candidates.add(index);
+                }
+            }
+        }
+
+        return [...candidates];
+    }
+
+    /**
+     * Compute the distance from a point to a wall segment and the closest point on it.
+     *
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number[]} coordinates - Wall coordinates [x1, y1, x2, y2]
+     * @returns {{x: number, y: number, distance: number}} Closest point and distance
+     */
+    distanceToSegment(x, y, coordinates) {
+        const [x1, y1, x2, y2] = coordinates;
+        const deltaX = x2 - x1;
+        const deltaY = y2 - y1;
+        const lengthSquared = deltaX * deltaX + deltaY * deltaY;
+
+        const t = lengthSquared > 0
+            ? Math.max(0, Math.min(1, ((x - x1) * deltaX + (y - y1) * deltaY) / lengthSquared))
+            : 0;
+        const closestX = x1 + t * deltaX;
+        const closestY = y1 + t * deltaY;
+
+        return { x: closestX, y: closestY, distance: Math.hypot(x - closestX, y - closestY) };
+    }
+}
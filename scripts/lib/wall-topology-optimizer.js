@@ -0,0 +1,357 @@
+/**
+ * Wall Topology Optimizer
+ *
+ * Cleans up imported wall geometry before the walls are created. Exports such as
+ * Dungeon Alchemist produce thousands of tiny collinear segments; this pass reduces
+ * them to the minimal set of walls with the same behavior:
+ * 1. Snapping endpoints that lie within a tolerance of each other
+ * 2. Dropping zero-length segments
+ * 3. Splitting walls that overlap a door, so the door span stays open
+ * 4. Merging collinear, contiguous or overlapping segments with identical properties
+ *    (which also drops segments fully covered by an identical wall)
+ *
+ * Doors are snapped but never merged or split.
+ *
+ * @module WallTopologyOptimizer
+ */
+
+/** Default optimization settings (pixels) */
+const WALL_OPTIMIZATION_DEFAULTS = {
+    SNAP_TOLERANCE: 2,      // Endpoints closer than this are snapped together
+    MIN_LENGTH: 0.5,        // Shorter segments count as zero-length
+    MERGE_GAP: 0.5,         // Collinear segments closer than this are treated as contiguous
+    ANGLE_PRECISION: 1000,  // Line directions are grouped per milliradian
+    OFFSET_PRECISION: 2     // Line offsets are grouped per half pixel
+};
+
+/**
+ * @typedef {Object} WallOptimizationStats
+ * @property {number} before - Number of walls before optimization
+ * @property {number} after - Number of walls after optimization
+ * @property {number} snappedEndpoints - Endpoints moved onto a nearby endpoint
+ * @property {number} removedZeroLength - Segments dropped because they had no length
+ * @property {number} splitAtDoors - Walls shortened or split because they overlapped a door
+ * @property {number} merged - Segments removed by merging collinear or overlapping walls
+ */
+
+/**
+ * @typedef {Object} LineSegment
+ * @property {Object} wall - The wall data the segment belongs to
+ * @property {string} lineKey - Identifier of the infinite line the segment lies on
+ * @property {number} startT - Position of the segment start along the line
+ * @property {number} endT - Position of the segment end along the line (>= startT)
+ * @property {number[]} startPoint - Coordinates of the segment start [x, y]
+ * @property {number[]} endPoint - Coordinates of the segment end [x, y]
+ * @property {boolean} isReversed - True if the wall runs from endPoint to startPoint
+ */
+
+/**
+ * Service class that simplifies wall topology.
+ */
+export class WallTopologyOptimizer {
+    /**
+     * @param {Object} [options] - Optimization settings
+     * @param {number} [options.snapTolerance] - Endpoint snapping tolerance in pixels
+     */
+    constructor(options = {}) {
+        /** @type {number} Endpoint snapping tolerance in pixels */
+        this.snapTolerance = options.snapTolerance ?? WALL_OPTIMIZATION_DEFAULTS.SNAP_TOLERANCE;
+    }
+
+    /**
+     * Optimize a list of normalized walls.
+     * Walls without four finite coordinates are passed through unchanged.
+     *
+     * @param {Object[]} walls - Normalized wall data
+     * @returns {{walls: Object[], stats: WallOptimizationStats}} Optimized walls and statistics
+     *
+     * @example
+     * const optimizer = new WallTopologyOptimizer();
+     * const { walls, stats } = optimizer.optimize(normalizedWalls);
+     * console.log(`${stats.before} walls reduced to ${stats.after}`);
+     */
+    optimize(walls) {
+        const stats = {
+            before: walls.length,
+            after: walls.length,
+            snappedEndpoints: 0,
+            removedZeroLength: 0,
+            splitAtDoors: 0,
+            merged: 0
+        };
+
+        const validWalls = walls.filter(wall => this.hasValidCoordinates(wall));
+        const invalidWalls = walls.filter(wall => !this.hasValidCoordinates(wall));
+
+        const snappedWalls = this.snapEndpoints(validWalls, stats);
+        const nonZeroWalls = snappedWalls.filter(wall => this.getWallLength(wall) >= WALL_OPTIMIZATION_DEFAULTS.MIN_LENGTH);
+        stats.removedZeroLength = snappedWalls.length - nonZeroWalls.length;
+
+        const doors = nonZeroWalls.filter(wall => wall.door > 0);
+        const regularWalls = nonZeroWalls.filter(wall => !(wall.door > 0));
+
+        const openedWalls = this.splitWallsAtDoors(regularWalls, doors, stats);
+        const mergedWalls = this.mergeCollinearWalls(openedWalls);
+        stats.merged = openedWalls.length - mergedWalls.length;
+
+        const optimizedWalls = [...mergedWalls, ...doors, ...invalidWalls];
+        stats.after = optimizedWalls.length;
+
+        return { walls: optimizedWalls, stats };
+    }
+
+    /**
+     * Check whether a wall has four finite coordinates.
+     *
+     * @param {Object} wall - Wall data
+     * @returns {boolean} True if the wall can be optimized
+     */
+    hasValidCoordinates(wall) {
+        return Array.isArray(wall?.c) && wall.c.length >= 4 && wall.c.slice(0, 4).every(Number.isFinite);
+    }
+
+    /**
+     * Get the length of a wall.
+     *
+     * @param {Object} wall - Wall data
+     * @returns {number} Length in pixels
+     */
+    getWallLength(wall) {
+        return Math.hypot(wall.c[2] - wall.c[0], wall.c[3] - wall.c[1]);
+    }
+
+    /**
+     * Snap wall endpoints that lie within the snap tolerance onto a shared point.
+     * The first endpoint found in an area becomes the shared point; a spatial hash
+     * keeps the lookup fast for large wall counts.
+     *
+     * @param {Object[]} walls - Walls with valid coordinates
+     * @param {WallOptimizationStats} stats - Statistics to update
+     * @returns {Object[]} Walls with snapped coordinates
+     */
+    snapEndpoints(walls, stats) {
+        const tolerance = this.snapTolerance;
+        if (!(tolerance > 0)) {
+            return walls;
+        }
+
+        const cellSize = tolerance;
+        const anchorsByCell = new Map();
+
+        const snapPoint = (x, y) => {
+            const cellX = Math.floor(x / cellSize);
+            const cellY = Math.floor(y / cellSize);
+            let nearestAnchor = null;
+            let nearestDistance = tolerance;
+
+            for (let offsetX = -1; offsetX <= 1; offsetX++) {
+                for (let offsetY = -1; offsetY <= 1; offsetY++) {
+                    for (const anchor of anchorsByCell.get(`${cellX + offsetX},${cellY + offsetY}`) || []) {
+                        const distance = Math.hypot(anchor[0] - x, anchor[1] - y);
+                        if (distance <= nearestDistance) {
+                            nearestAnchor = anchor;
+                            nearestDistance = distance;
+                        }
+                    }
+                }
+            }
+
+            if (nearestAnchor) {
+                if (nearestAnchor[0] !== x || nearestAnchor[1] !== y) {
+                    stats.snappedEndpoints++;
+                }
+                return nearestAnchor;
+            }
+
+            const anchor = [x, y];
+            const cellKey = `${cellX},${cellY}`;
+            if (!anchorsByCell.has(cellKey)) {
+                anchorsByCell.set(cellKey, []);
+            }
+            anchorsByCell.get(cellKey).push(anchor);
+            return anchor;
+        };
+
+        return walls.map(wall => {
+            const start = snapPoint(wall.c[0], wall.c[1]);
+            const end = snapPoint(wall.c[2], wall.c[3]);
+            return { ...wall, c: [start[0], start[1], end[0], end[1]] };
+        });
+    }
+
+    /**
+     * Remove the parts of regular walls that overlap a collinear door.
+     *
+     * @param {Object[]} walls - Regular (non-door) walls
+     * @param {Object[]} doors - Door walls
+     * @param {WallOptimizationStats} stats - Statistics to update
+     * @returns {Object[]} Walls with door spans cut out
+     */
+    splitWallsAtDoors(walls, doors, stats) {
+        if (!doors.length) {
+            return walls;
+        }
+
+        const doorSegmentsByLine = new Map();
+        for (const door of doors) {
+            const doorSegment = this.toLineSegment(door);
+            if (!doorSegmentsByLine.has(doorSegment.lineKey)) {
+                doorSegmentsByLine.set(doorSegment.lineKey, []);
+            }
+            doorSegmentsByLine.get(doorSegment.lineKey).push(doorSegment);
+        }
+
+        const result = [];
+        for (const wall of walls) {
+            const wallSegment = this.toLineSegment(wall);
+            const lineDoors = doorSegmentsByLine.get(wallSegment.lineKey);
+            if (!lineDoors) {
+                result.push(wall);
+                continue;
+            }
+
+            let pieces = [wallSegment];
+            for (const doorSegment of lineDoors) {
+                pieces = pieces.flatMap(piece => this.subtractSegment(piece, doorSegment));
+            }
+
+            const isUnchanged = pieces.length === 1 && pieces[0] === wallSegment;
+            if (!isUnchanged) {
+                stats.splitAtDoors++;
+            }
+            result.push(...pieces.map(piece => this.toWall(piece)));
+        }
+
+        return result;
+    }
+
+    /**
+     * Subtract the span of one segment from another segment on the same line.
+     *
+     * @param {LineSegment} segment - The segment to cut
+     * @param {LineSegment} cutter - The span to remove
+     * @returns {LineSegment[]} Remaining pieces (the original segment if they do not overlap)
+     */
+    subtractSegment(segment, cutter) {
+        const overlapStart = Math.max(segment.startT, cutter.startT);
+        const overlapEnd = Math.min(segment.endT, cutter.endT);
+        if (overlapEnd - overlapStart < WALL_OPTIMIZATION_DEFAULTS.MIN_LENGTH) {
+            return [segment];
+        }
+
+        const pieces = [];
+        if (cutter.startT - segment.startT >= WALL_OPTIMIZATION_DEFAULTS.MIN_LENGTH) {
+            pieces.push({ ...segment, endT: cutter.startT, endPoint: cutter.startPoint });
+        }
+        if (segment.endT - cutter.endT >= WALL_OPTIMIZATION_DEFAULTS.MIN_LENGTH) {
+            pieces.push({ ...segment, startT: cutter.endT, startPoint: cutter.endPoint });
+        }
+        return pieces;
+    }
+
+    /**
+     * Merge collinear walls with identical properties that touch or overlap.
+     * Segments fully covered by another identical wall disappear in the merge.
+     *
+     * @param {Object[]} walls - Regular (non-door) walls
+     * @returns {Object[]} Merged walls
+     */
+    mergeCollinearWalls(walls) {
+        const groups = new Map();
+
+        for (const wall of walls) {
+            const segment = this.toLineSegment(wall);
+            // One-way walls only merge with walls running in the same direction
+            const directionKey = wall.dir ? (segment.isReversed ? 'reverse' : 'forward') : 'any';
+            const groupKey = `${segment.lineKey}|${directionKey}|${this.getPropertiesKey(wall)}`;
+
+            if (!groups.has(groupKey)) {
+                groups.set(groupKey, []);
+            }
+            groups.get(groupKey).push(segment);
+        }
+
+        const mergedWalls = [];
+        for (const segments of groups.values()) {
+            segments.sort((a, b) => a.startT - b.startT);
+
+            let current = segments[0];
+            for (let i = 1; i < segments.length; i++) {
+                const next = segments[i];
+                if (next.startT <= current.endT + WALL_OPTIMIZATION_DEFAULTS.MERGE_GAP) {
+                    if (next.endT > current.endT) {
+                        current = { ...current, endT: next.endT, endPoint: next.endPoint };
+                    }
+                } else {
+                    mergedWalls.push(this.toWall(current));
+                    current = next;
+                }
+            }
+            mergedWalls.push(this.toWall(current));
+        }
+
+        return mergedWalls;
+    }
+
+    /**
+     * Build a key from every wall property except its coordinates.
+     *
+     * @param {Object} wall - Wall data
+     * @returns {string} Properties key
+     */
+    getPropertiesKey(wall) {
+        const { c, ...properties } = wall;
+        return JSON.stringify(properties);
+    }
+
+    /**
+     * Describe a wall as a segment on an infinite line. Collinear walls share the same line key,
+     * and positions along the line are comparable between them.
+     *
+     * @param {Object} wall - Wall with valid coordinates
+     * @returns {LineSegment} The line segment
+     */
+    toLineSegment(wall) {
+        const [x1, y1, x2, y2] = wall.c;
+
+        // Use a line direction in [0, π) so both wall orientations map to the same line
+        let angle = Math.atan2(y2 - y1, x2 - x1);
+        if (angle < 0) angle += Math.PI;
+        if (angle >= Math.PI - 1e-9) angle = 0;
+
+        const directionX = Math.cos(angle);
+        const directionY = Math.sin(angle);
+        const offset = -directionY * x1 + directionX * y1;
+
+        const lineKey = `${Math.round(angle * WALL_OPTIMIZATION_DEFAULTS.ANGLE_PRECISION)}:` +
+            `${Math.round(offset * WALL_OPTIMIZATION_DEFAULTS.OFFSET_PRECISION)}`;
+
+        const t1 = directionX * x1 + directionY * y1;
+        const t2 = directionX * x2 + directionY * y2;
+        const isReversed = t2 < t1;
+
+        return {
+            wall,
+            lineKey,
+            startT: Math.min(t1, t2),
+            endT: Math.max(t1, t2),
+            startPoint: isReversed ? [x2, y2] : [x1, y1],
+            endPoint: isReversed ? [x1, y1] : [x2, y2],
+            isReversed
+        };
+    }
+
+    /**
+     * Convert a line segment back to wall data, keeping the original wall direction.
+     *
+     * @param {LineSegment} segment - The line segment
+     * @returns {Object} Wall data
+     */
+    toWall(segment) {
+        const [from, to] = segment.isReversed
+            ? [segment.endPoint, segment.startPoint]
+            : [segment.startPoint, segment.endPoint];
+
+        return { ...segment.wall, c: [from[0], from[1], to[0], to[1]] };
+    }
+}
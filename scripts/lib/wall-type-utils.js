@@ -0,0 +1,170 @@
+/**
+ * Wall Type Utilities
+ *
+ * Helpers for Foundry wall types: door types and states, sense restrictions
+ * (including proximity thresholds) and movement restrictions.
+ * Also reads wall type hints that other tools attach to their walls and portals,
+ * such as window and secret door markers, so they can be mapped to Foundry settings.
+ *
+ * @module WallTypeUtils
+ */
+
+/**
+ * Foundry door types (mirrors CONST.WALL_DOOR_TYPES)
+ * @enum {number}
+ */
+export const WALL_DOOR_TYPES = {
+    NONE: 0,
+    DOOR: 1,
+    SECRET: 2
+};
+
+/**
+ * Foundry door states (mirrors CONST.WALL_DOOR_STATES)
+ * @enum {number}
+ */
+export const WALL_DOOR_STATES = {
+    CLOSED: 0,
+    OPEN: 1,
+    LOCKED: 2
+};
+
+/**
+ * Foundry sense restriction types for light, sight and sound (mirrors CONST.WALL_SENSE_TYPES).
+ * PROXIMITY walls stop restricting when the source is within the threshold distance,
+ * DISTANCE (reverse proximity) walls only restrict within it.
+ * @enum {number}
+ */
+export const WALL_SENSE_TYPES = {
+    NONE: 0,
+    LIMITED: 10,
+    NORMAL: 20,
+    PROXIMITY: 30,
+    DISTANCE: 40
+};
+
+/**
+ * Foundry movement restriction types (mirrors CONST.WALL_MOVEMENT_TYPES)
+ * @enum {number}
+ */
+export const WALL_MOVEMENT_TYPES = {
+    NONE: 0,
+    NORMAL: 20
+};
+
+/**
+ * Wall type hints recognized on imported walls
+ * @enum {string}
+ */
+export const WALL_HINTS = {
+    WINDOW: 'window',
+    LOW_WALL: 'low-wall',
+    SECRET: 'secret',
+    LOCKED: 'locked',
+    OPEN: 'open'
+};
+
+/** Keywords in type or name fields that map to each hint */
+const HINT_KEYWORDS = {
+    [WALL_HINTS.WINDOW]: ['window', 'glass'],
+    [WALL_HINTS.LOW_WALL]: ['low wall', 'lowwall', 'low-wall', 'low_wall', 'railing', 'fence'],
+    [WALL_HINTS.SECRET]: ['secret', 'hidden door'],
+    [WALL_HINTS.LOCKED]: ['locked'],
+    [WALL_HINTS.OPEN]: ['open']
+};
+
+/** Boolean marker fields that map to each hint */
+const HINT_MARKER_FIELDS = {
+    [WALL_HINTS.WINDOW]: ['window', 'isWindow'],
+    [WALL_HINTS.LOW_WALL]: ['lowWall', 'isLowWall'],
+    [WALL_HINTS.SECRET]: ['secret', 'isSecret'],
+    [WALL_HINTS.LOCKED]: ['locked', 'isLocked'],
+    [WALL_HINTS.OPEN]: ['open', 'isOpen']
+};
+
+/** Free-text fields that may describe the wall type */
+const HINT_TEXT_FIELDS = ['type', 'wallType', 'kind', 'name'];
+
+/**
+ * Parse a door type from a number, boolean or name.
+ *
+ * @param {*} value - Raw door type ("secret", true, 2, ...)
+ * @returns {number} Foundry door type
+ *
+ * @example
+ * parseDoorType('secret'); // WALL_DOOR_TYPES.SECRET
+ * parseDoorType(true);     // WALL_DOOR_TYPES.DOOR
+ */
+export function parseDoorType(value) {
+    if (Object.values(WALL_DOOR_TYPES).includes(value)) {
+        return value;
+    }
+    if (value === true) {
+        return WALL_DOOR_TYPES.DOOR;
+    }
+    if (typeof value === 'string') {
+        const name = value.trim().toLowerCase();
+        if (name.startsWith('secret')) return WALL_DOOR_TYPES.SECRET;
+        if (name.startsWith('door') || name === 'normal') return WALL_DOOR_TYPES.DOOR;
+        const numeric = Number(name);
+        if (name && Object.values(WALL_DOOR_TYPES).includes(numeric)) return numeric;
+    }
+    return WALL_DOOR_TYPES.NONE;
+}
+
+/**
+ * Parse a door state from a number or name.
+ *
+ * @param {*} value - Raw door state ("locked", 1, ...)
+ * @returns {number} Foundry door state
+ */
+export function parseDoorState(value) {
+    if (Object.values(WALL_DOOR_STATES).includes(value)) {
+        return value;
+    }
+    if (typeof value === 'string') {
+        const name = value.trim().toLowerCase();
+        if (name.startsWith('lock')) return WALL_DOOR_STATES.LOCKED;
+        if (name.startsWith('open')) return WALL_DOOR_STATES.OPEN;
+        const numeric = Number(name);
+        if (name && Object.values(WALL_DOOR_STATES).includes(numeric)) return numeric;
+    }
+    return WALL_DOOR_STATES.CLOSED;
+}
+
+/**
+ * Collect the wall type hints of an imported wall from an explicit `hints` array,
+ * boolean marker fields (e.g. `isWindow`) and free-text type or name fields.
+ *
+ * @param {Object} wall - Imported wall data
+ * @returns {Set<string>} Recognized WALL_HINTS values
+ *
+ * @example
+ * getWallHints({ type: 'Window (glass)' }); // Set { 'window' }
+ * getWallHints({ isSecret: true, locked: true }); // Set { 'secret', 'locked' }
+ */
+export function getWallHints(wall) {
+    const hints = new Set();
+    const knownHints = Object.values(WALL_HINTS);
+
+    for (const hint of Array.isArray(wall?.hints) ? wall.hints : []) {
+        if (knownHints.includes(hint)) hints.add(hint);
+    }
+
+    for (const [hint, fields] of Object.entries(HINT_MARKER_FIELDS)) {
+        if (fields.some(field => wall?.[field] === true)) hints.add(hint);
+    }
+
+    const text = HINT_TEXT_FIELDS
+        .map(field => wall?.[field])
+        .filter(value => typeof value === 'string')
+        .join(' ')
+        .toLowerCase();
+    if (text) {
+        for (const [hint, keywords] of Object.entries(HINT_KEYWORDS)) {
+            if (keywords.some(keyword => new RegExp(`\\b${keyword}\\b`).test(text))) hints.add(hint);
+        }
+    }
+
+    return hints;
+}
@@ -11,6 +11,8 @@
  */
 
 import { SceneImportController } from './lib/scene-import-controller.js';
+import { formatAdapterRegistry } from './lib/format-adapter-registry.js';
+import { registerModuleSettings } from './lib/module-settings.js';
 
 /** @type {SceneImportController|null} Singleton instance of the import controller */
 let sceneImportController = null;
@@ -21,6 +23,18 @@ let sceneImportController = null;
  */
 const MODULE_ID = 'Myxeliums Battlemap Importer';
 
+/**
+ * Package identifier from module.json, used to expose the public API
+ * @constant {string}
+ */
+const MODULE_PACKAGE_ID = 'quick-battlemap-importer';
+
+/**
+ * Hook fired during setup so other modules can register their import format adapters
+ * @constant {string}
+ */
+const REGISTER_ADAPTERS_HOOK = 'quickBattlemapImporter.registerFormatAdapters';
+
 /**
  * CSS class name for the quick import button to prevent duplicate insertion
  * @constant {string}
@@ -33,6 +47,23 @@ const QUICK_IMPORT_BUTTON_CLASS = 'myxeliums-battlemap-quick-import';
  */
 Hooks.once('init', async function () {
     console.log(`${MODULE_ID} | Initializing module`);
+
+    registerModuleSettings();
+
+    const moduleApi = createModuleApi();
+    const modulePackage = game.modules.get(MODULE_PACKAGE_ID);
+    if (modulePackage) {
+        modulePackage.api = moduleApi;
+    }
+});
+
+/**
+ * Let other modules register import format adapters once all modules are initialized.
+ * Listeners receive the module API, e.g.:
+ * Hooks.once('quickBattlemapImporter.registerFormatAdapters', (api) => api.registerFormatAdapter(myAdapter));
+ */
+Hooks.once('setup', function () {
+    Hooks.callAll(REGISTER_ADAPTERS_HOOK, createModuleApi());
 });
 
 /**
@@ -85,6 +116,20 @@ Hooks.on('renderSceneDirectory', (_app, html) => {
     buttonContainer.appendChild(quickImportButton);
 });
 
+/**
+ * Create the public API exposed as game.modules.get('quick-battlemap-importer').api.
+ * 
+ * @returns {Object} The module API
+ */
+function createModuleApi() {
+    return {
+        registerFormatAdapter: (adapter) => formatAdapterRegistry.register(adapter),
+        unregisterFormatAdapter: (adapterId) => formatAdapterRegistry.unregister(adapterId),
+        getFormatAdapters: () => formatAdapterRegistry.getAdapters(),
+        detectFormat: (json) => formatAdapterRegistry.detectFormat(json)
+    };
+}
+
 /**
  * Find a suitable container element for the quick import button.
  * Tries multiple selectors for compatibility across Foundry versions.
@@ -0,0 +1,298 @@
+/**
+ * Grid Period Benchmark
+ *
+ * Compares the grid period detection before and after the switch to FFT autocorrelation
+ * and spectral harmonic analysis: accuracy and timing on synthetic edge projections and on
+ * the fixture images in tests/fixtures/grid-images.
+ *
+ * "Before" is the previous method, kept here as a reference: autocorrelation as a direct
+ * sum, a smallest lag that grew with the image size (width / 200) and ranking from
+ * autocorrelation peaks alone. "After" is GridDetectionService as it is now. Both share
+ * the candidate scoring and line fitting of the current service, so the comparison
+ * isolates the period search.
+ *
+ * Exits with code 1 when the current method misses a fixture image.
+ *
+ * Run with: node tests/benchmarks/grid-period-benchmark.mjs
+ */
+
+import { performance } from 'node:perf_hooks';
+
+import { GridDetectionService } from '../../scripts/lib/grid-detection-service.js';
+import { computeAutocorrelation, findPeriodCandidates } from '../../scripts/lib/signal-processing-utils.js';
+import { isMatchingGridSize, loadGridFixtures } from '../helpers/grid-fixtures.mjs';
+
+/** Settings of the previous method */
+const LEGACY = {
+    MIN_LAG: 8,                 // Smallest lag, raised to width / LAG_DIVISOR on large images
+    LAG_DIVISOR: 200,
+    MAX_LAG: 1024,
+    PEAKS_PER_AXIS: 8,
+    MIN_VALID_PERIOD: 6
+};
+
+/** Timing runs per measurement; the median is reported */
+const TIMING_RUNS = 5;
+
+/**
+ * Previous autocorrelation: a direct sum over every lag, O(n * lags).
+ * @param {Float32Array} signal - Input signal
+ * @param {number} minLag - Smallest lag
+ * @param {number} maxLag - Largest lag
+ * @returns {Array<{lag: number, val: number}>} Normalized autocorrelation
+ */
+function computeLegacyAutocorrelation(signal, minLag, maxLag) {
+    const signalLength = signal.length;
+    let sum = 0;
+    for (let i = 0; i < signalLength; i++) {
+        sum += signal[i];
+    }
+    const mean = sum / signalLength;
+
+    let denominator = 0;
+    for (let i = 0; i < signalLength; i++) {
+        denominator += (signal[i] - mean) ** 2;
+    }
+    denominator = denominator || 1;
+
+    const result = [];
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        let numerator = 0;
+        for (let i = 0; i + lag < signalLength; i++) {
+            numerator += (signal[i] - mean) * (signal[i + lag] - mean);
+        }
+        result.push({ lag, val: numerator / denominator });
+    }
+    return result;
+}
+
+/**
+ * Previous period ranking, from autocorrelation peaks only.
+ * @this {GridDetectionService}
+ * @param {Float32Array} signalX - Normalized X projection
+ * @param {Float32Array} signalY - Normalized Y projection
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {{period: number, score: number}[]} Ranked periods
+ */
+function rankPeriodCandidatesLegacy(signalX, signalY, width, height) {
+    const minLagX = Math.max(LEGACY.MIN_LAG, Math.floor(width / LEGACY.LAG_DIVISOR));
+    const minLagY = Math.max(LEGACY.MIN_LAG, Math.floor(height / LEGACY.LAG_DIVISOR));
+    const autocorrX = computeLegacyAutocorrelation(signalX, minLagX, Math.min(Math.floor(width / 2), LEGACY.MAX_LAG));
+    const autocorrY = computeLegacyAutocorrelation(signalY, minLagY, Math.min(Math.floor(height / 2), LEGACY.MAX_LAG));
+    const peaksX = findPeriodCandidates(autocorrX, LEGACY.PEAKS_PER_AXIS);
+    const peaksY = findPeriodCandidates(autocorrY, LEGACY.PEAKS_PER_AXIS);
+
+    const periods = [];
+    for (const peak of [...peaksX, ...peaksY]) {
+        if (peak.value < LEGACY.MIN_VALID_PERIOD || periods.some(period => this.isSamePeriod(period, peak.value))) {
+            continue;
+        }
+        periods.push(peak.value);
+    }
+
+    const ranked = periods
+        .map(period => this.scorePeriodCandidate(period, autocorrX, autocorrY, peaksX, peaksY))
+        .sort((a, b) => b.score - a.score);
+    return this.preferGridSubdivision(ranked);
+}
+
+/**
+ * Create a seeded random number generator (mulberry32).
+ * @param {number} seed - Seed value
+ * @returns {function(): number} Generator of values between 0 and 1
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Measure the median run time of a function.
+ * @param {Function} run - Function to time
+ * @returns {{result: *, milliseconds: number}} Result of the last run and the median time
+ */
+function time(run) {
+    const durations = [];
+    let result;
+    for (let i = 0; i < TIMING_RUNS; i++) {
+        const start = performance.now();
+        result = run();
+        durations.push(performance.now() - start);
+    }
+    durations.sort((a, b) => a - b);
+    return { result, milliseconds: durations[Math.floor(TIMING_RUNS / 2)] };
+}
+
+/**
+ * Build a synthetic edge projection: peaks at the grid lines over textured noise.
+ * @param {Object} options - Projection settings
+ * @param {number} options.length - Projection length in pixels
+ * @param {number} options.period - Cell size in pixels (may be fractional)
+ * @param {number} [options.majorEvery] - Cells between major lines, which are much stronger
+ * @param {number} [options.texturePeriod] - Period of a competing texture (e.g. planks)
+ * @param {number} options.noise - Noise amplitude relative to a cell line
+ * @param {number} options.seed - Random seed
+ * @returns {Float32Array} Raw projection
+ */
+function buildProjection({ length, period, majorEvery = 0, texturePeriod = 0, noise, seed }) {
+    const random = createRandom(seed);
+    const projection = new Float32Array(length);
+    const phase = random() * period;
+
+    for (let i = 0; i < length; i++) {
+        projection[i] = 1 + noise * random() * 2;
+        if (texturePeriod) {
+            projection[i] += 0.6 * Math.max(0, Math.cos(2 * Math.PI * i / texturePeriod)) ** 8;
+        }
+    }
+    for (let line = 0, position = phase; position < length - 1; line++, position = phase + line * period) {
+        const strength = majorEvery && line % majorEvery === 0 ? 4 : 1;
+        const index = Math.floor(position);
+        const fraction = position - index;
+        projection[index] += strength * (1 - fraction);
+        projection[index + 1] += strength * fraction;
+    }
+    return projection;
+}
+
+/** Synthetic projection cases: cell sizes, map sizes and distractions */
+const PROJECTION_CASES = [
+    ...[24, 50, 70, 100, 140].map(period => ({ name: `thin lines ${period} px`, length: 1400, period, noise: 0.3 })),
+    ...[37.5, 70.4, 93.3].map(period => ({ name: `fractional ${period} px`, length: 1800, period, noise: 0.3 })),
+    ...[4, 5].map(majorEvery => ({ name: `24 px cells, major every ${majorEvery}`, length: 1440, period: 24, majorEvery, noise: 0.2 })),
+    { name: '30 px cells, major every 5', length: 2100, period: 30, majorEvery: 5, noise: 0.2 },
+    { name: '50 px grid over 17 px planks', length: 1500, period: 50, texturePeriod: 17, noise: 0.3 },
+    { name: '70 px grid over 23 px planks', length: 2100, period: 70, texturePeriod: 23, noise: 0.3 },
+    ...[10, 14, 18].map(period => ({ name: `fine ${period} px on 4096 px`, length: 4096, period, noise: 0.3 })),
+    { name: 'noisy 60 px', length: 1800, period: 60, noise: 1.2 }
+];
+
+/**
+ * Run the period ranking of one method on a pair of projections.
+ * @param {GridDetectionService} service - Detection service
+ * @param {Function} rank - Ranking method, called on the service
+ * @param {Float32Array} projectionX - Raw X projection
+ * @param {Float32Array} projectionY - Raw Y projection
+ * @returns {number|null} Best period
+ */
+function detectPeriod(service, rank, projectionX, projectionY) {
+    const signalX = service.processProjection(projectionX, projectionX.length);
+    const signalY = service.processProjection(projectionY, projectionY.length);
+    return rank.call(service, signalX, signalY, projectionX.length, projectionY.length)[0]?.period ?? null;
+}
+
+/**
+ * Format a number for the report tables.
+ * @param {number|null} value - Value
+ * @param {number} [digits=2] - Fraction digits
+ * @returns {string} Formatted value
+ */
+function format(value, digits = 2) {
+    return value === null || value === undefined ? '-' : value.toFixed(digits);
+}
+
+/**
+ * Compare the autocorrelation of both methods.
+ */
+function benchmarkAutocorrelation() {
+    console.log('\nAutocorrelation (direct sum vs FFT)');
+    const rows = [512, 1024, 2048, 4096].map(length => {
+        const signal = buildProjection({ length, period: 37.3, noise: 0.5, seed: length });
+        const maxLag = Math.min(Math.floor(length / 2), LEGACY.MAX_LAG);
+        const legacy = time(() => computeLegacyAutocorrelation(signal, LEGACY.MIN_LAG, maxLag));
+        const current = time(() => computeAutocorrelation(signal, LEGACY.MIN_LAG, maxLag));
+        const maxError = Math.max(...legacy.result.map((entry, index) => Math.abs(entry.val - current.result[index].val)));
+        return {
+            length,
+            'before ms': format(legacy.milliseconds),
+            'after ms': format(current.milliseconds),
+            speedup: `${format(legacy.milliseconds / current.milliseconds, 1)}x`,
+            'max error': maxError.toExponential(1)
+        };
+    });
+    console.table(rows);
+}
+
+/**
+ * Compare the detected periods of both methods on synthetic projections.
+ * @param {GridDetectionService} service - Detection service
+ */
+function benchmarkProjections(service) {
+    console.log('\nSynthetic projections (best period; correct within 0.5%)');
+    const totals = { before: 0, after: 0, beforeMs: 0, afterMs: 0 };
+    const rows = PROJECTION_CASES.map((testCase, index) => {
+        const projectionX = buildProjection({ ...testCase, seed: index * 2 + 1 });
+        const projectionY = buildProjection({ ...testCase, seed: index * 2 + 2 });
+        const legacy = time(() => detectPeriod(service, rankPeriodCandidatesLegacy, projectionX, projectionY));
+        const current = time(() => detectPeriod(service, service.rankPeriodCandidates, projectionX, projectionY));
+        const isLegacyCorrect = legacy.result !== null && isMatchingGridSize(legacy.result, testCase.period);
+        const isCurrentCorrect = current.result !== null && isMatchingGridSize(current.result, testCase.period);
+
+        totals.before += isLegacyCorrect ? 1 : 0;
+        totals.after += isCurrentCorrect ? 1 : 0;
+        totals.beforeMs += legacy.milliseconds;
+        totals.afterMs += current.milliseconds;
+        return {
+            case: testCase.name,
+            expected: testCase.period,
+            before: `${format(legacy.result)}${isLegacyCorrect ? '' : ' ✗'}`,
+            after: `${format(current.result)}${isCurrentCorrect ? '' : ' ✗'}`,
+            'before ms': format(legacy.milliseconds),
+            'after ms': format(current.milliseconds)
+        };
+    });
+    console.table(rows);
+    console.log(`Correct: before ${totals.before}/${rows.length}, after ${totals.after}/${rows.length}; `
+        + `total time before ${format(totals.beforeMs, 1)} ms, after ${format(totals.afterMs, 1)} ms`);
+}
+
+/**
+ * Compare the full detection of both methods on the fixture images.
+ * @param {GridDetectionService} service - Detection service
+ * @returns {number} Fixtures the current method missed
+ */
+function benchmarkFixtures(service) {
+    console.log('\nFixture images (full square grid detection; correct within 0.5%)');
+    const legacyService = new GridDetectionService();
+    legacyService.rankPeriodCandidates = rankPeriodCandidatesLegacy;
+
+    let missed = 0;
+    const rows = loadGridFixtures().map(fixture => {
+        const detect = (detector) => detector.rankGridCandidates(
+            detector.findGridCandidates(fixture.grayscale, fixture.width, fixture.height, 1)
+        ).gridSize;
+        const legacy = time(() => detect(legacyService));
+        const current = time(() => detect(service));
+        const isLegacyCorrect = isMatchingGridSize(legacy.result, fixture.gridSize);
+        const isCurrentCorrect = isMatchingGridSize(current.result, fixture.gridSize);
+        missed += isCurrentCorrect ? 0 : 1;
+
+        return {
+            fixture: fixture.file,
+            size: `${fixture.width}x${fixture.height}`,
+            expected: fixture.gridSize,
+            before: `${format(legacy.result)}${isLegacyCorrect ? '' : ' ✗'}`,
+            after: `${format(current.result)}${isCurrentCorrect ? '' : ' ✗'}`,
+            'before ms': format(legacy.milliseconds, 0),
+            'after ms': format(current.milliseconds, 0)
+        };
+    });
+    console.table(rows);
+    return missed;
+}
+
+const service = new GridDetectionService();
+benchmarkAutocorrelation();
+benchmarkProjections(service);
+const missedFixtures = benchmarkFixtures(service);
+if (missedFixtures > 0) {
+    console.error(`\nThe current method missed ${missedFixtures} fixture image(s)`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,40 @@
+/**
+ * Scene name and variant tag checks for the file name parser.
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FilenameMetadataParser } from '../scripts/lib/filename-metadata-parser.js';
+
+const parser = new FilenameMetadataParser();
+
+const NAME_CASES = [
+    { filename: 'Crypt_Entrance_30x20_140ppi_Night.jpg', sceneName: 'Crypt Entrance', variants: ['night'] },
+    { filename: 'The_Storm_Keep_v2_final.jpg', sceneName: 'The Storm Keep', variants: [] },
+    { filename: 'Red Dawn Inn.png', sceneName: 'Red Dawn Inn', variants: [] },
+    { filename: 'Night Market.webp', sceneName: 'Night Market', variants: [] },
+    { filename: 'Tavern_Night_Rain_4k.png', sceneName: 'Tavern', variants: ['night', 'rain'] },
+    { filename: 'Sewers 1080p.png', sceneName: 'Sewers', variants: [] },
+    { filename: 'Sewers_720p_HQ_Night.png', sceneName: 'Sewers', variants: ['night'] },
+    { filename: 'Sewers 4K FHD.webp', sceneName: 'Sewers', variants: [] },
+    { filename: 'Storm Keep Night v2.png', sceneName: 'Storm Keep', variants: ['night'] },
+    { filename: 'Night.png', sceneName: 'Night', variants: [] },
+    { filename: 'tavern [gridded] 22x34.png', sceneName: 'Tavern', variants: ['gridded'] },
+    { filename: 'Dawn Temple (Night).jpg', sceneName: 'Dawn Temple', variants: ['night'] }
+];
+
+for (const { filename, sceneName, variants } of NAME_CASES) {
+    test(`parses "${filename}"`, () => {
+        const metadata = parser.parse(filename);
+        assert.equal(metadata.sceneName, sceneName);
+        assert.deepEqual(metadata.variants, variants);
+    });
+}
+
+test('names the variants in the scene name', () => {
+    assert.equal(parser.buildSceneName(parser.parse('The_Storm_Keep_v2_final.jpg')), 'The Storm Keep');
+    assert.equal(parser.buildSceneName(parser.parse('Tavern_Night_Rain.png')), 'Tavern (Night, Rain)');
+});
@@ -0,0 +1,179 @@
+/**
+ * Grid Image Fixture Generator
+ *
+ * Renders the grid detection fixtures: synthetic battlemaps with a known grid size on a
+ * textured floor. The images are committed; run this only to change or add fixtures.
+ *
+ * Run with: node tests/fixtures/grid-images/generate-fixtures.mjs
+ */
+
+import { writeFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { encodeGrayscalePng } from '../../helpers/grayscale-png.mjs';
+
+const FIXTURE_DIRECTORY = dirname(fileURLToPath(import.meta.url));
+
+/**
+ * @typedef {Object} FixtureDefinition
+ * @property {string} file - PNG file name
+ * @property {string} description - What the fixture covers
+ * @property {number} width - Image width
+ * @property {number} height - Image height
+ * @property {number} gridSize - Cell size in pixels
+ * @property {{x: number, y: number}} offset - Position of the first grid line
+ * @property {number} lineWidth - Width of the cell lines in pixels
+ * @property {number} lineDarkness - How much darker than the floor the cell lines are
+ * @property {number} [majorEvery] - Cells between bold major lines
+ * @property {number} [planks] - Period of a plank texture along X, in pixels
+ * @property {number} speckles - Share of pixels darkened at random
+ * @property {number} seed - Random seed
+ */
+
+/** @type {FixtureDefinition[]} */
+const FIXTURES = [
+    {
+        file: 'thin-lines-70.png',
+        description: 'Thin dark 70 px grid on irregular flagstones',
+        width: 700, height: 560, gridSize: 70, offset: { x: 12, y: 30 },
+        lineWidth: 1, lineDarkness: 70, speckles: 0.01, seed: 1
+    },
+    {
+        file: 'major-lines-24.png',
+        description: 'Faint 24 px cells with bold lines every 5 cells',
+        width: 720, height: 480, gridSize: 24, offset: { x: 0, y: 0 },
+        lineWidth: 1, lineDarkness: 22, majorEvery: 5, speckles: 0.01, seed: 2
+    },
+    {
+        file: 'fractional-70.4.png',
+        description: 'Anti-aliased grid of 70.4 px cells (10 cells across)',
+        width: 704, height: 704, gridSize: 70.4, offset: { x: 0, y: 0 },
+        lineWidth: 1.5, lineDarkness: 60, speckles: 0.01, seed: 3
+    },
+    {
+        file: 'fine-grid-8.png',
+        description: 'Fine 8 px grid on an 1800 px map, below the old size-dependent smallest lag of 9 px',
+        width: 1800, height: 1800, gridSize: 8, offset: { x: 3, y: 5 },
+        lineWidth: 1, lineDarkness: 45, speckles: 0.002, seed: 4
+    },
+    {
+        file: 'planks-50.png',
+        description: '50 px grid over wooden planks 17 px wide',
+        width: 600, height: 600, gridSize: 50, offset: { x: 20, y: 10 },
+        lineWidth: 2, lineDarkness: 50, planks: 17, speckles: 0.01, seed: 5
+    }
+];
+
+/**
+ * Create a seeded random number generator (mulberry32).
+ * @param {number} seed - Seed value
+ * @returns {function(): number} Generator of values between 0 and 1
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let value = state;
+        value = Math.imul(value ^ (value >>> 15), value | 1);
+        value ^= value + Math.imul(value ^ (value >>> 7), value | 61);
+        return ((value ^ (value >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Get how much of a pixel is covered by the nearest grid line, anti-aliased.
+ * @param {number} position - Pixel center
+ * @param {number} offset - Position of the first line
+ * @param {number} spacing - Line spacing
+ * @param {number} lineWidth - Line width
+ * @returns {number} Coverage between 0 and 1
+ */
+function getLineCoverage(position, offset, spacing, lineWidth) {
+    const phase = ((position - offset) % spacing + spacing) % spacing;
+    const distance = Math.min(phase, spacing - phase);
+    return Math.min(1, Math.max(0, lineWidth / 2 + 0.5 - distance));
+}
+
+/**
+ * Lay out irregular flagstones: rows of random height, split into stones of random width
+ * and brightness. Their borders are mortar lines that do not follow the grid.
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {function(): number} random - Random number generator
+ * @returns {{rowOf: Int32Array, rows: Array<{top: number, stones: Array<{left: number, brightness: number}>}>}} Stone layout
+ */
+function layOutFlagstones(width, height, random) {
+    const rows = [];
+    const rowOf = new Int32Array(height);
+    for (let top = 0; top < height;) {
+        const rowHeight = 30 + Math.floor(random() * 50);
+        const stones = [];
+        for (let left = -Math.floor(random() * 60); left < width;) {
+            stones.push({ left, brightness: 130 + Math.floor(random() * 50) });
+            left += 30 + Math.floor(random() * 80);
+        }
+        for (let y = top; y < Math.min(height, top + rowHeight); y++) {
+            rowOf[y] = rows.length;
+        }
+        rows.push({ top, stones });
+        top += rowHeight;
+    }
+    return { rowOf, rows };
+}
+
+/**
+ * Render a fixture image.
+ * @param {FixtureDefinition} fixture - Fixture definition
+ * @returns {Uint8Array} Grayscale pixels
+ */
+function renderFixture(fixture) {
+    const { width, height, gridSize, offset, lineWidth, lineDarkness, majorEvery, planks, speckles } = fixture;
+    const random = createRandom(fixture.seed);
+    const { rowOf, rows } = layOutFlagstones(width, height, random);
+    const pixels = new Uint8Array(width * height);
+
+    for (let y = 0; y < height; y++) {
+        const row = rows[rowOf[y]];
+        let stoneIndex = 0;
+        for (let x = 0; x < width; x++) {
+            while (stoneIndex + 1 < row.stones.length && row.stones[stoneIndex + 1].left <= x) {
+                stoneIndex++;
+            }
+            const stone = row.stones[stoneIndex];
+            const isMortar = y === row.top || x === stone.left;
+            let value = isMortar ? stone.brightness - 40 : stone.brightness;
+
+            if (planks) {
+                value -= 25 * getLineCoverage(x, 0, planks, 1);
+            }
+            if (random() < speckles) {
+                value -= 60;
+            }
+
+            const cellLine = Math.max(
+                getLineCoverage(x, offset.x, gridSize, lineWidth),
+                getLineCoverage(y, offset.y, gridSize, lineWidth)
+            );
+            value -= lineDarkness * cellLine;
+
+            if (majorEvery) {
+                const majorLine = Math.max(
+                    getLineCoverage(x, offset.x, gridSize * majorEvery, lineWidth + 2),
+                    getLineCoverage(y, offset.y, gridSize * majorEvery, lineWidth + 2)
+                );
+                value -= 90 * majorLine;
+            }
+
+            pixels[y * width + x] = Math.max(0, Math.min(255, Math.round(value)));
+        }
+    }
+    return pixels;
+}
+
+const manifest = FIXTURES.map(fixture => {
+    writeFileSync(join(FIXTURE_DIRECTORY, fixture.file), encodeGrayscalePng(renderFixture(fixture), fixture.width, fixture.height));
+    return { file: fixture.file, description: fixture.description, gridSize: fixture.gridSize, offset: fixture.offset };
+});
+writeFileSync(join(FIXTURE_DIRECTORY, 'fixtures.json'), `${JSON.stringify(manifest, null, 4)}\n`);
+console.log(`Wrote ${manifest.length} fixtures to ${FIXTURE_DIRECTORY}`);
@@ -0,0 +1,67 @@
+/**
+ * Light radius unit checks for the built-in format adapters.
+ *
+ * The importer writes light radii in grid units, as it always has: sources that measure
+ * radii in map units (e.g. feet) are divided by the grid distance, Universal VTT ranges
+ * are already grid cells and Foundry scene exports are taken as stored.
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FoundrySceneAdapter } from '../scripts/lib/foundry-format-adapter.js';
+import { DungeonAlchemistAdapter } from '../scripts/lib/dungeon-alchemist-format-adapter.js';
+import { UniversalVttAdapter } from '../scripts/lib/uvtt-format-adapter.js';
+
+test('Foundry scene exports keep their stored radii', () => {
+    const structure = new FoundrySceneAdapter().normalize({
+        grid: { size: 100, distance: 5, units: 'ft' },
+        lights: [{ x: 0, y: 0, config: { bright: 20, dim: 40 } }]
+    });
+
+    assert.deepEqual(structure.lights[0].config, { bright: 20, dim: 40 });
+});
+
+test('Dungeon Alchemist radii in map units are divided by the grid distance', () => {
+    const structure = new DungeonAlchemistAdapter().normalize({
+        grid: 100,
+        gridDistance: 10,
+        lights: [{ x: 0, y: 0, bright: 40, dim: 80, tintColor: '#ff9329' }]
+    });
+
+    assert.equal(structure.lights[0].config.bright, 4);
+    assert.equal(structure.lights[0].config.dim, 8);
+});
+
+test('Dungeon Alchemist radii use a 5 ft grid distance when the export has none', () => {
+    const structure = new DungeonAlchemistAdapter().normalize({
+        grid: 100,
+        lights: [{ x: 0, y: 0, bright: 33.75, dim: 67.5, tintColor: '#ff9329' }]
+    });
+
+    assert.equal(structure.lights[0].config.bright, 6.75);
+    assert.equal(structure.lights[0].config.dim, 13.5);
+});
+
+test('Dungeon Alchemist lights without radii leave them unset', () => {
+    const structure = new DungeonAlchemistAdapter().normalize({
+        grid: 100,
+        lights: [{ x: 0, y: 0, tintColor: '#ff9329' }]
+    });
+
+    assert.equal(structure.lights[0].config.bright, 0);
+    assert.equal(structure.lights[0].config.dim, 0);
+});
+
+test('Universal VTT ranges in grid cells become the dim radius', () => {
+    const structure = new UniversalVttAdapter().normalize({
+        format: 0.3,
+        resolution: { pixels_per_grid: 70, map_origin: { x: 0, y: 0 }, map_size: { x: 10, y: 10 } },
+        lights: [{ position: { x: 2, y: 3 }, range: 8, intensity: 1, color: 'ffff9329', shadows: true }]
+    });
+
+    assert.equal(structure.lights[0].config.dim, 8);
+    assert.equal(structure.lights[0].config.bright, 4);
+});
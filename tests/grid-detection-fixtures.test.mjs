@@ -0,0 +1,39 @@
+/**
+ * Grid detection regression checks on the fixture images in tests/fixtures/grid-images.
+ * Accuracy and timing against the previous method are compared by
+ * tests/benchmarks/grid-period-benchmark.mjs.
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { GridDetectionService } from '../scripts/lib/grid-detection-service.js';
+import { computeAutocorrelation } from '../scripts/lib/signal-processing-utils.js';
+import { isMatchingGridSize, loadGridFixtures } from './helpers/grid-fixtures.mjs';
+
+const detector = new GridDetectionService();
+
+for (const fixture of loadGridFixtures()) {
+    test(`detects the ${fixture.gridSize} px grid in ${fixture.file}`, () => {
+        const candidates = detector.findGridCandidates(fixture.grayscale, fixture.width, fixture.height, 1);
+        const { gridSize } = detector.rankGridCandidates(candidates);
+
+        assert.ok(isMatchingGridSize(gridSize, fixture.gridSize), `${fixture.description}: detected ${gridSize} px`);
+    });
+}
+
+test('FFT autocorrelation matches the direct sum', () => {
+    const signal = Float32Array.from({ length: 700 }, (_, i) => Math.sin(i / 5.3) + (i % 41 === 0 ? 3 : 0));
+    const mean = signal.reduce((sum, value) => sum + value, 0) / signal.length;
+    const variance = signal.reduce((sum, value) => sum + (value - mean) ** 2, 0);
+
+    for (const { lag, val } of computeAutocorrelation(signal, 8, 350)) {
+        let expected = 0;
+        for (let i = 0; i + lag < signal.length; i++) {
+            expected += (signal[i] - mean) * (signal[i + lag] - mean);
+        }
+        assert.ok(Math.abs(val - expected / variance) < 1e-9, `lag ${lag}`);
+    }
+});
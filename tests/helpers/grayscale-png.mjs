@@ -0,0 +1,150 @@
+/**
+ * Grayscale PNG Helpers
+ *
+ * Minimal reader and writer for 8-bit grayscale PNG files, so grid detection fixtures can
+ * be stored as small images and decoded in Node without an image library.
+ *
+ * @module GrayscalePng
+ */
+
+import { deflateSync, inflateSync } from 'node:zlib';
+
+/** PNG file signature */
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** IHDR color type of grayscale images */
+const GRAYSCALE_COLOR_TYPE = 0;
+
+/** CRC-32 lookup table for chunk checksums */
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+/**
+ * Compute the CRC-32 of a buffer.
+ * @param {Buffer} buffer - Chunk type and data
+ * @returns {number} Unsigned CRC-32
+ */
+function computeCrc(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk.
+ * @param {string} type - Four-letter chunk type
+ * @param {Buffer} data - Chunk data
+ * @returns {Buffer} Length, type, data and CRC
+ */
+function buildChunk(type, data) {
+    const typeAndData = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(computeCrc(typeAndData));
+    return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * Encode 8-bit grayscale pixels as a PNG file.
+ *
+ * @param {Uint8Array} pixels - Grayscale values, row by row
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Buffer} PNG file contents
+ */
+export function encodeGrayscalePng(pixels, width, height) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = GRAYSCALE_COLOR_TYPE;
+
+    // Every row uses filter type 1 (difference to the left pixel), which suits smooth textures
+    const rows = Buffer.alloc((width + 1) * height);
+    for (let y = 0; y < height; y++) {
+        rows[y * (width + 1)] = 1;
+        for (let x = 0; x < width; x++) {
+            const left = x > 0 ? pixels[y * width + x - 1] : 0;
+            rows[y * (width + 1) + 1 + x] = (pixels[y * width + x] - left) & 0xff;
+        }
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        buildChunk('IHDR', header),
+        buildChunk('IDAT', deflateSync(rows, { level: 9 })),
+        buildChunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+/**
+ * Predict a byte with the Paeth filter.
+ * @param {number} left - Byte to the left
+ * @param {number} up - Byte above
+ * @param {number} upLeft - Byte above and to the left
+ * @returns {number} Predicted byte
+ */
+function paethPredictor(left, up, upLeft) {
+    const estimate = left + up - upLeft;
+    const distanceLeft = Math.abs(estimate - left);
+    const distanceUp = Math.abs(estimate - up);
+    const distanceUpLeft = Math.abs(estimate - upLeft);
+    if (distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft) return left;
+    return distanceUp <= distanceUpLeft ? up : upLeft;
+}
+
+/**
+ * Decode an 8-bit grayscale, non-interlaced PNG file.
+ *
+ * @param {Buffer} file - PNG file contents
+ * @returns {{pixels: Uint8Array, width: number, height: number}} Grayscale values, row by row
+ * @throws {Error} If the file is not an 8-bit grayscale PNG
+ */
+export function decodeGrayscalePng(file) {
+    if (!file.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG file');
+    }
+
+    let width = 0;
+    let height = 0;
+    const dataChunks = [];
+    for (let position = 8; position < file.length;) {
+        const length = file.readUInt32BE(position);
+        const type = file.toString('latin1', position + 4, position + 8);
+        const data = file.subarray(position + 8, position + 8 + length);
+        if (type === 'IHDR') {
+            width = data.readUInt32BE(0);
+            height = data.readUInt32BE(4);
+            if (data[8] !== 8 || data[9] !== GRAYSCALE_COLOR_TYPE || data[12] !== 0) {
+                throw new Error('Only 8-bit grayscale, non-interlaced PNG files are supported');
+            }
+        } else if (type === 'IDAT') {
+            dataChunks.push(data);
+        }
+        position += length + 12;
+    }
+
+    const rows = inflateSync(Buffer.concat(dataChunks));
+    const pixels = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const filter = rows[y * (width + 1)];
+        for (let x = 0; x < width; x++) {
+            const raw = rows[y * (width + 1) + 1 + x];
+            const left = x > 0 ? pixels[y * width + x - 1] : 0;
+            const up = y > 0 ? pixels[(y - 1) * width + x] : 0;
+            const upLeft = x > 0 && y > 0 ? pixels[(y - 1) * width + x - 1] : 0;
+            const prediction = [0, left, up, (left + up) >> 1, paethPredictor(left, up, upLeft)][filter];
+            pixels[y * width + x] = (raw + prediction) & 0xff;
+        }
+    }
+
+    return { pixels, width, height };
+}
@@ -0,0 +1,48 @@
+/**
+ * Grid Fixture Loader
+ *
+ * Loads the grid detection fixture images with their expected grid sizes.
+ *
+ * @module GridFixtures
+ */
+
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { decodeGrayscalePng } from './grayscale-png.mjs';
+
+const FIXTURE_DIRECTORY = join(dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'grid-images');
+
+/**
+ * @typedef {Object} GridFixture
+ * @property {string} file - PNG file name
+ * @property {string} description - What the fixture covers
+ * @property {number} gridSize - Expected cell size in pixels
+ * @property {{x: number, y: number}} offset - Position of the first grid line
+ * @property {Float32Array} grayscale - Pixel values as the detection pipeline reads them
+ * @property {number} width - Image width
+ * @property {number} height - Image height
+ */
+
+/**
+ * Load every fixture listed in fixtures.json.
+ * @returns {GridFixture[]} Decoded fixtures
+ */
+export function loadGridFixtures() {
+    const manifest = JSON.parse(readFileSync(join(FIXTURE_DIRECTORY, 'fixtures.json'), 'utf8'));
+    return manifest.map(entry => {
+        const { pixels, width, height } = decodeGrayscalePng(readFileSync(join(FIXTURE_DIRECTORY, entry.file)));
+        return { ...entry, grayscale: Float32Array.from(pixels), width, height };
+    });
+}
+
+/**
+ * Check whether a detected grid size matches the expected one within half a percent.
+ * @param {number} detected - Detected grid size
+ * @param {number} expected - Expected grid size
+ * @returns {boolean} True if the sizes match
+ */
+export function isMatchingGridSize(detected, expected) {
+    return Math.abs(detected - expected) <= expected * 0.005;
+}
@@ -0,0 +1,66 @@
+/**
+ * Light preset radius checks.
+ *
+ * Preset radii are stored in grid cells, the same unit the format adapters return, so a
+ * preset-filled light and a light with explicit radii from the same import are comparable.
+ *
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SceneDataNormalizer } from '../scripts/lib/scene-data-normalizer.js';
+import { LightPresetLibrary, DEFAULT_LIGHT_PRESETS } from '../scripts/lib/light-preset-library.js';
+
+const TORCH_PRESET = DEFAULT_LIGHT_PRESETS.find(preset => preset.id === 'torch');
+
+test('preset radii in grid cells are used unchanged', () => {
+    const config = new LightPresetLibrary().applyPreset({}, TORCH_PRESET);
+
+    assert.equal(config.bright, TORCH_PRESET.config.bright);
+    assert.equal(config.dim, TORCH_PRESET.config.dim);
+});
+
+test('explicit radii win over preset radii', () => {
+    const config = new LightPresetLibrary().applyPreset({ bright: 3, dim: 0 }, TORCH_PRESET);
+
+    assert.equal(config.bright, 3);
+    assert.equal(config.dim, TORCH_PRESET.config.dim);
+});
+
+test('preset-filled and explicit Dungeon Alchemist lights share one unit', () => {
+    const gridDistance = 5;
+    const normalized = new SceneDataNormalizer().normalizeToFoundryFormat({
+        grid: 100,
+        gridDistance,
+        walls: [],
+        lights: [
+            { x: 0, y: 0, name: 'Torch' },
+            {
+                x: 100,
+                y: 100,
+                bright: TORCH_PRESET.config.bright * gridDistance,
+                dim: TORCH_PRESET.config.dim * gridDistance
+            }
+        ]
+    });
+
+    const [presetLight, explicitLight] = normalized.lights;
+    assert.equal(presetLight.config.bright, explicitLight.config.bright);
+    assert.equal(presetLight.config.dim, explicitLight.config.dim);
+});
+
+test('preset-filled and explicit Universal VTT lights share one unit', () => {
+    const normalized = new SceneDataNormalizer().normalizeToFoundryFormat({
+        format: 0.3,
+        resolution: { pixels_per_grid: 70, map_origin: { x: 0, y: 0 }, map_size: { x: 10, y: 10 } },
+        lights: [
+            { position: { x: 1, y: 1 }, name: 'Torch', range: 0 },
+            { position: { x: 2, y: 2 }, range: TORCH_PRESET.config.dim }
+        ]
+    });
+
+    const [presetLight, explicitLight] = normalized.lights;
+    assert.equal(presetLight.config.dim, explicitLight.config.dim);
+});